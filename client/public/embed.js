@@ -0,0 +1,83 @@
+/*
+ * Scorebugger embed loader. Turns placeholder elements into auto-sizing widget iframes:
+ *
+ *   <div data-scorebugger-board="SCOREBOARD_ID" data-theme="dark"></div>
+ *   <div data-scorebugger-tournament="PUBLIC_CODE" data-view="standings"></div>
+ *   <script src="https://your-scorebugger-host/embed.js" async></script>
+ *
+ * Supported data attributes: theme, accent, radius, font, view, phase, tabs.
+ */
+(function () {
+  var RESIZE_MESSAGE = 'scorebugger:embed-resize';
+  var OPTION_KEYS = ['theme', 'accent', 'radius', 'font', 'view', 'phase', 'tabs'];
+  var script = document.currentScript;
+  var origin = script ? new URL(script.src, window.location.href).origin : window.location.origin;
+  var frames = [];
+
+  function buildSrc(element) {
+    var board = element.getAttribute('data-scorebugger-board');
+    var tournament = element.getAttribute('data-scorebugger-tournament');
+    var path = board
+      ? '/embed/board/' + encodeURIComponent(board)
+      : '/embed/t/' + encodeURIComponent(tournament);
+    var params = new URLSearchParams();
+
+    OPTION_KEYS.forEach(function (key) {
+      var value = element.getAttribute('data-' + key);
+      if (value) {
+        params.set(key, value);
+      }
+    });
+
+    var query = params.toString();
+    return origin + path + (query ? '?' + query : '');
+  }
+
+  function mount(element) {
+    if (element.getAttribute('data-scorebugger-mounted')) {
+      return;
+    }
+
+    var iframe = document.createElement('iframe');
+    iframe.src = buildSrc(element);
+    iframe.title = element.getAttribute('data-title') || 'Live scores';
+    iframe.loading = 'lazy';
+    iframe.style.width = '100%';
+    iframe.style.height = '160px';
+    iframe.style.border = '0';
+    iframe.setAttribute('scrolling', 'no');
+
+    element.setAttribute('data-scorebugger-mounted', 'true');
+    element.appendChild(iframe);
+    frames.push(iframe);
+  }
+
+  window.addEventListener('message', function (event) {
+    var data = event.data;
+
+    if (event.origin !== origin || !data || data.type !== RESIZE_MESSAGE) {
+      return;
+    }
+
+    frames.forEach(function (iframe) {
+      if (iframe.contentWindow === event.source && data.height > 0) {
+        iframe.style.height = Math.ceil(data.height) + 'px';
+      }
+    });
+  });
+
+  function mountAll() {
+    document
+      .querySelectorAll('[data-scorebugger-board], [data-scorebugger-tournament]')
+      .forEach(mount);
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', mountAll);
+  } else {
+    mountAll();
+  }
+
+  window.Scorebugger = window.Scorebugger || {};
+  window.Scorebugger.mountWidgets = mountAll;
+})();
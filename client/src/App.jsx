@@ -1,7 +1,11 @@
 import { Navigate, Route, Routes } from 'react-router-dom';
 
 import ControlPanel from './pages/ControlPanel.jsx';
+import CourtDisplay from './pages/CourtDisplay.jsx';
 import Display from './pages/Display.jsx';
+import EmbedScoreboard from './pages/EmbedScoreboard.jsx';
+import EmbedTournament from './pages/EmbedTournament.jsx';
+import GraphicsControl from './pages/GraphicsControl.jsx';
 import Home from './pages/Home.jsx';
 import ResetPassword from './pages/ResetPassword.jsx';
 import TournamentMatchControl from './pages/TournamentMatchControl.jsx';
@@ -14,8 +18,10 @@ import TournamentPlayoffsAdmin from './pages/TournamentPlayoffsAdmin.jsx';
 import TournamentQuickScoresAdmin from './pages/TournamentQuickScoresAdmin.jsx';
 import TournamentTeamsAdmin from './pages/TournamentTeamsAdmin.jsx';
 import TournamentJoin from './pages/TournamentJoin.jsx';
+import TournamentOverlay from './pages/TournamentOverlay.jsx';
 import TournamentPublicView from './pages/TournamentPublicView.jsx';
 import TournamentTeamPublicView from './pages/TournamentTeamPublicView.jsx';
+import TournamentVideoWall from './pages/TournamentVideoWall.jsx';
 import VerifyEmail from './pages/VerifyEmail.jsx';
 
 function App() {
@@ -24,6 +30,7 @@ function App() {
       <Route path="/" element={<Home />} />
       <Route path="/board/:scoreboardId/control" element={<ControlPanel />} />
       <Route path="/board/:scoreboardId/display" element={<Display />} />
+      <Route path="/board/:scoreboardId/graphics" element={<GraphicsControl />} />
       <Route
         path="/tournaments/matches/:matchId/control/:scoreboardId"
         element={<TournamentMatchControl />}
@@ -39,6 +46,11 @@ function App() {
       <Route path="/tournaments/join" element={<TournamentJoin />} />
       <Route path="/t/:tournamentCode/team/:teamCode" element={<TournamentTeamPublicView />} />
       <Route path="/t/:publicCode" element={<TournamentPublicView />} />
+      <Route path="/t/:publicCode/overlay/:overlayType" element={<TournamentOverlay />} />
+      <Route path="/t/:publicCode/wall" element={<TournamentVideoWall />} />
+      <Route path="/t/:publicCode/courts/:courtCode/display" element={<CourtDisplay />} />
+      <Route path="/embed/board/:scoreboardId" element={<EmbedScoreboard />} />
+      <Route path="/embed/t/:publicCode" element={<EmbedTournament />} />
       <Route path="/auth/verify" element={<VerifyEmail />} />
       <Route path="/auth/reset-password" element={<ResetPassword />} />
       <Route path="*" element={<Navigate to="/" replace />} />
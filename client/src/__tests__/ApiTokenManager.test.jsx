@@ -0,0 +1,68 @@
+import { render, screen, waitFor } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+
+import ApiTokenManager from '../components/ApiTokenManager.jsx';
+
+describe('ApiTokenManager', () => {
+  beforeEach(() => {
+    globalThis.fetch = vi.fn();
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('creates a token, shows the secret once, and revokes tokens', async () => {
+    const requests = [];
+    const onToast = vi.fn();
+
+    globalThis.fetch.mockImplementation(async (url, options = {}) => {
+      const requestUrl = String(url);
+      const method = options.method || 'GET';
+      requests.push({ method, url: requestUrl, body: options.body });
+
+      if (requestUrl.endsWith('/api/scoreboards/board-1/api-tokens') && method === 'GET') {
+        return {
+          ok: true,
+          json: async () => ({
+            apiTokens: [{ id: 'token-1', name: 'Clicker', prefix: 'sbk_abc12345', lastUsedAt: null }],
+          }),
+        };
+      }
+
+      if (requestUrl.endsWith('/api/scoreboards/board-1/api-tokens') && method === 'POST') {
+        return {
+          ok: true,
+          json: async () => ({
+            token: 'sbk_secretvalue',
+            apiToken: { id: 'token-2', name: 'Stream Deck', prefix: 'sbk_secretva', lastUsedAt: null },
+          }),
+        };
+      }
+
+      if (requestUrl.endsWith('/api/scoreboards/board-1/api-tokens/token-1') && method === 'DELETE') {
+        return { ok: true, json: async () => ({ id: 'token-1' }) };
+      }
+
+      return { ok: false, json: async () => ({ message: `Unhandled ${method} ${requestUrl}` }) };
+    });
+
+    const user = userEvent.setup();
+    render(<ApiTokenManager scoreboardId="board-1" token="owner-token" onToast={onToast} />);
+
+    expect(await screen.findByText('Clicker')).toBeInTheDocument();
+    expect(requests[0]).toMatchObject({ method: 'GET' });
+
+    await user.type(screen.getByLabelText('API token name'), 'Stream Deck');
+    await user.click(screen.getByRole('button', { name: 'Create token' }));
+
+    expect(await screen.findByLabelText('New API token')).toHaveTextContent('sbk_secretvalue');
+    expect(screen.getByText('Stream Deck')).toBeInTheDocument();
+    expect(JSON.parse(requests[1].body)).toEqual({ name: 'Stream Deck' });
+
+    await user.click(screen.getByRole('button', { name: 'Revoke token Clicker' }));
+
+    await waitFor(() => expect(screen.queryByText('Clicker')).not.toBeInTheDocument());
+    expect(onToast).toHaveBeenCalledWith('success', 'Revoked Clicker');
+  });
+});
@@ -1,4 +1,60 @@
+import { fireEvent, render, screen } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+
+import ControlPanelView from "../components/ControlPanelView.jsx";
 import { deriveSetNavigationState, shouldEnableDeleteSet } from "../components/controlPanel.utils.js";
+import { SettingsProvider } from "../context/SettingsContext.jsx";
+
+let mockScoreboardControls = null;
+let mockAuthToken = null;
+
+vi.mock("../context/AuthContext.jsx", () => ({
+  useAuth: () => ({ token: mockAuthToken }),
+}));
+
+vi.mock("../hooks/useScoreboard.js", () => ({
+  useScoreboard: () => mockScoreboardControls,
+}));
+
+function createScoreboardControls(overrides = {}) {
+  return {
+    scoreboard: {
+      _id: "board-1",
+      code: "ABC123",
+      title: "Court 1",
+      teams: [
+        { name: "Home", score: 3 },
+        { name: "Away", score: 2 },
+      ],
+      sets: [],
+      servingTeamIndex: 0,
+    },
+    loading: false,
+    error: null,
+    updateScoreboard: vi.fn(),
+    canUndo: false,
+    canRedo: false,
+    undo: vi.fn(),
+    redo: vi.fn(),
+    completeSet: vi.fn(),
+    recordSubstitution: vi.fn(),
+    recordSanction: vi.fn(),
+    conflict: null,
+    dismissConflict: vi.fn(),
+    reapplyConflict: vi.fn(),
+    isOffline: false,
+    pendingCount: 0,
+    clearError: vi.fn(),
+    ...overrides,
+  };
+}
+
+const renderControlPanel = () =>
+  render(
+    <SettingsProvider>
+      <ControlPanelView scoreboardId="board-1" />
+    </SettingsProvider>
+  );
 
 describe("shouldEnableDeleteSet", () => {
   it("returns false when there are no completed sets", () => {
@@ -112,3 +168,516 @@ describe("deriveSetNavigationState", () => {
     expect(result.deleteLabelNumber).toBe(6);
   });
 });
+
+describe("ControlPanelView undo/redo", () => {
+  beforeEach(() => {
+    window.localStorage.clear();
+  });
+
+  it("disables undo and redo when the server history is empty", () => {
+    mockScoreboardControls = createScoreboardControls();
+    renderControlPanel();
+
+    expect(screen.getByRole("button", { name: /^Undo last change/ })).toBeDisabled();
+    expect(screen.getByRole("button", { name: /^Redo change/ })).toBeDisabled();
+  });
+
+  it("emits undo and redo from the toolbar and keyboard shortcuts", async () => {
+    const user = userEvent.setup();
+    mockScoreboardControls = createScoreboardControls({ canUndo: true, canRedo: true });
+    renderControlPanel();
+
+    await user.click(screen.getByRole("button", { name: "Undo last change (Shortcut: U)" }));
+    await user.click(screen.getByRole("button", { name: "Redo change (Shortcut: R)" }));
+    expect(mockScoreboardControls.undo).toHaveBeenCalledTimes(1);
+    expect(mockScoreboardControls.redo).toHaveBeenCalledTimes(1);
+
+    fireEvent.keyDown(window, { key: "u" });
+    fireEvent.keyDown(window, { key: "R" });
+    expect(mockScoreboardControls.undo).toHaveBeenCalledTimes(2);
+    expect(mockScoreboardControls.redo).toHaveBeenCalledTimes(2);
+  });
+
+  it("leaves browser shortcuts and held keys alone", () => {
+    mockScoreboardControls = createScoreboardControls({ canUndo: true, canRedo: true });
+    renderControlPanel();
+
+    const reload = new KeyboardEvent("keydown", { key: "r", ctrlKey: true, cancelable: true });
+    window.dispatchEvent(reload);
+    fireEvent.keyDown(window, { key: "r", metaKey: true });
+    fireEvent.keyDown(window, { key: "u", altKey: true });
+    fireEvent.keyDown(window, { key: "u", repeat: true });
+
+    expect(reload.defaultPrevented).toBe(false);
+    expect(mockScoreboardControls.redo).not.toHaveBeenCalled();
+    expect(mockScoreboardControls.undo).not.toHaveBeenCalled();
+  });
+});
+
+describe("ControlPanelView scorer links", () => {
+  const originalFetch = globalThis.fetch;
+
+  beforeEach(() => {
+    window.localStorage.clear();
+    mockAuthToken = null;
+    globalThis.fetch = vi.fn();
+  });
+
+  afterEach(() => {
+    globalThis.fetch = originalFetch;
+    mockAuthToken = null;
+  });
+
+  it("copies a control link with a freshly issued scorer token for signed-in owners", async () => {
+    const user = userEvent.setup();
+    mockAuthToken = "owner-jwt";
+    mockScoreboardControls = createScoreboardControls();
+    globalThis.fetch.mockResolvedValue({
+      ok: true,
+      json: async () => ({ token: "scorer-abc", expiresAt: "2030-01-01T00:00:00.000Z" }),
+    });
+    renderControlPanel();
+
+    await user.click(screen.getByTitle("Copy control link"));
+
+    expect(globalThis.fetch).toHaveBeenCalledWith(
+      expect.stringContaining("/api/scoreboards/board-1/scorer-tokens"),
+      expect.objectContaining({
+        method: "POST",
+        headers: expect.objectContaining({ Authorization: "Bearer owner-jwt" }),
+      })
+    );
+    expect(await navigator.clipboard.readText()).toMatch(
+      /\/board\/board-1\/control\?scorer=scorer-abc$/
+    );
+  });
+
+  it("shares the stored guest scorer token without calling the API", async () => {
+    const user = userEvent.setup();
+    mockScoreboardControls = createScoreboardControls();
+    window.localStorage.setItem(
+      "scorebugger.scorerTokens",
+      JSON.stringify({ ABC123: { token: "guest-token", expiresAt: null } })
+    );
+    renderControlPanel();
+
+    await user.click(screen.getByTitle("Copy control link"));
+
+    expect(globalThis.fetch).not.toHaveBeenCalled();
+    expect(await navigator.clipboard.readText()).toMatch(/\?scorer=guest-token$/);
+  });
+});
+
+describe("ControlPanelView overlay options", () => {
+  const originalFetch = globalThis.fetch;
+
+  beforeEach(() => {
+    window.localStorage.clear();
+    mockAuthToken = null;
+    globalThis.fetch = vi.fn();
+  });
+
+  afterEach(() => {
+    globalThis.fetch = originalFetch;
+    mockAuthToken = null;
+  });
+
+  it("adds changed display options and loaded presets to the overlay link", async () => {
+    const user = userEvent.setup();
+    mockScoreboardControls = createScoreboardControls();
+    renderControlPanel();
+
+    await user.selectOptions(screen.getByLabelText("Layout"), "vertical");
+    await user.click(screen.getByLabelText("Show set columns"));
+
+    expect(screen.getByTitle(/\/display\?/)).toHaveTextContent(
+      /\/board\/board-1\/display\?layout=vertical&sets=0$/
+    );
+
+    await user.click(screen.getByRole("button", { name: "courtside" }));
+
+    expect(screen.getByLabelText("Layout")).toHaveValue("fullscreen");
+    expect(screen.getByTitle(/\/display\?/)).toHaveTextContent(/\/display\?preset=courtside$/);
+  });
+
+  it("saves the current options as a preset on the scoreboard", async () => {
+    const user = userEvent.setup();
+    mockAuthToken = "owner-jwt";
+    mockScoreboardControls = createScoreboardControls({
+      scoreboard: {
+        ...createScoreboardControls().scoreboard,
+        overlayPresets: [{ name: "Stream", options: { layout: "horizontal" } }],
+      },
+    });
+    globalThis.fetch.mockResolvedValue({ ok: true, json: async () => ({ overlayPresets: [] }) });
+    renderControlPanel();
+
+    await user.selectOptions(screen.getByLabelText("Layout"), "score-only");
+    await user.type(screen.getByLabelText("Preset name"), "stream");
+    await user.click(screen.getByRole("button", { name: "Save preset" }));
+
+    expect(globalThis.fetch).toHaveBeenCalledWith(
+      expect.stringContaining("/api/scoreboards/board-1/overlay-presets"),
+      expect.objectContaining({
+        method: "PUT",
+        headers: expect.objectContaining({ Authorization: "Bearer owner-jwt" }),
+      })
+    );
+    const { presets } = JSON.parse(globalThis.fetch.mock.calls[0][1].body);
+    expect(presets).toEqual([
+      { name: "stream", options: expect.objectContaining({ layout: "score-only" }) },
+    ]);
+    expect(screen.getByLabelText("Delete preset Stream")).toBeInTheDocument();
+  });
+});
+
+describe("ControlPanelView set completion", () => {
+  beforeEach(() => {
+    window.localStorage.clear();
+    mockAuthToken = null;
+  });
+
+  const decidedBoard = (overrides = {}) => ({
+    ...createScoreboardControls().scoreboard,
+    teams: [
+      { name: "Home", score: 25 },
+      { name: "Away", score: 21 },
+    ],
+    completion: { setWinnerIndex: 0, matchWinnerIndex: null, setWins: [0, 0] },
+    ...overrides,
+  });
+
+  it("asks to close a set the server marked as decided", async () => {
+    const user = userEvent.setup();
+    mockScoreboardControls = createScoreboardControls({ scoreboard: decidedBoard() });
+    renderControlPanel();
+
+    expect(screen.getByText("Set 1 won by Home (25-21)")).toBeInTheDocument();
+    await user.click(screen.getByRole("button", { name: "Close Set 1" }));
+
+    expect(mockScoreboardControls.completeSet).toHaveBeenCalledTimes(1);
+  });
+
+  it("warns scorers when a team is at set point or match point", () => {
+    mockScoreboardControls = createScoreboardControls({
+      scoreboard: {
+        ...createScoreboardControls().scoreboard,
+        teams: [
+          { name: "Home", score: 26 },
+          { name: "Away", score: 26 },
+        ],
+        sets: [{ scores: [25, 20] }],
+        completion: { setPoint: [true, true], matchPoint: [true, false] },
+      },
+    });
+    renderControlPanel();
+
+    expect(screen.getByText("Match point Home · Set point Away (26-26)")).toBeInTheDocument();
+    expect(screen.getByText("Check the score before closing the set")).toBeInTheDocument();
+  });
+
+  it("announces the match winner and hides prompts when completion is manual", () => {
+    mockScoreboardControls = createScoreboardControls({
+      scoreboard: decidedBoard({
+        teams: [
+          { name: "Home", score: 0 },
+          { name: "Away", score: 0 },
+        ],
+        sets: [{ scores: [25, 20] }, { scores: [25, 23] }],
+        completion: { setWinnerIndex: null, matchWinnerIndex: 0, setWins: [2, 0] },
+      }),
+    });
+    const { unmount } = renderControlPanel();
+
+    expect(screen.getByText("Match won by Home (2-0)")).toBeInTheDocument();
+    unmount();
+
+    mockScoreboardControls = createScoreboardControls({
+      scoreboard: decidedBoard({ scoring: { autoComplete: "off" } }),
+    });
+    renderControlPanel();
+
+    expect(screen.queryByRole("button", { name: "Close Set 1" })).not.toBeInTheDocument();
+  });
+
+  it("sends the chosen completion mode to the server", async () => {
+    const user = userEvent.setup();
+    mockScoreboardControls = createScoreboardControls();
+    renderControlPanel();
+
+    await user.selectOptions(screen.getByLabelText("Set completion"), "auto");
+
+    expect(mockScoreboardControls.updateScoreboard).toHaveBeenCalledWith({
+      scoring: { autoComplete: "auto" },
+    });
+  });
+});
+
+describe("ControlPanelView conflicts", () => {
+  it("explains a rejected edit and lets the operator re-send or keep the board", async () => {
+    const user = userEvent.setup();
+    mockScoreboardControls = createScoreboardControls({
+      conflict: {
+        message: "Scoreboard was changed by another scorer",
+        rejected: { teams: [], servingTeamIndex: 0, sets: [] },
+      },
+    });
+    renderControlPanel();
+
+    expect(screen.getByRole("alert")).toHaveTextContent(
+      "Scoreboard was changed by another scorer. Your last change was not applied; the board now shows 3-2."
+    );
+
+    await user.click(screen.getByRole("button", { name: "Apply my change anyway" }));
+    await user.click(screen.getByRole("button", { name: "Keep current board" }));
+
+    expect(mockScoreboardControls.reapplyConflict).toHaveBeenCalledTimes(1);
+    expect(mockScoreboardControls.dismissConflict).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe("ControlPanelView offline queue", () => {
+  it("shows how many actions are waiting while offline and while syncing", () => {
+    mockScoreboardControls = createScoreboardControls({ isOffline: true, pendingCount: 3 });
+    const { rerender } = renderControlPanel();
+
+    expect(screen.getByText("Offline — 3 actions pending")).toBeInTheDocument();
+
+    mockScoreboardControls = createScoreboardControls({ pendingCount: 1 });
+    rerender(
+      <SettingsProvider>
+        <ControlPanelView scoreboardId="board-1" />
+      </SettingsProvider>
+    );
+
+    expect(screen.getByText("Syncing — 1 action pending")).toBeInTheDocument();
+  });
+
+  it("stays hidden when connected with nothing queued", () => {
+    mockScoreboardControls = createScoreboardControls();
+    renderControlPanel();
+
+    expect(screen.queryByText(/actions? pending/)).not.toBeInTheDocument();
+  });
+});
+
+describe("ControlPanelView timeouts", () => {
+  beforeEach(() => {
+    window.localStorage.clear();
+  });
+
+  const applyLastUpdate = () => {
+    const updater = mockScoreboardControls.updateScoreboard.mock.calls.at(-1)[0];
+    return updater(mockScoreboardControls.scoreboard);
+  };
+
+  it("uses a team timeout and starts the countdown from the button and shortcut", async () => {
+    const user = userEvent.setup();
+    mockScoreboardControls = createScoreboardControls();
+    renderControlPanel();
+
+    await user.click(screen.getByRole("button", { name: "Call Home timeout (Shortcut: Q)" }));
+    const homeTimeout = applyLastUpdate();
+    expect(homeTimeout.teams.map((team) => team.timeouts ?? 0)).toEqual([1, 0]);
+    expect(homeTimeout.activeTimeout).toEqual({ teamIndex: 0, startedAt: expect.any(String) });
+
+    fireEvent.keyDown(window, { key: "p" });
+    expect(applyLastUpdate().teams.map((team) => team.timeouts ?? 0)).toEqual([0, 1]);
+  });
+
+  it("skips the countdown when the timeout clock is off and stops at two per set", async () => {
+    const user = userEvent.setup();
+    mockScoreboardControls = createScoreboardControls({
+      scoreboard: {
+        ...createScoreboardControls().scoreboard,
+        teams: [
+          { name: "Home", score: 3, timeouts: 2 },
+          { name: "Away", score: 2, timeouts: 1 },
+        ],
+        scoring: { timeoutCountdown: false },
+      },
+    });
+    renderControlPanel();
+
+    expect(screen.getByRole("button", { name: "Call Home timeout (Shortcut: Q)" })).toBeDisabled();
+    expect(screen.getAllByLabelText("Away timeouts remaining: 1").length).toBeGreaterThan(0);
+
+    await user.click(screen.getByRole("button", { name: "Call Away timeout (Shortcut: P)" }));
+    expect(applyLastUpdate()).toMatchObject({ activeTimeout: null });
+  });
+
+  it("shows the running countdown and ends it early", async () => {
+    const user = userEvent.setup();
+    mockScoreboardControls = createScoreboardControls({
+      scoreboard: {
+        ...createScoreboardControls().scoreboard,
+        activeTimeout: { teamIndex: 1, startedAt: new Date().toISOString(), durationSeconds: 30 },
+      },
+    });
+    renderControlPanel();
+
+    expect(screen.getAllByRole("timer", { name: "Away timeout" })[0]).toHaveTextContent(
+      "Timeout Away0:30"
+    );
+
+    await user.click(screen.getByRole("button", { name: "End timeout" }));
+    expect(applyLastUpdate()).toEqual({ activeTimeout: null });
+  });
+});
+
+describe("ControlPanelView lineups", () => {
+  const lineupBoard = (overrides = {}) => ({
+    ...createScoreboardControls().scoreboard,
+    lineup: {
+      enabled: true,
+      teams: [
+        { starters: ["1", "2", "3", "4", "5", "6"], rotation: 2 },
+        { starters: ["", "", "", "", "", ""], rotation: 0 },
+      ],
+    },
+    ...overrides,
+  });
+
+  const applyLastUpdate = () => {
+    const updater = mockScoreboardControls.updateScoreboard.mock.calls.at(-1)[0];
+    return updater(mockScoreboardControls.scoreboard);
+  };
+
+  it("turns lineup mode on from the toolbar", async () => {
+    const user = userEvent.setup();
+    mockScoreboardControls = createScoreboardControls();
+    renderControlPanel();
+
+    expect(screen.queryByLabelText("Home starter position I")).not.toBeInTheDocument();
+
+    await user.selectOptions(screen.getByLabelText("Lineups"), "on");
+    expect(applyLastUpdate().lineup).toMatchObject({
+      enabled: true,
+      teams: [{ rotation: 0 }, { rotation: 0 }],
+    });
+  });
+
+  it("shows the serving player and saves starters and manual rotations", async () => {
+    const user = userEvent.setup();
+    mockScoreboardControls = createScoreboardControls({ scoreboard: lineupBoard() });
+    renderControlPanel();
+
+    expect(screen.getByText("#3 in position I")).toBeInTheDocument();
+    expect(screen.getByRole("button", { name: /Unset Home as serving/ })).toHaveTextContent(
+      "Serving #3"
+    );
+
+    const awayFirst = screen.getByLabelText("Away starter position I");
+    await user.type(awayFirst, "1a4");
+    expect(awayFirst).toHaveValue("14");
+
+    const saveButtons = screen.getAllByRole("button", { name: "Save lineup" });
+    expect(saveButtons[0]).toBeDisabled();
+    await user.click(saveButtons[1]);
+    expect(applyLastUpdate().lineup.teams[1].starters).toEqual(["14", "", "", "", "", ""]);
+
+    await user.click(screen.getByRole("button", { name: "Rotate Home back" }));
+    expect(applyLastUpdate().lineup.teams[0].rotation).toBe(1);
+  });
+});
+
+describe("ControlPanelView substitutions and sanctions", () => {
+  const officiatedBoard = () => ({
+    _id: "board-1",
+    code: "ABC123",
+    title: "Court 1",
+    teams: [
+      { name: "Home", score: 10 },
+      { name: "Away", score: 8 },
+    ],
+    sets: [{ scores: [25, 20] }],
+    servingTeamIndex: 0,
+    scoring: { substitutionLimit: 2 },
+    substitutions: [
+      { setIndex: 0, teamIndex: 0, playerIn: "9", playerOut: "2", scores: [4, 4] },
+      { setIndex: 1, teamIndex: 0, playerIn: "12", playerOut: "4", scores: [6, 5] },
+    ],
+    sanctions: [{ setIndex: 1, teamIndex: 1, type: "yellow", player: "", scores: [7, 7] }],
+  });
+
+  it("counts live-set substitutions against the limit and records new ones", async () => {
+    const user = userEvent.setup();
+    mockScoreboardControls = createScoreboardControls({ scoreboard: officiatedBoard() });
+    renderControlPanel();
+
+    expect(screen.getByLabelText("Home substitutions used")).toHaveTextContent("1/2");
+    expect(screen.getByText("#12 for #4 (6-5)")).toBeInTheDocument();
+    expect(screen.queryByText("#9 for #2 (4-4)")).not.toBeInTheDocument();
+
+    const submit = screen.getByRole("button", { name: "Record Home substitution" });
+    expect(submit).toBeDisabled();
+
+    await user.type(screen.getByLabelText("Home player in"), "15");
+    await user.type(screen.getByLabelText("Home player out"), "6");
+    await user.click(submit);
+
+    expect(mockScoreboardControls.recordSubstitution).toHaveBeenCalledWith({
+      teamIndex: 0,
+      playerIn: "15",
+      playerOut: "6",
+    });
+    expect(screen.getByLabelText("Home player in")).toHaveValue("");
+  });
+
+  it("gives yellow and red cards to a team or player", async () => {
+    const user = userEvent.setup();
+    mockScoreboardControls = createScoreboardControls({ scoreboard: officiatedBoard() });
+    renderControlPanel();
+
+    expect(screen.getByText("Yellow card (7-7)")).toBeInTheDocument();
+
+    await user.type(screen.getByLabelText("Away sanctioned player"), "7");
+    await user.click(screen.getByRole("button", { name: "Give Away a red card" }));
+    await user.click(screen.getByRole("button", { name: "Give Home a yellow card" }));
+
+    expect(mockScoreboardControls.recordSanction.mock.calls).toEqual([
+      [{ teamIndex: 1, type: "red", player: "7" }],
+      [{ teamIndex: 0, type: "yellow", player: "" }],
+    ]);
+  });
+});
+
+describe("ControlPanelView team logos", () => {
+  beforeEach(() => {
+    window.localStorage.clear();
+    mockAuthToken = null;
+  });
+
+  it("saves, rejects, and removes team logo links", async () => {
+    const user = userEvent.setup();
+    const controls = createScoreboardControls();
+    controls.scoreboard.teams[1].logoUrl = "https://example.com/away.png";
+    mockScoreboardControls = controls;
+    renderControlPanel();
+
+    const homeLogo = screen.getByLabelText("Home logo URL");
+    await user.type(homeLogo, "ftp://example.com/home.png");
+
+    expect(screen.getByText("Use an http or https image link.")).toBeInTheDocument();
+
+    await user.clear(homeLogo);
+    await user.type(homeLogo, "https://example.com/home.png{Enter}");
+
+    expect(controls.updateScoreboard).toHaveBeenLastCalledWith({
+      teams: [
+        expect.objectContaining({ name: "Home", logoUrl: "https://example.com/home.png" }),
+        expect.objectContaining({ name: "Away", logoUrl: "https://example.com/away.png" }),
+      ],
+    });
+
+    await user.clear(screen.getByLabelText("Away logo URL"));
+    await user.click(screen.getByRole("button", { name: "Remove logo" }));
+
+    expect(controls.updateScoreboard).toHaveBeenLastCalledWith({
+      teams: [
+        expect.objectContaining({ logoUrl: null }),
+        expect.objectContaining({ name: "Away", logoUrl: null }),
+      ],
+    });
+  });
+});
@@ -0,0 +1,120 @@
+import { act, render, screen, within } from '@testing-library/react';
+
+import CourtDisplay from '../pages/CourtDisplay.jsx';
+
+let mockRealtimeOptions = null;
+
+vi.mock('../hooks/useTournamentRealtime.js', () => ({
+  useTournamentRealtime: (options) => {
+    mockRealtimeOptions = options;
+  },
+}));
+
+vi.mock('react-router-dom', () => ({
+  useParams: () => ({ publicCode: 'ABC123', courtCode: 'SRC-1' }),
+}));
+
+const jsonResponse = (payload, status = 200) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  json: async () => payload,
+});
+
+const slot = (matchId, timeIndex, status, teams, overrides = {}) => ({
+  slotId: `slot-${matchId}`,
+  kind: 'match',
+  matchId,
+  timeIndex,
+  status,
+  phaseLabel: 'Pool Play 1',
+  participants: teams.map((label) => ({ label })),
+  refLabel: 'Owls',
+  scoreSummary: null,
+  completedSetScores: [],
+  ...overrides,
+});
+
+const schedulePayload = (slots) => ({
+  court: { code: 'SRC-1', label: 'SRC Court 1' },
+  schedule: { timezone: 'UTC', matchDurationMinutes: 60 },
+  slots,
+  matches: [],
+});
+
+describe('CourtDisplay', () => {
+  beforeEach(() => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    vi.setSystemTime(new Date('2026-06-01T10:10:00.000Z'));
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    mockRealtimeOptions = null;
+  });
+
+  it('shows the live score, ref, and the next two matches with projected times', async () => {
+    globalThis.fetch = vi.fn(async () =>
+      jsonResponse(
+        schedulePayload([
+          slot('m1', 600, 'live', ['Lions', 'Tigers'], {
+            startedAt: '2026-06-01T10:05:00.000Z',
+            scoreSummary: { setsA: 1, setsB: 0, pointsA: 8, pointsB: 6 },
+            completedSetScores: [{ setNo: 1, a: 25, b: 19 }],
+          }),
+          slot('m2', 660, 'scheduled', ['Bears', 'Owls'], { refLabel: 'Lions' }),
+          slot('m3', 720, 'scheduled', ['Hawks', 'Foxes']),
+          slot('m4', 780, 'scheduled', ['Wolves', 'Eagles']),
+        ])
+      )
+    );
+
+    render(<CourtDisplay />);
+
+    const current = await screen.findByRole('region', { name: 'Current match' });
+    expect(globalThis.fetch).toHaveBeenCalledWith(
+      expect.stringContaining('/api/tournaments/code/ABC123/courts/SRC-1/schedule')
+    );
+    expect(within(current).getByText('8')).toBeInTheDocument();
+    expect(within(current).getByText('25-19')).toBeInTheDocument();
+    expect(within(current).getByText('Ref: Owls')).toBeInTheDocument();
+
+    const next = screen.getByRole('region', { name: 'Up next' });
+    expect(within(next).getAllByRole('listitem')).toHaveLength(2);
+    expect(within(next).getByText('Bears vs Owls')).toBeInTheDocument();
+    expect(within(next).getByText('11:05 AM')).toBeInTheDocument();
+    expect(within(next).getByText('Ref: Lions')).toBeInTheDocument();
+
+    act(() => {
+      mockRealtimeOptions.onEvent({
+        type: 'SCOREBOARD_SUMMARY',
+        tournamentCode: 'ABC123',
+        data: { matchId: 'm1', sets: { a: 1, b: 0 }, points: { a: 9, b: 6 }, serving: 'A' },
+      });
+    });
+    expect(within(current).getByText('9')).toBeInTheDocument();
+    expect(within(current).getByLabelText('Serving')).toBeInTheDocument();
+  });
+
+  it('counts down to the next match between matches and refetches after reconnecting', async () => {
+    globalThis.fetch = vi.fn(async () =>
+      jsonResponse(
+        schedulePayload([
+          slot('m1', 540, 'final', ['Lions', 'Tigers']),
+          slot('m2', 615, 'scheduled', ['Bears', 'Owls']),
+        ])
+      )
+    );
+
+    render(<CourtDisplay />);
+
+    const warmUp = await screen.findByRole('region', { name: 'Warm-up' });
+    expect(within(warmUp).getByLabelText('Time until start')).toHaveTextContent('5:00');
+    expect(within(warmUp).getByText(/Starts 10:15 AM/)).toBeInTheDocument();
+    expect(screen.queryByRole('region', { name: 'Up next' })).not.toBeInTheDocument();
+
+    await act(async () => {
+      mockRealtimeOptions.onReconnect();
+    });
+    expect(globalThis.fetch).toHaveBeenCalledTimes(2);
+  });
+});
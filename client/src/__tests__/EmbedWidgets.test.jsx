@@ -0,0 +1,160 @@
+import { act, render, screen, within } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+
+import EmbedScoreboard from '../pages/EmbedScoreboard.jsx';
+import EmbedTournament from '../pages/EmbedTournament.jsx';
+
+let mockLocationSearch = '';
+let mockRealtimeOptions = null;
+let mockScoreboardState = null;
+
+vi.mock('../hooks/useTournamentRealtime.js', () => ({
+  useTournamentRealtime: (options) => {
+    mockRealtimeOptions = options;
+  },
+}));
+
+vi.mock('../hooks/useScoreboard.js', () => ({
+  useScoreboard: () => mockScoreboardState,
+}));
+
+vi.mock('react-router-dom', () => ({
+  useParams: () => ({ publicCode: 'ABC123', scoreboardId: 'board-1' }),
+  useLocation: () => ({ search: mockLocationSearch }),
+}));
+
+const jsonResponse = (payload, status = 200) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  json: async () => payload,
+});
+
+describe('embeddable widgets', () => {
+  let postMessage;
+
+  beforeEach(() => {
+    // Pretend to be framed so the widget reports its height
+    postMessage = vi.fn();
+    vi.spyOn(window, 'parent', 'get').mockReturnValue({ postMessage });
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+    mockLocationSearch = '';
+    mockRealtimeOptions = null;
+  });
+
+  it('renders a themed scoreboard and reports its height to the host page', () => {
+    mockLocationSearch = '?theme=dark&accent=f97316';
+    mockScoreboardState = {
+      loading: false,
+      error: null,
+      scoreboard: {
+        title: 'Court 1',
+        servingTeamIndex: 1,
+        teams: [
+          { name: 'Lions', score: 12 },
+          { name: 'Tigers', score: 10 },
+        ],
+        sets: [{ scores: [25, 20] }],
+      },
+    };
+
+    render(<EmbedScoreboard />);
+
+    const widget = screen.getByRole('region', { name: 'Live score' });
+    expect(widget).toHaveClass('embed-widget--dark');
+    expect(widget.style.getPropertyValue('--embed-accent')).toBe('#f97316');
+
+    const tigers = screen.getByRole('rowheader', { name: /Tigers/ }).closest('tr');
+    expect(within(tigers).getByText('10')).toBeInTheDocument();
+    expect(within(tigers).getByLabelText('Serving')).toBeInTheDocument();
+    expect(postMessage).toHaveBeenCalledWith(
+      { type: 'scorebugger:embed-resize', height: expect.any(Number) },
+      '*'
+    );
+  });
+
+  it('switches tournament views and applies live score events', async () => {
+    globalThis.fetch = vi.fn(async (url) => {
+      const requestUrl = String(url);
+
+      if (requestUrl.endsWith('/code/ABC123')) {
+        return jsonResponse({ tournament: { name: 'City Open' } });
+      }
+
+      if (requestUrl.includes('/live')) {
+        return jsonResponse([
+          {
+            matchId: 'match-1',
+            courtLabel: 'SRC Court 1',
+            phaseLabel: 'Pool Play 1',
+            teamA: { shortName: 'Lions' },
+            teamB: { shortName: 'Tigers' },
+            scoreSummary: { setsA: 0, setsB: 0, pointsA: 3, pointsB: 2 },
+          },
+        ]);
+      }
+
+      if (requestUrl.includes('/standings?phase=phase1')) {
+        return jsonResponse({
+          pools: [
+            {
+              poolName: 'A',
+              teams: [{ teamId: 't1', rank: 1, shortName: 'Lions', matchesWon: 2, matchesLost: 0 }],
+            },
+          ],
+          overall: [],
+        });
+      }
+
+      return jsonResponse({ message: 'Not found' }, 404);
+    });
+    const user = userEvent.setup();
+
+    render(<EmbedTournament />);
+
+    expect(await screen.findByRole('heading', { name: 'City Open' })).toBeInTheDocument();
+    expect(await screen.findByText('Lions')).toBeInTheDocument();
+
+    act(() => {
+      mockRealtimeOptions.onEvent({
+        type: 'SCOREBOARD_SUMMARY',
+        tournamentCode: 'ABC123',
+        data: { matchId: 'match-1', sets: { a: 1, b: 0 }, points: { a: 21, b: 2 } },
+      });
+    });
+    expect(screen.getByText('21')).toBeInTheDocument();
+
+    await user.click(screen.getByRole('tab', { name: 'Standings' }));
+
+    expect(await screen.findByText('Pool A')).toBeInTheDocument();
+    expect(screen.getByText('2-0')).toBeInTheDocument();
+  });
+
+  it('hides the view switcher when tabs=0', async () => {
+    mockLocationSearch = '?view=schedule&tabs=0';
+    globalThis.fetch = vi.fn(async (url) =>
+      String(url).includes('/schedule-plan')
+        ? jsonResponse({
+            slots: [
+              {
+                slotId: 'slot-1',
+                timeLabel: '9:00 AM',
+                courtLabel: 'SRC Court 1',
+                matchupLabel: 'Lions vs Tigers',
+                status: 'final',
+                setSummary: { setsA: 2, setsB: 1 },
+              },
+            ],
+          })
+        : jsonResponse({ tournament: { name: 'City Open' } })
+    );
+
+    render(<EmbedTournament />);
+
+    expect(await screen.findByText('Lions vs Tigers')).toBeInTheDocument();
+    expect(screen.getByText('2-1')).toBeInTheDocument();
+    expect(screen.queryByRole('tablist')).not.toBeInTheDocument();
+  });
+});
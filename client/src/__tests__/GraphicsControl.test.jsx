@@ -0,0 +1,74 @@
+import { render, screen } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+
+import GraphicsControl from "../pages/GraphicsControl.jsx";
+
+let mockScoreboardControls = null;
+
+vi.mock("../context/AuthContext.jsx", () => ({
+  useAuth: () => ({ token: "owner-token" }),
+}));
+
+vi.mock("../hooks/useScoreboard.js", () => ({
+  useScoreboard: () => mockScoreboardControls,
+}));
+
+vi.mock("react-router-dom", () => ({
+  useParams: () => ({ scoreboardId: "board-1" }),
+  Link: ({ to, children }) => <a href={to}>{children}</a>,
+}));
+
+const createControls = (graphicsOverrides = {}) => ({
+  scoreboard: { _id: "board-1", title: "Court 1", teams: [], sets: [] },
+  loading: false,
+  error: null,
+  setGraphics: vi.fn(),
+  graphics: {
+    scoreboardId: "board-1",
+    visible: { setSummary: true, matchTitle: false, standings: false, nextMatch: false },
+    matchTitle: { title: "Lions vs Tigers", subtitle: "Court 1" },
+    standings: null,
+    nextMatch: { teamA: "Bears", teamB: "Owls", court: "SRC-1" },
+    ...graphicsOverrides,
+  },
+});
+
+describe("GraphicsControl", () => {
+  it("toggles graphics and disables cards without tournament data", async () => {
+    mockScoreboardControls = createControls();
+    const user = userEvent.setup();
+    render(<GraphicsControl />);
+
+    const hideSummary = screen.getByRole("button", { name: "Hide set summary" });
+    expect(hideSummary).toHaveAttribute("aria-pressed", "true");
+    expect(screen.getByRole("button", { name: "Show pool standings" })).toBeDisabled();
+    expect(screen.getByText("Only for pool play matches in a tournament.")).toBeInTheDocument();
+
+    await user.click(hideSummary);
+    await user.click(screen.getByRole("button", { name: "Show next match" }));
+
+    expect(mockScoreboardControls.setGraphics).toHaveBeenNthCalledWith(1, {
+      visible: { setSummary: false },
+    });
+    expect(mockScoreboardControls.setGraphics).toHaveBeenNthCalledWith(2, {
+      visible: { nextMatch: true },
+    });
+  });
+
+  it("saves the lower-third title and subtitle", async () => {
+    mockScoreboardControls = createControls();
+    const user = userEvent.setup();
+    render(<GraphicsControl />);
+
+    const title = screen.getByLabelText("Title");
+    expect(title).toHaveValue("Lions vs Tigers");
+    await user.clear(title);
+    await user.type(title, "Championship");
+    await user.click(screen.getByRole("button", { name: "Save title" }));
+
+    expect(mockScoreboardControls.setGraphics).toHaveBeenCalledWith({
+      title: "Championship",
+      subtitle: "Court 1",
+    });
+  });
+});
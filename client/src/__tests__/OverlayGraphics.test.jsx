@@ -0,0 +1,96 @@
+import { act, render, screen } from "@testing-library/react";
+
+import OverlayGraphics from "../components/OverlayGraphics.jsx";
+
+const scoreboard = {
+  _id: "board-1",
+  teams: [
+    { name: "Lions", score: 4 },
+    { name: "Tigers", score: 2 },
+  ],
+  sets: [{ scores: [25, 20] }, { scores: [18, 25] }],
+};
+
+const createGraphics = (visible = {}, overrides = {}) => ({
+  scoreboardId: "board-1",
+  visible: { setSummary: false, matchTitle: false, standings: false, nextMatch: false, ...visible },
+  matchTitle: { title: "Lions vs Tigers", subtitle: "Spring Open · Pool A" },
+  standings: {
+    poolName: "A",
+    teams: [
+      { rank: 1, name: "Lions", matchesWon: 2, matchesLost: 0, setsWon: 4, setsLost: 1 },
+      { rank: 2, name: "Tigers", matchesWon: 1, matchesLost: 1, setsWon: 3, setsLost: 2 },
+    ],
+  },
+  nextMatch: { teamA: "Bears", teamB: "Owls", court: "SRC-1" },
+  ...overrides,
+});
+
+describe("OverlayGraphics", () => {
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it("renders only the graphics that are switched on", () => {
+    render(
+      <OverlayGraphics
+        scoreboard={scoreboard}
+        graphics={createGraphics({ setSummary: true, matchTitle: true })}
+      />
+    );
+
+    const summary = screen.getByRole("region", { name: "Set summary" });
+    expect(summary).toHaveTextContent("Set 1");
+    expect(summary).toHaveTextContent("Set 2");
+    expect(screen.getByRole("region", { name: "Match title" })).toHaveTextContent(
+      "Lions vs TigersSpring Open · Pool A"
+    );
+    expect(screen.queryByRole("region", { name: "Pool standings" })).not.toBeInTheDocument();
+    expect(screen.queryByRole("region", { name: "Next match" })).not.toBeInTheDocument();
+  });
+
+  it("keeps standings and next match hidden until their data is available", () => {
+    const { rerender } = render(
+      <OverlayGraphics
+        scoreboard={scoreboard}
+        graphics={createGraphics(
+          { standings: true, nextMatch: true },
+          { standings: null, nextMatch: null }
+        )}
+      />
+    );
+
+    expect(screen.queryByRole("region", { name: "Pool standings" })).not.toBeInTheDocument();
+
+    rerender(
+      <OverlayGraphics
+        scoreboard={scoreboard}
+        graphics={createGraphics({ standings: true, nextMatch: true })}
+      />
+    );
+
+    expect(screen.getByRole("region", { name: "Pool standings" })).toHaveTextContent("Pool A");
+    expect(screen.getByRole("region", { name: "Next match" })).toHaveTextContent(
+      "Up Next · SRC-1BearsvsOwls"
+    );
+  });
+
+  it("plays the exit animation before removing a graphic", () => {
+    vi.useFakeTimers();
+    const { container, rerender } = render(
+      <OverlayGraphics scoreboard={scoreboard} graphics={createGraphics({ matchTitle: true })} />
+    );
+
+    rerender(<OverlayGraphics scoreboard={scoreboard} graphics={createGraphics()} />);
+
+    const leaving = container.querySelector(".overlay-graphic--lower-third");
+    expect(leaving).toHaveClass("is-leaving");
+    expect(leaving).toHaveAttribute("aria-hidden", "true");
+
+    act(() => {
+      vi.advanceTimersByTime(1000);
+    });
+
+    expect(container.querySelector(".overlay-graphic--lower-third")).toBeNull();
+  });
+});
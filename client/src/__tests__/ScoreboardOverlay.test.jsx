@@ -83,4 +83,198 @@ describe('ScoreboardOverlay', () => {
     expect(screen.getByText('13')).toBeInTheDocument();
     expect(screen.getByText('9')).toBeInTheDocument();
   });
+
+  it('shows remaining timeout pips and the running timeout countdown', () => {
+    const scoreboard = {
+      teams: [
+        { name: 'Tigers', score: 10, timeouts: 1 },
+        { name: 'Lions', score: 8, timeouts: 0 },
+      ],
+      sets: [],
+      activeTimeout: { teamIndex: 0, startedAt: new Date().toISOString(), durationSeconds: 30 },
+    };
+
+    const { container } = render(<ScoreboardOverlay scoreboard={scoreboard} />);
+
+    expect(screen.getByLabelText('Tigers timeouts remaining: 1')).toBeInTheDocument();
+    expect(screen.getByLabelText('Lions timeouts remaining: 2')).toBeInTheDocument();
+    expect(container.querySelectorAll('.overlay-timeout-pip.is-used')).toHaveLength(1);
+    expect(screen.getByRole('timer', { name: 'TIGERS timeout' })).toHaveTextContent(
+      'Timeout TIGERS0:30'
+    );
+  });
+
+  it('hides the countdown once the timeout has expired', () => {
+    render(
+      <ScoreboardOverlay
+        scoreboard={{
+          teams: [{ name: 'Tigers' }, { name: 'Lions' }],
+          sets: [],
+          activeTimeout: {
+            teamIndex: 1,
+            startedAt: new Date(Date.now() - 31000).toISOString(),
+            durationSeconds: 30,
+          },
+        }}
+      />
+    );
+
+    expect(screen.queryByRole('timer')).not.toBeInTheDocument();
+  });
+
+  it('shows the serving player number in lineup mode', () => {
+    render(
+      <ScoreboardOverlay
+        scoreboard={{
+          teams: [{ name: 'Tigers' }, { name: 'Lions' }],
+          sets: [],
+          servingTeamIndex: 1,
+          lineup: {
+            enabled: true,
+            teams: [
+              { starters: ['1', '2', '3', '4', '5', '6'], rotation: 0 },
+              { starters: ['11', '12', '13', '14', '15', '16'], rotation: 5 },
+            ],
+          },
+        }}
+      />
+    );
+
+    expect(screen.getByLabelText('Serving player number 16')).toHaveTextContent('#16');
+  });
+
+  it('briefly shows the latest sanction', () => {
+    const scoreboard = (createdAt) => ({
+      teams: [{ name: 'Tigers' }, { name: 'Lions' }],
+      sets: [],
+      sanctions: [
+        { teamIndex: 0, type: 'yellow', player: '', createdAt },
+        { teamIndex: 1, type: 'red', player: '7', createdAt },
+      ],
+    });
+
+    const { rerender } = render(
+      <ScoreboardOverlay scoreboard={scoreboard(new Date().toISOString())} />
+    );
+
+    expect(screen.getByRole('status')).toHaveTextContent('Red cardLIONS #7Point awarded');
+
+    rerender(
+      <ScoreboardOverlay scoreboard={scoreboard(new Date(Date.now() - 9000).toISOString())} />
+    );
+
+    expect(screen.queryByRole('status')).not.toBeInTheDocument();
+  });
+
+  it('badges the team at set point or match point', () => {
+    const { rerender } = render(
+      <ScoreboardOverlay
+        scoreboard={{
+          teams: [
+            { name: 'Tigers', score: 24 },
+            { name: 'Lions', score: 22 },
+          ],
+          sets: [],
+          completion: { setPoint: [true, false], matchPoint: [false, false] },
+        }}
+      />
+    );
+
+    expect(screen.getByText('Set point')).toHaveClass('overlay-point-badge', 'is-set');
+
+    rerender(
+      <ScoreboardOverlay
+        scoreboard={{
+          teams: [
+            { name: 'Tigers', score: 13 },
+            { name: 'Lions', score: 14 },
+          ],
+          sets: [{ scores: [25, 20] }, { scores: [20, 25] }],
+          completion: { setPoint: [false, true], matchPoint: [false, true] },
+        }}
+      />
+    );
+
+    expect(screen.queryByText('Set point')).not.toBeInTheDocument();
+    expect(screen.getByText('Match point')).toHaveClass('is-match');
+  });
+
+  const optionsBoard = {
+    teams: [
+      { name: 'Thunderbirds', score: 12 },
+      { name: 'Lions', score: 10 },
+    ],
+    sets: [{ scores: [25, 21] }],
+    servingTeamIndex: 0,
+  };
+
+  it('shortens names and hides set columns through options', () => {
+    render(
+      <ScoreboardOverlay scoreboard={optionsBoard} options={{ nameLength: 5, showSets: false }} />
+    );
+
+    expect(screen.getByText('THUND')).toBeInTheDocument();
+    expect(screen.queryByText('Set 1')).not.toBeInTheDocument();
+    expect(screen.getAllByText('Set 2')).toHaveLength(2);
+  });
+
+  it('stacks sets in a vertical grid and drops extras in the score-only layout', () => {
+    const { container, rerender } = render(
+      <ScoreboardOverlay scoreboard={optionsBoard} options={{ layout: 'vertical' }} />
+    );
+
+    expect(container.querySelector('.overlay-frame')).toHaveClass('overlay-frame--vertical');
+    expect(container.querySelector('.overlay-grid')).toHaveStyle({ gridAutoFlow: 'column' });
+
+    rerender(<ScoreboardOverlay scoreboard={optionsBoard} options={{ layout: 'score-only' }} />);
+
+    expect(container.querySelector('.overlay-frame')).toHaveClass('overlay-frame--score-only');
+    expect(screen.queryByText('Set 1')).not.toBeInTheDocument();
+    expect(container.querySelector('.overlay-timeouts')).toBeNull();
+  });
+
+  it('renders large court-side panels with set wins in the fullscreen layout', () => {
+    const { container } = render(
+      <ScoreboardOverlay scoreboard={optionsBoard} options={{ layout: 'fullscreen' }} />
+    );
+
+    const scores = container.querySelectorAll('.overlay-courtside__score');
+    expect([...scores].map((score) => score.textContent)).toEqual(['12', '10']);
+    expect(screen.getByText('Sets 1')).toBeInTheDocument();
+    expect(screen.getByRole('list', { name: 'Completed sets' })).toHaveTextContent('25-21');
+    expect(screen.getByLabelText('Thunderbirds serving')).toBeInTheDocument();
+  });
+
+  it('shows linked team logos and skips unsafe links', () => {
+    const { rerender } = render(
+      <ScoreboardOverlay
+        scoreboard={{
+          teams: [
+            { name: 'Tigers', logoUrl: 'https://example.com/tigers.png' },
+            { name: 'Lions', logoUrl: 'javascript:alert(1)' },
+          ],
+          sets: [],
+        }}
+      />
+    );
+
+    expect(screen.getByAltText('Tigers logo')).toHaveAttribute(
+      'src',
+      'https://example.com/tigers.png'
+    );
+    expect(screen.queryByAltText('Lions logo')).not.toBeInTheDocument();
+
+    rerender(
+      <ScoreboardOverlay
+        scoreboard={{
+          teams: [{ name: 'Tigers', logoUrl: 'https://example.com/tigers.png' }, { name: 'Lions' }],
+          sets: [],
+        }}
+        options={{ layout: 'fullscreen' }}
+      />
+    );
+
+    expect(screen.getByAltText('Tigers logo')).toHaveClass('overlay-team-logo');
+  });
 });
+
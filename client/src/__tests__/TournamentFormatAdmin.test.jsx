@@ -348,4 +348,120 @@ describe('TournamentFormatAdmin', () => {
     });
     expect(screen.getByRole('button', { name: 'Apply Format' })).toBeInTheDocument();
   });
+
+  it('builds, validates, and saves a custom format, then selects it', async () => {
+    const teams = Array.from({ length: 8 }, (_, index) => ({
+      _id: `team-${index + 1}`,
+      name: `Team ${index + 1}`,
+      orderIndex: index + 1,
+    }));
+    const savedBodies = [];
+    const savedFormat = {
+      id: 'custom_club_night_a1b2c3',
+      name: 'Club Night',
+      description: '',
+      supportedTeamCounts: [8],
+      minCourts: 1,
+      custom: true,
+      shared: true,
+      stages: [
+        {
+          type: 'poolPlay',
+          key: 'poolPlay1',
+          displayName: 'Pool Play',
+          pools: [
+            { name: 'A', size: 4 },
+            { name: 'B', size: 4 },
+          ],
+        },
+      ],
+    };
+    let suggestions = [];
+
+    globalThis.fetch.mockImplementation(async (url, options = {}) => {
+      const requestUrl = String(url);
+      const method = options.method || 'GET';
+
+      if (requestUrl.endsWith('/api/tournaments/tour-1') && method === 'GET') {
+        return {
+          ok: true,
+          json: async () => ({ _id: 'tour-1', name: 'Club Night', settings: { format: {} } }),
+        };
+      }
+
+      if (requestUrl.endsWith('/api/tournaments/tour-1/teams') && method === 'GET') {
+        return { ok: true, json: async () => teams };
+      }
+
+      if (requestUrl.includes('/api/tournament-formats/suggest?teamCount=8') && method === 'GET') {
+        expect(options.headers).toEqual({ Authorization: 'Bearer test-token' });
+        return { ok: true, json: async () => suggestions };
+      }
+
+      if (requestUrl.endsWith('/api/tournament-formats/validate') && method === 'POST') {
+        return { ok: true, json: async () => ({ valid: true, errors: [] }) };
+      }
+
+      if (requestUrl.endsWith('/api/tournament-formats') && method === 'POST') {
+        savedBodies.push(JSON.parse(options.body));
+        suggestions = [savedFormat];
+        return { ok: true, json: async () => savedFormat };
+      }
+
+      if (requestUrl.endsWith(`/api/tournament-formats/${savedFormat.id}`) && method === 'GET') {
+        return { ok: true, json: async () => savedFormat };
+      }
+
+      throw new Error(`Unhandled fetch URL: ${requestUrl} (${method})`);
+    });
+
+    render(<TournamentFormatAdmin />);
+
+    const user = userEvent.setup();
+    await user.click(await screen.findByRole('button', { name: 'Build a Custom Format' }));
+
+    expect(screen.getByText('Pools hold 8 teams.')).toBeInTheDocument();
+    expect(screen.getByLabelText('Pool A size')).toHaveValue('4');
+    expect(screen.getByLabelText('Bracket 1 size')).toHaveValue('8');
+
+    await user.clear(screen.getByLabelText('Format name'));
+    await user.type(screen.getByLabelText('Format name'), 'Club Night');
+    await user.click(screen.getByLabelText(/Share this format/));
+    await user.click(screen.getByRole('button', { name: 'Validate' }));
+    expect(await screen.findByText('Format is valid for 8 teams.')).toBeInTheDocument();
+
+    await user.click(screen.getByRole('button', { name: 'Save Format' }));
+
+    await waitFor(() => {
+      expect(screen.getByRole('radio', { name: /Club Night/ })).toBeChecked();
+    });
+    expect(screen.getByText('Shared')).toBeInTheDocument();
+    expect(savedBodies[0]).toEqual({
+      shared: true,
+      definition: expect.objectContaining({
+        name: 'Club Night',
+        stages: [
+          expect.objectContaining({
+            type: 'poolPlay',
+            pools: [
+              { name: 'A', size: 4 },
+              { name: 'B', size: 4 },
+            ],
+          }),
+          expect.objectContaining({
+            type: 'playoffs',
+            brackets: [
+              {
+                name: 'Gold',
+                size: 8,
+                type: 'singleElim',
+                seedsFromOverall: [1, 2, 3, 4, 5, 6, 7, 8],
+                thirdPlaceMatch: false,
+              },
+            ],
+          }),
+        ],
+      }),
+    });
+  });
 });
@@ -9,6 +9,7 @@ let mockLoading = false;
 let mockError = null;
 const mockUpdateScoreboard = vi.fn();
 const mockClearError = vi.fn();
+const mockCompleteSet = vi.fn();
 
 vi.mock('../context/AuthContext.jsx', () => ({
   useAuth: () => ({
@@ -23,6 +24,7 @@ vi.mock('../hooks/useScoreboard.js', () => ({
     error: mockError,
     updateScoreboard: mockUpdateScoreboard,
     clearError: mockClearError,
+    completeSet: mockCompleteSet,
   }),
 }));
 
@@ -48,6 +50,7 @@ describe('TournamentMatchControlView', () => {
     mockError = null;
     mockUpdateScoreboard.mockReset();
     mockClearError.mockReset();
+    mockCompleteSet.mockReset();
     globalThis.fetch = vi.fn();
   });
 
@@ -275,4 +278,51 @@ describe('TournamentMatchControlView', () => {
     expect(screen.queryByText('Scoreboard Title')).not.toBeInTheDocument();
     expect(screen.queryByText('Rename team')).not.toBeInTheDocument();
   });
+
+  it('closes a decided set and reflects the automatic match end', async () => {
+    const user = userEvent.setup();
+    const onLifecycleChange = vi.fn();
+    mockScoreboard = createScoreboard({
+      teams: [
+        { name: 'Home', score: 27 },
+        { name: 'Away', score: 26 },
+      ],
+      completion: { setWinnerIndex: 0, matchWinnerIndex: null, setWins: [0, 0] },
+    });
+
+    const { rerender } = render(
+      <TournamentMatchControlView
+        matchId="match-1"
+        scoreboardId="board-1"
+        initialStatus="live"
+        initialStartedAt="2026-01-01T10:00:00.000Z"
+        onLifecycleChange={onLifecycleChange}
+      />
+    );
+
+    await user.click(screen.getByRole('button', { name: 'Close Set 1' }));
+    expect(mockCompleteSet).toHaveBeenCalledTimes(1);
+
+    mockScoreboard = createScoreboard({
+      teams: [
+        { name: 'Home', score: 0 },
+        { name: 'Away', score: 0 },
+      ],
+      sets: [{ scores: [27, 26] }, { scores: [25, 20] }],
+      completion: { setWinnerIndex: null, matchWinnerIndex: 0, setWins: [2, 0] },
+    });
+    rerender(
+      <TournamentMatchControlView
+        matchId="match-1"
+        scoreboardId="board-1"
+        initialStatus="live"
+        initialStartedAt="2026-01-01T10:00:00.000Z"
+        onLifecycleChange={onLifecycleChange}
+      />
+    );
+
+    expect(await screen.findByText('Match won by Home (2-0)')).toBeInTheDocument();
+    expect(onLifecycleChange).toHaveBeenCalledWith(expect.objectContaining({ status: 'ended' }));
+    expect(screen.getByRole('button', { name: 'Increase Home score' })).toBeDisabled();
+  });
 });
@@ -0,0 +1,149 @@
+import { act, render, screen } from '@testing-library/react';
+
+import TournamentOverlay from '../pages/TournamentOverlay.jsx';
+
+let mockParams = { publicCode: 'ABC123', overlayType: 'live' };
+let mockLocationSearch = '';
+let mockRealtimeOptions = null;
+
+vi.mock('../hooks/useTournamentRealtime.js', () => ({
+  useTournamentRealtime: (options) => {
+    mockRealtimeOptions = options;
+  },
+}));
+
+vi.mock('react-router-dom', () => ({
+  useParams: () => mockParams,
+  useLocation: () => ({ search: mockLocationSearch }),
+}));
+
+const jsonResponse = (payload, status = 200) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  json: async () => payload,
+});
+
+const liveCard = (matchId, courtCode, teamA, teamB) => ({
+  matchId,
+  courtCode,
+  courtLabel: courtCode,
+  teamA: { shortName: teamA },
+  teamB: { shortName: teamB },
+  status: 'live',
+  scoreSummary: { setsA: 0, setsB: 0, pointsA: 0, pointsB: 0 },
+  completedSetScores: [],
+});
+
+describe('TournamentOverlay', () => {
+  afterEach(() => {
+    mockParams = { publicCode: 'ABC123', overlayType: 'live' };
+    mockLocationSearch = '';
+    mockRealtimeOptions = null;
+    document.body.classList.remove('overlay-mode');
+  });
+
+  it('shows live courts, skips the excluded court, and applies score summaries', async () => {
+    mockLocationSearch = '?exclude=src-1';
+    globalThis.fetch = vi.fn(async () =>
+      jsonResponse([
+        liveCard('match-1', 'SRC-1', 'Lions', 'Tigers'),
+        liveCard('match-2', 'SRC-2', 'Bears', 'Owls'),
+      ])
+    );
+
+    render(<TournamentOverlay />);
+
+    expect(await screen.findByText('Bears')).toBeInTheDocument();
+    expect(screen.queryByText('Lions')).not.toBeInTheDocument();
+    expect(globalThis.fetch).toHaveBeenCalledWith(
+      expect.stringContaining('/api/tournaments/code/ABC123/live')
+    );
+    expect(document.body.classList.contains('overlay-mode')).toBe(true);
+
+    act(() => {
+      mockRealtimeOptions.onEvent({
+        type: 'SCOREBOARD_SUMMARY',
+        tournamentCode: 'ABC123',
+        data: { matchId: 'match-2', sets: { a: 1, b: 0 }, points: { a: 17, b: 15 }, serving: 'A' },
+      });
+    });
+
+    expect(screen.getByText('17')).toBeInTheDocument();
+    expect(screen.getByLabelText('Serving')).toBeInTheDocument();
+  });
+
+  it('renders the ticker for the requested standings phase', async () => {
+    mockParams = { publicCode: 'ABC123', overlayType: 'ticker' };
+    mockLocationSearch = '?phase=phase2';
+    globalThis.fetch = vi.fn(async () =>
+      jsonResponse({
+        tournament: { name: 'City Open', publicCode: 'ABC123' },
+        phase: 'phase2',
+        items: [
+          { kind: 'result', title: 'Pool Play 2', teamA: 'Lions', teamB: 'Tigers', setsA: 2, setsB: 1 },
+          {
+            kind: 'standings',
+            title: 'Pool F',
+            teams: [{ rank: 1, name: 'Lions', matchesWon: 2, matchesLost: 0 }],
+          },
+        ],
+      })
+    );
+
+    render(<TournamentOverlay />);
+
+    expect(await screen.findByRole('heading', { name: 'City Open' })).toBeInTheDocument();
+    expect(globalThis.fetch).toHaveBeenCalledWith(
+      expect.stringContaining('/api/tournaments/code/ABC123/overlay/ticker?phase=phase2')
+    );
+    expect(screen.getAllByText('2-1')).toHaveLength(2);
+    expect(screen.getAllByText('1. Lions (2-0)')).toHaveLength(2);
+  });
+
+  it('draws bracket rounds with live set counts', async () => {
+    mockParams = { publicCode: 'ABC123', overlayType: 'bracket' };
+    globalThis.fetch = vi.fn(async () =>
+      jsonResponse({
+        tournament: { name: 'City Open' },
+        bracketOrder: ['gold'],
+        brackets: {
+          gold: {
+            label: 'Gold',
+            roundOrder: ['R1', 'R2'],
+            rounds: {
+              R1: [
+                {
+                  _id: 'match-1',
+                  seedA: 1,
+                  seedB: 4,
+                  teamA: { shortName: 'Lions' },
+                  teamB: { shortName: 'Owls' },
+                  status: 'live',
+                },
+              ],
+              R2: [{ _id: 'match-2', teamA: null, teamB: null, status: 'scheduled' }],
+            },
+          },
+        },
+      })
+    );
+
+    render(<TournamentOverlay />);
+
+    expect(await screen.findByRole('heading', { name: 'Gold' })).toBeInTheDocument();
+    expect(screen.getByRole('heading', { name: 'Round 1' })).toBeInTheDocument();
+    expect(screen.getByRole('heading', { name: 'Final' })).toBeInTheDocument();
+    expect(screen.getAllByText('TBD')).toHaveLength(2);
+
+    act(() => {
+      mockRealtimeOptions.onEvent({
+        type: 'SCOREBOARD_SUMMARY',
+        tournamentCode: 'ABC123',
+        data: { matchId: 'match-1', sets: { a: 2, b: 1 }, points: { a: 5, b: 3 } },
+      });
+    });
+
+    expect(screen.getByText('Live')).toBeInTheDocument();
+    expect(screen.getByText('2')).toBeInTheDocument();
+  });
+});
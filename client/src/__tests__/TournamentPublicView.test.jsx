@@ -52,6 +52,7 @@ function mockPublicFetch({
   cumulativeStandings,
   courts,
   courtSchedules,
+  playoffs,
 }) {
   const defaultTournamentPayload = {
     ...baseTournamentPayload,
@@ -144,7 +145,7 @@ function mockPublicFetch({
     }
 
     if (requestUrl.endsWith('/api/tournaments/code/ABC123/playoffs')) {
-      return jsonResponse({ matches: [], brackets: {}, opsSchedule: [] });
+      return jsonResponse(playoffs || { matches: [], brackets: {}, opsSchedule: [] });
     }
 
     throw new Error(`Unhandled URL in test: ${requestUrl}`);
@@ -529,4 +530,64 @@ describe('TournamentPublicView', () => {
     expect(screen.getByAltText('ALP logo')).toBeInTheDocument();
     expect(screen.getByAltText('BRV logo')).toBeInTheDocument();
   });
+
+  it('labels double-elimination rounds and marks an unneeded reset final', async () => {
+    const grandFinal = {
+      _id: 'match-gf',
+      bracket: 'champ',
+      bracketRound: 'GF',
+      status: 'final',
+      court: 'SRC-1',
+      teamA: { _id: 'team-1', shortName: 'ALP' },
+      teamB: { _id: 'team-2', shortName: 'BRV' },
+      result: { winnerTeamId: 'team-1', setsWonA: 2, setsWonB: 0, pointsForA: 50, pointsForB: 40 },
+    };
+    const resetFinal = {
+      _id: 'match-gf2',
+      bracket: 'champ',
+      bracketRound: 'GF2',
+      status: 'scheduled',
+      court: 'SRC-1',
+      ifNecessary: true,
+      skipped: true,
+      teamA: null,
+      teamB: null,
+    };
+
+    mockLocationSearch = '?view=playoffs';
+    mockPublicFetch({
+      details: {
+        specialNotes: '',
+        foodInfo: { text: '', linkUrl: '' },
+        facilitiesInfo: '',
+        parkingInfo: '',
+        mapImageUrls: [],
+      },
+      liveMatches: [],
+      playoffs: {
+        matches: [grandFinal, resetFinal],
+        bracketOrder: ['champ'],
+        brackets: {
+          champ: {
+            label: 'Champ',
+            type: 'doubleElim',
+            seeds: [],
+            roundOrder: ['GF', 'GF2'],
+            roundLabels: { GF: 'Grand Final', GF2: 'Grand Final (If Necessary)' },
+            rounds: { GF: [grandFinal], GF2: [resetFinal] },
+          },
+        },
+        opsSchedule: [],
+      },
+    });
+
+    render(<TournamentPublicView />);
+
+    expect(await screen.findByRole('heading', { name: 'Grand Final' })).toBeInTheDocument();
+    expect(
+      screen.getByRole('heading', { name: 'Grand Final (If Necessary)' })
+    ).toBeInTheDocument();
+    expect(screen.getByText(/Not needed/)).toBeInTheDocument();
+  });
 });
+
@@ -0,0 +1,107 @@
+import { act, render, screen, within } from '@testing-library/react';
+
+import TournamentVideoWall from '../pages/TournamentVideoWall.jsx';
+
+let mockRealtimeOptions = null;
+
+vi.mock('../hooks/useTournamentRealtime.js', () => ({
+  useTournamentRealtime: (options) => {
+    mockRealtimeOptions = options;
+  },
+}));
+
+vi.mock('react-router-dom', () => ({
+  useParams: () => ({ publicCode: 'ABC123' }),
+}));
+
+const jsonResponse = (payload, status = 200) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  json: async () => payload,
+});
+
+const slot = (overrides) => ({
+  matchId: 'match-1',
+  status: 'scheduled',
+  phaseLabel: 'Pool Play 1',
+  poolName: 'A',
+  timeLabel: '9:00 AM',
+  participants: [{ label: 'Lions' }, { label: 'Tigers' }],
+  matchupLabel: 'Lions vs Tigers',
+  scoreSummary: null,
+  completedSetScores: [],
+  ...overrides,
+});
+
+const wallPayload = {
+  tournament: { name: 'City Open', publicCode: 'ABC123' },
+  courts: [
+    {
+      court: { code: 'SRC-1', label: 'SRC Court 1' },
+      current: slot({
+        status: 'live',
+        startedAt: '2026-06-01T13:00:00.000Z',
+        scoreSummary: { setsA: 1, setsB: 0, pointsA: 4, pointsB: 2 },
+        completedSetScores: [{ setNo: 1, a: 25, b: 21 }],
+      }),
+      next: slot({ matchId: 'match-2', matchupLabel: 'Bears vs Owls', timeLabel: '10:00 AM' }),
+    },
+    {
+      court: { code: 'SRC-2', label: 'SRC Court 2' },
+      current: null,
+      next: null,
+    },
+  ],
+};
+
+describe('TournamentVideoWall', () => {
+  beforeEach(() => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    vi.setSystemTime(new Date('2026-06-01T13:12:05.000Z'));
+    globalThis.fetch = vi.fn(async () => jsonResponse(wallPayload));
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    mockRealtimeOptions = null;
+  });
+
+  it('tiles every court with the current match, timer, and next match', async () => {
+    render(<TournamentVideoWall />);
+
+    const liveTile = (await screen.findByRole('heading', { name: 'SRC Court 1' })).closest('article');
+    const emptyTile = screen.getByRole('heading', { name: 'SRC Court 2' }).closest('article');
+
+    expect(globalThis.fetch).toHaveBeenCalledWith(
+      expect.stringContaining('/api/tournaments/code/ABC123/video-wall')
+    );
+    expect(within(liveTile).getByText('Live')).toBeInTheDocument();
+    expect(within(liveTile).getByLabelText('Elapsed time')).toHaveTextContent('12:05');
+    expect(within(liveTile).getByText('Sets 1-0 • 25-21')).toBeInTheDocument();
+    expect(within(liveTile).getByText(/Bears vs Owls/)).toBeInTheDocument();
+    expect(within(emptyTile).getByText('No matches on this court.')).toBeInTheDocument();
+    expect(within(emptyTile).getByText('No more matches scheduled.')).toBeInTheDocument();
+  });
+
+  it('applies score summaries and refetches on other tournament events', async () => {
+    render(<TournamentVideoWall />);
+    await screen.findByRole('heading', { name: 'City Open' });
+
+    act(() => {
+      mockRealtimeOptions.onEvent({
+        type: 'SCOREBOARD_SUMMARY',
+        tournamentCode: 'ABC123',
+        data: { matchId: 'match-1', sets: { a: 1, b: 0 }, points: { a: 19, b: 17 }, serving: 'A' },
+      });
+    });
+
+    expect(screen.getByText('19')).toBeInTheDocument();
+    expect(screen.getByLabelText('Serving')).toBeInTheDocument();
+
+    await act(async () => {
+      mockRealtimeOptions.onEvent({ type: 'MATCH_FINALIZED', tournamentCode: 'ABC123', data: {} });
+    });
+
+    expect(globalThis.fetch).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,71 @@
+import {
+  buildCourtDisplay,
+  formatCountdown,
+  getMinutesInTimezone,
+  getSecondsUntil,
+} from '../utils/courtDisplay.js';
+
+const slot = (matchId, timeIndex, status, overrides = {}) => ({
+  slotId: `slot-${matchId}`,
+  kind: 'match',
+  matchId,
+  timeIndex,
+  status,
+  ...overrides,
+});
+
+describe('court display helpers', () => {
+  const options = {
+    nowMs: Date.parse('2026-06-01T10:10:00.000Z'),
+    timezone: 'UTC',
+    matchDurationMinutes: 60,
+  };
+
+  it('keeps planned start times while the court is on schedule', () => {
+    const { current, upcoming } = buildCourtDisplay(
+      [
+        slot('m1', 540, 'final'),
+        slot('m2', 600, 'live', { startedAt: '2026-06-01T10:00:00.000Z' }),
+        slot('m3', 660, 'scheduled'),
+        { slotId: 'lunch', kind: 'lunch', timeIndex: 720, status: 'scheduled' },
+        slot('m4', 765, 'scheduled_tbd'),
+      ],
+      options
+    );
+
+    expect(current.matchId).toBe('m2');
+    expect(upcoming.map((entry) => [entry.matchId, entry.projectedStartMinutes])).toEqual([
+      ['m3', 660],
+      ['m4', 765],
+    ]);
+  });
+
+  it('pushes later matches back when the live match started late', () => {
+    const { upcoming } = buildCourtDisplay(
+      [
+        slot('m2', 600, 'live', { startedAt: '2026-06-01T10:05:00.000Z' }),
+        slot('m3', 660, 'scheduled'),
+        slot('m4', 720, 'scheduled'),
+      ],
+      options
+    );
+
+    expect(upcoming.map((entry) => entry.projectedStartMinutes)).toEqual([665, 725]);
+  });
+
+  it('never projects a pending match into the past', () => {
+    const { current, upcoming } = buildCourtDisplay([slot('m3', 540, 'scheduled')], options);
+
+    expect(current).toBeNull();
+    expect(upcoming[0].projectedStartMinutes).toBe(610);
+  });
+
+  it('counts down in the tournament timezone', () => {
+    const nowMs = Date.parse('2026-06-01T14:58:30.000Z');
+
+    expect(getMinutesInTimezone(nowMs, 'America/New_York')).toBe(10 * 60 + 58);
+    expect(getSecondsUntil(11 * 60, { nowMs, timezone: 'America/New_York' })).toBe(90);
+    expect(formatCountdown(90)).toBe('1:30');
+    expect(formatCountdown(-5)).toBe('0:00');
+  });
+});
@@ -0,0 +1,45 @@
+import {
+  DEFAULT_EMBED_OPTIONS,
+  buildEmbedStyle,
+  resolveEmbedOptions,
+} from '../utils/embedOptions.js';
+
+describe('resolveEmbedOptions', () => {
+  it('returns the defaults without query parameters', () => {
+    expect(resolveEmbedOptions('')).toEqual(DEFAULT_EMBED_OPTIONS);
+  });
+
+  it('reads theming and view parameters', () => {
+    expect(
+      resolveEmbedOptions(
+        '?theme=dark&accent=F97316&radius=40&font=Open%20Sans&view=standings&phase=cumulative&tabs=0'
+      )
+    ).toEqual({
+      theme: 'dark',
+      accent: '#f97316',
+      radius: 32,
+      font: 'Open Sans',
+      view: 'standings',
+      phase: 'cumulative',
+      tabs: false,
+    });
+  });
+
+  it('ignores values that could break out of CSS', () => {
+    expect(
+      resolveEmbedOptions('?accent=red;x:y&font=a%22;}body{&theme=neon&radius=wide')
+    ).toEqual(DEFAULT_EMBED_OPTIONS);
+  });
+});
+
+describe('buildEmbedStyle', () => {
+  it('maps options onto CSS variables', () => {
+    expect(buildEmbedStyle({ accent: '#fff', radius: 4, font: '' })).toEqual({
+      '--embed-accent': '#fff',
+      '--embed-radius': '4px',
+    });
+    expect(buildEmbedStyle({ accent: '#fff', radius: 4, font: 'Inter' })['--embed-font']).toBe(
+      '"Inter", system-ui, sans-serif'
+    );
+  });
+});
@@ -0,0 +1,94 @@
+import {
+  buildFormatDefinition,
+  createFormatDraft,
+  getBracketSizes,
+  getDraftTeamCount,
+  getNextPoolName,
+} from '../utils/formatBuilder.js';
+
+describe('createFormatDraft', () => {
+  it('splits teams into pools of four and three', () => {
+    expect(createFormatDraft(10).pools).toEqual([
+      { name: 'A', size: 4 },
+      { name: 'B', size: 3 },
+      { name: 'C', size: 3 },
+    ]);
+    expect(createFormatDraft(16).pools.map((pool) => pool.size)).toEqual([4, 4, 4, 4]);
+    expect(getDraftTeamCount(createFormatDraft(18))).toBe(18);
+  });
+
+  it('starts with the largest single-elimination bracket that fits', () => {
+    expect(createFormatDraft(10).brackets).toEqual([
+      { name: 'Gold', type: 'singleElim', size: 8, firstSeed: 1 },
+    ]);
+    expect(createFormatDraft(6).brackets[0].size).toBe(4);
+  });
+});
+
+describe('buildFormatDefinition', () => {
+  it('builds the stage schema with consecutive bracket seeds', () => {
+    const draft = {
+      ...createFormatDraft(14),
+      name: ' Fourteen ',
+      crossover: { enabled: true, fromPools: ['C', 'D'] },
+      brackets: [
+        { name: 'Gold', type: 'singleElim', size: 8, firstSeed: 1 },
+        { name: 'Silver', type: 'singleElimWithByes', size: 6, firstSeed: 9 },
+      ],
+    };
+
+    const definition = buildFormatDefinition(draft);
+
+    expect(definition.name).toBe('Fourteen');
+    expect(definition.stages.map((stage) => stage.type)).toEqual([
+      'poolPlay',
+      'crossover',
+      'playoffs',
+    ]);
+    expect(definition.stages[1].fromPools).toEqual(['C', 'D']);
+    expect(definition.stages[2].brackets[1].seedsFromOverall).toEqual([9, 10, 11, 12, 13, 14]);
+  });
+
+  it('keeps the if-necessary final option only for double-elimination brackets', () => {
+    const definition = buildFormatDefinition({
+      ...createFormatDraft(12),
+      brackets: [
+        { name: 'Gold', type: 'doubleElim', size: 8, firstSeed: 1, ifNecessaryFinal: true },
+        { name: 'Silver', type: 'singleElim', size: 4, firstSeed: 9, ifNecessaryFinal: true },
+      ],
+    });
+    const [gold, silver] = definition.stages[1].brackets;
+
+    expect(gold.ifNecessaryFinal).toBe(true);
+    expect(silver).not.toHaveProperty('ifNecessaryFinal');
+  });
+
+  it('keeps the third-place option only for single-elimination brackets of four or more', () => {
+    const definition = buildFormatDefinition({
+      ...createFormatDraft(12),
+      brackets: [
+        { name: 'Gold', type: 'singleElim', size: 9, firstSeed: 1, thirdPlaceMatch: true },
+        { name: 'Silver', type: 'singleElim', size: 3, firstSeed: 10, thirdPlaceMatch: true },
+      ],
+    });
+    const [gold, silver] = definition.stages[1].brackets;
+
+    expect(gold.thirdPlaceMatch).toBe(true);
+    expect(silver.thirdPlaceMatch).toBe(false);
+    expect(getBracketSizes('singleElim')).toEqual(
+      Array.from({ length: 30 }, (_, index) => index + 3)
+    );
+  });
+
+  it('leaves out the crossover and playoffs when they are not configured', () => {
+    const definition = buildFormatDefinition({ ...createFormatDraft(8), brackets: [] });
+
+    expect(definition.stages.map((stage) => stage.type)).toEqual(['poolPlay']);
+  });
+});
+
+describe('getNextPoolName', () => {
+  it('returns the first unused letter', () => {
+    expect(getNextPoolName([{ name: 'A' }, { name: 'C' }])).toBe('B');
+  });
+});
@@ -144,4 +144,115 @@ describe('buildFormatPreview', () => {
     );
     expect(maxConcurrentMatches).toBeLessThanOrEqual(4);
   });
+
+  test('previews round-robin pools of five and six teams with byes and even ref duty', () => {
+    const { poolScheduleRows } = buildFormatPreview({
+      formatDef: {
+        stages: [
+          {
+            type: 'poolPlay',
+            key: 'poolPlay1',
+            displayName: 'Pool Play',
+            pools: [
+              { name: 'A', size: 5 },
+              { name: 'B', size: 6 },
+            ],
+          },
+        ],
+      },
+      activeCourts: ['Court 1', 'Court 2'],
+    });
+
+    const poolARows = poolScheduleRows.filter((row) => row.court === 'Court 1');
+    const poolBRows = poolScheduleRows.filter((row) => row.court === 'Court 2');
+
+    expect(poolARows).toHaveLength(10);
+    expect(poolBRows).toHaveLength(15);
+    expect(new Set(poolARows.map((row) => row.matchLabel)).size).toBe(10);
+
+    const refCounts = poolARows.reduce((lookup, row) => {
+      lookup[row.refLabel] = (lookup[row.refLabel] || 0) + 1;
+      return lookup;
+    }, {});
+    expect(Object.values(refCounts)).toEqual([2, 2, 2, 2, 2]);
+    poolARows.forEach((row) => {
+      expect(row.byeLabel).toMatch(/^A[1-5]$/);
+      expect(row.matchLabel).not.toContain(row.byeLabel);
+    });
+    expect(poolBRows.every((row) => row.byeLabel === null)).toBe(true);
+  });
+
+  test('previews double-elimination brackets with loser drop-ins and the if-necessary final', () => {
+    const { playoffRows } = buildFormatPreview({
+      formatDef: {
+        stages: [
+          {
+            type: 'playoffs',
+            key: 'playoffs',
+            displayName: 'Playoffs',
+            brackets: [
+              {
+                name: 'Gold',
+                type: 'doubleElim',
+                size: 4,
+                seedsFromOverall: [1, 2, 3, 4],
+                ifNecessaryFinal: true,
+              },
+            ],
+          },
+        ],
+      },
+      activeCourts: ['Court 1', 'Court 2'],
+    });
+    const labelsByRound = Object.fromEntries(
+      playoffRows.map((row) => [row.roundLabel, row.matchupLabel])
+    );
+
+    expect(playoffRows.map((row) => row.roundLabel)).toEqual([
+      'R1',
+      'R1',
+      'R2',
+      'L1',
+      'L2',
+      'GF',
+      'GF2',
+    ]);
+    expect(labelsByRound.L1).toBe('L(Gold 1v4) vs L(Gold 2v3)');
+    expect(labelsByRound.L2).toBe('L(Gold R2 M1) vs W(Gold L1 M1)');
+    expect(labelsByRound.GF).toBe('W(Gold R2 M1) vs W(Gold L2 M1)');
+    expect(labelsByRound.GF2).toBe('L(Gold GF M1) vs W(Gold GF M1)');
+  });
+
+  test('previews single-elimination byes and a third-place match before the final', () => {
+    const { playoffRows } = buildFormatPreview({
+      formatDef: {
+        stages: [
+          {
+            type: 'playoffs',
+            key: 'playoffs',
+            displayName: 'Playoffs',
+            brackets: [
+              {
+                name: 'Gold',
+                type: 'singleElim',
+                size: 5,
+                seedsFromOverall: [1, 2, 3, 4, 5],
+                thirdPlaceMatch: true,
+              },
+            ],
+          },
+        ],
+      },
+      activeCourts: ['Court 1'],
+    });
+
+    expect(playoffRows.map((row) => [row.roundLabel, row.matchupLabel])).toEqual([
+      ['R1', 'Gold 4 vs Gold 5'],
+      ['R2', 'Gold 1 vs W(Gold 4v5)'],
+      ['R2', 'Gold 2 vs Gold 3'],
+      ['3P', 'L(Gold R2 M1) vs L(Gold 2v3)'],
+      ['R3', 'W(Gold R2 M1) vs W(Gold 2v3)'],
+    ]);
+  });
 });
+
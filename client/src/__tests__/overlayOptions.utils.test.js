@@ -0,0 +1,66 @@
+import {
+  DEFAULT_OVERLAY_OPTIONS,
+  buildOverlayQuery,
+  findOverlayPreset,
+  resolveOverlayOptions,
+} from '../utils/overlayOptions.js';
+
+describe('resolveOverlayOptions', () => {
+  it('returns the defaults without query parameters', () => {
+    expect(resolveOverlayOptions('')).toEqual(DEFAULT_OVERLAY_OPTIONS);
+  });
+
+  it('reads and clamps individual parameters', () => {
+    expect(
+      resolveOverlayOptions('?layout=vertical&scale=9&position=center&names=1&sets=0&transparent=off')
+    ).toEqual({
+      layout: 'vertical',
+      scale: 4,
+      position: 'center',
+      nameLength: 3,
+      showSets: false,
+      transparent: false,
+    });
+  });
+
+  it('ignores unknown values', () => {
+    expect(resolveOverlayOptions('?layout=diagonal&scale=big&sets=maybe')).toEqual(
+      DEFAULT_OVERLAY_OPTIONS
+    );
+  });
+
+  it('applies a preset before overriding it with explicit parameters', () => {
+    expect(resolveOverlayOptions('?preset=corner&position=bottom-left')).toMatchObject({
+      layout: 'vertical',
+      scale: 0.8,
+      position: 'bottom-left',
+      nameLength: 4,
+    });
+  });
+
+  it('prefers presets saved on the scoreboard over built-in names', () => {
+    const saved = [{ name: 'Corner', options: { layout: 'score-only', scale: 1.5 } }];
+
+    expect(findOverlayPreset('corner', saved)).toBe(saved[0]);
+    expect(resolveOverlayOptions('?preset=CORNER', saved)).toMatchObject({
+      layout: 'score-only',
+      scale: 1.5,
+      position: 'top-left',
+    });
+    expect(findOverlayPreset('missing', saved)).toBeNull();
+  });
+});
+
+describe('buildOverlayQuery', () => {
+  it('returns an empty string for the defaults', () => {
+    expect(buildOverlayQuery(DEFAULT_OVERLAY_OPTIONS)).toBe('');
+  });
+
+  it('includes only options that differ from the defaults and round-trips', () => {
+    const options = { ...DEFAULT_OVERLAY_OPTIONS, layout: 'fullscreen', scale: 1.25, showSets: false };
+    const query = buildOverlayQuery(options);
+
+    expect(query).toBe('?layout=fullscreen&scale=1.25&sets=0');
+    expect(resolveOverlayOptions(query)).toEqual(options);
+  });
+});
@@ -0,0 +1,61 @@
+import {
+  buildScorerControlUrl,
+  clearScorerToken,
+  loadScorerToken,
+  readScorerTokenExpiry,
+  saveScorerToken,
+} from "../utils/scorerTokens.js";
+
+const encodeSegment = (value) =>
+  btoa(JSON.stringify(value)).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+
+const createJwt = (payload) => `${encodeSegment({ alg: "HS256" })}.${encodeSegment(payload)}.sig`;
+
+describe("scorer token storage", () => {
+  beforeEach(() => {
+    window.localStorage.clear();
+  });
+
+  it("stores a token under every board identifier, case-insensitively", () => {
+    saveScorerToken(["665f1c2e8a1b2c3d4e5f6a7b", "abc123"], "token-1");
+
+    expect(loadScorerToken("665F1C2E8A1B2C3D4E5F6A7B")).toBe("token-1");
+    expect(loadScorerToken("ABC123")).toBe("token-1");
+    expect(loadScorerToken("OTHER1")).toBeNull();
+  });
+
+  it("ignores expired tokens", () => {
+    saveScorerToken("ABC123", "old-token", "2000-01-01T00:00:00.000Z");
+
+    expect(loadScorerToken("ABC123")).toBeNull();
+  });
+
+  it("reads the expiry from a scorer token", () => {
+    expect(readScorerTokenExpiry(createJwt({ scope: "scorer", exp: 1767225600 }))).toBe(
+      "2026-01-01T00:00:00.000Z"
+    );
+    expect(readScorerTokenExpiry(createJwt({ scope: "scorer" }))).toBeNull();
+    expect(readScorerTokenExpiry("not-a-jwt")).toBeNull();
+    expect(readScorerTokenExpiry(null)).toBeNull();
+  });
+
+  it("forgets a refused token under every identifier", () => {
+    saveScorerToken(["665f1c2e8a1b2c3d4e5f6a7b", "ABC123"], "token-1");
+    saveScorerToken("XYZ789", "token-2");
+
+    clearScorerToken("token-1");
+
+    expect(loadScorerToken("665f1c2e8a1b2c3d4e5f6a7b")).toBeNull();
+    expect(loadScorerToken("ABC123")).toBeNull();
+    expect(loadScorerToken("XYZ789")).toBe("token-2");
+  });
+
+  it("appends the token to control links", () => {
+    expect(buildScorerControlUrl("https://app.test/board/ABC123/control", "a b")).toBe(
+      "https://app.test/board/ABC123/control?scorer=a%20b"
+    );
+    expect(buildScorerControlUrl("https://app.test/board/ABC123/control", null)).toBe(
+      "https://app.test/board/ABC123/control"
+    );
+  });
+});
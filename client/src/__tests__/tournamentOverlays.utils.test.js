@@ -0,0 +1,76 @@
+import {
+  applyLiveSummary,
+  formatBracketRoundLabel,
+  orderBracketRounds,
+  resolveBracketKeys,
+} from '../utils/tournamentOverlays.js';
+
+describe('tournament overlay bracket helpers', () => {
+  it('keeps the payload bracket order and drops missing brackets', () => {
+    expect(
+      resolveBracketKeys({
+        bracketOrder: ['gold', 'silver', 'bronze'],
+        brackets: { gold: {}, bronze: {} },
+      })
+    ).toEqual(['gold', 'bronze']);
+    expect(resolveBracketKeys({ brackets: { gold: {} } })).toEqual(['gold']);
+  });
+
+  it('sorts rounds by number when no round order is given', () => {
+    expect(orderBracketRounds({ rounds: { R10: [], R2: [], R1: [] } })).toEqual([
+      'R1',
+      'R2',
+      'R10',
+    ]);
+    expect(orderBracketRounds({ roundOrder: ['R2', 'R1'], rounds: {} })).toEqual(['R2', 'R1']);
+  });
+
+  it('labels the last rounds as final and semifinal', () => {
+    const rounds = ['R1', 'R2', 'R3', 'R4'];
+
+    expect(formatBracketRoundLabel('R4', rounds)).toBe('Final');
+    expect(formatBracketRoundLabel('R3', rounds)).toBe('Semifinal');
+    expect(formatBracketRoundLabel('R1', rounds)).toBe('Round 1');
+    expect(formatBracketRoundLabel('R4', [...rounds, '3P'])).toBe('Final');
+    expect(formatBracketRoundLabel('3P', [...rounds, '3P'])).toBe('Third Place');
+  });
+
+  it('orders double-elimination rounds and prefers the bracket round labels', () => {
+    expect(orderBracketRounds({ rounds: { GF: [], L1: [], R2: [], GF2: [], R1: [] } })).toEqual([
+      'R1',
+      'R2',
+      'L1',
+      'GF',
+      'GF2',
+    ]);
+    expect(
+      formatBracketRoundLabel('GF2', ['R1', 'GF', 'GF2'], { GF2: 'Grand Final (If Necessary)' })
+    ).toBe('Grand Final (If Necessary)');
+  });
+});
+
+describe('applyLiveSummary', () => {
+  it('maps a scoreboard summary event onto a live card', () => {
+    const card = {
+      matchId: 'match-1',
+      scoreSummary: { setsA: 0, setsB: 0, pointsA: 3, pointsB: 4 },
+      completedSetScores: [],
+    };
+
+    expect(
+      applyLiveSummary(card, {
+        matchId: 'match-1',
+        sets: { a: 1, b: 0 },
+        points: { a: 12, b: 9 },
+        completedSetScores: [{ setNo: 1, a: 25, b: 20 }],
+        serving: 'B',
+      })
+    ).toEqual({
+      matchId: 'match-1',
+      scoreSummary: { setsA: 1, setsB: 0, pointsA: 12, pointsB: 9 },
+      completedSetScores: [{ setNo: 1, a: 25, b: 20 }],
+      serving: 'B',
+    });
+    expect(applyLiveSummary(card, null)).toBe(card);
+  });
+});
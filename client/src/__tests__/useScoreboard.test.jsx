@@ -0,0 +1,476 @@
+import { act, renderHook, waitFor } from "@testing-library/react";
+
+import { useScoreboard } from "../hooks/useScoreboard.js";
+import { loadScorerToken, saveScorerToken } from "../utils/scorerTokens.js";
+
+const mockSocket = {
+  handlers: {},
+  acks: [],
+  connected: false,
+  emit: vi.fn((event, payload, ack) => {
+    if (typeof ack === "function") {
+      mockSocket.acks.push(ack);
+    }
+  }),
+  timeout: vi.fn(() => mockSocket),
+  on: vi.fn((event, handler) => {
+    mockSocket.handlers[event] = handler;
+  }),
+  connect: vi.fn(() => {
+    mockSocket.connected = true;
+    mockSocket.handlers.connect?.();
+  }),
+  disconnect: vi.fn(() => {
+    mockSocket.connected = false;
+  }),
+  removeAllListeners: vi.fn(),
+};
+
+vi.mock("socket.io-client", () => ({
+  io: () => mockSocket,
+}));
+
+const createBoard = (overrides = {}) => ({
+  _id: "board-1",
+  code: "ABC123",
+  title: "Court 1",
+  teams: [
+    { name: "Home", score: 10 },
+    { name: "Away", score: 8 },
+  ],
+  sets: [],
+  servingTeamIndex: 0,
+  revision: 4,
+  ...overrides,
+});
+
+const findUpdates = () =>
+  mockSocket.emit.mock.calls
+    .filter(([event]) => event === "scoreboard:update")
+    .map(([, payload]) => payload);
+
+const ackNextUpdate = (err = null, response = { ok: true }) => {
+  act(() => {
+    mockSocket.acks.shift()(err, response);
+  });
+};
+
+const scorePoint = (result, teamIndex) => {
+  act(() => {
+    result.current.updateScoreboard((current) => ({
+      teams: current.teams.map((team, index) =>
+        index === teamIndex ? { ...team, score: team.score + 1 } : team
+      ),
+    }));
+  });
+};
+
+const resetMockSocket = () => {
+  mockSocket.handlers = {};
+  mockSocket.acks = [];
+  mockSocket.connected = false;
+  mockSocket.emit.mockClear();
+};
+
+describe("useScoreboard revisions", () => {
+  const originalFetch = globalThis.fetch;
+
+  beforeEach(() => {
+    window.localStorage.clear();
+    resetMockSocket();
+    globalThis.fetch = vi.fn().mockResolvedValue({
+      ok: true,
+      json: async () => createBoard(),
+    });
+  });
+
+  afterEach(() => {
+    globalThis.fetch = originalFetch;
+  });
+
+  const renderScoreboardHook = async () => {
+    const hook = renderHook(() => useScoreboard("board-1"));
+    await waitFor(() => expect(hook.result.current.scoreboard).not.toBeNull());
+    return hook;
+  };
+
+  it("sends the base revision and a mergeable point action", async () => {
+    const { result } = await renderScoreboardHook();
+
+    act(() => {
+      result.current.updateScoreboard((current) => ({
+        teams: current.teams.map((team, index) =>
+          index === 1 ? { ...team, score: team.score + 1 } : team
+        ),
+        servingTeamIndex: 1,
+      }));
+    });
+    act(() => {
+      result.current.updateScoreboard((current) => ({
+        teams: current.teams.map((team) => ({ ...team, color: "#000000" })),
+      }));
+    });
+    ackNextUpdate();
+
+    const [pointUpdate, colorUpdate] = findUpdates();
+    expect(pointUpdate).toMatchObject({
+      baseRevision: 4,
+      action: { type: "point", teamIndex: 1, delta: 1 },
+    });
+    expect(colorUpdate.baseRevision).toBe(5);
+    expect(colorUpdate.action).toBeUndefined();
+  });
+
+  it("sends timeout changes and the countdown setting", async () => {
+    const { result } = await renderScoreboardHook();
+
+    act(() => {
+      result.current.updateScoreboard({
+        activeTimeout: null,
+        scoring: { timeoutCountdown: false },
+      });
+    });
+
+    expect(findUpdates()[0].state).toMatchObject({
+      activeTimeout: null,
+      scoring: { timeoutCountdown: false },
+    });
+  });
+
+  it("shows conflicts with the latest board and can re-send the rejected change", async () => {
+    const { result } = await renderScoreboardHook();
+    const rejected = {
+      teams: [
+        { name: "Home", score: 0 },
+        { name: "Away", score: 0 },
+      ],
+      servingTeamIndex: 0,
+      sets: [],
+    };
+
+    act(() => {
+      mockSocket.handlers["scoreboard:conflict"]({
+        message: "Scoreboard was changed by another scorer",
+        scoreboard: createBoard({
+          teams: [
+            { name: "Home", score: 11 },
+            { name: "Away", score: 8 },
+          ],
+          revision: 6,
+        }),
+        rejected,
+      });
+    });
+
+    expect(result.current.conflict).toEqual({
+      message: "Scoreboard was changed by another scorer",
+      rejected,
+    });
+    expect(result.current.scoreboard.teams[0].score).toBe(11);
+
+    act(() => {
+      result.current.reapplyConflict();
+    });
+
+    expect(result.current.conflict).toBeNull();
+    expect(findUpdates().at(-1)).toMatchObject({
+      baseRevision: 6,
+      state: { teams: rejected.teams },
+    });
+  });
+});
+
+describe("useScoreboard offline queue", () => {
+  const originalFetch = globalThis.fetch;
+
+  beforeEach(() => {
+    window.localStorage.clear();
+    resetMockSocket();
+    globalThis.fetch = vi.fn().mockResolvedValue({
+      ok: true,
+      json: async () => createBoard(),
+    });
+  });
+
+  afterEach(() => {
+    globalThis.fetch = originalFetch;
+  });
+
+  const renderScoreboardHook = async () => {
+    const hook = renderHook(() => useScoreboard("board-1"));
+    await waitFor(() => expect(hook.result.current.scoreboard).not.toBeNull());
+    return hook;
+  };
+
+  const goOffline = () => {
+    act(() => {
+      mockSocket.connected = false;
+      mockSocket.handlers.disconnect();
+    });
+  };
+
+  const reconnect = () => {
+    act(() => {
+      mockSocket.connect();
+    });
+  };
+
+  it("queues updates while offline and replays them in order on reconnect", async () => {
+    const { result } = await renderScoreboardHook();
+
+    goOffline();
+    scorePoint(result, 0);
+    scorePoint(result, 1);
+
+    expect(result.current.isOffline).toBe(true);
+    expect(result.current.pendingCount).toBe(2);
+    expect(result.current.scoreboard.teams.map((team) => team.score)).toEqual([11, 9]);
+    expect(findUpdates()).toHaveLength(0);
+    expect(
+      JSON.parse(window.localStorage.getItem("scorebugger.pendingScoreboardUpdates"))["BOARD-1"]
+    ).toHaveLength(2);
+
+    reconnect();
+
+    expect(result.current.isOffline).toBe(false);
+    expect(mockSocket.emit).toHaveBeenCalledWith("scoreboard:join", { scoreboardId: "board-1" });
+    expect(findUpdates()).toHaveLength(1);
+    expect(findUpdates()[0]).toMatchObject({
+      scoreboardId: "board-1",
+      baseRevision: 4,
+      action: { type: "point", teamIndex: 0, delta: 1 },
+      actionId: expect.any(String),
+    });
+
+    ackNextUpdate();
+
+    expect(result.current.pendingCount).toBe(1);
+    expect(findUpdates()[1]).toMatchObject({
+      baseRevision: 5,
+      action: { type: "point", teamIndex: 1, delta: 1 },
+    });
+
+    ackNextUpdate();
+
+    expect(result.current.pendingCount).toBe(0);
+    expect(window.localStorage.getItem("scorebugger.pendingScoreboardUpdates")).toBeNull();
+  });
+
+  it("resends an unacknowledged update with the same action id", async () => {
+    const { result } = await renderScoreboardHook();
+
+    scorePoint(result, 0);
+    ackNextUpdate(new Error("operation has timed out"));
+
+    const [firstAttempt, retry] = findUpdates();
+    expect(retry.actionId).toBe(firstAttempt.actionId);
+    expect(result.current.pendingCount).toBe(1);
+
+    ackNextUpdate();
+    expect(result.current.pendingCount).toBe(0);
+  });
+
+  it("drops an update the server answered with a conflict", async () => {
+    const { result } = await renderScoreboardHook();
+
+    scorePoint(result, 0);
+    ackNextUpdate(null, { ok: false, status: 409, conflict: true, message: "Stale" });
+
+    expect(result.current.pendingCount).toBe(0);
+    expect(findUpdates()).toHaveLength(1);
+  });
+
+  it("keeps an update that failed to save and retries it with a backoff", async () => {
+    const { result } = await renderScoreboardHook();
+    vi.useFakeTimers();
+
+    try {
+      scorePoint(result, 0);
+      ackNextUpdate(null, { ok: false, status: 409, message: "Please try again" });
+
+      expect(result.current.pendingCount).toBe(1);
+      expect(findUpdates()).toHaveLength(1);
+
+      act(() => {
+        vi.advanceTimersByTime(1000);
+      });
+      expect(findUpdates()).toHaveLength(2);
+
+      ackNextUpdate(null, { ok: false, status: 500, message: "Failed to save scoreboard" });
+      act(() => {
+        vi.advanceTimersByTime(1999);
+      });
+      expect(findUpdates()).toHaveLength(2);
+      act(() => {
+        vi.advanceTimersByTime(1);
+      });
+
+      const [firstAttempt, , retry] = findUpdates();
+      expect(retry.actionId).toBe(firstAttempt.actionId);
+
+      ackNextUpdate();
+      expect(result.current.pendingCount).toBe(0);
+      expect(result.current.scoreboard.teams[0].score).toBe(11);
+    } finally {
+      vi.useRealTimers();
+    }
+  });
+
+  it("drops the queue and rejoins when the server refuses an update for good", async () => {
+    const { result } = await renderScoreboardHook();
+
+    goOffline();
+    scorePoint(result, 0);
+    scorePoint(result, 0);
+    reconnect();
+    mockSocket.emit.mockClear();
+
+    ackNextUpdate(null, {
+      ok: false,
+      status: 403,
+      message: "Not authorized to update this scoreboard",
+    });
+
+    expect(result.current.pendingCount).toBe(0);
+    expect(findUpdates()).toHaveLength(0);
+    expect(mockSocket.emit).toHaveBeenCalledWith("scoreboard:join", { scoreboardId: "board-1" });
+    expect(window.localStorage.getItem("scorebugger.pendingScoreboardUpdates")).toBeNull();
+
+    act(() => {
+      mockSocket.handlers["scoreboard:state"](createBoard());
+    });
+    expect(result.current.scoreboard.teams[0].score).toBe(10);
+    expect(result.current.scoreboard.revision).toBe(4);
+  });
+
+  it("stores the scorer token under the board id and code with its expiry", async () => {
+    const payload = btoa(JSON.stringify({ scope: "scorer", exp: 4102444800 }));
+    const scorerToken = `header.${payload.replace(/=+$/, "")}.sig`;
+    const { result } = renderHook(() => useScoreboard("abc123", { scorerToken }));
+    await waitFor(() => expect(result.current.scoreboard).not.toBeNull());
+
+    const stored = JSON.parse(window.localStorage.getItem("scorebugger.scorerTokens"));
+    expect(stored["BOARD-1"]).toEqual({
+      token: scorerToken,
+      expiresAt: "2100-01-01T00:00:00.000Z",
+    });
+    expect(stored.ABC123).toEqual(stored["BOARD-1"]);
+  });
+
+  it("forgets a scorer token the server refuses", async () => {
+    saveScorerToken(["board-1", "ABC123"], "expired-token");
+    const { result } = await renderScoreboardHook();
+
+    scorePoint(result, 0);
+    ackNextUpdate(null, {
+      ok: false,
+      status: 403,
+      message: "Not authorized to update this scoreboard",
+    });
+
+    expect(loadScorerToken("board-1")).toBeNull();
+    expect(loadScorerToken("ABC123")).toBeNull();
+
+    // Without the token the hook reconnects read-only; the message survives the reload
+    await waitFor(() => expect(globalThis.fetch).toHaveBeenCalledTimes(2));
+    await waitFor(() => expect(result.current.loading).toBe(false));
+    expect(result.current.error).toMatch(/scorer link has expired/i);
+
+    act(() => {
+      mockSocket.handlers["scoreboard:state"](createBoard());
+    });
+    expect(result.current.error).toMatch(/scorer link has expired/i);
+  });
+
+  it("replays updates left over from a previous session", async () => {
+    const first = await renderScoreboardHook();
+
+    goOffline();
+    scorePoint(first.result, 0);
+    first.unmount();
+    resetMockSocket();
+
+    const { result } = await renderScoreboardHook();
+
+    expect(result.current.pendingCount).toBe(1);
+    expect(findUpdates()).toEqual([
+      expect.objectContaining({
+        baseRevision: 4,
+        action: { type: "point", teamIndex: 0, delta: 1 },
+      }),
+    ]);
+  });
+
+  it("holds undo until queued updates have synced", async () => {
+    const { result } = await renderScoreboardHook();
+
+    act(() => {
+      mockSocket.handlers["scoreboard:history"]({ undo: 2, redo: 0 });
+    });
+    expect(result.current.canUndo).toBe(true);
+
+    goOffline();
+    scorePoint(result, 0);
+
+    expect(result.current.canUndo).toBe(false);
+    act(() => {
+      result.current.undo();
+    });
+
+    expect(mockSocket.emit).not.toHaveBeenCalledWith("scoreboard:undo", expect.anything());
+    expect(result.current.error).toMatch(/pending actions/i);
+  });
+
+  it("sends substitutions and sanctions as commands on the latest state", async () => {
+    const { result } = await renderScoreboardHook();
+
+    act(() => {
+      result.current.recordSubstitution({ teamIndex: 1, playerIn: "12", playerOut: "4" });
+      result.current.recordSanction({ teamIndex: 0, type: "red", player: "7" });
+    });
+
+    expect(mockSocket.emit).toHaveBeenCalledWith("scoreboard:substitution", {
+      teamIndex: 1,
+      playerIn: "12",
+      playerOut: "4",
+      scoreboardId: "board-1",
+    });
+    expect(mockSocket.emit).toHaveBeenCalledWith("scoreboard:sanction", {
+      teamIndex: 0,
+      type: "red",
+      player: "7",
+      scoreboardId: "board-1",
+    });
+  });
+
+  it("receives graphics on their own channel and sends producer toggles even with queued updates", async () => {
+    const { result } = await renderScoreboardHook();
+
+    expect(result.current.graphics).toBeNull();
+    act(() => {
+      mockSocket.handlers["scoreboard:graphics"]({
+        scoreboardId: "board-1",
+        visible: { setSummary: false, matchTitle: true, standings: false, nextMatch: false },
+      });
+    });
+    expect(result.current.graphics.visible.matchTitle).toBe(true);
+
+    scorePoint(result, 0);
+    act(() => {
+      result.current.setGraphics({ visible: { setSummary: true } });
+    });
+
+    expect(mockSocket.emit).toHaveBeenCalledWith("scoreboard:setGraphics", {
+      visible: { setSummary: true },
+      scoreboardId: "board-1",
+    });
+
+    goOffline();
+    mockSocket.emit.mockClear();
+    act(() => {
+      result.current.setGraphics({ title: "Final" });
+    });
+    expect(mockSocket.emit).not.toHaveBeenCalled();
+    expect(result.current.error).toMatch(/unable to reach/i);
+  });
+});
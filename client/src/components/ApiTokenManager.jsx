@@ -0,0 +1,168 @@
+import { useCallback, useEffect, useState } from "react";
+import { API_URL } from "../config/env.js";
+
+const formatTokenDate = (value) => (value ? new Date(value).toLocaleDateString() : "Never");
+
+/**
+ * Lists, creates and revokes a scoreboard's API tokens for hardware controllers. The raw
+ * token is shown once, right after it is created; the server only keeps its hash.
+ */
+function ApiTokenManager({ scoreboardId, token, onToast }) {
+  const [apiTokens, setApiTokens] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [name, setName] = useState("");
+  const [busy, setBusy] = useState(false);
+  const [createdToken, setCreatedToken] = useState(null);
+  const endpoint = `${API_URL}/api/scoreboards/${scoreboardId}/api-tokens`;
+
+  const request = useCallback(
+    async (url, options = {}) => {
+      const response = await fetch(url, {
+        ...options,
+        headers: {
+          "Content-Type": "application/json",
+          Authorization: `Bearer ${token}`,
+        },
+      });
+      const data = await response.json().catch(() => null);
+
+      if (!response.ok) {
+        throw new Error(data?.message || "API token request failed");
+      }
+
+      return data;
+    },
+    [token]
+  );
+
+  useEffect(() => {
+    let cancelled = false;
+
+    request(endpoint)
+      .then((data) => {
+        if (!cancelled) setApiTokens(data?.apiTokens ?? []);
+      })
+      .catch((error) => {
+        if (!cancelled) onToast?.("error", error.message);
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [endpoint, request, onToast]);
+
+  const createToken = async () => {
+    const trimmed = name.trim();
+    if (!trimmed || busy) return;
+
+    setBusy(true);
+    try {
+      const data = await request(endpoint, {
+        method: "POST",
+        body: JSON.stringify({ name: trimmed }),
+      });
+      setApiTokens((prev) => [...prev, data.apiToken]);
+      setCreatedToken(data.token);
+      setName("");
+    } catch (error) {
+      onToast?.("error", error.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const revokeToken = async (apiToken) => {
+    setBusy(true);
+    try {
+      await request(`${endpoint}/${apiToken.id}`, { method: "DELETE" });
+      setApiTokens((prev) => prev.filter((entry) => entry.id !== apiToken.id));
+      onToast?.("success", `Revoked ${apiToken.name}`);
+    } catch (error) {
+      onToast?.("error", error.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const copyCreatedToken = async () => {
+    try {
+      await navigator.clipboard.writeText(createdToken);
+      onToast?.("success", "Token copied");
+    } catch {
+      onToast?.("error", "Unable to copy token");
+    }
+  };
+
+  return (
+    <div className="api-token-manager">
+      <p className="subtle">
+        Controllers send <code>POST {API_URL}/api/scoreboards/{scoreboardId}/commands/point-home</code>{" "}
+        with <code>Authorization: Bearer &lt;token&gt;</code>.
+      </p>
+
+      {createdToken && (
+        <div className="api-token-created" role="status">
+          <span>Copy this token now. It will not be shown again.</span>
+          <div className="api-token-row">
+            <code aria-label="New API token">{createdToken}</code>
+            <button type="button" className="control-tool-button" onClick={copyCreatedToken}>
+              Copy
+            </button>
+          </div>
+        </div>
+      )}
+
+      {loading ? (
+        <p className="subtle">Loading tokens...</p>
+      ) : apiTokens.length === 0 ? (
+        <p className="subtle">No API tokens yet.</p>
+      ) : (
+        <ul className="api-token-list">
+          {apiTokens.map((apiToken) => (
+            <li key={apiToken.id} className="api-token-row">
+              <span className="api-token-name">{apiToken.name}</span>
+              <code>{apiToken.prefix}…</code>
+              <span className="subtle">Last used: {formatTokenDate(apiToken.lastUsedAt)}</span>
+              <button
+                type="button"
+                className="control-tool-button"
+                onClick={() => revokeToken(apiToken)}
+                disabled={busy}
+                aria-label={`Revoke token ${apiToken.name}`}
+              >
+                Revoke
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <div className="api-token-row">
+        <input
+          type="text"
+          maxLength={40}
+          placeholder="Token name (e.g. Stream Deck)"
+          value={name}
+          aria-label="API token name"
+          onChange={(event) => setName(event.target.value)}
+          onKeyDown={(event) => {
+            if (event.key === "Enter") createToken();
+          }}
+        />
+        <button
+          type="button"
+          className="control-tool-button"
+          onClick={createToken}
+          disabled={busy || !name.trim()}
+        >
+          Create token
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default ApiTokenManager;
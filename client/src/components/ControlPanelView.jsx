@@ -12,11 +12,35 @@ import {
 } from "react-icons/md";
 import { FiCheckCircle, FiInfo, FiXCircle } from "react-icons/fi";
 import { useScoreboard } from "../hooks/useScoreboard.js";
+import { API_URL } from "../config/env.js";
+import { useAuth } from "../context/AuthContext.jsx";
+import { buildScorerControlUrl, loadScorerToken } from "../utils/scorerTokens.js";
+import { LINEUP_SIZE, getRotationServer, normalizeLineup } from "../utils/lineup.js";
+import { getLiveSetEntries, getSubstitutionLimit } from "../utils/officiating.js";
+import {
+  DEFAULT_OVERLAY_OPTIONS,
+  buildOverlayQuery,
+  resolveOverlayOptions,
+} from "../utils/overlayOptions.js";
 import SettingsMenu from "./SettingsMenu.jsx";
 import ScoreboardOverlay from "./ScoreboardOverlay.jsx";
+import SetCompletionPrompt from "./SetCompletionPrompt.jsx";
+import SetPointWarning from "./SetPointWarning.jsx";
+import ScoreboardConflictNotice from "./ScoreboardConflictNotice.jsx";
+import ScoreboardSyncStatus from "./ScoreboardSyncStatus.jsx";
+import TimeoutCountdown from "./TimeoutCountdown.jsx";
+import LineupEditor from "./LineupEditor.jsx";
+import OfficialEntries from "./OfficialEntries.jsx";
+import OverlayOptionsPanel from "./OverlayOptionsPanel.jsx";
+import TeamLogoField from "./TeamLogoField.jsx";
 import { useSettings } from "../context/SettingsContext.jsx";
-import { MAX_COMPLETED_SETS, MAX_TOTAL_SETS } from "../constants/scoreboard.js";
-import { buildShortcutMap, deriveSetNavigationState, shouldEnableDeleteSet } from "./controlPanel.utils.js";
+import { MAX_COMPLETED_SETS, MAX_TOTAL_SETS, TIMEOUTS_PER_SET } from "../constants/scoreboard.js";
+import {
+  buildShortcutMap,
+  deriveSetNavigationState,
+  resolveAutoCompleteMode,
+  shouldEnableDeleteSet,
+} from "./controlPanel.utils.js";
 
 /* ---------- helpers ---------- */
 const getSetScores = (set) => {
@@ -63,6 +87,10 @@ const SHORTCUTS = buildShortcutMap({
   increaseAwayScore: { key: "k" },
   decreaseAwayScore: { key: "m" },
   toggleServing: { key: "s" },
+  homeTimeout: { key: "q" },
+  awayTimeout: { key: "p" },
+  undoAction: { key: "u" },
+  redoAction: { key: "r" },
 });
 
 /* ---------- component ---------- */
@@ -73,8 +101,28 @@ function ControlPanelView({
   // eslint-disable-next-line no-unused-vars
   showTitleEditor = true, // superseded by inline title editor below
   onScoreboardChange,
+  scorerToken = null,
 }) {
-  const { scoreboard, loading, error, updateScoreboard, clearError } = useScoreboard(scoreboardId);
+  const { token: authToken } = useAuth();
+  const {
+    scoreboard,
+    loading,
+    error,
+    updateScoreboard,
+    canUndo,
+    canRedo,
+    undo,
+    redo,
+    completeSet,
+    recordSubstitution,
+    recordSanction,
+    conflict,
+    dismissConflict,
+    reapplyConflict,
+    isOffline,
+    pendingCount,
+    clearError,
+  } = useScoreboard(scoreboardId, { authToken, scorerToken });
   const { shortcutsEnabled } = useSettings();
   const {
     increaseHomeScore,
@@ -82,6 +130,10 @@ function ControlPanelView({
     increaseAwayScore,
     decreaseAwayScore,
     toggleServing,
+    homeTimeout,
+    awayTimeout,
+    undoAction,
+    redoAction,
   } = SHORTCUTS;
 
   const buildShortcutAttributes = (baseTitle, shortcut, options = {}) => {
@@ -118,7 +170,9 @@ function ControlPanelView({
         setColor: team?.setColor || team?.color || "#0b1a3a",
         scoreTextColor: team?.scoreTextColor || "#ffffff",
         textColor: team?.teamTextColor || team?.textColor || "#ffffff",
+        logoUrl: team?.logoUrl || null,
         score: Number.isFinite(Number(team?.score)) ? Math.max(0, Number(team.score)) : 0,
+        timeouts: Number.isFinite(Number(team?.timeouts)) ? Math.max(0, Number(team.timeouts)) : 0,
       }));
     }
     return [
@@ -129,7 +183,9 @@ function ControlPanelView({
         setColor: "#0b1a3a",
         scoreTextColor: "#ffffff",
         textColor: "#ffffff",
+        logoUrl: null,
         score: 0,
+        timeouts: 0,
       },
       {
         name: "Away",
@@ -138,7 +194,9 @@ function ControlPanelView({
         setColor: "#0b1a3a",
         scoreTextColor: "#ffffff",
         textColor: "#ffffff",
+        logoUrl: null,
         score: 0,
+        timeouts: 0,
       },
     ];
   }, [scoreboard?.teams]);
@@ -244,13 +302,85 @@ function ControlPanelView({
   const totalCompletedSets = sets.length;
   const displayedHistoryIndex = Math.min(historyIndex, Math.max(0, totalCompletedSets - 1));
 
+  // Display options carried in the overlay link; a loaded preset is linked by name
+  const [overlayOptions, setOverlayOptions] = useState(DEFAULT_OVERLAY_OPTIONS);
+  const [activeOverlayPreset, setActiveOverlayPreset] = useState(null);
+  const savedOverlayPresets = useMemo(
+    () => (Array.isArray(scoreboard?.overlayPresets) ? scoreboard.overlayPresets : []),
+    [scoreboard?.overlayPresets]
+  );
+
   // Derived URL
   const overlayUrl = useMemo(() => {
     const id = scoreboard?._id || scoreboard?.code || scoreboardId || "";
     const origin =
       typeof window !== "undefined" && window.location?.origin ? window.location.origin : "";
-    return id ? `${origin}/board/${id}/display` : "";
-  }, [scoreboard?._id, scoreboard?.code, scoreboardId]);
+    const query = activeOverlayPreset
+      ? `?preset=${encodeURIComponent(activeOverlayPreset)}`
+      : buildOverlayQuery(overlayOptions);
+    return id ? `${origin}/board/${id}/display${query}` : "";
+  }, [activeOverlayPreset, overlayOptions, scoreboard?._id, scoreboard?.code, scoreboardId]);
+
+  const changeOverlayOptions = (options) => {
+    setOverlayOptions(options);
+    setActiveOverlayPreset(null);
+  };
+
+  const applyOverlayPreset = (preset) => {
+    setOverlayOptions(
+      resolveOverlayOptions(`?preset=${encodeURIComponent(preset.name)}`, savedOverlayPresets)
+    );
+    setActiveOverlayPreset(preset.name);
+  };
+
+  // Saved presets live on the scoreboard; the server broadcasts the updated board
+  const saveOverlayPresets = async (presets, successMessage) => {
+    const id = scoreboard?._id || scoreboardId;
+    if (!authToken || !id) return false;
+
+    try {
+      const response = await fetch(`${API_URL}/api/scoreboards/${id}/overlay-presets`, {
+        method: "PUT",
+        headers: {
+          "Content-Type": "application/json",
+          Authorization: `Bearer ${authToken}`,
+        },
+        body: JSON.stringify({ presets }),
+      });
+      const data = await response.json().catch(() => null);
+
+      if (!response.ok) {
+        showToast("error", data?.message || "Unable to save overlay presets");
+        return false;
+      }
+
+      showToast("info", successMessage);
+      return true;
+    } catch {
+      showToast("error", "Unable to save overlay presets");
+      return false;
+    }
+  };
+
+  const saveOverlayPreset = async (name) => {
+    const key = name.toLowerCase();
+    const saved = await saveOverlayPresets(
+      [
+        ...savedOverlayPresets.filter((preset) => preset.name.toLowerCase() !== key),
+        { name, options: overlayOptions },
+      ],
+      `Preset "${name}" saved`
+    );
+    if (saved) setActiveOverlayPreset(name);
+  };
+
+  const deleteOverlayPreset = async (name) => {
+    const saved = await saveOverlayPresets(
+      savedOverlayPresets.filter((preset) => preset.name !== name),
+      `Preset "${name}" deleted`
+    );
+    if (saved && activeOverlayPreset === name) setActiveOverlayPreset(null);
+  };
 
   const controlUrl = useMemo(() => {
     const id = scoreboard?._id || scoreboard?.code || scoreboardId || "";
@@ -259,6 +389,31 @@ function ControlPanelView({
     return id ? `${origin}/board/${id}/control` : "";
   }, [scoreboard?._id, scoreboard?.code, scoreboardId]);
 
+  // Shared control links carry a scorer token so the recipient can keep score without an account
+  const resolveShareableControlUrl = async () => {
+    const id = scoreboard?._id || scoreboardId;
+    if (!controlUrl || !id) return controlUrl;
+
+    if (authToken) {
+      const response = await fetch(`${API_URL}/api/scoreboards/${id}/scorer-tokens`, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          Authorization: `Bearer ${authToken}`,
+        },
+        body: JSON.stringify({}),
+      });
+      const data = await response.json().catch(() => null);
+
+      if (response.ok && data?.token) {
+        return buildScorerControlUrl(controlUrl, data.token);
+      }
+    }
+
+    const storedToken = scorerToken || loadScorerToken(scoreboard?.code) || loadScorerToken(id);
+    return buildScorerControlUrl(controlUrl, storedToken);
+  };
+
   useEffect(() => {
     setCollapsedColorPanels({ 0: false, 1: false });
     setIsScoreColorsCollapsed(false);
@@ -289,6 +444,13 @@ function ControlPanelView({
     showToast("info", "Name saved");
   };
 
+  const saveTeamLogo = (i, logoUrl) => {
+    updateScoreboard({
+      teams: fallbackTeams.map((t, idx) => (idx === i ? { ...t, logoUrl } : t)),
+    });
+    showToast("info", logoUrl ? "Logo saved" : "Logo removed");
+  };
+
   const handlePanelColorChange = (index, value) => {
     updateScoreboard({
       teams: fallbackTeams.map((team, idx) => {
@@ -437,6 +599,53 @@ function ControlPanelView({
     [updateScoreboard]
   );
 
+  // Uses one of the team's timeouts for the live set and, when enabled, starts the countdown
+  const callTimeout = useCallback(
+    (teamIndex) => {
+      updateScoreboard((current) => {
+        const usedTimeouts = Number(current?.teams?.[teamIndex]?.timeouts) || 0;
+        if (!current?.teams || usedTimeouts >= TIMEOUTS_PER_SET) return null;
+        return {
+          teams: current.teams.map((team, index) =>
+            index === teamIndex ? { ...team, timeouts: usedTimeouts + 1 } : team
+          ),
+          activeTimeout:
+            current.scoring?.timeoutCountdown === false
+              ? null
+              : { teamIndex, startedAt: new Date().toISOString() },
+        };
+      });
+    },
+    [updateScoreboard]
+  );
+
+  const endTimeout = useCallback(() => {
+    updateScoreboard((current) => (current?.activeTimeout ? { activeTimeout: null } : null));
+  }, [updateScoreboard]);
+
+  const updateLineup = useCallback(
+    (buildLineup) => {
+      updateScoreboard((current) => {
+        if (!current) return null;
+        return { lineup: buildLineup(normalizeLineup(current.lineup)) };
+      });
+    },
+    [updateScoreboard]
+  );
+
+  const setLineupEnabled = (enabled) => {
+    updateLineup((lineup) => ({ ...lineup, enabled }));
+  };
+
+  const updateLineupTeam = (teamIndex, changes) => {
+    updateLineup((lineup) => ({
+      ...lineup,
+      teams: lineup.teams.map((team, index) =>
+        index === teamIndex ? { ...team, ...changes(team) } : team
+      ),
+    }));
+  };
+
   const bumpScoreHistory = useCallback(
     (teamIndex, delta) => {
       updateScoreboard((current) => {
@@ -483,7 +692,8 @@ function ControlPanelView({
 
     updateScoreboard({
       sets: nextSets,
-      teams: scoreboard.teams.map((t) => ({ ...t, score: 0 })),
+      teams: scoreboard.teams.map((t) => ({ ...t, score: 0, timeouts: 0 })),
+      activeTimeout: null,
     });
     setHasDraftOverride(true);
     return true;
@@ -609,11 +819,17 @@ function ControlPanelView({
       toggleServing
         ? [toggleServing.normalizedKey, () => setServing(scoreboard.servingTeamIndex === 0 ? 1 : 0)]
         : null,
+      homeTimeout ? [homeTimeout.normalizedKey, () => callTimeout(0)] : null,
+      awayTimeout ? [awayTimeout.normalizedKey, () => callTimeout(1)] : null,
+      undoAction && canUndo ? [undoAction.normalizedKey, undo] : null,
+      redoAction && canRedo ? [redoAction.normalizedKey, redo] : null,
     ].filter(Boolean);
     const handlerMap = new Map(handlerEntries);
 
     const onKey = (e) => {
       if (isFormElementFocused()) return;
+      // Ctrl/Cmd+R must still reload, and a held key must not repeat a point or an undo
+      if (e.ctrlKey || e.metaKey || e.altKey || e.repeat) return;
       const key = typeof e.key === "string" ? e.key.toLowerCase() : "";
       const handler = handlerMap.get(key);
       if (handler) {
@@ -634,6 +850,15 @@ function ControlPanelView({
     increaseAwayScore,
     decreaseAwayScore,
     toggleServing,
+    homeTimeout,
+    awayTimeout,
+    callTimeout,
+    undoAction,
+    redoAction,
+    canUndo,
+    canRedo,
+    undo,
+    redo,
     setServing,
     bumpScoreCurrent,
   ]);
@@ -821,6 +1046,9 @@ function ControlPanelView({
   };
 
   const hasActiveScores = scoreboard?.teams?.some((t) => (t.score ?? 0) > 0);
+  const lineup = normalizeLineup(scoreboard?.lineup);
+  const lineupEnabled = lineup.enabled;
+  const substitutionLimit = getSubstitutionLimit(scoreboard);
   const disableDeleteSet = !deleteStateEligible;
   const canArchiveMoreSets = totalCompletedSets < MAX_COMPLETED_SETS;
 
@@ -939,7 +1167,7 @@ function ControlPanelView({
                 onClick={async () => {
                   if (!controlUrl) return;
                   try {
-                    await navigator.clipboard.writeText(controlUrl);
+                    await navigator.clipboard.writeText(await resolveShareableControlUrl());
                     setControlCopied(true);
                     setTimeout(() => setControlCopied(false), 1500);
                   } catch {
@@ -961,6 +1189,16 @@ function ControlPanelView({
           <div className="control-link-item">
             <div className="control-link-header">
               <span className="control-link-label">Overlay Link</span>
+              {overlayUrl && (
+                <a
+                  className="control-link-action"
+                  href={`/board/${scoreboard?._id || scoreboardId}/graphics`}
+                  target="_blank"
+                  rel="noopener noreferrer"
+                >
+                  Graphics control
+                </a>
+              )}
             </div>
             <div className="control-link-row">
               <a
@@ -1004,8 +1242,19 @@ function ControlPanelView({
             <h3 className="score-preview-title">Overlay Preview</h3>
             <p className="score-preview-subtitle">Live view of the scoreboard with current settings.</p>
           </div>
+          <OverlayOptionsPanel
+            options={overlayOptions}
+            onChange={changeOverlayOptions}
+            activePreset={activeOverlayPreset}
+            savedPresets={savedOverlayPresets}
+            onApplyPreset={applyOverlayPreset}
+            onSavePreset={saveOverlayPreset}
+            onDeletePreset={deleteOverlayPreset}
+            canSavePresets={Boolean(authToken)}
+          />
           <div className="score-preview-frame">
             <ScoreboardOverlay
+              options={overlayOptions}
               scoreboard={scoreboard
                 ? {
                     ...scoreboard,
@@ -1074,6 +1323,24 @@ function ControlPanelView({
 
         {/* Toolbar */}
         <div className="control-toolbar">
+          <button
+            type="button"
+            className="control-tool-button"
+            onClick={undo}
+            disabled={!canUndo}
+            {...buildShortcutAttributes("Undo last change", undoAction)}
+          >
+            Undo
+          </button>
+          <button
+            type="button"
+            className="control-tool-button"
+            onClick={redo}
+            disabled={!canRedo}
+            {...buildShortcutAttributes("Redo change", redoAction)}
+          >
+            Redo
+          </button>
           <button
             type="button"
             className="control-tool-button danger"
@@ -1088,8 +1355,61 @@ function ControlPanelView({
           <button type="button" className="control-tool-button reset" onClick={resetScores} disabled={!hasActiveScores}>
             Reset Scores
           </button>
+          <label className="control-tool-select">
+            <span>Set completion</span>
+            <select
+              value={resolveAutoCompleteMode(scoreboard)}
+              onChange={(event) => updateScoreboard({ scoring: { autoComplete: event.target.value } })}
+            >
+              <option value="confirm">Ask to close</option>
+              <option value="auto">Close automatically</option>
+              <option value="off">Manual</option>
+            </select>
+          </label>
+          <label className="control-tool-select">
+            <span>Lineups</span>
+            <select
+              value={lineupEnabled ? "on" : "off"}
+              onChange={(event) => setLineupEnabled(event.target.value === "on")}
+            >
+              <option value="off">Off</option>
+              <option value="on">Track rotation</option>
+            </select>
+          </label>
+          <label className="control-tool-select">
+            <span>Timeout clock</span>
+            <select
+              value={scoreboard?.scoring?.timeoutCountdown === false ? "off" : "on"}
+              onChange={(event) =>
+                updateScoreboard({ scoring: { timeoutCountdown: event.target.value === "on" } })
+              }
+            >
+              <option value="on">30s countdown</option>
+              <option value="off">Off</option>
+            </select>
+          </label>
         </div>
 
+        <ScoreboardSyncStatus isOffline={isOffline} pendingCount={pendingCount} />
+        {[0, 1].includes(scoreboard?.activeTimeout?.teamIndex) && (
+          <TimeoutCountdown
+            activeTimeout={scoreboard.activeTimeout}
+            teamName={fallbackTeams[scoreboard.activeTimeout.teamIndex].name}
+          >
+            <button type="button" className="control-tool-button" onClick={endTimeout}>
+              End timeout
+            </button>
+          </TimeoutCountdown>
+        )}
+        <ScoreboardConflictNotice
+          conflict={conflict}
+          scoreboard={scoreboard}
+          onReapply={reapplyConflict}
+          onDismiss={dismissConflict}
+        />
+        <SetPointWarning scoreboard={scoreboard} />
+        <SetCompletionPrompt scoreboard={scoreboard} onCompleteSet={completeSet} />
+
         {/* Team cards */}
         <div className="control-grid">
           {fallbackTeams.map((t, i) => {
@@ -1110,6 +1430,14 @@ function ControlPanelView({
             const serveShortcutAttrs = buildShortcutAttributes(serveLabel, toggleServing, {
               ariaLabel: serveLabel,
             });
+            const timeoutsLeft = Math.max(0, TIMEOUTS_PER_SET - t.timeouts);
+            const rotationServer = getRotationServer(lineup, i);
+            const timeoutLabel = `Call ${teamHeadingLabel} timeout`;
+            const timeoutShortcutAttrs = buildShortcutAttributes(
+              timeoutLabel,
+              i === 0 ? homeTimeout : awayTimeout,
+              { ariaLabel: timeoutLabel }
+            );
 
             return (
               <div key={i} className={`control-card ${isServing ? "serving" : ""}`} style={{ "--team-accent": t.color }}>
@@ -1122,6 +1450,7 @@ function ControlPanelView({
                       {...serveShortcutAttrs}
                     >
                       {isServing ? "Serving" : "Set to serve"}
+                      {isServing && rotationServer ? ` #${rotationServer}` : ""}
                     </button>
                   )}
                 </div>
@@ -1156,6 +1485,9 @@ function ControlPanelView({
                     </div>
                   ) : (
                     <div className="team-name-row">
+                      {t.logoUrl && (
+                        <img className="team-logo-badge" src={t.logoUrl} alt={`${teamHeadingLabel} logo`} />
+                      )}
                       <h4 className="team-name-text" title={t.name}>{formatTeamNameForControl(t.name)}</h4>
                       <button
                         type="button"
@@ -1169,8 +1501,66 @@ function ControlPanelView({
                   )}
                 </div>
 
+                <TeamLogoField
+                  key={t.logoUrl || "no-logo"}
+                  teamName={teamHeadingLabel}
+                  logoUrl={t.logoUrl}
+                  onSave={(logoUrl) => saveTeamLogo(i, logoUrl)}
+                />
+
                 <div className="control-card-score-row">{renderScoreControls(i)}</div>
 
+                {mode === "current" && (
+                  <div className="team-timeout-row">
+                    <span
+                      className="team-timeout-pips"
+                      aria-label={`${teamHeadingLabel} timeouts remaining: ${timeoutsLeft}`}
+                    >
+                      {Array.from({ length: TIMEOUTS_PER_SET }, (_, pipIndex) => (
+                        <span
+                          key={pipIndex}
+                          className={`team-timeout-pip${pipIndex < t.timeouts ? " is-used" : ""}`}
+                        />
+                      ))}
+                    </span>
+                    <button
+                      type="button"
+                      className="control-tool-button"
+                      onClick={() => callTimeout(i)}
+                      disabled={timeoutsLeft === 0}
+                      {...timeoutShortcutAttrs}
+                    >
+                      Timeout ({timeoutsLeft} left)
+                    </button>
+                  </div>
+                )}
+
+                {mode === "current" && lineupEnabled && (
+                  <LineupEditor
+                    key={lineup.teams[i].starters.join("-")}
+                    teamName={teamHeadingLabel}
+                    lineupTeam={lineup.teams[i]}
+                    isServing={isServing}
+                    onSave={(starters) => updateLineupTeam(i, () => ({ starters }))}
+                    onRotate={(delta) =>
+                      updateLineupTeam(i, (team) => ({
+                        rotation: (team.rotation + delta + LINEUP_SIZE) % LINEUP_SIZE,
+                      }))
+                    }
+                  />
+                )}
+
+                {mode === "current" && (
+                  <OfficialEntries
+                    teamName={teamHeadingLabel}
+                    substitutions={getLiveSetEntries(scoreboard, "substitutions", i)}
+                    sanctions={getLiveSetEntries(scoreboard, "sanctions", i)}
+                    substitutionLimit={substitutionLimit}
+                    onSubstitute={(entry) => recordSubstitution({ ...entry, teamIndex: i })}
+                    onSanction={(entry) => recordSanction({ ...entry, teamIndex: i })}
+                  />
+                )}
+
                 <div
                   className={`team-color-controls ${
                     collapsedColorPanels?.[i] ? "is-collapsed" : ""
@@ -0,0 +1,42 @@
+import { useEffect, useRef } from "react";
+
+import { useEmbedResize } from "../hooks/useEmbedResize.js";
+import { buildEmbedStyle } from "../utils/embedOptions.js";
+
+/**
+ * Themed container shared by the embeddable widgets. Applies the resolved embed options
+ * as CSS variables and reports its height to the host page.
+ */
+function EmbedFrame({ options, label, children }) {
+  const frameRef = useRef(null);
+  useEmbedResize(frameRef);
+
+  // Let the host page show through around the widget
+  useEffect(() => {
+    document.body.classList.add("overlay-mode");
+    document.documentElement.classList.add("overlay-mode");
+
+    return () => {
+      document.body.classList.remove("overlay-mode");
+      document.documentElement.classList.remove("overlay-mode");
+    };
+  }, []);
+
+  return (
+    <section
+      ref={frameRef}
+      className={`embed-widget embed-widget--${options.theme}`}
+      style={buildEmbedStyle(options)}
+      aria-label={label}
+    >
+      {children}
+      <p className="embed-widget__credit">
+        <a href="/" target="_blank" rel="noopener noreferrer">
+          Live scores by Scorebugger
+        </a>
+      </p>
+    </section>
+  );
+}
+
+export default EmbedFrame;
@@ -0,0 +1,387 @@
+import { useState } from "react";
+
+import { API_URL } from "../config/env.js";
+import {
+  BUILDER_BRACKET_TYPES,
+  BUILDER_POOL_SIZES,
+  buildFormatDefinition,
+  createFormatDraft,
+  getBracketSizes,
+  getDraftTeamCount,
+  getNextPoolName,
+  isSingleElimType,
+} from "../utils/formatBuilder.js";
+
+/**
+ * Builds a custom tournament format from pools, an optional crossover and playoff
+ * brackets, checks it against the server validator, and saves it to the caller's
+ * format library (optionally shared with other admins).
+ */
+function FormatBuilder({ teamCount, token, onSaved }) {
+  const [open, setOpen] = useState(false);
+  const [draft, setDraft] = useState(() => createFormatDraft(teamCount));
+  const [errors, setErrors] = useState([]);
+  const [status, setStatus] = useState("");
+  const [busy, setBusy] = useState(false);
+
+  const draftTeamCount = getDraftTeamCount(draft);
+  const poolNames = draft.pools.map((pool) => pool.name);
+
+  const updateDraft = (changes) => {
+    setDraft((previous) => ({ ...previous, ...changes }));
+    setStatus("");
+    setErrors([]);
+  };
+
+  const updatePool = (index, changes) =>
+    updateDraft({
+      pools: draft.pools.map((pool, poolIndex) =>
+        poolIndex === index ? { ...pool, ...changes } : pool
+      ),
+    });
+
+  const updateBracket = (index, changes) =>
+    updateDraft({
+      brackets: draft.brackets.map((bracket, bracketIndex) =>
+        bracketIndex === index ? { ...bracket, ...changes } : bracket
+      ),
+    });
+
+  const request = async (path, body) => {
+    const response = await fetch(`${API_URL}/api/tournament-formats${path}`, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        Authorization: `Bearer ${token}`,
+      },
+      body: JSON.stringify(body),
+    });
+    const data = await response.json().catch(() => null);
+
+    if (!response.ok) {
+      throw new Error(data?.message || "Format request failed");
+    }
+
+    return data;
+  };
+
+  const handleValidate = async () => {
+    setBusy(true);
+    try {
+      const result = await request("/validate", { definition: buildFormatDefinition(draft) });
+      setErrors(result?.errors || []);
+      setStatus(result?.valid ? `Format is valid for ${draftTeamCount} teams.` : "");
+    } catch (error) {
+      setErrors([error.message]);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleSave = async () => {
+    setBusy(true);
+    try {
+      const saved = await request("", {
+        definition: buildFormatDefinition(draft),
+        shared: draft.shared,
+      });
+      setErrors([]);
+      setStatus(`Saved ${saved.name}.`);
+      onSaved?.(saved);
+    } catch (error) {
+      setErrors(error.message.split("; "));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  if (!open) {
+    return (
+      <section className="phase1-standings format-builder">
+        <h2 className="secondary-title">Custom Formats</h2>
+        <p className="subtle">
+          Need a format that is not listed? Build one from pools and playoff brackets.
+        </p>
+        <button
+          type="button"
+          className="secondary-button"
+          onClick={() => {
+            setDraft(createFormatDraft(teamCount));
+            setOpen(true);
+          }}
+        >
+          Build a Custom Format
+        </button>
+      </section>
+    );
+  }
+
+  return (
+    <section className="phase1-standings format-builder" aria-label="Format builder">
+      <h2 className="secondary-title">Format Builder</h2>
+
+      <div className="format-input-grid">
+        <label className="format-input-card" htmlFor="format-builder-name">
+          <span className="format-input-label">Format name</span>
+          <input
+            className="format-input-control"
+            id="format-builder-name"
+            type="text"
+            maxLength={80}
+            value={draft.name}
+            onChange={(event) => updateDraft({ name: event.target.value })}
+          />
+        </label>
+        <label className="format-input-card" htmlFor="format-builder-description">
+          <span className="format-input-label">Description</span>
+          <input
+            className="format-input-control"
+            id="format-builder-description"
+            type="text"
+            maxLength={300}
+            value={draft.description}
+            onChange={(event) => updateDraft({ description: event.target.value })}
+          />
+        </label>
+        <label className="format-input-card" htmlFor="format-builder-min-courts">
+          <span className="format-input-label">Minimum courts</span>
+          <input
+            className="format-input-control"
+            id="format-builder-min-courts"
+            type="number"
+            min={1}
+            max={64}
+            value={draft.minCourts}
+            onChange={(event) => updateDraft({ minCourts: event.target.value })}
+          />
+        </label>
+      </div>
+
+      <h3>Pool Play</h3>
+      <p className="subtle">
+        Pools hold {draftTeamCount} teams
+        {Number(teamCount) > 0 && draftTeamCount !== Number(teamCount)
+          ? `; this tournament has ${teamCount}.`
+          : "."}
+      </p>
+      <ul className="format-builder__list">
+        {draft.pools.map((pool, index) => (
+          <li key={pool.name || index} className="format-builder__row">
+            <span className="format-builder__pool-name">Pool {pool.name}</span>
+            <select
+              className="format-input-control format-input-control--select"
+              aria-label={`Pool ${pool.name} size`}
+              value={pool.size}
+              onChange={(event) => updatePool(index, { size: Number(event.target.value) })}
+            >
+              {BUILDER_POOL_SIZES.map((size) => (
+                <option key={size} value={size}>
+                  {size} teams
+                </option>
+              ))}
+            </select>
+            <button
+              type="button"
+              className="secondary-button"
+              aria-label={`Remove pool ${pool.name}`}
+              onClick={() => updateDraft({ pools: draft.pools.filter((_, i) => i !== index) })}
+              disabled={draft.pools.length <= 1}
+            >
+              Remove
+            </button>
+          </li>
+        ))}
+      </ul>
+      <button
+        type="button"
+        className="secondary-button"
+        onClick={() =>
+          updateDraft({
+            pools: [...draft.pools, { name: getNextPoolName(draft.pools), size: 4 }],
+          })
+        }
+        disabled={!getNextPoolName(draft.pools)}
+      >
+        Add Pool
+      </button>
+
+      <h3>Crossover</h3>
+      <label className="format-builder__row">
+        <input
+          type="checkbox"
+          checked={draft.crossover.enabled}
+          onChange={(event) =>
+            updateDraft({ crossover: { ...draft.crossover, enabled: event.target.checked } })
+          }
+        />
+        Play a rank-to-rank crossover between two pools
+      </label>
+      {draft.crossover.enabled && (
+        <div className="format-builder__row">
+          {[0, 1].map((slot) => (
+            <select
+              key={slot}
+              className="format-input-control format-input-control--select"
+              aria-label={`Crossover pool ${slot + 1}`}
+              value={draft.crossover.fromPools[slot]}
+              onChange={(event) => {
+                const fromPools = [...draft.crossover.fromPools];
+                fromPools[slot] = event.target.value;
+                updateDraft({ crossover: { ...draft.crossover, fromPools } });
+              }}
+            >
+              <option value="">Select pool</option>
+              {poolNames.map((name) => (
+                <option key={name} value={name}>
+                  Pool {name}
+                </option>
+              ))}
+            </select>
+          ))}
+        </div>
+      )}
+
+      <h3>Playoffs</h3>
+      <ul className="format-builder__list">
+        {draft.brackets.map((bracket, index) => (
+          <li key={index} className="format-builder__row">
+            <input
+              className="format-input-control"
+              type="text"
+              maxLength={40}
+              aria-label={`Bracket ${index + 1} name`}
+              value={bracket.name}
+              onChange={(event) => updateBracket(index, { name: event.target.value })}
+            />
+            <select
+              className="format-input-control format-input-control--select"
+              aria-label={`Bracket ${index + 1} type`}
+              value={bracket.type}
+              onChange={(event) =>
+                updateBracket(index, {
+                  type: event.target.value,
+                  size: getBracketSizes(event.target.value)[0],
+                })
+              }
+            >
+              {BUILDER_BRACKET_TYPES.map((entry) => (
+                <option key={entry.type} value={entry.type}>
+                  {entry.label}
+                </option>
+              ))}
+            </select>
+            <select
+              className="format-input-control format-input-control--select"
+              aria-label={`Bracket ${index + 1} size`}
+              value={bracket.size}
+              onChange={(event) => updateBracket(index, { size: Number(event.target.value) })}
+            >
+              {getBracketSizes(bracket.type).map((size) => (
+                <option key={size} value={size}>
+                  {size} teams
+                </option>
+              ))}
+            </select>
+            <label className="format-builder__seed">
+              Seeds from
+              <input
+                className="format-input-control"
+                type="number"
+                min={1}
+                aria-label={`Bracket ${index + 1} first seed`}
+                value={bracket.firstSeed}
+                onChange={(event) => updateBracket(index, { firstSeed: event.target.value })}
+              />
+            </label>
+            {isSingleElimType(bracket.type) && Number(bracket.size) >= 4 && (
+              <label className="format-builder__seed">
+                <input
+                  type="checkbox"
+                  aria-label={`Bracket ${index + 1} third-place match`}
+                  checked={bracket.thirdPlaceMatch === true}
+                  onChange={(event) =>
+                    updateBracket(index, { thirdPlaceMatch: event.target.checked })
+                  }
+                />
+                Third-place match
+              </label>
+            )}
+            {bracket.type === "doubleElim" && (
+              <label className="format-builder__seed">
+                <input
+                  type="checkbox"
+                  aria-label={`Bracket ${index + 1} if-necessary final`}
+                  checked={bracket.ifNecessaryFinal === true}
+                  onChange={(event) =>
+                    updateBracket(index, { ifNecessaryFinal: event.target.checked })
+                  }
+                />
+                If-necessary final
+              </label>
+            )}
+            <button
+              type="button"
+              className="secondary-button"
+              aria-label={`Remove bracket ${index + 1}`}
+              onClick={() =>
+                updateDraft({ brackets: draft.brackets.filter((_, i) => i !== index) })
+              }
+            >
+              Remove
+            </button>
+          </li>
+        ))}
+      </ul>
+      <button
+        type="button"
+        className="secondary-button"
+        onClick={() => {
+          const lastBracket = draft.brackets[draft.brackets.length - 1];
+          const firstSeed = lastBracket
+            ? (Number(lastBracket.firstSeed) || 1) + Number(lastBracket.size)
+            : 1;
+          updateDraft({
+            brackets: [
+              ...draft.brackets,
+              { name: "", type: "singleElim", size: 4, firstSeed },
+            ],
+          });
+        }}
+      >
+        Add Bracket
+      </button>
+
+      <label className="format-builder__row">
+        <input
+          type="checkbox"
+          checked={draft.shared}
+          onChange={(event) => updateDraft({ shared: event.target.checked })}
+        />
+        Share this format with other tournament admins
+      </label>
+
+      {errors.length > 0 && (
+        <ul className="error format-builder__errors">
+          {errors.map((message) => (
+            <li key={message}>{message}</li>
+          ))}
+        </ul>
+      )}
+      {status && <p className="subtle phase1-success">{status}</p>}
+
+      <div className="phase1-admin-actions">
+        <button type="button" className="secondary-button" onClick={handleValidate} disabled={busy}>
+          Validate
+        </button>
+        <button type="button" className="primary-button" onClick={handleSave} disabled={busy}>
+          {busy ? "Saving..." : "Save Format"}
+        </button>
+        <button type="button" className="secondary-button" onClick={() => setOpen(false)}>
+          Close
+        </button>
+      </div>
+    </section>
+  );
+}
+
+export default FormatBuilder;
@@ -0,0 +1,76 @@
+import { useState } from "react";
+import { POSITION_LABELS, sanitizeJerseyNumber } from "../utils/lineup.js";
+
+/**
+ * Starting lineup for one team in the live set. `starters` are the jersey numbers in
+ * positions I-VI when the set began; the server advances `rotation` on side-outs, and the
+ * rotate buttons correct it by hand. Remount (via `key`) when the saved starters change.
+ */
+function LineupEditor({ teamName, lineupTeam, isServing, onSave, onRotate }) {
+  const [drafts, setDrafts] = useState(lineupTeam.starters);
+  const { rotation, starters } = lineupTeam;
+  const server = starters[rotation];
+  const isDirty = drafts.some((value, index) => value !== starters[index]);
+
+  return (
+    <div className="lineup-editor">
+      <div className="lineup-editor__header">
+        <span>Rotation {rotation + 1}</span>
+        <span className={`lineup-editor__server${isServing ? " is-serving" : ""}`}>
+          {server ? `#${server} in position I` : "Position I empty"}
+        </span>
+      </div>
+      <div className="lineup-editor__grid">
+        {POSITION_LABELS.map((label, position) => (
+          <label
+            key={label}
+            className={`lineup-editor__slot${position === rotation ? " is-server" : ""}`}
+          >
+            <span>{label}</span>
+            <input
+              type="text"
+              inputMode="numeric"
+              maxLength={3}
+              value={drafts[position]}
+              aria-label={`${teamName} starter position ${label}`}
+              onChange={(event) => {
+                const value = sanitizeJerseyNumber(event.target.value);
+                setDrafts((current) =>
+                  current.map((draft, index) => (index === position ? value : draft))
+                );
+              }}
+            />
+          </label>
+        ))}
+      </div>
+      <div className="lineup-editor__actions">
+        <button
+          type="button"
+          className="control-tool-button"
+          onClick={() => onRotate(-1)}
+          aria-label={`Rotate ${teamName} back`}
+        >
+          Rotate back
+        </button>
+        <button
+          type="button"
+          className="control-tool-button"
+          onClick={() => onRotate(1)}
+          aria-label={`Rotate ${teamName} forward`}
+        >
+          Rotate forward
+        </button>
+        <button
+          type="button"
+          className="control-tool-button"
+          onClick={() => onSave(drafts)}
+          disabled={!isDirty}
+        >
+          Save lineup
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default LineupEditor;
@@ -0,0 +1,54 @@
+function formatTeam(team) {
+  return team?.shortName || "TBD";
+}
+
+function LiveCourtCard({ card }) {
+  const summary = card.scoreSummary || {};
+  const rows = [
+    { key: "A", team: card.teamA, sets: summary.setsA ?? 0, points: summary.pointsA ?? 0 },
+    { key: "B", team: card.teamB, sets: summary.setsB ?? 0, points: summary.pointsB ?? 0 },
+  ];
+
+  return (
+    <li className="live-courts__card">
+      <p className="live-courts__court">{card.courtLabel || card.courtCode || "Court"}</p>
+      {rows.map((row) => (
+        <p key={row.key} className="live-courts__team">
+          <span className="live-courts__name">
+            {formatTeam(row.team)}
+            {card.serving === row.key && (
+              <span className="live-courts__serve" aria-label="Serving" />
+            )}
+          </span>
+          <span className="live-courts__sets">{row.sets}</span>
+          <span className="live-courts__points">{row.points}</span>
+        </p>
+      ))}
+    </li>
+  );
+}
+
+/**
+ * "Live on other courts" strip: a compact card per live match with sets, points and the
+ * serving team, kept current by SCOREBOARD_SUMMARY events.
+ */
+function LiveCourtsOverlay({ cards }) {
+  const entries = Array.isArray(cards) ? cards : [];
+
+  if (entries.length === 0) {
+    return null;
+  }
+
+  return (
+    <section className="live-courts" aria-label="Live on other courts">
+      <h2 className="live-courts__heading">Live on other courts</h2>
+      <ul className="live-courts__list">
+        {entries.map((card) => (
+          <LiveCourtCard key={card.matchId} card={card} />
+        ))}
+      </ul>
+    </section>
+  );
+}
+
+export default LiveCourtsOverlay;
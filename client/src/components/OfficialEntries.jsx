@@ -0,0 +1,116 @@
+import { useState } from "react";
+import { sanitizeJerseyNumber } from "../utils/lineup.js";
+import { SANCTION_LABELS } from "../utils/officiating.js";
+
+const formatEntryScore = (scores) => `${scores?.[0] ?? 0}-${scores?.[1] ?? 0}`;
+
+/**
+ * Substitution and sanction entry for one team in the live set. The server enforces the
+ * substitution limit and applies red card points; this only collects jersey numbers.
+ */
+function OfficialEntries({
+  teamName,
+  substitutions,
+  sanctions,
+  substitutionLimit,
+  onSubstitute,
+  onSanction,
+}) {
+  const [playerIn, setPlayerIn] = useState("");
+  const [playerOut, setPlayerOut] = useState("");
+  const [sanctionedPlayer, setSanctionedPlayer] = useState("");
+  const substitutionsLeft = Math.max(0, substitutionLimit - substitutions.length);
+  const canSubstitute =
+    substitutionsLeft > 0 && Boolean(playerIn) && Boolean(playerOut) && playerIn !== playerOut;
+
+  const submitSubstitution = () => {
+    if (!canSubstitute) return;
+    onSubstitute({ playerIn, playerOut });
+    setPlayerIn("");
+    setPlayerOut("");
+  };
+
+  const submitSanction = (type) => {
+    onSanction({ type, player: sanctionedPlayer });
+    setSanctionedPlayer("");
+  };
+
+  return (
+    <div className="official-entries">
+      <div className="official-entries__header">
+        <span>Substitutions</span>
+        <span aria-label={`${teamName} substitutions used`}>
+          {substitutions.length}/{substitutionLimit}
+        </span>
+      </div>
+      <div className="official-entries__row">
+        <input
+          type="text"
+          inputMode="numeric"
+          maxLength={3}
+          placeholder="In"
+          value={playerIn}
+          aria-label={`${teamName} player in`}
+          onChange={(event) => setPlayerIn(sanitizeJerseyNumber(event.target.value))}
+        />
+        <input
+          type="text"
+          inputMode="numeric"
+          maxLength={3}
+          placeholder="Out"
+          value={playerOut}
+          aria-label={`${teamName} player out`}
+          onChange={(event) => setPlayerOut(sanitizeJerseyNumber(event.target.value))}
+        />
+        <button
+          type="button"
+          className="control-tool-button"
+          onClick={submitSubstitution}
+          disabled={!canSubstitute}
+          aria-label={`Record ${teamName} substitution`}
+        >
+          Substitute
+        </button>
+      </div>
+      <div className="official-entries__row">
+        <input
+          type="text"
+          inputMode="numeric"
+          maxLength={3}
+          placeholder="Player"
+          value={sanctionedPlayer}
+          aria-label={`${teamName} sanctioned player`}
+          onChange={(event) => setSanctionedPlayer(sanitizeJerseyNumber(event.target.value))}
+        />
+        {Object.entries(SANCTION_LABELS).map(([type, label]) => (
+          <button
+            key={type}
+            type="button"
+            className={`control-tool-button official-entries__card is-${type}`}
+            onClick={() => submitSanction(type)}
+            aria-label={`Give ${teamName} a ${label.toLowerCase()}`}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+      {(substitutions.length > 0 || sanctions.length > 0) && (
+        <ul className="official-entries__log">
+          {substitutions.map((entry, index) => (
+            <li key={`sub-${index}`}>
+              #{entry.playerIn} for #{entry.playerOut} ({formatEntryScore(entry.scores)})
+            </li>
+          ))}
+          {sanctions.map((entry, index) => (
+            <li key={`card-${index}`} className={`is-${entry.type}`}>
+              {SANCTION_LABELS[entry.type]}
+              {entry.player ? ` #${entry.player}` : ""} ({formatEntryScore(entry.scores)})
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default OfficialEntries;
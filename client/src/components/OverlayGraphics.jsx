@@ -0,0 +1,176 @@
+import { useEffect, useState } from "react";
+import { normalizeSet, sanitizeTeam } from "./scoreboardOverlay.utils.js";
+
+const GRAPHIC_EXIT_MS = 400;
+
+// Keeps a graphic mounted for its exit animation after it is switched off
+function useGraphicPresence(visible) {
+  const [mounted, setMounted] = useState(visible);
+
+  if (visible && !mounted) {
+    setMounted(true);
+  }
+
+  useEffect(() => {
+    if (visible || !mounted) {
+      return undefined;
+    }
+
+    const timer = setTimeout(() => setMounted(false), GRAPHIC_EXIT_MS);
+    return () => clearTimeout(timer);
+  }, [mounted, visible]);
+
+  return { isMounted: visible || mounted, isLeaving: !visible && mounted };
+}
+
+function GraphicLayer({ visible, className, label, children }) {
+  const { isMounted, isLeaving } = useGraphicPresence(visible);
+
+  if (!isMounted) return null;
+
+  return (
+    <section
+      className={`overlay-graphic ${className}${isLeaving ? " is-leaving" : ""}`}
+      aria-label={label}
+      aria-hidden={isLeaving}
+    >
+      {children}
+    </section>
+  );
+}
+
+function SetSummaryCard({ scoreboard }) {
+  const teams = [sanitizeTeam(scoreboard?.teams?.[0], 0), sanitizeTeam(scoreboard?.teams?.[1], 1)];
+  const sets = Array.isArray(scoreboard?.sets) ? scoreboard.sets.map(normalizeSet) : [];
+  const setWins = [0, 1].map(
+    (index) => sets.filter((scores) => scores[index] > scores[1 - index]).length
+  );
+
+  return (
+    <table className="overlay-graphic__table">
+      <thead>
+        <tr>
+          <th scope="col">Team</th>
+          {sets.map((_, index) => (
+            <th key={index} scope="col">
+              Set {index + 1}
+            </th>
+          ))}
+          <th scope="col">Sets</th>
+        </tr>
+      </thead>
+      <tbody>
+        {teams.map((team, teamIndex) => (
+          <tr key={teamIndex}>
+            <th scope="row" style={{ borderLeftColor: team.color }}>
+              {team.name}
+            </th>
+            {sets.map((scores, setIndex) => (
+              <td
+                key={setIndex}
+                className={scores[teamIndex] > scores[1 - teamIndex] ? "is-winner" : undefined}
+              >
+                {scores[teamIndex]}
+              </td>
+            ))}
+            <td className="overlay-graphic__total">{setWins[teamIndex]}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
+
+function StandingsCard({ standings }) {
+  return (
+    <>
+      <h2 className="overlay-graphic__heading">Pool {standings.poolName}</h2>
+      <table className="overlay-graphic__table">
+        <thead>
+          <tr>
+            <th scope="col">#</th>
+            <th scope="col">Team</th>
+            <th scope="col">W-L</th>
+            <th scope="col">Sets</th>
+          </tr>
+        </thead>
+        <tbody>
+          {standings.teams.map((team) => (
+            <tr key={`${team.rank}-${team.name}`}>
+              <td>{team.rank}</td>
+              <th scope="row">{team.name}</th>
+              <td>
+                {team.matchesWon}-{team.matchesLost}
+              </td>
+              <td>
+                {team.setsWon}-{team.setsLost}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </>
+  );
+}
+
+/**
+ * Producer-controlled broadcast graphics drawn over the score bug: a set summary card,
+ * a match title lower-third, pool standings, and the next match on this court. Each
+ * animates in when switched on and out when switched off (see GRAPHIC_EXIT_MS).
+ */
+function OverlayGraphics({ graphics, scoreboard }) {
+  if (!graphics) return null;
+
+  const { visible = {}, matchTitle, standings, nextMatch } = graphics;
+
+  return (
+    <div className="overlay-graphics">
+      <div className="overlay-graphics__center">
+        <GraphicLayer
+          visible={Boolean(visible.setSummary)}
+          className="overlay-graphic--card"
+          label="Set summary"
+        >
+          <SetSummaryCard scoreboard={scoreboard} />
+        </GraphicLayer>
+        <GraphicLayer
+          visible={Boolean(visible.standings && standings)}
+          className="overlay-graphic--card"
+          label="Pool standings"
+        >
+          {standings && <StandingsCard standings={standings} />}
+        </GraphicLayer>
+        <GraphicLayer
+          visible={Boolean(visible.nextMatch && nextMatch)}
+          className="overlay-graphic--card"
+          label="Next match"
+        >
+          {nextMatch && (
+            <>
+              <h2 className="overlay-graphic__heading">
+                Up Next{nextMatch.court ? ` · ${nextMatch.court}` : ""}
+              </h2>
+              <p className="overlay-graphic__matchup">
+                <span>{nextMatch.teamA}</span>
+                <span className="overlay-graphic__versus">vs</span>
+                <span>{nextMatch.teamB}</span>
+              </p>
+            </>
+          )}
+        </GraphicLayer>
+      </div>
+      <GraphicLayer
+        visible={Boolean(visible.matchTitle)}
+        className="overlay-graphic--lower-third"
+        label="Match title"
+      >
+        <p className="overlay-graphic__title">{matchTitle?.title}</p>
+        {matchTitle?.subtitle && (
+          <p className="overlay-graphic__subtitle">{matchTitle.subtitle}</p>
+        )}
+      </GraphicLayer>
+    </div>
+  );
+}
+
+export default OverlayGraphics;
@@ -0,0 +1,156 @@
+import { useState } from "react";
+import {
+  BUILT_IN_OVERLAY_PRESETS,
+  OVERLAY_LAYOUTS,
+  OVERLAY_LAYOUT_LABELS,
+  OVERLAY_POSITIONS,
+} from "../utils/overlayOptions.js";
+
+const POSITION_LABELS = {
+  "top-left": "Top left",
+  "top-right": "Top right",
+  "bottom-left": "Bottom left",
+  "bottom-right": "Bottom right",
+  center: "Center",
+};
+
+/**
+ * Edits the display options carried in the overlay link. Presets saved on the scoreboard
+ * (owners and tournament admins only) can be loaded with `?preset=<name>`.
+ */
+function OverlayOptionsPanel({
+  options,
+  onChange,
+  activePreset,
+  savedPresets,
+  onApplyPreset,
+  onSavePreset,
+  onDeletePreset,
+  canSavePresets,
+}) {
+  const [presetName, setPresetName] = useState("");
+  const update = (changes) => onChange({ ...options, ...changes });
+  const presets = [...savedPresets, ...BUILT_IN_OVERLAY_PRESETS];
+  const savedNames = new Set(savedPresets.map((preset) => preset.name.toLowerCase()));
+
+  return (
+    <div className="overlay-options">
+      <div className="overlay-options__grid">
+        <label className="control-tool-select">
+          <span>Layout</span>
+          <select value={options.layout} onChange={(event) => update({ layout: event.target.value })}>
+            {OVERLAY_LAYOUTS.map((layout) => (
+              <option key={layout} value={layout}>
+                {OVERLAY_LAYOUT_LABELS[layout]}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="control-tool-select">
+          <span>Position</span>
+          <select
+            value={options.position}
+            onChange={(event) => update({ position: event.target.value })}
+          >
+            {OVERLAY_POSITIONS.map((position) => (
+              <option key={position} value={position}>
+                {POSITION_LABELS[position]}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="control-tool-select">
+          <span>Scale</span>
+          <input
+            type="number"
+            min={0.25}
+            max={4}
+            step={0.05}
+            value={options.scale}
+            onChange={(event) => update({ scale: Number(event.target.value) || 1 })}
+          />
+        </label>
+        <label className="control-tool-select">
+          <span>Name length</span>
+          <input
+            type="number"
+            min={3}
+            max={30}
+            value={options.nameLength}
+            onChange={(event) => update({ nameLength: Number(event.target.value) || 10 })}
+          />
+        </label>
+        <label className="overlay-options__toggle">
+          <input
+            type="checkbox"
+            checked={options.showSets}
+            onChange={(event) => update({ showSets: event.target.checked })}
+          />
+          <span>Show set columns</span>
+        </label>
+        <label className="overlay-options__toggle">
+          <input
+            type="checkbox"
+            checked={options.transparent}
+            onChange={(event) => update({ transparent: event.target.checked })}
+          />
+          <span>Transparent background</span>
+        </label>
+      </div>
+
+      <div className="overlay-options__presets">
+        <span className="control-link-label">Presets</span>
+        <div className="overlay-options__preset-list">
+          {presets.map((preset) => (
+            <span key={preset.name} className="overlay-options__preset">
+              <button
+                type="button"
+                className={`control-tool-button${activePreset === preset.name ? " is-active" : ""}`}
+                onClick={() => onApplyPreset(preset)}
+                aria-pressed={activePreset === preset.name}
+              >
+                {preset.name}
+              </button>
+              {canSavePresets && savedNames.has(preset.name.toLowerCase()) && (
+                <button
+                  type="button"
+                  className="team-name-button cancel"
+                  onClick={() => onDeletePreset(preset.name)}
+                  aria-label={`Delete preset ${preset.name}`}
+                >
+                  ×
+                </button>
+              )}
+            </span>
+          ))}
+        </div>
+        {canSavePresets && (
+          <form
+            className="overlay-options__save"
+            onSubmit={(event) => {
+              event.preventDefault();
+              const name = presetName.trim();
+              if (!name) return;
+              onSavePreset(name);
+              setPresetName("");
+            }}
+          >
+            <input
+              type="text"
+              maxLength={30}
+              placeholder="Preset name"
+              value={presetName}
+              aria-label="Preset name"
+              onChange={(event) => setPresetName(event.target.value)}
+            />
+            <button type="submit" className="control-tool-button" disabled={!presetName.trim()}>
+              Save preset
+            </button>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default OverlayOptionsPanel;
@@ -0,0 +1,47 @@
+import { useEffect, useState } from "react";
+import { SANCTION_LABELS, getSanctionRemainingSeconds } from "../utils/officiating.js";
+
+/**
+ * Briefly announces a yellow or red card on overlays, then hides itself.
+ * A new sanction (different `createdAt`) shows again for the full duration.
+ */
+function SanctionCallout({ sanction, teamName }) {
+  const [nowMs, setNowMs] = useState(() => Date.now());
+
+  useEffect(() => {
+    setNowMs(Date.now());
+
+    if (!sanction) {
+      return undefined;
+    }
+
+    const timerId = window.setInterval(() => {
+      const now = Date.now();
+      setNowMs(now);
+
+      if (getSanctionRemainingSeconds(sanction, now) <= 0) {
+        window.clearInterval(timerId);
+      }
+    }, 500);
+
+    return () => window.clearInterval(timerId);
+  }, [sanction]);
+
+  if (!sanction || getSanctionRemainingSeconds(sanction, nowMs) <= 0) {
+    return null;
+  }
+
+  const label = SANCTION_LABELS[sanction.type] || "Sanction";
+  const subject = sanction.player ? `${teamName} #${sanction.player}` : teamName;
+
+  return (
+    <div className={`overlay-sanction is-${sanction.type}`} role="status">
+      <span className="overlay-sanction__card" aria-hidden="true" />
+      <span className="overlay-sanction__label">{label}</span>
+      <span className="overlay-sanction__subject">{subject}</span>
+      {sanction.type === "red" && <span className="overlay-sanction__penalty">Point awarded</span>}
+    </div>
+  );
+}
+
+export default SanctionCallout;
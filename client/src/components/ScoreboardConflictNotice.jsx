@@ -0,0 +1,34 @@
+const formatLiveScore = (scoreboard) =>
+  (scoreboard?.teams ?? []).map((team) => Number(team?.score) || 0).join('-');
+
+/**
+ * Shown when the server refused this device's edit because another scorer changed the
+ * board first. The board already shows the latest state; the operator can re-send their
+ * change on top of it or keep what the other scorer did.
+ */
+function ScoreboardConflictNotice({ conflict, scoreboard, onReapply, onDismiss }) {
+  if (!conflict) {
+    return null;
+  }
+
+  return (
+    <div className="scoreboard-conflict-notice" role="alert">
+      <p>
+        {conflict.message}. Your last change was not applied; the board now shows{' '}
+        {formatLiveScore(scoreboard)}.
+      </p>
+      <div className="scoreboard-conflict-notice__actions">
+        {conflict.rejected && (
+          <button type="button" className="control-tool-button danger" onClick={onReapply}>
+            Apply my change anyway
+          </button>
+        )}
+        <button type="button" className="control-tool-button" onClick={onDismiss}>
+          Keep current board
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default ScoreboardConflictNotice;
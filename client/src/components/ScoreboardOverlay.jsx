@@ -1,11 +1,37 @@
 import React from "react";
 import { GiVolleyballBall } from "react-icons/gi";
-import { MAX_COMPLETED_SETS, MAX_TOTAL_SETS } from "../constants/scoreboard.js";
-import { formatTeamName, normalizeSet, sanitizeTeam } from "./scoreboardOverlay.utils.js";
+import { MAX_COMPLETED_SETS, MAX_TOTAL_SETS, TIMEOUTS_PER_SET } from "../constants/scoreboard.js";
+import {
+  formatTeamName,
+  getPointCallout,
+  normalizeSet,
+  sanitizeTeam,
+} from "./scoreboardOverlay.utils.js";
+import TimeoutCountdown from "./TimeoutCountdown.jsx";
+import SanctionCallout from "./SanctionCallout.jsx";
+import { getServerNumber } from "../utils/lineup.js";
+import { getLatestSanction } from "../utils/officiating.js";
+import { DEFAULT_OVERLAY_OPTIONS } from "../utils/overlayOptions.js";
 
-function ScoreboardOverlay({ scoreboard }) {
+const countSetWins = (sets) =>
+  sets.reduce(
+    (wins, [home, away]) =>
+      home === away ? wins : home > away ? [wins[0] + 1, wins[1]] : [wins[0], wins[1] + 1],
+    [0, 0]
+  );
+
+/**
+ * Renders a scoreboard for broadcast. `options` (see utils/overlayOptions.js) picks the
+ * layout, team name length, and whether completed sets are shown; scale, position, and
+ * background are applied by the page hosting the overlay.
+ */
+function ScoreboardOverlay({ scoreboard, options }) {
   if (!scoreboard) return null;
 
+  const { layout, nameLength, showSets } = { ...DEFAULT_OVERLAY_OPTIONS, ...options };
+  const isVertical = layout === "vertical";
+  const isScoreOnly = layout === "score-only";
+
   const teams = [
     sanitizeTeam(scoreboard?.teams?.[0], 0),
     sanitizeTeam(scoreboard?.teams?.[1], 1),
@@ -19,7 +45,8 @@ function ScoreboardOverlay({ scoreboard }) {
     .slice(0, hasRoomForLiveSet ? MAX_COMPLETED_SETS : MAX_TOTAL_SETS);
 
   const liveScores = teams.map((team) => team.score ?? 0);
-  const setColumns = completedSets.map((scores, index) => ({
+  const visibleSets = showSets && !isScoreOnly ? completedSets : [];
+  const setColumns = visibleSets.map((scores, index) => ({
     type: "set",
     label: `Set ${index + 1}`,
     scores,
@@ -33,7 +60,7 @@ function ScoreboardOverlay({ scoreboard }) {
     ...setColumns,
   ];
 
-  if (hasRoomForLiveSet) {
+  if (hasRoomForLiveSet || setColumns.length === 0) {
     allColumns.push({
       type: "set",
       label: `Set ${completedSets.length + 1}`,
@@ -44,7 +71,7 @@ function ScoreboardOverlay({ scoreboard }) {
 
   const setColumnTemplate = 'minmax(96px, 96px)';
   const longestNameLength = Math.max(
-    ...teams.map((team) => (team.name ? team.name.length : 0)),
+    ...teams.map((team) => (team.name ? Math.min(team.name.length, nameLength) : 0)),
     0
   );
   const calculatedNameWidth = Math.max(
@@ -61,25 +88,117 @@ function ScoreboardOverlay({ scoreboard }) {
     key: index === 0 ? "home" : "away",
     index,
     isServing: scoreboard?.servingTeamIndex === index,
+    pointCallout: getPointCallout(scoreboard?.completion, index),
   }));
 
   const sharedSetColor = teams[0]?.setColor || teams[0]?.color || "#0b1a3a";
 
-  const frameClassName = `overlay-frame${scoreboard?.compact ? " is-compact" : ""}`;
+  const frameClassName = `overlay-frame overlay-frame--${layout}${
+    scoreboard?.compact ? " is-compact" : ""
+  }`;
+  // The vertical bug stacks sets top to bottom with one column per team
+  const gridStyle = isVertical
+    ? {
+        gridTemplateColumns: "repeat(2, minmax(0, 1fr))",
+        gridTemplateRows: `repeat(${allColumns.length}, auto)`,
+        gridAutoFlow: "column",
+      }
+    : { gridTemplateColumns: columnTemplate };
+  const timeoutTeam = teams[scoreboard?.activeTimeout?.teamIndex];
+  const serverNumber = getServerNumber(scoreboard);
+  const latestSanction = getLatestSanction(scoreboard);
+  const sanctionTeam = teams[latestSanction?.teamIndex];
+  const formatName = (name) => formatTeamName(name, nameLength);
+
+  const callouts = (
+    <>
+      {timeoutTeam && (
+        <TimeoutCountdown
+          activeTimeout={scoreboard.activeTimeout}
+          teamName={formatName(timeoutTeam.name)}
+          className="overlay-timeout"
+        />
+      )}
+      {sanctionTeam && (
+        <SanctionCallout sanction={latestSanction} teamName={formatName(sanctionTeam.name)} />
+      )}
+    </>
+  );
+
+  const renderPointBadge = (row) =>
+    row.pointCallout && (
+      <span className={`overlay-point-badge is-${row.pointCallout}`}>
+        {row.pointCallout === "match" ? "Match point" : "Set point"}
+      </span>
+    );
+
+  const renderLogo = (row) =>
+    row.logoUrl && (
+      <img className="overlay-team-logo" src={row.logoUrl} alt={`${row.name} logo`} />
+    );
+
+  const renderServeIcon = (row) =>
+    row.isServing && (
+      <span className="overlay-serve-icon" aria-label={`${row.name} serving`}>
+        <GiVolleyballBall />
+      </span>
+    );
+
+  if (layout === "fullscreen") {
+    const setWins = countSetWins(completedSets);
+
+    return (
+      <div className={frameClassName}>
+        <div className="overlay-courtside">
+          {rows.map((row) => (
+            <div
+              key={row.key}
+              className={`overlay-courtside__team${row.isServing ? " is-serving" : ""}`}
+              style={{ "--row-bg": row.color, "--row-text": row.teamTextColor || row.textColor }}
+            >
+              <div className="overlay-courtside__name">
+                {renderLogo(row)}
+                <span className="overlay-team-name" title={row.name}>
+                  {formatName(row.name)}
+                </span>
+                {renderServeIcon(row)}
+              </div>
+              {renderPointBadge(row)}
+              <span className="overlay-courtside__score">{row.score}</span>
+              <span className="overlay-courtside__sets">Sets {setWins[row.index]}</span>
+            </div>
+          ))}
+        </div>
+        {visibleSets.length > 0 && (
+          <ol className="overlay-courtside__history" aria-label="Completed sets">
+            {visibleSets.map((scores, index) => (
+              <li key={index}>
+                <span className="overlay-set-label">Set {index + 1}</span>
+                {scores[0]}-{scores[1]}
+              </li>
+            ))}
+          </ol>
+        )}
+        {callouts}
+      </div>
+    );
+  }
 
   return (
     <div className={frameClassName}>
-      <div className="overlay-grid" style={{ gridTemplateColumns: columnTemplate }}>
+      <div className="overlay-grid" style={gridStyle}>
         {rows.map((row) =>
           allColumns.map((column, columnIndex) => {
             const isFirstColumn = columnIndex === 0;
             const isLastColumn = columnIndex === allColumns.length - 1;
-            const edgeClasses = [
-              isFirstColumn && row.index === 0 ? 'overlay-grid-cell--first-top' : null,
-              isFirstColumn && row.index === 1 ? 'overlay-grid-cell--first-bottom' : null,
-              isLastColumn && row.index === 0 ? 'overlay-grid-cell--last-top' : null,
-              isLastColumn && row.index === 1 ? 'overlay-grid-cell--last-bottom' : null,
-            ].filter(Boolean).join(' ');
+            const edgeClasses = isVertical
+              ? ''
+              : [
+                  isFirstColumn && row.index === 0 ? 'overlay-grid-cell--first-top' : null,
+                  isFirstColumn && row.index === 1 ? 'overlay-grid-cell--first-bottom' : null,
+                  isLastColumn && row.index === 0 ? 'overlay-grid-cell--last-top' : null,
+                  isLastColumn && row.index === 1 ? 'overlay-grid-cell--last-bottom' : null,
+                ].filter(Boolean).join(' ');
 
             if (column.type === "names") {
               return (
@@ -91,14 +210,36 @@ function ScoreboardOverlay({ scoreboard }) {
                   style={{ "--row-bg": row.color, "--row-text": row.teamTextColor || row.textColor }}
                 >
                   <div className="overlay-name-content">
+                    {renderLogo(row)}
                     <span className="overlay-team-name" title={row.name}>
-                      {formatTeamName(row.name)}
+                      {formatName(row.name)}
                     </span>
-                    {row.isServing && (
-                      <span className="overlay-serve-icon" aria-label={`${row.name} serving`}>
-                        <GiVolleyballBall />
+                    {renderPointBadge(row)}
+                    {!isScoreOnly && (
+                      <span
+                        className="overlay-timeouts"
+                        aria-label={`${row.name} timeouts remaining: ${Math.max(
+                          0,
+                          TIMEOUTS_PER_SET - row.timeouts
+                        )}`}
+                      >
+                        {Array.from({ length: TIMEOUTS_PER_SET }, (_, pipIndex) => (
+                          <span
+                            key={pipIndex}
+                            className={`overlay-timeout-pip${pipIndex < row.timeouts ? " is-used" : ""}`}
+                          />
+                        ))}
+                      </span>
+                    )}
+                    {row.isServing && serverNumber && (
+                      <span
+                        className="overlay-server-number"
+                        aria-label={`Serving player number ${serverNumber}`}
+                      >
+                        #{serverNumber}
                       </span>
                     )}
+                    {renderServeIcon(row)}
                   </div>
                 </div>
               );
@@ -125,6 +266,7 @@ function ScoreboardOverlay({ scoreboard }) {
           })
         )}
       </div>
+      {callouts}
     </div>
   );
 }
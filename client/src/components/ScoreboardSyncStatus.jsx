@@ -0,0 +1,25 @@
+const formatPendingActions = (count) => {
+  if (count <= 0) {
+    return 'no actions pending';
+  }
+
+  return count === 1 ? '1 action pending' : `${count} actions pending`;
+};
+
+/**
+ * Tells the operator that score changes are being held locally: while the socket is
+ * down ("Offline") and while queued changes replay after it reconnects ("Syncing").
+ */
+function ScoreboardSyncStatus({ isOffline = false, pendingCount = 0 }) {
+  if (!isOffline && pendingCount <= 0) {
+    return null;
+  }
+
+  return (
+    <div className={`scoreboard-sync-status${isOffline ? ' is-offline' : ''}`} role="status">
+      {isOffline ? 'Offline' : 'Syncing'} — {formatPendingActions(pendingCount)}
+    </div>
+  );
+}
+
+export default ScoreboardSyncStatus;
@@ -0,0 +1,59 @@
+import { resolveAutoCompleteMode } from './controlPanel.utils.js';
+
+const isTeamIndex = (value) => value === 0 || value === 1;
+
+const resolveTeamName = (scoreboard, index) =>
+  scoreboard?.teams?.[index]?.name?.trim() || (index === 0 ? 'Home' : 'Away');
+
+/**
+ * Surfaces the server's rule-based completion state: a decided live set waiting to be
+ * closed, or a decided match. Hidden when set completion is switched off.
+ */
+function SetCompletionPrompt({ scoreboard, onCompleteSet, disabled = false }) {
+  const completion = scoreboard?.completion;
+
+  if (!completion || resolveAutoCompleteMode(scoreboard) === 'off') {
+    return null;
+  }
+
+  const setWins = Array.isArray(completion.setWins) ? completion.setWins : [0, 0];
+
+  if (isTeamIndex(completion.matchWinnerIndex)) {
+    const winnerIndex = completion.matchWinnerIndex;
+
+    return (
+      <div className="set-completion-prompt is-match" role="status">
+        <span>
+          Match won by {resolveTeamName(scoreboard, winnerIndex)} (
+          {setWins[winnerIndex]}-{setWins[winnerIndex === 0 ? 1 : 0]})
+        </span>
+      </div>
+    );
+  }
+
+  if (!isTeamIndex(completion.setWinnerIndex)) {
+    return null;
+  }
+
+  const setNo = (Array.isArray(scoreboard?.sets) ? scoreboard.sets.length : 0) + 1;
+  const scores = (scoreboard?.teams ?? []).map((team) => Number(team?.score) || 0);
+
+  return (
+    <div className="set-completion-prompt" role="status">
+      <span>
+        Set {setNo} won by {resolveTeamName(scoreboard, completion.setWinnerIndex)} (
+        {scores[0]}-{scores[1]})
+      </span>
+      <button
+        type="button"
+        className="control-tool-button"
+        onClick={onCompleteSet}
+        disabled={disabled}
+      >
+        Close Set {setNo}
+      </button>
+    </div>
+  );
+}
+
+export default SetCompletionPrompt;
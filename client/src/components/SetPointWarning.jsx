@@ -0,0 +1,38 @@
+import { getPointCallout } from './scoreboardOverlay.utils.js';
+
+const resolveTeamName = (scoreboard, index) =>
+  scoreboard?.teams?.[index]?.name?.trim() || (index === 0 ? 'Home' : 'Away');
+
+/**
+ * Warns scorers when a team is one rally from winning the live set or the match, using
+ * the server's `completion.setPoint` / `completion.matchPoint` flags.
+ */
+function SetPointWarning({ scoreboard }) {
+  const callouts = [0, 1]
+    .map((teamIndex) => ({ teamIndex, type: getPointCallout(scoreboard?.completion, teamIndex) }))
+    .filter((callout) => callout.type);
+
+  if (callouts.length === 0) {
+    return null;
+  }
+
+  const scores = (scoreboard?.teams ?? []).map((team) => Number(team?.score) || 0);
+  const isMatchPoint = callouts.some((callout) => callout.type === 'match');
+
+  return (
+    <div className={`set-point-warning${isMatchPoint ? ' is-match' : ''}`} role="status">
+      <span>
+        {callouts
+          .map(
+            ({ teamIndex, type }) =>
+              `${type === 'match' ? 'Match' : 'Set'} point ${resolveTeamName(scoreboard, teamIndex)}`
+          )
+          .join(' · ')}{' '}
+        ({scores[0] ?? 0}-{scores[1] ?? 0})
+      </span>
+      <span className="set-point-warning__hint">Check the score before closing the set</span>
+    </div>
+  );
+}
+
+export default SetPointWarning;
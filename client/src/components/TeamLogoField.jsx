@@ -0,0 +1,48 @@
+import { useState } from "react";
+import { sanitizeLogoUrl } from "./scoreboardOverlay.utils.js";
+
+/**
+ * Links a team logo by URL. The image itself is hosted elsewhere; only http(s) links are
+ * accepted, and clearing the field removes the logo.
+ */
+function TeamLogoField({ teamName, logoUrl, onSave }) {
+  const [draft, setDraft] = useState(logoUrl || "");
+  const trimmed = draft.trim();
+  const isValid = !trimmed || Boolean(sanitizeLogoUrl(trimmed));
+  const isChanged = trimmed !== (logoUrl || "");
+
+  const save = () => {
+    if (!isValid || !isChanged) return;
+    onSave(trimmed || null);
+  };
+
+  return (
+    <div className="team-logo-field">
+      <label className="input-label">Logo</label>
+      <div className="team-logo-row">
+        <input
+          type="url"
+          placeholder="https://…/logo.png"
+          value={draft}
+          aria-label={`${teamName} logo URL`}
+          aria-invalid={!isValid}
+          onChange={(event) => setDraft(event.target.value)}
+          onKeyDown={(event) => {
+            if (event.key === "Enter") save();
+          }}
+        />
+        <button
+          type="button"
+          className="control-tool-button"
+          onClick={save}
+          disabled={!isValid || !isChanged}
+        >
+          {trimmed || !logoUrl ? "Save logo" : "Remove logo"}
+        </button>
+      </div>
+      {!isValid && <p className="team-logo-error">Use an http or https image link.</p>}
+    </div>
+  );
+}
+
+export default TeamLogoField;
@@ -0,0 +1,48 @@
+import { useEffect, useState } from "react";
+import { getTimeoutRemainingSeconds } from "./scoreboardOverlay.utils.js";
+
+const formatCountdown = (seconds) =>
+  `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, "0")}`;
+
+/**
+ * Counts down the scoreboard's running timeout and disappears once it expires.
+ * Renders `children` (e.g. an "End timeout" button) next to the clock.
+ */
+function TimeoutCountdown({ activeTimeout, teamName, className = "timeout-countdown", children = null }) {
+  const [nowMs, setNowMs] = useState(() => Date.now());
+
+  useEffect(() => {
+    setNowMs(Date.now());
+
+    if (!activeTimeout) {
+      return undefined;
+    }
+
+    const timerId = window.setInterval(() => {
+      const now = Date.now();
+      setNowMs(now);
+
+      if (getTimeoutRemainingSeconds(activeTimeout, now) <= 0) {
+        window.clearInterval(timerId);
+      }
+    }, 250);
+
+    return () => window.clearInterval(timerId);
+  }, [activeTimeout]);
+
+  const remainingSeconds = getTimeoutRemainingSeconds(activeTimeout, nowMs);
+
+  if (remainingSeconds <= 0) {
+    return null;
+  }
+
+  return (
+    <div className={className} role="timer" aria-label={`${teamName} timeout`}>
+      <span className={`${className}__label`}>Timeout {teamName}</span>
+      <span className={`${className}__clock`}>{formatCountdown(remainingSeconds)}</span>
+      {children}
+    </div>
+  );
+}
+
+export default TimeoutCountdown;
@@ -0,0 +1,98 @@
+import { toSetSummaryFromLiveSummary } from "../utils/matchSetSummary.js";
+import {
+  formatBracketRoundLabel,
+  orderBracketRounds,
+  resolveBracketKeys,
+} from "../utils/tournamentOverlays.js";
+
+function formatTeam(team) {
+  return team?.shortName || team?.name || "TBD";
+}
+
+function resolveMatchSets(match, liveSummary) {
+  if (match.status === "live" && liveSummary) {
+    return toSetSummaryFromLiveSummary(liveSummary);
+  }
+
+  if (match.scoreSummary && (match.status === "final" || match.status === "live")) {
+    return { setsA: match.scoreSummary.setsA ?? 0, setsB: match.scoreSummary.setsB ?? 0 };
+  }
+
+  return null;
+}
+
+function BracketMatch({ match, liveSummary }) {
+  const sets = resolveMatchSets(match, liveSummary);
+  const isFinal = match.status === "final";
+  const rows = [
+    { key: "A", seed: match.seedA, team: match.teamA, sets: sets?.setsA },
+    { key: "B", seed: match.seedB, team: match.teamB, sets: sets?.setsB },
+  ];
+
+  return (
+    <div className={`tournament-bracket__match${match.status === "live" ? " is-live" : ""}`}>
+      {rows.map((row, index) => {
+        const opponentSets = rows[1 - index].sets;
+        const won = isFinal && sets && row.sets > opponentSets;
+
+        return (
+          <p key={row.key} className={`tournament-bracket__team${won ? " is-winner" : ""}`}>
+            <span className="tournament-bracket__seed">{row.seed ?? ""}</span>
+            <span className="tournament-bracket__name">{formatTeam(row.team)}</span>
+            <span className="tournament-bracket__sets">{sets ? row.sets : ""}</span>
+          </p>
+        );
+      })}
+      {match.status === "live" && <span className="tournament-bracket__live">Live</span>}
+    </div>
+  );
+}
+
+/**
+ * Playoff bracket graphic: one column per round for each bracket from
+ * `/code/:publicCode/playoffs`. Live matches show sets from SCOREBOARD_SUMMARY events.
+ */
+function TournamentBracketOverlay({ playoffs, liveSummaries = {} }) {
+  const bracketKeys = resolveBracketKeys(playoffs);
+
+  if (bracketKeys.length === 0) {
+    return (
+      <section className="tournament-bracket" aria-label="Playoff bracket">
+        <p className="tournament-bracket__empty">Playoff brackets have not been set yet.</p>
+      </section>
+    );
+  }
+
+  return (
+    <section className="tournament-bracket" aria-label="Playoff bracket">
+      {bracketKeys.map((bracketKey) => {
+        const bracketData = playoffs.brackets[bracketKey];
+        const roundOrder = orderBracketRounds(bracketData);
+
+        return (
+          <article key={bracketKey} className="tournament-bracket__bracket">
+            <h2 className="tournament-bracket__title">{bracketData.label || bracketKey}</h2>
+            <div className="tournament-bracket__rounds">
+              {roundOrder.map((roundKey) => (
+                <div key={roundKey} className="tournament-bracket__round">
+                  <h3>
+                    {formatBracketRoundLabel(roundKey, roundOrder, bracketData.roundLabels)}
+                  </h3>
+                  {(bracketData.rounds?.[roundKey] || []).map((match) => (
+                    <BracketMatch
+                      key={match._id}
+                      match={match}
+                      liveSummary={liveSummaries[match._id]}
+                    />
+                  ))}
+                </div>
+              ))}
+            </div>
+          </article>
+        );
+      })}
+    </section>
+  );
+}
+
+export default TournamentBracketOverlay;
@@ -3,6 +3,10 @@ import { useEffect, useMemo, useState } from 'react';
 import { API_URL } from '../config/env.js';
 import { useAuth } from '../context/AuthContext.jsx';
 import { useScoreboard } from '../hooks/useScoreboard.js';
+import ScoreboardConflictNotice from './ScoreboardConflictNotice.jsx';
+import ScoreboardSyncStatus from './ScoreboardSyncStatus.jsx';
+import SetCompletionPrompt from './SetCompletionPrompt.jsx';
+import SetPointWarning from './SetPointWarning.jsx';
 import { formatElapsedTimer } from '../utils/matchTimer.js';
 import {
   MATCH_STATUS,
@@ -67,7 +71,21 @@ function TournamentMatchControlView({
   onLifecycleChange = null,
 }) {
   const { token } = useAuth();
-  const { scoreboard, loading, error, clearError, updateScoreboard } = useScoreboard(scoreboardId);
+  const {
+    scoreboard,
+    loading,
+    error,
+    clearError,
+    updateScoreboard,
+    completeSet,
+    conflict,
+    dismissConflict,
+    reapplyConflict,
+    isOffline,
+    pendingCount,
+  } = useScoreboard(scoreboardId, {
+    authToken: token,
+  });
 
   const [matchStatus, setMatchStatus] = useState(() => normalizeMatchStatus(initialStatus));
   const [matchStartedAt, setMatchStartedAt] = useState(() =>
@@ -148,6 +166,25 @@ function TournamentMatchControlView({
     setElapsedNowMs(Date.now());
   }, [matchStartedAt, matchStatus]);
 
+  // The server ends a live match once the scoreboard reaches a decided result
+  const matchWinnerIndex = scoreboard?.completion?.matchWinnerIndex;
+  useEffect(() => {
+    if (matchStatus !== MATCH_STATUS.LIVE || (matchWinnerIndex !== 0 && matchWinnerIndex !== 1)) {
+      return;
+    }
+
+    const nextEndedAt = new Date().toISOString();
+    setMatchStatus(MATCH_STATUS.ENDED);
+    setMatchEndedAt(nextEndedAt);
+    onLifecycleChange?.({
+      status: MATCH_STATUS.ENDED,
+      startedAt: matchStartedAt,
+      endedAt: nextEndedAt,
+    });
+    setActionError('');
+    setActionInfo('Match complete. Ended automatically, finalize from schedule when ready.');
+  }, [matchStartedAt, matchStatus, matchWinnerIndex, onLifecycleChange]);
+
   useEffect(() => {
     setManualHome(String(clampScore(teams[0]?.score)));
     setManualAway(String(clampScore(teams[1]?.score)));
@@ -490,6 +527,19 @@ function TournamentMatchControlView({
             </article>
           ))}
         </div>
+        <ScoreboardSyncStatus isOffline={isOffline} pendingCount={pendingCount} />
+        <ScoreboardConflictNotice
+          conflict={conflict}
+          scoreboard={scoreboard}
+          onReapply={reapplyConflict}
+          onDismiss={dismissConflict}
+        />
+        <SetPointWarning scoreboard={scoreboard} />
+        <SetCompletionPrompt
+          scoreboard={scoreboard}
+          onCompleteSet={completeSet}
+          disabled={isFinalized}
+        />
       </section>
 
       <section className="tournament-match-control__section">
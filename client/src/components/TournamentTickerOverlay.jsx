@@ -0,0 +1,63 @@
+const SECONDS_PER_ITEM = 8;
+const MIN_TICKER_SECONDS = 30;
+
+function TickerItem({ item }) {
+  if (item.kind === "result") {
+    return (
+      <li className="tournament-ticker__item">
+        <span className="tournament-ticker__label">{item.title}</span>
+        <span className={item.setsA > item.setsB ? "is-winner" : undefined}>{item.teamA}</span>
+        <span className="tournament-ticker__score">
+          {item.setsA}-{item.setsB}
+        </span>
+        <span className={item.setsB > item.setsA ? "is-winner" : undefined}>{item.teamB}</span>
+      </li>
+    );
+  }
+
+  return (
+    <li className="tournament-ticker__item">
+      <span className="tournament-ticker__label">{item.title}</span>
+      {item.teams.map((team) => (
+        <span key={`${team.rank}-${team.name}`} className="tournament-ticker__standing">
+          {team.rank}. {team.name} ({team.matchesWon}-{team.matchesLost})
+        </span>
+      ))}
+    </li>
+  );
+}
+
+/**
+ * Bottom-of-screen ticker that scrolls recent results and standings. The item list is
+ * rendered twice so the CSS marquee can loop without a gap.
+ */
+function TournamentTickerOverlay({ tournamentName, items }) {
+  const entries = Array.isArray(items) ? items : [];
+  const duration = Math.max(MIN_TICKER_SECONDS, entries.length * SECONDS_PER_ITEM);
+
+  return (
+    <section className="tournament-ticker" aria-label="Tournament ticker">
+      <h1 className="tournament-ticker__name">{tournamentName}</h1>
+      <div className="tournament-ticker__viewport">
+        {entries.length === 0 ? (
+          <p className="tournament-ticker__empty">Results will appear here.</p>
+        ) : (
+          <div className="tournament-ticker__track" style={{ "--ticker-duration": `${duration}s` }}>
+            <ul className="tournament-ticker__list">
+              {entries.map((item, index) => (
+                <TickerItem key={index} item={item} />
+              ))}
+            </ul>
+            <ul className="tournament-ticker__list" aria-hidden="true">
+              {entries.map((item, index) => (
+                <TickerItem key={index} item={item} />
+              ))}
+            </ul>
+          </div>
+        )}
+      </div>
+    </section>
+  );
+}
+
+export default TournamentTickerOverlay;
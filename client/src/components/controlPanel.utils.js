@@ -62,4 +62,18 @@ const buildShortcutMap = (config) =>
     })
   );
 
-export { buildShortcutMap, deriveSetNavigationState, shouldEnableDeleteSet };
+const AUTO_COMPLETE_MODES = ["off", "confirm", "auto"];
+
+// Mirrors the server default: decided sets wait for confirmation unless configured otherwise
+const resolveAutoCompleteMode = (scoreboard) =>
+  AUTO_COMPLETE_MODES.includes(scoreboard?.scoring?.autoComplete)
+    ? scoreboard.scoring.autoComplete
+    : "confirm";
+
+export {
+  AUTO_COMPLETE_MODES,
+  buildShortcutMap,
+  deriveSetNavigationState,
+  resolveAutoCompleteMode,
+  shouldEnableDeleteSet,
+};
@@ -19,10 +19,10 @@ const defaultTeams = [
   },
 ];
 
-const formatTeamName = (raw = "") => {
+const formatTeamName = (raw = "", maxLength = 10) => {
   const name = raw.trim().toUpperCase();
   if (!name) return "TEAM";
-  return name.length > 10 ? name.slice(0, 10) : name;
+  return name.length > maxLength ? name.slice(0, maxLength) : name;
 };
 
 const normalizeSet = (set) => {
@@ -42,6 +42,18 @@ const normalizeSet = (set) => {
   return [fallback(set?.home), fallback(set?.away)];
 };
 
+// Only absolute http(s) logo links are rendered, matching what the server stores
+const sanitizeLogoUrl = (value) => {
+  if (typeof value !== "string" || !value.trim()) return null;
+
+  try {
+    const url = new URL(value.trim());
+    return ["http:", "https:"].includes(url.protocol) ? value.trim() : null;
+  } catch {
+    return null;
+  }
+};
+
 const sanitizeTeam = (team, index) => {
   const base = defaultTeams[index] ?? defaultTeams[0];
   return {
@@ -51,10 +63,40 @@ const sanitizeTeam = (team, index) => {
     setColor: team?.setColor || team?.color || base.setColor,
     scoreTextColor: team?.scoreTextColor || base.scoreTextColor || "#ffffff",
     textColor: team?.textColor || team?.teamTextColor || base.textColor,
+    logoUrl: sanitizeLogoUrl(team?.logoUrl),
     score: Number.isFinite(Number(team?.score))
       ? Math.max(0, Number(team.score))
       : base.score,
+    timeouts: Number.isFinite(Number(team?.timeouts)) ? Math.max(0, Number(team.timeouts)) : 0,
   };
 };
 
-export { defaultTeams, formatTeamName, normalizeSet, sanitizeTeam };
+// Whole seconds left on a running timeout; 0 once it has expired or when none is running
+const getTimeoutRemainingSeconds = (activeTimeout, nowMs = Date.now()) => {
+  const startedAtMs = activeTimeout?.startedAt ? new Date(activeTimeout.startedAt).getTime() : NaN;
+  const durationSeconds = Number(activeTimeout?.durationSeconds);
+
+  if (!Number.isFinite(startedAtMs) || !Number.isFinite(durationSeconds)) {
+    return 0;
+  }
+
+  const remainingMs = startedAtMs + durationSeconds * 1000 - nowMs;
+  return remainingMs > 0 ? Math.min(durationSeconds, Math.ceil(remainingMs / 1000)) : 0;
+};
+
+// "match" or "set" when the next rally would win it for the team (from the server's completion flags)
+const getPointCallout = (completion, teamIndex) => {
+  if (completion?.matchPoint?.[teamIndex]) return "match";
+  if (completion?.setPoint?.[teamIndex]) return "set";
+  return null;
+};
+
+export {
+  defaultTeams,
+  formatTeamName,
+  getPointCallout,
+  getTimeoutRemainingSeconds,
+  normalizeSet,
+  sanitizeLogoUrl,
+  sanitizeTeam,
+};
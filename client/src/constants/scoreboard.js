@@ -1,2 +1,4 @@
 export const MAX_TOTAL_SETS = 5;
 export const MAX_COMPLETED_SETS = MAX_TOTAL_SETS - 1;
+export const TIMEOUTS_PER_SET = 2;
+export const TIMEOUT_DURATION_SECONDS = 30;
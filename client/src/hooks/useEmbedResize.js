@@ -0,0 +1,47 @@
+import { useEffect } from 'react';
+
+import { EMBED_RESIZE_MESSAGE } from '../utils/embedOptions.js';
+
+const isFramed = () => {
+  try {
+    return window.parent !== window;
+  } catch {
+    return true;
+  }
+};
+
+/**
+ * Tells the embedding page how tall the widget is whenever `elementRef` changes size, so
+ * `embed.js` (or any host listening for EMBED_RESIZE_MESSAGE) can size the iframe.
+ * Only the height is sent, so the message goes to any parent origin.
+ */
+export function useEmbedResize(elementRef) {
+  useEffect(() => {
+    const element = elementRef.current;
+
+    if (!element || !isFramed()) {
+      return undefined;
+    }
+
+    let lastHeight = null;
+    const postHeight = () => {
+      const height = Math.ceil(element.getBoundingClientRect().height);
+
+      if (height !== lastHeight) {
+        lastHeight = height;
+        window.parent.postMessage({ type: EMBED_RESIZE_MESSAGE, height }, '*');
+      }
+    };
+
+    postHeight();
+
+    if (typeof ResizeObserver === 'undefined') {
+      return undefined;
+    }
+
+    const observer = new ResizeObserver(postHeight);
+    observer.observe(element);
+
+    return () => observer.disconnect();
+  }, [elementRef]);
+}
@@ -1,23 +1,117 @@
 import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
 import { io } from 'socket.io-client';
 import { API_URL, SOCKET_URL } from '../config/env.js';
+import {
+  clearScorerToken,
+  loadScorerToken,
+  readScorerTokenExpiry,
+  saveScorerToken,
+} from '../utils/scorerTokens.js';
+import {
+  createPendingUpdate,
+  loadPendingUpdates,
+  savePendingUpdates,
+} from '../utils/scoreboardQueue.js';
 
 const NETWORK_ERROR_MESSAGE = 'Unable to reach the server. Please try again shortly.';
+const UPDATE_ACK_TIMEOUT_MS = 8000;
+const PENDING_SYNC_MESSAGE = 'Waiting for pending actions to sync. Try again once reconnected.';
+const SCORER_LINK_EXPIRED_MESSAGE =
+  'This scorer link has expired or was revoked. Ask the scoreboard owner for a new link.';
+const RETRY_BASE_DELAY_MS = 1000;
+const RETRY_MAX_DELAY_MS = 30000;
+
+const readScore = (team) => {
+  const parsed = Number(team?.score);
+  return Number.isFinite(parsed) ? parsed : 0;
+};
+
+// A lone +1/-1 on one team can be merged by the server when another scorer got there first
+function describeScoreAction(currentTeams, nextTeams) {
+  if (!Array.isArray(currentTeams) || !Array.isArray(nextTeams) || nextTeams.length !== 2) {
+    return null;
+  }
+
+  const deltas = nextTeams.map((team, index) => readScore(team) - readScore(currentTeams[index]));
+  const teamIndex = deltas.findIndex((delta) => delta !== 0);
+
+  if (teamIndex === -1 || deltas[1 - teamIndex] !== 0 || Math.abs(deltas[teamIndex]) !== 1) {
+    return null;
+  }
+
+  return { type: 'point', teamIndex, delta: deltas[teamIndex] };
+}
+
+// Retry exhaustion (409 without a conflict) and server faults may succeed on a later try;
+// any other 4xx (expired scorer token, unknown board) will be refused again
+const isTransientRejection = ({ status } = {}) => !status || status === 409 || status >= 500;
 
 /**
  * Hook that keeps a scoreboard document in sync with the server via REST + Socket.IO.
+ * Writes are only accepted when the socket carries the owner's/admin's `authToken`
+ * or a scorer token for this board (passed in, or previously stored for it). Once the board
+ * loads, the scorer token is stored under both its id and code; a 403 on a write forgets it.
+ *
+ * Updates go through a per-board queue persisted in localStorage. Entries are sent one
+ * at a time and dropped once the server applies them or answers with a conflict, so points
+ * scored while the connection is down are replayed in order when it comes back. Failures
+ * the server may recover from are retried with a backoff; a permanent rejection empties
+ * the queue and rejoins the board so the optimistic state is replaced by the server's.
+ *
+ * Broadcast graphics (`scoreboard:graphics`) arrive on their own channel and are not
+ * queued: a producer's toggle only makes sense while connected.
  */
-export function useScoreboard(scoreboardId) {
+export function useScoreboard(scoreboardId, { authToken = null, scorerToken = null } = {}) {
   const [scoreboard, setScoreboard] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  // Outlives reconnects and state pushes, which clear `error`, until another board is opened
+  const [accessError, setAccessError] = useState(null);
+  const [history, setHistory] = useState({ undo: 0, redo: 0 });
+  const [conflict, setConflict] = useState(null);
+  const [isOffline, setIsOffline] = useState(false);
+  const [pendingCount, setPendingCount] = useState(0);
+  const [graphics, setGraphicsState] = useState(null);
   const socketRef = useRef(null);
+  const scoreboardRef = useRef(null);
+  const queueRef = useRef([]);
+  const flushQueueRef = useRef(() => {});
+  const resolvedScorerToken = scorerToken || loadScorerToken(scoreboardId);
+
+  const replaceScoreboard = useCallback((next) => {
+    scoreboardRef.current = next;
+    setScoreboard(next);
+  }, []);
+
+  const persistQueue = useCallback(
+    (entries) => {
+      queueRef.current = entries;
+      savePendingUpdates(scoreboardId, entries);
+      setPendingCount(entries.length);
+    },
+    [scoreboardId]
+  );
+
+  useEffect(() => {
+    setAccessError(null);
+  }, [scoreboardId]);
 
   useEffect(() => {
     let isMounted = true;
+    let inFlightId = null;
+    let retryTimer = null;
+    let retryAttempt = 0;
+
+    setHistory({ undo: 0, redo: 0 });
+    setGraphicsState(null);
+    setConflict(null);
+    setIsOffline(false);
+    queueRef.current = loadPendingUpdates(scoreboardId);
+    setPendingCount(queueRef.current.length);
+    flushQueueRef.current = () => {};
 
     if (!scoreboardId) {
-      setScoreboard(null);
+      replaceScoreboard(null);
       setLoading(false);
       setError(null);
       socketRef.current?.removeAllListeners?.();
@@ -42,7 +136,15 @@ export function useScoreboard(scoreboardId) {
 
         const data = await response.json();
         if (isMounted) {
-          setScoreboard(data);
+          replaceScoreboard(data);
+
+          if (resolvedScorerToken) {
+            saveScorerToken(
+              [data._id, data.code],
+              resolvedScorerToken,
+              readScorerTokenExpiry(resolvedScorerToken)
+            );
+          }
         }
       } catch (err) {
         if (isMounted) {
@@ -70,14 +172,101 @@ export function useScoreboard(scoreboardId) {
     const socket = io(socketEndpoint, {
       transports: ['websocket'],
       autoConnect: false,
+      auth: {
+        token: authToken || undefined,
+        scorerToken: resolvedScorerToken || undefined,
+      },
     });
 
     socketRef.current?.removeAllListeners?.();
     socketRef.current?.disconnect?.();
     socketRef.current = socket;
 
+    const cancelRetry = () => {
+      clearTimeout(retryTimer);
+      retryTimer = null;
+    };
+
+    // Sends the oldest queued update and waits for its ack before moving on, so the
+    // server sees updates in the order they were made. Entries the server has not
+    // stored stay queued, and their id makes a resend safe.
+    const flushQueue = () => {
+      const [entry] = queueRef.current;
+
+      if (!isMounted || inFlightId || retryTimer || !entry || !socket.connected) {
+        return;
+      }
+
+      inFlightId = entry.id;
+      socket
+        .timeout(UPDATE_ACK_TIMEOUT_MS)
+        .emit(
+          'scoreboard:update',
+          { scoreboardId, ...entry.payload, actionId: entry.id },
+          (err, response = {}) => {
+            inFlightId = null;
+
+            if (!isMounted) {
+              return;
+            }
+
+            // No answer (timeout): send again straight away
+            if (err) {
+              flushQueue();
+              return;
+            }
+
+            // Applied, merged, or refused as stale (the conflict event carries the latest board)
+            if (response.ok || response.conflict) {
+              retryAttempt = 0;
+              persistQueue(queueRef.current.filter((queued) => queued.id !== entry.id));
+              flushQueue();
+              return;
+            }
+
+            if (isTransientRejection(response)) {
+              const delay = Math.min(RETRY_BASE_DELAY_MS * 2 ** retryAttempt, RETRY_MAX_DELAY_MS);
+              retryAttempt += 1;
+              retryTimer = setTimeout(() => {
+                retryTimer = null;
+                flushQueue();
+              }, delay);
+              return;
+            }
+
+            // Later entries were built on top of this one, so none of them can be stored either.
+            // Rejoining sends the server's board back in place of the optimistic one.
+            retryAttempt = 0;
+            persistQueue([]);
+            socket.emit('scoreboard:join', { scoreboardId });
+
+            if (response.status === 403 && resolvedScorerToken) {
+              clearScorerToken(resolvedScorerToken);
+              setAccessError(SCORER_LINK_EXPIRED_MESSAGE);
+            }
+          }
+        );
+    };
+    flushQueueRef.current = flushQueue;
+
+    socket.on('connect', () => {
+      if (isMounted) {
+        setIsOffline(false);
+        cancelRetry();
+        socket.emit('scoreboard:join', { scoreboardId });
+        flushQueue();
+      }
+    });
+
+    socket.on('disconnect', () => {
+      if (isMounted) {
+        setIsOffline(true);
+      }
+    });
+
     socket.on('connect_error', (err) => {
       if (isMounted) {
+        setIsOffline(true);
         setError(err.message);
       }
     });
@@ -90,79 +279,236 @@ export function useScoreboard(scoreboardId) {
 
     socket.on('scoreboard:state', (state) => {
       if (isMounted) {
-        setScoreboard(state);
+        replaceScoreboard(state);
         setError(null);
       }
     });
 
+    // The server refused a stale edit: show the latest board and let the operator decide
+    socket.on('scoreboard:conflict', ({ message, scoreboard: latest, rejected } = {}) => {
+      if (isMounted) {
+        if (latest) {
+          replaceScoreboard(latest);
+        }
+        setConflict({
+          message: message || 'Scoreboard was changed by another scorer',
+          rejected: rejected ?? null,
+        });
+      }
+    });
+
+    socket.on('scoreboard:graphics', (next) => {
+      if (isMounted && next) {
+        setGraphicsState(next);
+      }
+    });
+
+    socket.on('scoreboard:history', ({ undo, redo } = {}) => {
+      if (isMounted) {
+        setHistory({
+          undo: Number.isFinite(undo) ? undo : 0,
+          redo: Number.isFinite(redo) ? redo : 0,
+        });
+      }
+    });
+
     socket.connect();
-    socket.emit('scoreboard:join', { scoreboardId });
 
     return () => {
       isMounted = false;
+      cancelRetry();
+      flushQueueRef.current = () => {};
       socket.removeAllListeners();
       socket.disconnect();
     };
-  }, [scoreboardId]);
+  }, [authToken, persistQueue, replaceScoreboard, resolvedScorerToken, scoreboardId]);
 
   const updateScoreboard = useCallback(
     (nextStateOrUpdater) => {
+      const current = scoreboardRef.current;
+
+      if (!current) {
+        return;
+      }
+
       setError(null);
-      setScoreboard((current) => {
-        if (!current) {
-          return current;
-        }
 
-        const nextPartial =
-          typeof nextStateOrUpdater === 'function'
-            ? nextStateOrUpdater(current)
-            : nextStateOrUpdater;
+      const nextPartial =
+        typeof nextStateOrUpdater === 'function' ? nextStateOrUpdater(current) : nextStateOrUpdater;
 
-        if (!nextPartial) {
-          return current;
-        }
+      if (!nextPartial) {
+        return;
+      }
 
-        const merged = {
-          ...current,
-          ...nextPartial,
-          teams: nextPartial.teams ?? current.teams,
-          servingTeamIndex:
-            typeof nextPartial.servingTeamIndex === 'number'
-              ? nextPartial.servingTeamIndex
-              : current.servingTeamIndex,
-          sets: Array.isArray(nextPartial.sets) ? nextPartial.sets : current.sets,
-        };
+      const merged = {
+        ...current,
+        ...nextPartial,
+        teams: nextPartial.teams ?? current.teams,
+        servingTeamIndex:
+          typeof nextPartial.servingTeamIndex === 'number'
+            ? nextPartial.servingTeamIndex
+            : current.servingTeamIndex,
+        sets: Array.isArray(nextPartial.sets) ? nextPartial.sets : current.sets,
+        scoring: nextPartial.scoring
+          ? { ...current.scoring, ...nextPartial.scoring }
+          : current.scoring,
+      };
+
+      const payload = {
+        teams: merged.teams,
+        servingTeamIndex: merged.servingTeamIndex,
+        sets: merged.sets,
+      };
+
+      if (typeof merged.title === 'string') {
+        payload.title = merged.title;
+      }
+
+      if (nextPartial.scoring?.autoComplete) {
+        payload.scoring = { autoComplete: nextPartial.scoring.autoComplete };
+      }
 
-        const payload = {
-          teams: merged.teams,
-          servingTeamIndex: merged.servingTeamIndex,
-          sets: merged.sets,
+      if (typeof nextPartial.scoring?.timeoutCountdown === 'boolean') {
+        payload.scoring = {
+          ...payload.scoring,
+          timeoutCountdown: nextPartial.scoring.timeoutCountdown,
         };
+      }
 
-        if (typeof merged.title === 'string') {
-          payload.title = merged.title;
-        }
+      if (nextPartial.activeTimeout !== undefined) {
+        payload.activeTimeout = nextPartial.activeTimeout;
+      }
 
-        socketRef.current?.emit('scoreboard:update', {
-          scoreboardId,
+      if (nextPartial.lineup !== undefined) {
+        payload.lineup = nextPartial.lineup;
+      }
+
+      const hasRevision = Number.isInteger(current.revision);
+      const setsChanged = Array.isArray(nextPartial.sets) && nextPartial.sets !== current.sets;
+      const action = setsChanged ? null : describeScoreAction(current.teams, merged.teams);
+
+      // The server bumps the revision once per accepted write, so track it optimistically
+      replaceScoreboard(hasRevision ? { ...merged, revision: current.revision + 1 } : merged);
+      persistQueue([
+        ...queueRef.current,
+        createPendingUpdate({
           state: payload,
-        });
+          ...(hasRevision ? { baseRevision: current.revision } : {}),
+          ...(action ? { action } : {}),
+        }),
+      ]);
+      flushQueueRef.current();
+    },
+    [persistQueue, replaceScoreboard]
+  );
+
+  // Commands that act on the server's latest state must not overtake queued updates
+  const emitCommand = useCallback(
+    (event, payload = {}) => {
+      if (!socketRef.current?.connected || queueRef.current.length > 0) {
+        setError(PENDING_SYNC_MESSAGE);
+        return;
+      }
 
-        return merged;
-      });
+      setError(null);
+      socketRef.current.emit(event, { ...payload, scoreboardId });
     },
     [scoreboardId]
   );
 
+  const undo = useCallback(() => emitCommand('scoreboard:undo'), [emitCommand]);
+
+  const redo = useCallback(() => emitCommand('scoreboard:redo'), [emitCommand]);
+
+  // `{ visible: { standings: true } }`, `{ title, subtitle }` for the lower-third
+  const setGraphics = useCallback(
+    (changes) => {
+      if (!socketRef.current?.connected) {
+        setError(NETWORK_ERROR_MESSAGE);
+        return;
+      }
+
+      setError(null);
+      socketRef.current.emit('scoreboard:setGraphics', { ...changes, scoreboardId });
+    },
+    [scoreboardId]
+  );
+
+  const dismissConflict = useCallback(() => setConflict(null), []);
+
+  // Re-sends the rejected change on top of the latest revision, overwriting the other edit
+  const reapplyConflict = useCallback(() => {
+    if (!conflict?.rejected) {
+      setConflict(null);
+      return;
+    }
+
+    const { rejected } = conflict;
+    setConflict(null);
+    updateScoreboard(rejected);
+  }, [conflict, updateScoreboard]);
+
+  // Archives the live set once the server's scoring rules consider it decided
+  const completeSet = useCallback(() => emitCommand('scoreboard:completeSet'), [emitCommand]);
+
+  // Officials' entries for the live set: `{ teamIndex, playerIn, playerOut }`
+  const recordSubstitution = useCallback(
+    (entry) => emitCommand('scoreboard:substitution', entry),
+    [emitCommand]
+  );
+
+  // `{ teamIndex, type: 'yellow' | 'red', player }`; the server scores red card penalties
+  const recordSanction = useCallback(
+    (entry) => emitCommand('scoreboard:sanction', entry),
+    [emitCommand]
+  );
+
   const controls = useMemo(
     () => ({
       loading,
-      error,
+      error: accessError || error,
       scoreboard,
       updateScoreboard,
-      clearError: () => setError(null),
+      history,
+      canUndo: history.undo > 0 && !isOffline && pendingCount === 0,
+      canRedo: history.redo > 0 && !isOffline && pendingCount === 0,
+      undo,
+      redo,
+      completeSet,
+      recordSubstitution,
+      recordSanction,
+      graphics,
+      setGraphics,
+      conflict,
+      dismissConflict,
+      reapplyConflict,
+      isOffline,
+      pendingCount,
+      clearError: () => {
+        setError(null);
+        setAccessError(null);
+      },
     }),
-    [error, loading, scoreboard, updateScoreboard]
+    [
+      accessError,
+      completeSet,
+      conflict,
+      dismissConflict,
+      error,
+      graphics,
+      history,
+      isOffline,
+      loading,
+      pendingCount,
+      reapplyConflict,
+      recordSanction,
+      recordSubstitution,
+      redo,
+      scoreboard,
+      setGraphics,
+      undo,
+      updateScoreboard,
+    ]
   );
 
   return controls;
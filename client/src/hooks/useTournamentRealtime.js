@@ -11,10 +11,12 @@ export function useTournamentRealtime({
   tournamentCode,
   onEvent,
   onError,
+  onReconnect,
   enabled = true,
 }) {
   const eventHandlerRef = useRef(onEvent);
   const errorHandlerRef = useRef(onError);
+  const reconnectHandlerRef = useRef(onReconnect);
 
   useEffect(() => {
     eventHandlerRef.current = onEvent;
@@ -24,6 +26,10 @@ export function useTournamentRealtime({
     errorHandlerRef.current = onError;
   }, [onError]);
 
+  useEffect(() => {
+    reconnectHandlerRef.current = onReconnect;
+  }, [onReconnect]);
+
   useEffect(() => {
     const normalizedCode = normalizeTournamentCode(tournamentCode);
 
@@ -49,22 +55,39 @@ export function useTournamentRealtime({
       errorHandlerRef.current?.(message || 'Realtime connection failed');
     };
 
+    let hasJoined = false;
+
     const joinTournamentRoom = () => {
       socket.emit('tournament:join', { code: normalizedCode });
+
+      // Events sent while disconnected are lost, so let the caller refetch
+      if (hasJoined) {
+        reconnectHandlerRef.current?.();
+      }
+      hasJoined = true;
+    };
+
+    const handleDisconnect = (reason) => {
+      // socket.io only retries on its own for client-side drops
+      if (reason === 'io server disconnect') {
+        socket.connect();
+      }
     };
 
     socket.on('connect', joinTournamentRoom);
+    socket.on('disconnect', handleDisconnect);
     socket.on('tournament:event', handleTournamentEvent);
     socket.on('tournament:error', handleTournamentError);
     socket.connect();
 
-    if (socket.connected) {
+    if (socket.connected && !hasJoined) {
       joinTournamentRoom();
     }
 
     return () => {
       socket.emit('tournament:leave', { code: normalizedCode });
       socket.off('connect', joinTournamentRoom);
+      socket.off('disconnect', handleDisconnect);
       socket.off('tournament:event', handleTournamentEvent);
       socket.off('tournament:error', handleTournamentError);
       socket.disconnect();
@@ -1,9 +1,22 @@
-import { useNavigate, useParams } from 'react-router-dom';
+import { useEffect } from 'react';
+import { useNavigate, useParams, useSearchParams } from 'react-router-dom';
 import ControlPanelView from '../components/ControlPanelView.jsx';
+import { readScorerTokenExpiry, saveScorerToken } from '../utils/scorerTokens.js';
 
 function ControlPanel() {
   const { scoreboardId } = useParams();
+  const [searchParams, setSearchParams] = useSearchParams();
   const navigate = useNavigate();
+  const scorerToken = searchParams.get('scorer');
+
+  // Keep scorer tokens from shared links, then drop them from the address bar
+  useEffect(() => {
+    if (!scorerToken) return;
+    saveScorerToken(scoreboardId, scorerToken, readScorerTokenExpiry(scorerToken));
+    const nextParams = new URLSearchParams(searchParams);
+    nextParams.delete('scorer');
+    setSearchParams(nextParams, { replace: true });
+  }, [scoreboardId, scorerToken, searchParams, setSearchParams]);
 
   const handleScoreboardChange = (nextId) => {
     const cleaned = nextId?.trim();
@@ -15,6 +28,7 @@ function ControlPanel() {
     <main className="container">
       <ControlPanelView
         scoreboardId={scoreboardId}
+        scorerToken={scorerToken}
         onScoreboardChange={handleScoreboardChange}
       />
     </main>
@@ -0,0 +1,217 @@
+import { useCallback, useEffect, useMemo, useState } from 'react';
+import { useParams } from 'react-router-dom';
+
+import { API_URL } from '../config/env.js';
+import { useTournamentRealtime } from '../hooks/useTournamentRealtime.js';
+import {
+  buildCourtDisplay,
+  formatCountdown,
+  formatProjectedStart,
+  getSecondsUntil,
+} from '../utils/courtDisplay.js';
+import { formatElapsedTimer } from '../utils/matchTimer.js';
+import { formatCompletedSetScores } from '../utils/matchSetSummary.js';
+import { applyLiveSummary } from '../utils/tournamentOverlays.js';
+
+// Fallback refresh in case tournament events are missed
+const AUTO_REFRESH_MS = 60_000;
+
+const formatParticipant = (slot, index) => slot?.participants?.[index]?.label || 'TBD';
+
+const formatRef = (slot) => (slot?.refLabel && slot.refLabel !== 'TBD' ? slot.refLabel : 'TBD');
+
+function LiveMatch({ match, nowMs }) {
+  const summary = match.scoreSummary || {};
+  const setScores = formatCompletedSetScores(match.completedSetScores);
+
+  return (
+    <section className="court-display__main" aria-label="Current match">
+      <p className="court-display__meta">
+        {match.phaseLabel}
+        {match.startedAt ? ` · ${formatElapsedTimer(match.startedAt, nowMs)}` : ''}
+      </p>
+      <div className="court-display__score">
+        {['A', 'B'].map((key, index) => (
+          <div key={key} className="court-display__team">
+            <p className="court-display__name">
+              {formatParticipant(match, index)}
+              {match.serving === key && (
+                <span className="court-display__serve" aria-label="Serving" />
+              )}
+            </p>
+            <p className="court-display__points">{summary[`points${key}`] ?? 0}</p>
+            <p className="court-display__sets">Sets {summary[`sets${key}`] ?? 0}</p>
+          </div>
+        ))}
+      </div>
+      {setScores && <p className="court-display__set-scores">{setScores}</p>}
+      <p className="court-display__ref">Ref: {formatRef(match)}</p>
+    </section>
+  );
+}
+
+function WarmUp({ match, secondsRemaining, timezone }) {
+  return (
+    <section className="court-display__main is-warmup" aria-label="Warm-up">
+      <p className="court-display__meta">Warm-up · {match.phaseLabel}</p>
+      <p className="court-display__countdown" aria-label="Time until start">
+        {secondsRemaining > 0 ? formatCountdown(secondsRemaining) : 'Starting soon'}
+      </p>
+      <p className="court-display__matchup">
+        {formatParticipant(match, 0)} <span>vs</span> {formatParticipant(match, 1)}
+      </p>
+      <p className="court-display__ref">
+        Ref: {formatRef(match)} · Starts {formatProjectedStart(match.projectedStartMinutes, timezone)}
+      </p>
+    </section>
+  );
+}
+
+/**
+ * Full-screen court-side TV: the live score in large type, or a warm-up countdown
+ * between matches, plus the next matches with projected start times. Built to run
+ * unattended: it polls as a fallback and refetches after socket reconnects.
+ */
+function CourtDisplay() {
+  const { publicCode, courtCode } = useParams();
+  const [schedule, setSchedule] = useState(null);
+  const [error, setError] = useState('');
+  const [liveSummariesByMatchId, setLiveSummariesByMatchId] = useState({});
+  const [nowMs, setNowMs] = useState(() => Date.now());
+
+  const loadSchedule = useCallback(async () => {
+    if (!publicCode || !courtCode) {
+      return;
+    }
+
+    try {
+      const response = await fetch(
+        `${API_URL}/api/tournaments/code/${publicCode}/courts/${encodeURIComponent(courtCode)}/schedule`
+      );
+      const payload = await response.json().catch(() => null);
+
+      if (!response.ok) {
+        throw new Error(payload?.message || 'Unable to load court schedule');
+      }
+
+      setSchedule(payload);
+      setLiveSummariesByMatchId({});
+      setError('');
+    } catch (loadError) {
+      // Keep showing the last schedule; the next refresh retries
+      setError(loadError.message || 'Unable to load court schedule');
+    }
+  }, [courtCode, publicCode]);
+
+  useEffect(() => {
+    loadSchedule();
+
+    const refreshId = window.setInterval(loadSchedule, AUTO_REFRESH_MS);
+    return () => window.clearInterval(refreshId);
+  }, [loadSchedule]);
+
+  useEffect(() => {
+    const timerId = window.setInterval(() => {
+      setNowMs(Date.now());
+    }, 1000);
+
+    return () => window.clearInterval(timerId);
+  }, []);
+
+  const handleTournamentEvent = useCallback(
+    (event) => {
+      if (event?.type === 'SCOREBOARD_SUMMARY') {
+        const matchId = event.data?.matchId;
+
+        if (matchId) {
+          setLiveSummariesByMatchId((previous) => ({ ...previous, [matchId]: event.data }));
+        }
+        return;
+      }
+
+      loadSchedule();
+    },
+    [loadSchedule]
+  );
+
+  useTournamentRealtime({
+    tournamentCode: publicCode,
+    onEvent: handleTournamentEvent,
+    onReconnect: loadSchedule,
+  });
+
+  const timezone = schedule?.schedule?.timezone;
+  const matchDurationMinutes = schedule?.schedule?.matchDurationMinutes;
+  // Projections only need to move once a minute
+  const nowMinuteMs = Math.floor(nowMs / 60000) * 60000;
+  const { current, upcoming } = useMemo(
+    () =>
+      buildCourtDisplay(schedule?.slots, {
+        nowMs: nowMinuteMs,
+        timezone,
+        matchDurationMinutes,
+      }),
+    [matchDurationMinutes, nowMinuteMs, schedule?.slots, timezone]
+  );
+
+  if (!schedule) {
+    return (
+      <main className="court-display">
+        <p className="court-display__status">{error || 'Loading court...'}</p>
+      </main>
+    );
+  }
+
+  const liveMatch = current
+    ? applyLiveSummary(current, liveSummariesByMatchId[current.matchId])
+    : null;
+  const warmUpMatch = liveMatch ? null : upcoming[0] || null;
+  const laterMatches = upcoming.slice(warmUpMatch ? 1 : 0, warmUpMatch ? 3 : 2);
+
+  return (
+    <main className="court-display">
+      <header className="court-display__header">
+        <h1>{schedule.court?.label || courtCode}</h1>
+        {error && <span className="court-display__offline">Reconnecting...</span>}
+      </header>
+
+      {liveMatch && <LiveMatch match={liveMatch} nowMs={nowMs} />}
+      {warmUpMatch && (
+        <WarmUp
+          match={warmUpMatch}
+          timezone={timezone}
+          secondsRemaining={getSecondsUntil(warmUpMatch.projectedStartMinutes, {
+            nowMs,
+            timezone,
+          })}
+        />
+      )}
+      {!liveMatch && !warmUpMatch && (
+        <section className="court-display__main">
+          <p className="court-display__matchup">No more matches on this court.</p>
+        </section>
+      )}
+
+      {laterMatches.length > 0 && (
+        <section className="court-display__next" aria-label="Up next">
+          <h2>Up next</h2>
+          <ol>
+            {laterMatches.map((match) => (
+              <li key={match.slotId || match.matchId}>
+                <span className="court-display__next-time">
+                  {formatProjectedStart(match.projectedStartMinutes, timezone)}
+                </span>
+                <span>
+                  {formatParticipant(match, 0)} vs {formatParticipant(match, 1)}
+                </span>
+                <span className="court-display__next-ref">Ref: {formatRef(match)}</span>
+              </li>
+            ))}
+          </ol>
+        </section>
+      )}
+    </main>
+  );
+}
+
+export default CourtDisplay;
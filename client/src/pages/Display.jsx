@@ -1,14 +1,35 @@
-import { useEffect } from 'react';
-import { useParams } from 'react-router-dom';
+import { useEffect, useMemo } from 'react';
+import { useLocation, useParams } from 'react-router-dom';
 
+import OverlayGraphics from '../components/OverlayGraphics.jsx';
 import ScoreboardOverlay from '../components/ScoreboardOverlay.jsx';
 import { useScoreboard } from '../hooks/useScoreboard.js';
+import { resolveOverlayOptions } from '../utils/overlayOptions.js';
+
+const TRANSFORM_ORIGINS = {
+  'top-left': 'top left',
+  'top-right': 'top right',
+  'bottom-left': 'bottom left',
+  'bottom-right': 'bottom right',
+  center: 'center',
+};
 
 function Display() {
   const { scoreboardId } = useParams();
-  const { scoreboard, loading, error } = useScoreboard(scoreboardId);
+  const { search } = useLocation();
+  const { scoreboard, graphics, loading, error } = useScoreboard(scoreboardId);
+  const options = useMemo(
+    () => resolveOverlayOptions(search, scoreboard?.overlayPresets),
+    [scoreboard?.overlayPresets, search]
+  );
+  const { layout, position, scale, transparent } = options;
+  const isFullscreen = layout === 'fullscreen';
 
   useEffect(() => {
+    if (!transparent) {
+      return undefined;
+    }
+
     document.body.classList.add('overlay-mode');
     document.documentElement.classList.add('overlay-mode');
 
@@ -16,7 +37,7 @@ function Display() {
       document.body.classList.remove('overlay-mode');
       document.documentElement.classList.remove('overlay-mode');
     };
-  }, []);
+  }, [transparent]);
 
   if (loading) {
     return <div className="overlay-status">Loading scoreboard...</div>;
@@ -30,9 +51,26 @@ function Display() {
     return <div className="overlay-status">No scoreboard data found.</div>;
   }
 
+  const stageClassName = [
+    'overlay-stage',
+    `overlay-stage--${position}`,
+    isFullscreen ? 'overlay-stage--fullscreen' : null,
+    transparent ? null : 'is-opaque',
+  ]
+    .filter(Boolean)
+    .join(' ');
+
+  // The court-side layout fills the screen, so scale sizes its text instead of the frame
+  const scaleStyle = isFullscreen
+    ? { '--overlay-scale': scale }
+    : { transform: `scale(${scale})`, transformOrigin: TRANSFORM_ORIGINS[position] };
+
   return (
-    <div className="overlay-stage">
-      <ScoreboardOverlay scoreboard={scoreboard} />
+    <div className={stageClassName}>
+      <div className="overlay-scale" style={scaleStyle}>
+        <ScoreboardOverlay scoreboard={scoreboard} options={options} />
+      </div>
+      <OverlayGraphics graphics={graphics} scoreboard={scoreboard} />
     </div>
   );
 }
@@ -0,0 +1,75 @@
+import { useMemo } from 'react';
+import { useLocation, useParams } from 'react-router-dom';
+
+import EmbedFrame from '../components/EmbedFrame.jsx';
+import { normalizeSet, sanitizeTeam } from '../components/scoreboardOverlay.utils.js';
+import { useScoreboard } from '../hooks/useScoreboard.js';
+import { resolveEmbedOptions } from '../utils/embedOptions.js';
+
+/**
+ * Iframe widget for one scoreboard (`/embed/board/:scoreboardId`): live score, set wins,
+ * completed set scores, and the serving team. Read-only; no login needed.
+ */
+function EmbedScoreboard() {
+  const { scoreboardId } = useParams();
+  const { search } = useLocation();
+  const options = useMemo(() => resolveEmbedOptions(search), [search]);
+  const { scoreboard, loading, error } = useScoreboard(scoreboardId);
+
+  if (loading || !scoreboard) {
+    return (
+      <EmbedFrame options={options} label="Live score">
+        <p className="embed-widget__status">
+          {loading ? 'Loading score...' : error || 'Scoreboard not found.'}
+        </p>
+      </EmbedFrame>
+    );
+  }
+
+  const teams = [0, 1].map((index) => sanitizeTeam(scoreboard.teams?.[index], index));
+  const sets = Array.isArray(scoreboard.sets) ? scoreboard.sets.map(normalizeSet) : [];
+  const setWins = [0, 1].map(
+    (index) => sets.filter((scores) => scores[index] > scores[1 - index]).length
+  );
+
+  return (
+    <EmbedFrame options={options} label="Live score">
+      {scoreboard.title && <h1 className="embed-widget__title">{scoreboard.title}</h1>}
+      <table className="embed-widget__table embed-score">
+        <thead>
+          <tr>
+            <th scope="col">Team</th>
+            {sets.map((_, index) => (
+              <th key={index} scope="col">
+                {index + 1}
+              </th>
+            ))}
+            <th scope="col">Sets</th>
+            <th scope="col">Pts</th>
+          </tr>
+        </thead>
+        <tbody>
+          {teams.map((team, teamIndex) => (
+            <tr key={teamIndex}>
+              <th scope="row">
+                <span className="embed-score__swatch" style={{ background: team.color }} />
+                {team.logoUrl && <img className="embed-score__logo" src={team.logoUrl} alt="" />}
+                {team.name}
+                {scoreboard.servingTeamIndex === teamIndex && (
+                  <span className="embed-score__serve" aria-label="Serving" />
+                )}
+              </th>
+              {sets.map((scores, setIndex) => (
+                <td key={setIndex}>{scores[teamIndex]}</td>
+              ))}
+              <td>{setWins[teamIndex]}</td>
+              <td className="embed-score__points">{team.score}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </EmbedFrame>
+  );
+}
+
+export default EmbedScoreboard;
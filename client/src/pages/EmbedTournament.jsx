@@ -0,0 +1,255 @@
+import { useCallback, useEffect, useMemo, useState } from 'react';
+import { useLocation, useParams } from 'react-router-dom';
+
+import EmbedFrame from '../components/EmbedFrame.jsx';
+import { API_URL } from '../config/env.js';
+import { useTournamentRealtime } from '../hooks/useTournamentRealtime.js';
+import { EMBED_TOURNAMENT_VIEWS, resolveEmbedOptions } from '../utils/embedOptions.js';
+import { applyLiveSummary } from '../utils/tournamentOverlays.js';
+
+const VIEW_LABELS = {
+  live: 'Live',
+  schedule: 'Schedule',
+  standings: 'Standings',
+};
+
+const formatTeam = (team) => team?.shortName || team?.name || 'TBD';
+
+function LiveView({ cards, liveSummaries }) {
+  if (cards.length === 0) {
+    return <p className="embed-widget__status">No matches are live right now.</p>;
+  }
+
+  return (
+    <ul className="embed-widget__list">
+      {cards.map((rawCard) => {
+        const card = applyLiveSummary(rawCard, liveSummaries[rawCard.matchId]);
+        const summary = card.scoreSummary || {};
+
+        return (
+          <li key={card.matchId} className="embed-live-card">
+            <p className="embed-widget__meta">
+              {[card.courtLabel, card.phaseLabel].filter(Boolean).join(' · ')}
+            </p>
+            {['A', 'B'].map((key) => (
+              <p key={key} className="embed-live-card__team">
+                <span>{formatTeam(card[`team${key}`])}</span>
+                <span className="embed-live-card__sets">{summary[`sets${key}`] ?? 0}</span>
+                <span className="embed-live-card__points">{summary[`points${key}`] ?? 0}</span>
+              </p>
+            ))}
+          </li>
+        );
+      })}
+    </ul>
+  );
+}
+
+function ScheduleView({ slots }) {
+  if (slots.length === 0) {
+    return <p className="embed-widget__status">No matches scheduled yet.</p>;
+  }
+
+  return (
+    <table className="embed-widget__table">
+      <thead>
+        <tr>
+          <th scope="col">Time</th>
+          <th scope="col">Court</th>
+          <th scope="col">Match</th>
+          <th scope="col">Result</th>
+        </tr>
+      </thead>
+      <tbody>
+        {slots.map((slot) => (
+          <tr key={slot.slotId || slot.matchId}>
+            <td>{slot.timeLabel}</td>
+            <td>{slot.courtLabel}</td>
+            <td>{slot.matchupLabel}</td>
+            <td>
+              {slot.status === 'live' ? (
+                <span className="embed-widget__live">Live</span>
+              ) : slot.setSummary && slot.status === 'final' ? (
+                `${slot.setSummary.setsA}-${slot.setSummary.setsB}`
+              ) : (
+                ''
+              )}
+            </td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
+
+function StandingsTable({ title, teams }) {
+  return (
+    <table className="embed-widget__table">
+      {title && <caption>{title}</caption>}
+      <thead>
+        <tr>
+          <th scope="col">#</th>
+          <th scope="col">Team</th>
+          <th scope="col">W-L</th>
+          <th scope="col">Sets</th>
+        </tr>
+      </thead>
+      <tbody>
+        {teams.map((team) => (
+          <tr key={team.teamId || `${team.rank}-${team.name}`}>
+            <td>{team.rank}</td>
+            <td>{formatTeam(team)}</td>
+            <td>
+              {team.matchesWon ?? 0}-{team.matchesLost ?? 0}
+            </td>
+            <td>
+              {team.setsWon ?? 0}-{team.setsLost ?? 0}
+            </td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
+
+function StandingsView({ standings }) {
+  const pools = (standings?.pools || []).filter((pool) => pool.teams?.length > 0);
+
+  if (pools.length > 0) {
+    return pools.map((pool) => (
+      <StandingsTable key={pool.poolName} title={`Pool ${pool.poolName}`} teams={pool.teams} />
+    ));
+  }
+
+  if (standings?.overall?.length > 0) {
+    return <StandingsTable teams={standings.overall} />;
+  }
+
+  return <p className="embed-widget__status">Standings will appear once results are in.</p>;
+}
+
+const VIEW_ENDPOINTS = {
+  live: () => 'live',
+  schedule: () => 'schedule-plan?kinds=match',
+  standings: (options) => `standings?phase=${options.phase}`,
+};
+
+/**
+ * Iframe widget for a tournament (`/embed/t/:publicCode`): live matches, the schedule,
+ * or standings from the public endpoints, with an optional view switcher. Updates live
+ * through tournament events; no login needed.
+ */
+function EmbedTournament() {
+  const { publicCode } = useParams();
+  const { search } = useLocation();
+  const options = useMemo(() => resolveEmbedOptions(search), [search]);
+  const [view, setView] = useState(options.view);
+  const [tournamentName, setTournamentName] = useState('');
+  const [data, setData] = useState(null);
+  const [error, setError] = useState('');
+  const [liveSummaries, setLiveSummaries] = useState({});
+
+  useEffect(() => {
+    if (!publicCode) {
+      return undefined;
+    }
+
+    let cancelled = false;
+
+    fetch(`${API_URL}/api/tournaments/code/${publicCode}`)
+      .then((response) => response.json().catch(() => null))
+      .then((payload) => {
+        if (!cancelled) {
+          setTournamentName(payload?.tournament?.name || '');
+        }
+      })
+      .catch(() => {});
+
+    return () => {
+      cancelled = true;
+    };
+  }, [publicCode]);
+
+  const loadView = useCallback(async () => {
+    if (!publicCode) {
+      return;
+    }
+
+    try {
+      const response = await fetch(
+        `${API_URL}/api/tournaments/code/${publicCode}/${VIEW_ENDPOINTS[view](options)}`
+      );
+      const payload = await response.json().catch(() => null);
+
+      if (!response.ok) {
+        throw new Error(payload?.message || 'Unable to load tournament');
+      }
+
+      setData({ view, payload });
+      setLiveSummaries({});
+      setError('');
+    } catch (loadError) {
+      setError(loadError.message || 'Unable to load tournament');
+    }
+  }, [options, publicCode, view]);
+
+  useEffect(() => {
+    loadView();
+  }, [loadView]);
+
+  const handleTournamentEvent = useCallback(
+    (event) => {
+      if (event?.type === 'SCOREBOARD_SUMMARY') {
+        const matchId = event.data?.matchId;
+
+        if (matchId) {
+          setLiveSummaries((previous) => ({ ...previous, [matchId]: event.data }));
+        }
+        return;
+      }
+
+      loadView();
+    },
+    [loadView]
+  );
+
+  useTournamentRealtime({
+    tournamentCode: publicCode,
+    onEvent: handleTournamentEvent,
+    onReconnect: loadView,
+  });
+
+  const current = data?.view === view ? data.payload : null;
+
+  return (
+    <EmbedFrame options={options} label={tournamentName || 'Tournament'}>
+      {tournamentName && <h1 className="embed-widget__title">{tournamentName}</h1>}
+      {options.tabs && (
+        <div className="embed-widget__tabs" role="tablist">
+          {EMBED_TOURNAMENT_VIEWS.map((entry) => (
+            <button
+              key={entry}
+              type="button"
+              role="tab"
+              aria-selected={view === entry}
+              className={view === entry ? 'is-active' : undefined}
+              onClick={() => setView(entry)}
+            >
+              {VIEW_LABELS[entry]}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {error && <p className="embed-widget__status">{error}</p>}
+      {!error && !current && <p className="embed-widget__status">Loading...</p>}
+      {current && view === 'live' && (
+        <LiveView cards={Array.isArray(current) ? current : []} liveSummaries={liveSummaries} />
+      )}
+      {current && view === 'schedule' && <ScheduleView slots={current.slots || []} />}
+      {current && view === 'standings' && <StandingsView standings={current} />}
+    </EmbedFrame>
+  );
+}
+
+export default EmbedTournament;
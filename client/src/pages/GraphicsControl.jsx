@@ -0,0 +1,144 @@
+import { useState } from 'react';
+import { Link, useParams } from 'react-router-dom';
+
+import { useAuth } from '../context/AuthContext.jsx';
+import { useScoreboard } from '../hooks/useScoreboard.js';
+
+const GRAPHICS = [
+  { key: 'setSummary', label: 'Set summary', description: 'Completed set scores and sets won.' },
+  { key: 'matchTitle', label: 'Match title', description: 'Lower-third with the title below.' },
+  {
+    key: 'standings',
+    label: 'Pool standings',
+    description: 'Current pool table.',
+    needsData: true,
+    unavailable: 'Only for pool play matches in a tournament.',
+  },
+  {
+    key: 'nextMatch',
+    label: 'Next match',
+    description: 'The next scheduled match on this court.',
+    needsData: true,
+    unavailable: 'No scheduled match follows on this court.',
+  },
+];
+
+function MatchTitleForm({ matchTitle, onSave }) {
+  const [title, setTitle] = useState(matchTitle?.title ?? '');
+  const [subtitle, setSubtitle] = useState(matchTitle?.subtitle ?? '');
+
+  return (
+    <form
+      className="graphics-title-form"
+      onSubmit={(event) => {
+        event.preventDefault();
+        onSave({ title, subtitle });
+      }}
+    >
+      <label className="input-label" htmlFor="graphics-title">
+        Title
+      </label>
+      <input
+        id="graphics-title"
+        type="text"
+        maxLength={60}
+        value={title}
+        onChange={(event) => setTitle(event.target.value)}
+      />
+      <label className="input-label" htmlFor="graphics-subtitle">
+        Subtitle
+      </label>
+      <input
+        id="graphics-subtitle"
+        type="text"
+        maxLength={80}
+        value={subtitle}
+        onChange={(event) => setSubtitle(event.target.value)}
+      />
+      <button type="submit" className="control-tool-button">
+        Save title
+      </button>
+    </form>
+  );
+}
+
+/**
+ * Producer page for the broadcast graphics on `/board/:id/display`. Toggles go over the
+ * scoreboard socket, so it needs the same write access as the control panel.
+ */
+function GraphicsControl() {
+  const { scoreboardId } = useParams();
+  const { token: authToken } = useAuth();
+  const { scoreboard, graphics, setGraphics, loading, error } = useScoreboard(scoreboardId, {
+    authToken,
+  });
+
+  if (loading) {
+    return <main className="container">Loading scoreboard...</main>;
+  }
+
+  if (!scoreboard) {
+    return (
+      <main className="container">
+        <p className="error">{error || 'No scoreboard data found.'}</p>
+      </main>
+    );
+  }
+
+  return (
+    <main className="container graphics-control">
+      <header className="graphics-control__header">
+        <h1>Graphics</h1>
+        <p className="subtle">
+          {scoreboard.title} ·{' '}
+          <Link to={`/board/${scoreboardId}/control`}>Control panel</Link> ·{' '}
+          <a href={`/board/${scoreboardId}/display`} target="_blank" rel="noopener noreferrer">
+            Overlay
+          </a>
+        </p>
+      </header>
+
+      {error && <p className="error">{error}</p>}
+
+      {!graphics ? (
+        <p className="subtle">Connecting...</p>
+      ) : (
+        <>
+          <ul className="graphics-control__list">
+            {GRAPHICS.map(({ key, label, description, needsData, unavailable }) => {
+              const isOn = Boolean(graphics.visible?.[key]);
+              // Standings and next match come from the linked tournament match
+              const available = !needsData || Boolean(graphics[key]);
+
+              return (
+                <li key={key} className={`graphics-control__item${isOn ? ' is-on' : ''}`}>
+                  <div>
+                    <h2>{label}</h2>
+                    <p className="subtle">{available ? description : unavailable}</p>
+                  </div>
+                  <button
+                    type="button"
+                    className={`control-tool-button${isOn ? ' is-active' : ''}`}
+                    aria-pressed={isOn}
+                    disabled={!available && !isOn}
+                    onClick={() => setGraphics({ visible: { [key]: !isOn } })}
+                  >
+                    {isOn ? `Hide ${label.toLowerCase()}` : `Show ${label.toLowerCase()}`}
+                  </button>
+                </li>
+              );
+            })}
+          </ul>
+
+          <MatchTitleForm
+            key={`${graphics.matchTitle?.title}|${graphics.matchTitle?.subtitle}`}
+            matchTitle={graphics.matchTitle}
+            onSave={setGraphics}
+          />
+        </>
+      )}
+    </main>
+  );
+}
+
+export default GraphicsControl;
@@ -1,12 +1,14 @@
 import { useCallback, useEffect, useMemo, useRef, useState } from "react";
-import { MdContentCopy, MdDelete, MdEdit, MdSave } from "react-icons/md";
+import { MdContentCopy, MdDelete, MdEdit, MdSave, MdVpnKey } from "react-icons/md";
 import { FiCheckCircle, FiInfo, FiXCircle } from "react-icons/fi";
 import { useNavigate, useSearchParams } from "react-router-dom";
+import ApiTokenManager from "../components/ApiTokenManager.jsx";
 import ControlPanelView from "../components/ControlPanelView.jsx";
 import TournamentsTab from "../components/TournamentsTab.jsx";
 import { useAuth } from "../context/AuthContext.jsx";
 import SettingsMenu from "../components/SettingsMenu.jsx";
 import { API_URL } from "../config/env.js";
+import { saveScorerToken } from "../utils/scorerTokens.js";
 
 const defaultTeams = [
   {
@@ -69,6 +71,7 @@ function Home() {
   // Rename
   const [editingId, setEditingId] = useState(null);
   const [editValue, setEditValue] = useState("");
+  const [apiTokensBoardId, setApiTokensBoardId] = useState(null);
 
   // Toasts (stack)
   const [toasts, setToasts] = useState([]);
@@ -427,6 +430,7 @@ function Home() {
         setBoards((b) => [data, ...b]);
         showToast('success', 'Scoreboard created');
       } else {
+        saveScorerToken([data._id, data.code], data.scorerToken, data.scorerTokenExpiresAt);
         showToast('info', 'Temporary scoreboard ready');
       }
 
@@ -972,6 +976,16 @@ function Home() {
                       <MdEdit />
                     </div>
                   )}
+                  <div
+                    className="icon-box blue"
+                    title="API tokens"
+                    aria-expanded={apiTokensBoardId === b._id}
+                    onClick={() =>
+                      setApiTokensBoardId((prev) => (prev === b._id ? null : b._id))
+                    }
+                  >
+                    <MdVpnKey />
+                  </div>
                   <div
                     className="icon-box red"
                     title="Delete"
@@ -1009,6 +1023,11 @@ function Home() {
                 </span>
               </button>
             </div>
+            {apiTokensBoardId === b._id && (
+              <div onClick={(e) => e.stopPropagation()}>
+                <ApiTokenManager scoreboardId={b._id} token={token} onToast={showToast} />
+              </div>
+            )}
           </div>
         );
       })}
@@ -2,6 +2,7 @@ import { useCallback, useEffect, useMemo, useState } from 'react';
 import { useNavigate, useParams } from 'react-router-dom';
 
 import { API_URL } from '../config/env.js';
+import FormatBuilder from '../components/FormatBuilder.jsx';
 import TournamentAdminNav from '../components/TournamentAdminNav.jsx';
 import { useAuth } from '../context/AuthContext.jsx';
 import { buildFormatPreview } from '../utils/formatPreview.js';
@@ -192,9 +193,12 @@ function TournamentFormatAdmin() {
       if (!normalizedFormatId) {
         return null;
       }
-      return fetchJson(`${API_URL}/api/tournament-formats/${normalizedFormatId}`);
+      return fetchJson(
+        `${API_URL}/api/tournament-formats/${normalizedFormatId}`,
+        token ? { headers: authHeaders(token) } : {}
+      );
     },
-    [fetchJson]
+    [fetchJson, token]
   );
 
   const loadSuggestions = useCallback(
@@ -209,16 +213,18 @@ function TournamentFormatAdmin() {
         return [];
       }
 
+      // Signed-in requests also return the admin's private custom formats
       const suggestions = await fetchJson(
         `${API_URL}/api/tournament-formats/suggest?teamCount=${Number(
           teamCount
-        )}&courtCount=${Number(courtCount)}`
+        )}&courtCount=${Number(courtCount)}`,
+        token ? { headers: authHeaders(token) } : {}
       );
       const normalized = Array.isArray(suggestions) ? suggestions : [];
       setSuggestedFormats(normalized);
       return normalized;
     },
-    [fetchJson]
+    [fetchJson, token]
   );
 
   const loadData = useCallback(async () => {
@@ -485,6 +491,23 @@ function TournamentFormatAdmin() {
     }
   }, [fetchJson, id, loadData, navigate, resettingTournament, token, tournament?.isOwner]);
 
+  const handleFormatSaved = useCallback(
+    async (savedFormat) => {
+      setError('');
+      setMessage(`Saved ${savedFormat.name}. Select it and click Apply Format to use it.`);
+
+      try {
+        await loadSuggestions(teams.length, totalCourts);
+        if (savedFormat.supportedTeamCounts?.includes(teams.length)) {
+          setSelectedFormatId(savedFormat.id);
+        }
+      } catch (loadError) {
+        setError(loadError.message || 'Unable to refresh formats');
+      }
+    },
+    [loadSuggestions, teams.length, totalCourts]
+  );
+
   const selectedFormatSummary = useMemo(
     () => suggestedFormats.find((entry) => entry.id === selectedFormatId) || null,
     [selectedFormatId, suggestedFormats]
@@ -734,6 +757,9 @@ function TournamentFormatAdmin() {
                     />
                     {' '}
                     <strong>{format.name}</strong>
+                    {format.custom && (
+                      <span className="format-tag">{format.shared ? 'Shared' : 'Custom'}</span>
+                    )}
                   </label>
                   <p className="subtle">{format.description}</p>
                 </article>
@@ -754,6 +780,8 @@ function TournamentFormatAdmin() {
           </p>
         </section>
 
+        <FormatBuilder teamCount={teams.length} token={token} onSaved={handleFormatSaved} />
+
         {error && <p className="error">{error}</p>}
         {message && <p className="subtle phase1-success">{message}</p>}
 
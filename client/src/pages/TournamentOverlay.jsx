@@ -0,0 +1,131 @@
+import { useCallback, useEffect, useMemo, useState } from 'react';
+import { useLocation, useParams } from 'react-router-dom';
+
+import LiveCourtsOverlay from '../components/LiveCourtsOverlay.jsx';
+import TournamentBracketOverlay from '../components/TournamentBracketOverlay.jsx';
+import TournamentTickerOverlay from '../components/TournamentTickerOverlay.jsx';
+import { API_URL } from '../config/env.js';
+import { useTournamentRealtime } from '../hooks/useTournamentRealtime.js';
+import { TOURNAMENT_OVERLAY_TYPES, applyLiveSummary } from '../utils/tournamentOverlays.js';
+
+const OVERLAY_ENDPOINTS = {
+  ticker: (search) => {
+    const phase = new URLSearchParams(search).get('phase');
+    return `overlay/ticker${phase ? `?phase=${encodeURIComponent(phase)}` : ''}`;
+  },
+  bracket: () => 'playoffs',
+  live: () => 'live',
+};
+
+/**
+ * Tournament-wide broadcast overlays on a transparent 1920x1080 stage:
+ * `/t/:publicCode/overlay/ticker`, `/bracket`, and `/live`. Score summaries are applied
+ * in place; any other tournament event refetches the overlay data.
+ */
+function TournamentOverlay() {
+  const { publicCode, overlayType } = useParams();
+  const { search } = useLocation();
+  const [data, setData] = useState(null);
+  const [error, setError] = useState('');
+  const [liveSummaries, setLiveSummaries] = useState({});
+  const isKnownType = TOURNAMENT_OVERLAY_TYPES.includes(overlayType);
+  const excludedCourt = useMemo(
+    () => (new URLSearchParams(search).get('exclude') || '').trim().toUpperCase(),
+    [search]
+  );
+
+  const loadOverlayData = useCallback(async () => {
+    if (!publicCode || !isKnownType) {
+      return;
+    }
+
+    try {
+      const response = await fetch(
+        `${API_URL}/api/tournaments/code/${publicCode}/${OVERLAY_ENDPOINTS[overlayType](search)}`
+      );
+      const payload = await response.json().catch(() => null);
+
+      if (!response.ok) {
+        throw new Error(payload?.message || 'Unable to load tournament overlay');
+      }
+
+      setData(payload);
+      setLiveSummaries({});
+      setError('');
+    } catch (loadError) {
+      setError(loadError.message || 'Unable to load tournament overlay');
+    }
+  }, [isKnownType, overlayType, publicCode, search]);
+
+  useEffect(() => {
+    loadOverlayData();
+  }, [loadOverlayData]);
+
+  useEffect(() => {
+    document.body.classList.add('overlay-mode');
+    document.documentElement.classList.add('overlay-mode');
+
+    return () => {
+      document.body.classList.remove('overlay-mode');
+      document.documentElement.classList.remove('overlay-mode');
+    };
+  }, []);
+
+  const handleTournamentEvent = useCallback(
+    (event) => {
+      if (event?.type === 'SCOREBOARD_SUMMARY') {
+        const matchId = event.data?.matchId;
+
+        if (matchId) {
+          setLiveSummaries((previous) => ({ ...previous, [matchId]: event.data }));
+        }
+        return;
+      }
+
+      loadOverlayData();
+    },
+    [loadOverlayData]
+  );
+
+  useTournamentRealtime({
+    tournamentCode: publicCode,
+    onEvent: handleTournamentEvent,
+    enabled: isKnownType,
+  });
+
+  const liveCards = useMemo(() => {
+    if (overlayType !== 'live' || !Array.isArray(data)) {
+      return [];
+    }
+
+    return data
+      .filter((card) => !excludedCourt || card.courtCode?.toUpperCase() !== excludedCourt)
+      .map((card) => applyLiveSummary(card, liveSummaries[card.matchId]));
+  }, [data, excludedCourt, liveSummaries, overlayType]);
+
+  if (!isKnownType) {
+    return <div className="overlay-status overlay-status--error">Unknown overlay type.</div>;
+  }
+
+  if (error) {
+    return <div className="overlay-status overlay-status--error">{error}</div>;
+  }
+
+  if (!data) {
+    return <div className="overlay-status">Loading overlay...</div>;
+  }
+
+  return (
+    <div className={`tournament-overlay-stage tournament-overlay-stage--${overlayType}`}>
+      {overlayType === 'ticker' && (
+        <TournamentTickerOverlay tournamentName={data.tournament?.name} items={data.items} />
+      )}
+      {overlayType === 'bracket' && (
+        <TournamentBracketOverlay playoffs={data} liveSummaries={liveSummaries} />
+      )}
+      {overlayType === 'live' && <LiveCourtsOverlay cards={liveCards} />}
+    </div>
+  );
+}
+
+export default TournamentOverlay;
@@ -54,12 +54,13 @@ const normalizeBracket = (value) =>
   typeof value === 'string' ? value.trim().toLowerCase() : '';
 const parseRoundRank = (roundKey) => {
   const normalized = String(roundKey || '').trim().toUpperCase();
-  const matched = /^R(\d+)$/.exec(normalized);
+  const matched = /^([RL])(\d+)$/.exec(normalized);
   if (!matched) {
-    return Number.MAX_SAFE_INTEGER;
+    // Double-elimination grand final and its if-necessary reset, then a third-place match
+    return { GF: 200, GF2: 201, '3P': 300 }[normalized] ?? Number.MAX_SAFE_INTEGER;
   }
 
-  return Number(matched[1]);
+  return Number(matched[2]) + (matched[1] === 'L' ? 100 : 0);
 };
 const toIdString = (value) => {
   if (!value) {
@@ -697,7 +698,10 @@ function TournamentPlayoffsAdmin() {
 
                       return roundOrder.map((roundKey) => (
                         <div key={`${bracket}-${roundKey}`} className="playoff-round-block">
-                          <h4>{roundKey === 'R3' ? 'Final' : roundKey}</h4>
+                          <h4>
+                            {bracketData.roundLabels?.[roundKey] ||
+                              (roundKey === 'R3' ? 'Final' : roundKey)}
+                          </h4>
                           {(bracketData.rounds?.[roundKey] || []).map((match) => {
                             const bracketStatusMeta = getMatchStatusMeta(match?.status);
 
@@ -705,7 +709,8 @@ function TournamentPlayoffsAdmin() {
                               <div key={match._id} className="playoff-round-match">
                                 <p>{formatBracketMatchSummary(match, seedByTeamId)}</p>
                                 <p className="subtle">
-                                  {mapCourtLabel(match.court)} • {bracketStatusMeta.label}
+                                  {mapCourtLabel(match.court)} •{' '}
+                                  {match.skipped ? 'Not needed' : bracketStatusMeta.label}
                                 </p>
                                 {liveSummariesByMatchId[match._id] && (
                                   <p className="subtle">
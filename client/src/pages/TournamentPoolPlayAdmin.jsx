@@ -475,7 +475,9 @@ function TournamentPoolPlayAdmin() {
         return;
       }
 
-      const nextFormatDef = await fetchJson(`${API_URL}/api/tournament-formats/${nextFormatId}`);
+      const nextFormatDef = await fetchJson(`${API_URL}/api/tournament-formats/${nextFormatId}`, {
+        headers: authHeaders(token),
+      });
       setFormatDef(nextFormatDef);
       formatDefRef.current = nextFormatDef;
 
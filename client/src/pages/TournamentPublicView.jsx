@@ -98,12 +98,23 @@ const normalizeBracket = (value) =>
   typeof value === 'string' ? value.trim().toLowerCase() : '';
 const parseRoundRank = (roundKey) => {
   const normalized = String(roundKey || '').trim().toUpperCase();
-  const matched = /^R(\d+)$/.exec(normalized);
+  const matched = /^([RL])(\d+)$/.exec(normalized);
   if (!matched) {
-    return Number.MAX_SAFE_INTEGER;
+    // Double-elimination grand final and its if-necessary reset, then a third-place match
+    return { GF: 200, GF2: 201, '3P': 300 }[normalized] ?? Number.MAX_SAFE_INTEGER;
   }
 
-  return Number(matched[1]);
+  return Number(matched[2]) + (matched[1] === 'L' ? 100 : 0);
+};
+const formatPlayoffMatchStatus = (match) => {
+  if (match?.skipped) {
+    return 'Not needed';
+  }
+  if (match?.status === 'final') {
+    return 'Final';
+  }
+
+  return match?.ifNecessary ? 'If necessary' : 'Scheduled';
 };
 const toTitleCase = (value) =>
   String(value || '')
@@ -1289,6 +1300,17 @@ function TournamentPublicView() {
                 </button>
               ))}
             </div>
+            {selectedCourtCode && (
+              <p className="subtle">
+                <a
+                  href={`/t/${publicCode}/courts/${encodeURIComponent(selectedCourtCode)}/display`}
+                  target="_blank"
+                  rel="noreferrer"
+                >
+                  Open court TV display
+                </a>
+              </p>
+            )}
 
             {courtScheduleLoading ? (
               <p className="subtle">Loading court schedule...</p>
@@ -1509,12 +1531,15 @@ function TournamentPublicView() {
 
                           return roundOrder.map((roundKey) => (
                             <div key={`${bracket}-${roundKey}`} className="playoff-round-block">
-                              <h4>{roundKey === 'R3' ? 'Final' : roundKey}</h4>
+                              <h4>
+                                {bracketData.roundLabels?.[roundKey] ||
+                                  (roundKey === 'R3' ? 'Final' : roundKey)}
+                              </h4>
                               {(bracketData.rounds?.[roundKey] || []).map((match) => (
                                 <div key={match._id} className="playoff-round-match">
                                   <p>{formatPlayoffMatchSummary(match, seedByTeamId)}</p>
                                   <p className="subtle">
-                                    {mapCourtLabel(match.court)} • {match.status === 'final' ? 'Final' : 'Scheduled'}
+                                    {mapCourtLabel(match.court)} • {formatPlayoffMatchStatus(match)}
                                   </p>
                                   {liveSummariesByMatchId[match._id] && (
                                     <p className="subtle">
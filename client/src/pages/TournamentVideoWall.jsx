@@ -0,0 +1,200 @@
+import { useCallback, useEffect, useState } from 'react';
+import { useParams } from 'react-router-dom';
+
+import { API_URL } from '../config/env.js';
+import { useTournamentRealtime } from '../hooks/useTournamentRealtime.js';
+import { formatElapsedTimer } from '../utils/matchTimer.js';
+import {
+  formatSetSummaryWithScores,
+  toSetSummaryFromScoreSummary,
+} from '../utils/matchSetSummary.js';
+import { getMatchStatusMeta } from '../utils/tournamentMatchControl.js';
+import { applyLiveSummary } from '../utils/tournamentOverlays.js';
+
+function CourtTile({ tile, liveSummary, nowMs }) {
+  const current = tile.current ? applyLiveSummary(tile.current, liveSummary) : null;
+  const next = tile.next;
+  const statusMeta = current ? getMatchStatusMeta(current.status) : null;
+  const isLive = current?.status === 'live';
+  const summary = current?.scoreSummary || null;
+  const rows = current
+    ? ['A', 'B'].map((key, index) => ({
+        key,
+        label: current.participants?.[index]?.label,
+        sets: summary?.[`sets${key}`],
+        points: summary?.[`points${key}`],
+      }))
+    : [];
+
+  return (
+    <article className={`video-wall-tile${isLive ? ' is-live' : ''}`}>
+      <header className="video-wall-tile__header">
+        <h2>{tile.court.label || tile.court.code}</h2>
+        {statusMeta && (
+          <span className={`phase1-status-badge ${statusMeta.badgeClassName}`}>
+            {statusMeta.label}
+          </span>
+        )}
+        {isLive && current.startedAt && (
+          <span className="video-wall-tile__timer" aria-label="Elapsed time">
+            {formatElapsedTimer(current.startedAt, nowMs)}
+          </span>
+        )}
+      </header>
+
+      {current ? (
+        <div className="video-wall-tile__match">
+          <p className="subtle">
+            {[
+              current.phaseLabel,
+              current.poolName ? `Pool ${current.poolName}` : null,
+              current.timeLabel,
+            ]
+              .filter(Boolean)
+              .join(' · ')}
+          </p>
+          {rows.map((row) => (
+            <p key={row.key} className="video-wall-tile__team">
+              <span className="video-wall-tile__name">
+                {row.label || 'TBD'}
+                {current.serving === row.key && (
+                  <span className="video-wall-tile__serve" aria-label="Serving" />
+                )}
+              </span>
+              <span className="video-wall-tile__sets">{summary ? row.sets ?? 0 : ''}</span>
+              <span className="video-wall-tile__points">{isLive ? row.points ?? 0 : ''}</span>
+            </p>
+          ))}
+          {summary && (
+            <p className="video-wall-tile__summary">
+              {formatSetSummaryWithScores(
+                toSetSummaryFromScoreSummary(summary),
+                current.completedSetScores
+              )}
+            </p>
+          )}
+        </div>
+      ) : (
+        <p className="video-wall-tile__empty">No matches on this court.</p>
+      )}
+
+      <footer className="video-wall-tile__next">
+        {next ? (
+          <>
+            <strong>Next:</strong> {next.matchupLabel}
+            {next.timeLabel ? ` · ${next.timeLabel}` : ''}
+          </>
+        ) : (
+          <span className="subtle">No more matches scheduled.</span>
+        )}
+      </footer>
+    </article>
+  );
+}
+
+/**
+ * Public kiosk for tournament desks: one tile per venue court with the current match,
+ * its status and elapsed time, and the next match. Live through tournament events.
+ */
+function TournamentVideoWall() {
+  const { publicCode } = useParams();
+  const [wall, setWall] = useState(null);
+  const [error, setError] = useState('');
+  const [liveSummariesByMatchId, setLiveSummariesByMatchId] = useState({});
+  const [nowMs, setNowMs] = useState(() => Date.now());
+
+  const loadWall = useCallback(async () => {
+    if (!publicCode) {
+      return;
+    }
+
+    try {
+      const response = await fetch(`${API_URL}/api/tournaments/code/${publicCode}/video-wall`);
+      const payload = await response.json().catch(() => null);
+
+      if (!response.ok) {
+        throw new Error(payload?.message || 'Unable to load courts');
+      }
+
+      setWall(payload);
+      setLiveSummariesByMatchId({});
+      setError('');
+    } catch (loadError) {
+      setError(loadError.message || 'Unable to load courts');
+    }
+  }, [publicCode]);
+
+  useEffect(() => {
+    loadWall();
+  }, [loadWall]);
+
+  const hasLiveTimers = Boolean(
+    wall?.courts?.some((tile) => tile.current?.status === 'live' && tile.current.startedAt)
+  );
+
+  useEffect(() => {
+    if (!hasLiveTimers) {
+      return undefined;
+    }
+
+    const timerId = window.setInterval(() => {
+      setNowMs(Date.now());
+    }, 1000);
+
+    return () => window.clearInterval(timerId);
+  }, [hasLiveTimers]);
+
+  const handleTournamentEvent = useCallback(
+    (event) => {
+      if (event?.type === 'SCOREBOARD_SUMMARY') {
+        const matchId = event.data?.matchId;
+
+        if (matchId) {
+          setLiveSummariesByMatchId((previous) => ({ ...previous, [matchId]: event.data }));
+        }
+        return;
+      }
+
+      loadWall();
+    },
+    [loadWall]
+  );
+
+  useTournamentRealtime({
+    tournamentCode: publicCode,
+    onEvent: handleTournamentEvent,
+  });
+
+  if (error && !wall) {
+    return (
+      <main className="video-wall">
+        <p className="error">{error}</p>
+      </main>
+    );
+  }
+
+  if (!wall) {
+    return <main className="video-wall">Loading courts...</main>;
+  }
+
+  return (
+    <main className="video-wall">
+      <header className="video-wall__header">
+        <h1>{wall.tournament?.name}</h1>
+        {error && <p className="error">{error}</p>}
+      </header>
+      <div className="video-wall__grid">
+        {wall.courts.map((tile) => (
+          <CourtTile
+            key={tile.court.code}
+            tile={tile}
+            liveSummary={tile.current ? liveSummariesByMatchId[tile.current.matchId] : null}
+            nowMs={nowMs}
+          />
+        ))}
+      </div>
+    </main>
+  );
+}
+
+export default TournamentVideoWall;
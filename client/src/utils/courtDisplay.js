@@ -0,0 +1,92 @@
+import {
+  DEFAULT_TOURNAMENT_SCHEDULE,
+  DEFAULT_TOURNAMENT_TIMEZONE,
+  formatMinutesAsClockTime,
+  formatMinutesInTimezone,
+  getTimeZoneOffsetMinutes,
+} from './phase1.js';
+
+const DONE_STATUSES = new Set(['final', 'ended']);
+const MINUTES_PER_DAY = 1440;
+
+const resolveTimezone = (timezone) =>
+  typeof timezone === 'string' && timezone.trim() ? timezone.trim() : DEFAULT_TOURNAMENT_TIMEZONE;
+
+export const getMinutesInTimezone = (timestampMs, timezone) => {
+  let offsetMinutes = 0;
+
+  try {
+    offsetMinutes = getTimeZoneOffsetMinutes(resolveTimezone(timezone), timestampMs);
+  } catch {
+    offsetMinutes = 0;
+  }
+
+  const localMinutes = Math.floor(timestampMs / 60000) + offsetMinutes;
+  return ((localMinutes % MINUTES_PER_DAY) + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+};
+
+export const formatProjectedStart = (minutesSinceMidnight, timezone) => {
+  if (!Number.isFinite(minutesSinceMidnight)) {
+    return '';
+  }
+
+  try {
+    return formatMinutesInTimezone(minutesSinceMidnight, resolveTimezone(timezone));
+  } catch {
+    return formatMinutesAsClockTime(minutesSinceMidnight);
+  }
+};
+
+export const formatCountdown = (totalSeconds) => {
+  const seconds = Math.max(0, Math.floor(totalSeconds));
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+};
+
+/**
+ * Splits a court schedule (`slots` from `/courts/:courtCode/schedule`, in time order) into
+ * the live match and the matches still to play. Each upcoming match gets a
+ * `projectedStartMinutes`: its planned time, pushed back while earlier matches on the
+ * court run long. Times are minutes since midnight in the tournament timezone.
+ */
+export const buildCourtDisplay = (
+  slots,
+  { nowMs = Date.now(), timezone, matchDurationMinutes } = {}
+) => {
+  const durationMinutes =
+    Number(matchDurationMinutes) > 0
+      ? Number(matchDurationMinutes)
+      : DEFAULT_TOURNAMENT_SCHEDULE.matchDurationMinutes;
+  const nowMinutes = getMinutesInTimezone(nowMs, timezone);
+  const matchSlots = (Array.isArray(slots) ? slots : []).filter(
+    (slot) => (slot?.kind || 'match') === 'match'
+  );
+  const current = matchSlots.find((slot) => slot.status === 'live') || null;
+  const startedAtMs = current?.startedAt ? new Date(current.startedAt).getTime() : NaN;
+  let courtFreeAt = Number.isFinite(startedAtMs)
+    ? Math.max(nowMinutes, getMinutesInTimezone(startedAtMs, timezone) + durationMinutes)
+    : nowMinutes;
+
+  const upcoming = matchSlots
+    .filter((slot) => slot !== current && !DONE_STATUSES.has(slot.status))
+    .map((slot) => {
+      const plannedMinutes = Number.isFinite(Number(slot.timeIndex))
+        ? Number(slot.timeIndex)
+        : courtFreeAt;
+      const projectedStartMinutes = Math.max(plannedMinutes, courtFreeAt);
+      courtFreeAt = projectedStartMinutes + durationMinutes;
+
+      return { ...slot, projectedStartMinutes };
+    });
+
+  return { current, upcoming };
+};
+
+export const getSecondsUntil = (minutesSinceMidnight, { nowMs = Date.now(), timezone } = {}) => {
+  if (!Number.isFinite(minutesSinceMidnight)) {
+    return 0;
+  }
+
+  const nowSeconds =
+    getMinutesInTimezone(nowMs, timezone) * 60 + (Math.floor(nowMs / 1000) % 60);
+  return Math.max(0, minutesSinceMidnight * 60 - nowSeconds);
+};
@@ -0,0 +1,68 @@
+export const EMBED_THEMES = ['light', 'dark'];
+export const EMBED_TOURNAMENT_VIEWS = ['live', 'schedule', 'standings'];
+export const EMBED_STANDINGS_PHASES = ['phase1', 'phase2', 'cumulative'];
+export const EMBED_RESIZE_MESSAGE = 'scorebugger:embed-resize';
+
+export const DEFAULT_EMBED_OPTIONS = {
+  theme: 'light',
+  accent: '#2563eb',
+  radius: 12,
+  font: '',
+  view: 'live',
+  phase: 'phase1',
+  tabs: true,
+};
+
+const RADIUS_RANGE = { min: 0, max: 32 };
+const HEX_COLOR_PATTERN = /^#?([0-9a-f]{3}|[0-9a-f]{6})$/i;
+// Font names go straight into CSS, so only letters, digits, spaces and hyphens are kept
+const FONT_PATTERN = /^[a-z0-9 -]{1,40}$/i;
+const FALSE_VALUES = ['0', 'false', 'no', 'off'];
+
+const parseAccent = (value) => {
+  const matched = HEX_COLOR_PATTERN.exec(String(value ?? '').trim());
+  return matched ? `#${matched[1].toLowerCase()}` : undefined;
+};
+
+const parseRadius = (value) => {
+  if (value === null || value === undefined || value === '') return undefined;
+  const parsed = Number(value);
+  return Number.isFinite(parsed)
+    ? Math.round(Math.min(RADIUS_RANGE.max, Math.max(RADIUS_RANGE.min, parsed)))
+    : undefined;
+};
+
+/**
+ * Resolves widget options from `/embed/...` query parameters: `theme` (light|dark),
+ * `accent` (hex color), `radius` (px), `font` (family name), and for tournament widgets
+ * `view`, `phase` (standings phase) and `tabs=0` to hide the view switcher.
+ */
+export const resolveEmbedOptions = (search) => {
+  const params = new URLSearchParams(search ?? '');
+  const resolved = { ...DEFAULT_EMBED_OPTIONS };
+  const theme = params.get('theme');
+  const view = params.get('view');
+  const phase = params.get('phase');
+  const accent = parseAccent(params.get('accent'));
+  const radius = parseRadius(params.get('radius'));
+  const font = String(params.get('font') ?? '').trim();
+
+  if (EMBED_THEMES.includes(theme)) resolved.theme = theme;
+  if (EMBED_TOURNAMENT_VIEWS.includes(view)) resolved.view = view;
+  if (EMBED_STANDINGS_PHASES.includes(phase)) resolved.phase = phase;
+  if (accent) resolved.accent = accent;
+  if (radius !== undefined) resolved.radius = radius;
+  if (FONT_PATTERN.test(font)) resolved.font = font;
+  if (FALSE_VALUES.includes(String(params.get('tabs') ?? '').trim().toLowerCase())) {
+    resolved.tabs = false;
+  }
+
+  return resolved;
+};
+
+// CSS custom properties consumed by the `.embed-widget` styles
+export const buildEmbedStyle = (options) => ({
+  '--embed-accent': options.accent,
+  '--embed-radius': `${options.radius}px`,
+  ...(options.font ? { '--embed-font': `"${options.font}", system-ui, sans-serif` } : {}),
+});
@@ -0,0 +1,116 @@
+// Pool sizes and bracket shapes the server's format engine can generate
+export const BUILDER_POOL_SIZES = [3, 4, 5, 6, 7, 8, 9, 10, 11, 12];
+export const BUILDER_BRACKET_TYPES = [
+  {
+    type: 'singleElim',
+    label: 'Single elimination',
+    sizes: Array.from({ length: 30 }, (_, index) => index + 3),
+  },
+  { type: 'doubleElim', label: 'Double elimination', sizes: [4, 8, 16] },
+];
+
+const POOL_NAME_LETTERS = 'ABCDEFGHIJKLMNOP';
+
+export const isSingleElimType = (type) => type === 'singleElim' || type === 'singleElimWithByes';
+
+export const getBracketSizes = (type) =>
+  BUILDER_BRACKET_TYPES.find((entry) => entry.type === type)?.sizes || [];
+
+export const getDraftTeamCount = (draft) =>
+  (Array.isArray(draft?.pools) ? draft.pools : []).reduce(
+    (total, pool) => total + (Number(pool?.size) || 0),
+    0
+  );
+
+export const getNextPoolName = (pools) => {
+  const used = new Set((Array.isArray(pools) ? pools : []).map((pool) => pool?.name));
+  return POOL_NAME_LETTERS.split('').find((letter) => !used.has(letter)) || '';
+};
+
+// Fills pools of four, switching to threes so every team has a pool
+const splitIntoPools = (teamCount) => {
+  const poolCount = Math.max(1, Math.ceil(teamCount / 4));
+  const threeCount = Math.min(poolCount, Math.max(0, poolCount * 4 - teamCount));
+
+  return Array.from({ length: poolCount }, (_, index) => ({
+    name: POOL_NAME_LETTERS[index],
+    size: index < poolCount - threeCount ? 4 : 3,
+  }));
+};
+
+/**
+ * Starting point for the format builder: pools of 3-4 covering `teamCount`, and a Gold
+ * bracket for the largest single-elimination size that fits.
+ */
+export const createFormatDraft = (teamCount) => {
+  const count = Number(teamCount) >= 3 ? Math.floor(Number(teamCount)) : 8;
+  const goldSize = [16, 8, 4].find((size) => size <= count) || 4;
+
+  return {
+    name: `${count} Teams: Custom`,
+    description: '',
+    shared: false,
+    minCourts: 1,
+    pools: splitIntoPools(count),
+    crossover: { enabled: false, fromPools: ['', ''] },
+    brackets: [{ name: 'Gold', type: 'singleElim', size: goldSize, firstSeed: 1 }],
+  };
+};
+
+/**
+ * Turns a builder draft into the stage schema accepted by `POST /api/tournament-formats`.
+ * Brackets take consecutive overall seeds starting at `firstSeed`.
+ */
+export const buildFormatDefinition = (draft) => {
+  const pools = Array.isArray(draft?.pools) ? draft.pools : [];
+  const brackets = Array.isArray(draft?.brackets) ? draft.brackets : [];
+  const stages = [
+    {
+      type: 'poolPlay',
+      key: 'poolPlay1',
+      displayName: 'Pool Play',
+      pools: pools.map((pool) => ({ name: pool.name, size: Number(pool.size) })),
+    },
+  ];
+
+  if (draft?.crossover?.enabled) {
+    stages.push({
+      type: 'crossover',
+      key: 'crossover',
+      displayName: 'Crossover',
+      fromPools: draft.crossover.fromPools,
+    });
+  }
+
+  if (brackets.length > 0) {
+    stages.push({
+      type: 'playoffs',
+      key: 'playoffs',
+      displayName: 'Playoffs',
+      brackets: brackets.map((bracket) => {
+        const size = Number(bracket.size);
+        const firstSeed = Number(bracket.firstSeed) || 1;
+
+        return {
+          name: String(bracket.name || '').trim(),
+          size,
+          type: bracket.type,
+          seedsFromOverall: Array.from({ length: size }, (_, index) => firstSeed + index),
+          ...(bracket.type === 'doubleElim'
+            ? { ifNecessaryFinal: bracket.ifNecessaryFinal === true }
+            : {}),
+          ...(isSingleElimType(bracket.type)
+            ? { thirdPlaceMatch: bracket.thirdPlaceMatch === true && size >= 4 }
+            : {}),
+        };
+      }),
+    });
+  }
+
+  return {
+    name: String(draft?.name || '').trim(),
+    description: String(draft?.description || '').trim(),
+    minCourts: Number(draft?.minCourts) || 1,
+    stages,
+  };
+};
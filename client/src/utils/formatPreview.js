@@ -14,6 +14,162 @@ const RR_TEMPLATES = Object.freeze({
   ],
 });
 
+// Mirrors the server's round-robin generator (tournamentEngine/formatEngine) so previews
+// match the matches it creates for pools of 5+ teams.
+const MIN_ROUND_ROBIN_POOL_SIZE = 3;
+const MAX_ROUND_ROBIN_POOL_SIZE = 12;
+const REF_SEARCH_STEP_LIMIT = 50000;
+const generatedTemplateCache = new Map();
+
+const buildCircleRounds = (poolSize) => {
+  let slots = Array.from({ length: poolSize }, (_, index) => index);
+  if (poolSize % 2 === 1) {
+    slots.push(null);
+  }
+
+  const slotCount = slots.length;
+  const rounds = [];
+
+  for (let round = 0; round < slotCount - 1; round += 1) {
+    const pairs = [];
+    let bye = null;
+
+    for (let index = 0; index < slotCount / 2; index += 1) {
+      const left = slots[index];
+      const right = slots[slotCount - 1 - index];
+
+      if (left === null || right === null) {
+        bye = left === null ? right : left;
+      } else {
+        pairs.push({ a: Math.min(left, right), b: Math.max(left, right) });
+      }
+    }
+
+    rounds.push({ pairs, bye });
+    slots = [slots[0], slots[slotCount - 1], ...slots.slice(1, slotCount - 1)];
+  }
+
+  return rounds;
+};
+
+const orderRoundRobinPairs = (rounds) => {
+  const ordered = [];
+
+  rounds.forEach(({ pairs, bye }) => {
+    const remaining = [...pairs];
+
+    while (remaining.length > 0) {
+      const previous = ordered[ordered.length - 1];
+      const justPlayed = new Set(previous ? [previous.a, previous.b] : []);
+      let bestIndex = 0;
+      let bestOverlap = Number.MAX_SAFE_INTEGER;
+
+      remaining.forEach((pair, index) => {
+        const overlap = Number(justPlayed.has(pair.a)) + Number(justPlayed.has(pair.b));
+        if (overlap < bestOverlap) {
+          bestOverlap = overlap;
+          bestIndex = index;
+        }
+      });
+
+      ordered.push({ ...remaining[bestIndex], bye });
+      remaining.splice(bestIndex, 1);
+    }
+  });
+
+  return ordered;
+};
+
+const assignRoundRobinRefs = (orderedPairs, poolSize) => {
+  const refCap = Math.ceil(orderedPairs.length / poolSize);
+  const refCounts = new Array(poolSize).fill(0);
+  const refs = [];
+  let steps = 0;
+
+  const rankCandidates = (index) => {
+    const pair = orderedPairs[index];
+    const neighbours = [orderedPairs[index - 1], orderedPairs[index + 1]].filter(Boolean);
+    const isPlayingNearby = (team) =>
+      neighbours.some((neighbour) => neighbour.a === team || neighbour.b === team);
+    const previousRef = refs[index - 1];
+
+    return Array.from({ length: poolSize }, (_, team) => team)
+      .filter((team) => team !== pair.a && team !== pair.b)
+      .sort(
+        (leftTeam, rightTeam) =>
+          refCounts[leftTeam] - refCounts[rightTeam] ||
+          Number(isPlayingNearby(leftTeam)) - Number(isPlayingNearby(rightTeam)) ||
+          Number(leftTeam === previousRef) - Number(rightTeam === previousRef) ||
+          leftTeam - rightTeam
+      );
+  };
+
+  const assignFrom = (index, cap) => {
+    if (index === orderedPairs.length) {
+      return true;
+    }
+
+    steps += 1;
+    if (steps > REF_SEARCH_STEP_LIMIT) {
+      return false;
+    }
+
+    const candidates = rankCandidates(index).filter((team) => refCounts[team] < cap);
+
+    for (const team of candidates) {
+      refs[index] = team;
+      refCounts[team] += 1;
+
+      if (assignFrom(index + 1, cap)) {
+        return true;
+      }
+
+      refCounts[team] -= 1;
+    }
+
+    refs.length = index;
+    return false;
+  };
+
+  if (!assignFrom(0, refCap)) {
+    refCounts.fill(0);
+    refs.length = 0;
+    assignFrom(0, Number.MAX_SAFE_INTEGER);
+  }
+
+  return orderedPairs.map((pair, index) => ({
+    a: pair.a,
+    b: pair.b,
+    ref: refs[index],
+    bye: pair.bye,
+  }));
+};
+
+const getRoundRobinTemplate = (poolSize) => {
+  const size = Number(poolSize);
+
+  if (RR_TEMPLATES[size]) {
+    return RR_TEMPLATES[size];
+  }
+
+  if (
+    !Number.isInteger(size) ||
+    size < MIN_ROUND_ROBIN_POOL_SIZE ||
+    size > MAX_ROUND_ROBIN_POOL_SIZE
+  ) {
+    return null;
+  }
+
+  if (!generatedTemplateCache.has(size)) {
+    generatedTemplateCache.set(
+      size,
+      assignRoundRobinRefs(orderRoundRobinPairs(buildCircleRounds(size)), size)
+    );
+  }
+
+  return generatedTemplateCache.get(size);
+};
+
 const DEFAULT_COURTS = Object.freeze(['Court 1', 'Court 2', 'Court 3', 'Court 4', 'Court 5']);
 
 const isNonEmptyString = (value) => typeof value === 'string' && value.trim().length > 0;
@@ -63,7 +219,7 @@ const getStageByType = (formatDef, stageType) =>
     : null;
 
 const getPoolRoundCount = (poolSize) => {
-  const template = RR_TEMPLATES[Number(poolSize)];
+  const template = getRoundRobinTemplate(poolSize);
   return Array.isArray(template) ? template.length : 0;
 };
 
@@ -86,7 +242,7 @@ const assignPoolHomeCourts = (poolDefs, activeCourts) => {
 };
 
 const buildPoolMatchTemplates = (poolName, poolSize) => {
-  const template = RR_TEMPLATES[Number(poolSize)];
+  const template = getRoundRobinTemplate(poolSize);
   if (!poolName || !Array.isArray(template)) {
     return [];
   }
@@ -278,81 +434,108 @@ const buildCrossoverRows = ({
   return sortByRoundThenCourt(rows);
 };
 
+const MIN_SINGLE_ELIM_BRACKET_SIZE = 3;
+const MAX_SINGLE_ELIM_BRACKET_SIZE = 32;
+
+// Same seeding as the server: grow the bracket line from [1, 2], flipping every other pair
+// before pairing each seed s with size + 1 - s
 const roundOnePairsForSize = (size) => {
-  const lookup = {
-    4: [
-      [1, 4],
-      [2, 3],
-    ],
-    8: [
-      [1, 8],
-      [4, 5],
-      [3, 6],
-      [2, 7],
-    ],
-    16: [
-      [1, 16],
-      [8, 9],
-      [5, 12],
-      [4, 13],
-      [3, 14],
-      [6, 11],
-      [7, 10],
-      [2, 15],
-    ],
-  };
+  if (!Number.isInteger(size) || size < 4 || size > MAX_SINGLE_ELIM_BRACKET_SIZE || size & (size - 1)) {
+    return null;
+  }
+
+  let lineOrder = [1, 2];
+  while (lineOrder.length < size) {
+    const nextSize = lineOrder.length * 2;
+    const flipped = [];
+    for (let index = 0; index < lineOrder.length; index += 2) {
+      const pair = [lineOrder[index], lineOrder[index + 1]];
+      flipped.push(...(index % 4 === 2 ? pair.reverse() : pair));
+    }
+    lineOrder = flipped.flatMap((seed) => [seed, nextSize + 1 - seed]);
+  }
+
+  const pairs = [];
+  for (let index = 0; index < lineOrder.length; index += 2) {
+    pairs.push([lineOrder[index], lineOrder[index + 1]]);
+  }
+
+  return pairs;
+};
+
+const orderBracketSides = (left, right) => {
+  if (left.seed && right.seed) {
+    return left.seed < right.seed ? [left, right] : [right, left];
+  }
 
-  return lookup[size] || null;
+  return right.seed && !left.seed ? [right, left] : [left, right];
 };
 
-const buildPowerOfTwoBracketPlan = (bracketLabel, bracketSize) => {
-  const pairs = roundOnePairsForSize(bracketSize);
-  if (!pairs) {
+// Mirrors the server's single-elimination plan: missing seeds become byes for the top seeds,
+// and the optional third-place match shares the final's round
+const buildSingleElimBracketPlan = (bracketLabel, bracketSize, thirdPlaceMatch = false) => {
+  if (
+    !Number.isInteger(bracketSize) ||
+    bracketSize < MIN_SINGLE_ELIM_BRACKET_SIZE ||
+    bracketSize > MAX_SINGLE_ELIM_BRACKET_SIZE
+  ) {
     return [];
   }
 
+  const pairs = roundOnePairsForSize(2 ** Math.ceil(Math.log2(bracketSize)));
   const matches = [];
-  let currentRound = pairs.map(([seedA, seedB], index) => ({
-    bracketLabel,
-    round: 1,
-    matchNo: index + 1,
-    seedA,
-    seedB,
-    fromA: null,
-    fromB: null,
-  }));
-  matches.push(...currentRound);
-
-  let round = 2;
-  while (currentRound.length > 1) {
-    const nextRound = [];
-    for (let index = 0; index < currentRound.length; index += 2) {
-      const left = currentRound[index];
-      const right = currentRound[index + 1];
+  let entrants = pairs.flat().map((seed) => (seed <= bracketSize ? { seed } : null));
+  let round = 1;
+
+  while (entrants.length > 1) {
+    const nextEntrants = [];
+    let matchNo = 0;
+
+    for (let index = 0; index < entrants.length; index += 2) {
+      const left = entrants[index];
+      const right = entrants[index + 1];
       if (!left || !right) {
+        nextEntrants.push(left || right);
         continue;
       }
 
-      nextRound.push({
+      const [sideA, sideB] = orderBracketSides(left, right);
+      matchNo += 1;
+      const match = {
         bracketLabel,
         round,
-        matchNo: Math.floor(index / 2) + 1,
-        seedA: null,
-        seedB: null,
-        fromA: { round: left.round, matchNo: left.matchNo },
-        fromB: { round: right.round, matchNo: right.matchNo },
-      });
+        matchNo,
+        seedA: sideA.seed || null,
+        seedB: sideB.seed || null,
+        fromA: sideA.match ? { round: sideA.match.round, matchNo: sideA.match.matchNo } : null,
+        fromB: sideB.match ? { round: sideB.match.round, matchNo: sideB.match.matchNo } : null,
+      };
+      matches.push(match);
+      nextEntrants.push({ match });
     }
 
-    matches.push(...nextRound);
-    currentRound = nextRound;
+    entrants = nextEntrants;
     round += 1;
   }
 
+  const final = matches[matches.length - 1];
+  if (thirdPlaceMatch && final?.fromA && final?.fromB) {
+    matches.push({
+      bracketLabel,
+      round: final.round,
+      roundKey: '3P',
+      matchNo: 1,
+      seedA: null,
+      seedB: null,
+      fromA: { ...final.fromA, slot: 'loser' },
+      fromB: { ...final.fromB, slot: 'loser' },
+    });
+  }
+
   return matches;
 };
 
-const buildSixTeamBracketPlan = (bracketLabel) => [
+const buildOduFiveTeamOpsBracketPlan = (bracketLabel) => [
   {
     bracketLabel,
     round: 1,
@@ -366,8 +549,8 @@ const buildSixTeamBracketPlan = (bracketLabel) => [
     bracketLabel,
     round: 1,
     matchNo: 2,
-    seedA: 3,
-    seedB: 6,
+    seedA: 2,
+    seedB: 3,
     fromA: null,
     fromB: null,
   },
@@ -380,15 +563,6 @@ const buildSixTeamBracketPlan = (bracketLabel) => [
     fromA: null,
     fromB: { round: 1, matchNo: 1 },
   },
-  {
-    bracketLabel,
-    round: 2,
-    matchNo: 2,
-    seedA: 2,
-    seedB: null,
-    fromA: null,
-    fromB: { round: 1, matchNo: 2 },
-  },
   {
     bracketLabel,
     round: 3,
@@ -396,60 +570,142 @@ const buildSixTeamBracketPlan = (bracketLabel) => [
     seedA: null,
     seedB: null,
     fromA: { round: 2, matchNo: 1 },
-    fromB: { round: 2, matchNo: 2 },
+    fromB: { round: 1, matchNo: 2 },
   },
 ];
 
-const buildOduFiveTeamOpsBracketPlan = (bracketLabel) => [
-  {
-    bracketLabel,
-    round: 1,
-    matchNo: 1,
-    seedA: 4,
-    seedB: 5,
-    fromA: null,
-    fromB: null,
-  },
-  {
-    bracketLabel,
-    round: 1,
-    matchNo: 2,
-    seedA: 2,
-    seedB: 3,
-    fromA: null,
-    fromB: null,
-  },
-  {
+const toRoundKey = (plan) => plan?.roundKey || `R${plan?.round}`;
+
+// Mirrors the server's double-elimination plan: winners rounds R1..Rk, losers rounds
+// L1..L(2k-2), then the grand final and an optional if-necessary reset. `round` is the wave.
+const buildDoubleElimBracketPlan = (bracketLabel, bracketSize, ifNecessaryFinal) => {
+  if (![4, 8, 16].includes(bracketSize)) {
+    return [];
+  }
+
+  const winnersMatches = buildSingleElimBracketPlan(bracketLabel, bracketSize);
+
+  const winnersRounds = [];
+  winnersMatches.forEach((match) => {
+    winnersRounds[match.round - 1] = [...(winnersRounds[match.round - 1] || []), match];
+  });
+
+  const toSource = (match, slot) => ({
+    round: match.round,
+    matchNo: match.matchNo,
+    roundKey: toRoundKey(match),
+    slot,
+  });
+  const buildLosersMatch = (losersRound, matchIndex, fromA, fromB) => ({
     bracketLabel,
-    round: 2,
-    matchNo: 1,
-    seedA: 1,
+    round: losersRound + 1,
+    roundKey: `L${losersRound}`,
+    matchNo: matchIndex + 1,
+    seedA: null,
     seedB: null,
-    fromA: null,
-    fromB: { round: 1, matchNo: 1 },
-  },
-  {
+    fromA,
+    fromB,
+  });
+
+  const losersMatches = [];
+  let losersRound = 1;
+  let survivors = [];
+
+  for (let index = 0; index < winnersRounds[0].length; index += 2) {
+    survivors.push(
+      buildLosersMatch(
+        losersRound,
+        index / 2,
+        toSource(winnersRounds[0][index], 'loser'),
+        toSource(winnersRounds[0][index + 1], 'loser')
+      )
+    );
+  }
+  losersMatches.push(...survivors);
+
+  for (let winnersRound = 2; winnersRound <= winnersRounds.length; winnersRound += 1) {
+    const dropping = winnersRounds[winnersRound - 1];
+    const reverse = winnersRound % 2 === 0;
+
+    losersRound += 1;
+    survivors = survivors.map((survivor, index) =>
+      buildLosersMatch(
+        losersRound,
+        index,
+        toSource(dropping[reverse ? dropping.length - 1 - index : index], 'loser'),
+        toSource(survivor, 'winner')
+      )
+    );
+    losersMatches.push(...survivors);
+
+    if (survivors.length > 1) {
+      losersRound += 1;
+      const paired = [];
+      for (let index = 0; index < survivors.length; index += 2) {
+        paired.push(
+          buildLosersMatch(
+            losersRound,
+            index / 2,
+            toSource(survivors[index], 'winner'),
+            toSource(survivors[index + 1], 'winner')
+          )
+        );
+      }
+      survivors = paired;
+      losersMatches.push(...survivors);
+    }
+  }
+
+  const winnersFinal = winnersRounds[winnersRounds.length - 1][0];
+  const losersFinal = survivors[0];
+  const grandFinal = {
     bracketLabel,
-    round: 3,
+    round: losersFinal.round + 1,
+    roundKey: 'GF',
     matchNo: 1,
     seedA: null,
     seedB: null,
-    fromA: { round: 2, matchNo: 1 },
-    fromB: { round: 1, matchNo: 2 },
-  },
-];
+    fromA: toSource(winnersFinal, 'winner'),
+    fromB: toSource(losersFinal, 'winner'),
+  };
+  const matches = [...winnersMatches, ...losersMatches, grandFinal];
+
+  if (ifNecessaryFinal) {
+    matches.push({
+      bracketLabel,
+      round: grandFinal.round + 1,
+      roundKey: 'GF2',
+      matchNo: 1,
+      seedA: null,
+      seedB: null,
+      fromA: toSource(grandFinal, 'loser'),
+      fromB: toSource(grandFinal, 'winner'),
+      ifNecessary: true,
+    });
+  }
+
+  return matches;
+};
 
 const buildBracketPlan = (bracketDef) => {
   const bracketLabel = resolveBracketLabel(bracketDef?.name);
   const bracketType = String(bracketDef?.type || '').trim();
   const bracketSize = Number(bracketDef?.size || 0);
 
-  if (bracketType === 'singleElim') {
-    return buildPowerOfTwoBracketPlan(bracketLabel, bracketSize);
+  if (bracketType === 'singleElim' || bracketType === 'singleElimWithByes') {
+    return buildSingleElimBracketPlan(
+      bracketLabel,
+      bracketSize,
+      bracketDef?.thirdPlaceMatch === true
+    );
   }
 
-  if (bracketType === 'singleElimWithByes' && bracketSize === 6) {
-    return buildSixTeamBracketPlan(bracketLabel);
+  if (bracketType === 'doubleElim') {
+    return buildDoubleElimBracketPlan(
+      bracketLabel,
+      bracketSize,
+      bracketDef?.ifNecessaryFinal === true
+    );
   }
 
   if (bracketType === 'oduFiveTeamOps' && bracketSize === 5) {
@@ -468,11 +724,10 @@ const toPositiveSeedNumber = (value) => {
   return Math.floor(parsed);
 };
 
-const toPlayoffMatchLookupKey = (bracketLabel, round, matchNo) => {
+const toPlayoffMatchLookupKey = (bracketLabel, roundKey, matchNo) => {
   const normalizedBracketLabel = resolveBracketLabel(bracketLabel);
-  const normalizedRound = Number(round);
   const normalizedMatchNo = Number(matchNo);
-  return `${normalizedBracketLabel}:${normalizedRound}:${normalizedMatchNo}`;
+  return `${normalizedBracketLabel}:${roundKey}:${normalizedMatchNo}`;
 };
 
 const formatPlayoffSourceMatchLabel = ({ bracketLabel, sourceMatch, fallbackFromMatch }) => {
@@ -491,6 +746,10 @@ const formatPlayoffSourceMatchLabel = ({ bracketLabel, sourceMatch, fallbackFrom
   const matchNo = Number.isFinite(Number(sourceMatch?.matchNo))
     ? Number(sourceMatch.matchNo)
     : fallbackMatchNo;
+  const roundKey = sourceMatch?.roundKey || fallbackFromMatch?.roundKey;
+  if (roundKey && matchNo > 0) {
+    return `${bracketLabel} ${roundKey} M${matchNo}`;
+  }
   if (round > 0 && matchNo > 0) {
     return `${bracketLabel} R${round} M${matchNo}`;
   }
@@ -506,9 +765,9 @@ const formatPlayoffSideLabel = ({ bracketLabel, seed, fromMatch, matchByRoundAnd
 
   if (fromMatch?.round && fromMatch?.matchNo) {
     const sourceMatch = matchByRoundAndNo.get(
-      toPlayoffMatchLookupKey(bracketLabel, fromMatch.round, fromMatch.matchNo)
+      toPlayoffMatchLookupKey(bracketLabel, toRoundKey(fromMatch), fromMatch.matchNo)
     );
-    return `W(${formatPlayoffSourceMatchLabel({
+    return `${fromMatch.slot === 'loser' ? 'L' : 'W'}(${formatPlayoffSourceMatchLabel({
       bracketLabel,
       sourceMatch,
       fallbackFromMatch: fromMatch,
@@ -542,7 +801,7 @@ const buildPlayoffRows = ({ playoffStage, activeCourts, startRoundBlock }) => {
   const schedulingCourts = schedulingCourtsRaw.length > 0 ? schedulingCourtsRaw : ['SRC-1'];
   const matchByRoundAndNo = new Map(
     plans.map((plan) => [
-      toPlayoffMatchLookupKey(plan.bracketLabel, plan.round, plan.matchNo),
+      toPlayoffMatchLookupKey(plan.bracketLabel, toRoundKey(plan), plan.matchNo),
       plan,
     ])
   );
@@ -573,6 +832,12 @@ const buildPlayoffRows = ({ playoffStage, activeCourts, startRoundBlock }) => {
           return leftOrder - rightOrder;
         }
 
+        // Third-place match before the final, as the server schedules it
+        const byThirdPlace = Number(right.roundKey === '3P') - Number(left.roundKey === '3P');
+        if (byThirdPlace !== 0) {
+          return byThirdPlace;
+        }
+
         return Number(left.matchNo || 0) - Number(right.matchNo || 0);
       });
 
@@ -594,9 +859,9 @@ const buildPlayoffRows = ({ playoffStage, activeCourts, startRoundBlock }) => {
           });
 
           rows.push({
-            id: `${bracketLabel}-R${round}-M${match.matchNo}`,
+            id: `${bracketLabel}-${toRoundKey(match)}-M${match.matchNo}`,
             roundBlock: currentRoundBlock,
-            roundLabel: `R${round}`,
+            roundLabel: toRoundKey(match),
             court: schedulingCourts[chunkIndex],
             bracketLabel,
             matchupLabel: `${teamALabel} vs ${teamBLabel}`,
@@ -0,0 +1,38 @@
+export const LINEUP_SIZE = 6;
+export const POSITION_LABELS = ['I', 'II', 'III', 'IV', 'V', 'VI'];
+
+const normalizeRotation = (value) => {
+  const parsed = Math.floor(Number(value));
+  return Number.isFinite(parsed) ? ((parsed % LINEUP_SIZE) + LINEUP_SIZE) % LINEUP_SIZE : 0;
+};
+
+const normalizeLineupTeam = (team) => ({
+  starters: Array.from({ length: LINEUP_SIZE }, (_, position) =>
+    typeof team?.starters?.[position] === 'string' ? team.starters[position] : ''
+  ),
+  rotation: normalizeRotation(team?.rotation),
+});
+
+// Mirrors the server's stored shape so partial or missing lineups can be edited safely
+export const normalizeLineup = (lineup) => ({
+  enabled: Boolean(lineup?.enabled),
+  teams: [0, 1].map((index) => normalizeLineupTeam(lineup?.teams?.[index])),
+});
+
+export const sanitizeJerseyNumber = (value) =>
+  String(value ?? '')
+    .replace(/[^0-9]/g, '')
+    .slice(0, 3);
+
+// Jersey number of the player in position I for a team (the server when that team serves)
+export const getRotationServer = (lineup, teamIndex) => {
+  if (!lineup?.enabled || ![0, 1].includes(teamIndex)) {
+    return null;
+  }
+
+  const team = normalizeLineupTeam(lineup.teams?.[teamIndex]);
+  return team.starters[team.rotation] || null;
+};
+
+export const getServerNumber = (scoreboard) =>
+  getRotationServer(scoreboard?.lineup, scoreboard?.servingTeamIndex);
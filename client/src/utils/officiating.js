@@ -0,0 +1,34 @@
+export const DEFAULT_SUBSTITUTION_LIMIT = 6;
+export const SANCTION_DISPLAY_SECONDS = 8;
+export const SANCTION_LABELS = { yellow: 'Yellow card', red: 'Red card' };
+
+const liveSetIndex = (scoreboard) => (Array.isArray(scoreboard?.sets) ? scoreboard.sets.length : 0);
+
+export const getSubstitutionLimit = (scoreboard) => {
+  const parsed = Math.floor(Number(scoreboard?.scoring?.substitutionLimit));
+  return Number.isFinite(parsed) && parsed >= 0 ? parsed : DEFAULT_SUBSTITUTION_LIMIT;
+};
+
+// Substitutions or sanctions (`key`) a team has in the live set, oldest first
+export const getLiveSetEntries = (scoreboard, key, teamIndex) => {
+  const setIndex = liveSetIndex(scoreboard);
+  const entries = Array.isArray(scoreboard?.[key]) ? scoreboard[key] : [];
+  return entries.filter((entry) => entry?.setIndex === setIndex && entry?.teamIndex === teamIndex);
+};
+
+// Seconds the latest sanction stays on overlays; 0 once it has been shown long enough
+export const getSanctionRemainingSeconds = (sanction, nowMs = Date.now()) => {
+  const startedAtMs = Date.parse(sanction?.createdAt);
+
+  if (!Number.isFinite(startedAtMs)) {
+    return 0;
+  }
+
+  const elapsedSeconds = Math.max(0, (nowMs - startedAtMs) / 1000);
+  return Math.max(0, Math.ceil(SANCTION_DISPLAY_SECONDS - elapsedSeconds));
+};
+
+export const getLatestSanction = (scoreboard) => {
+  const sanctions = Array.isArray(scoreboard?.sanctions) ? scoreboard.sanctions : [];
+  return sanctions.length > 0 ? sanctions[sanctions.length - 1] : null;
+};
@@ -0,0 +1,127 @@
+export const OVERLAY_LAYOUTS = ['horizontal', 'vertical', 'fullscreen', 'score-only'];
+export const OVERLAY_POSITIONS = ['top-left', 'top-right', 'bottom-left', 'bottom-right', 'center'];
+export const OVERLAY_LAYOUT_LABELS = {
+  horizontal: 'Horizontal bar',
+  vertical: 'Vertical corner bug',
+  fullscreen: 'Full-screen court-side',
+  'score-only': 'Score only',
+};
+
+export const DEFAULT_OVERLAY_OPTIONS = {
+  layout: 'horizontal',
+  scale: 1,
+  position: 'top-left',
+  nameLength: 10,
+  showSets: true,
+  transparent: true,
+};
+
+// Built-in presets; presets saved on the scoreboard take precedence over these names
+export const BUILT_IN_OVERLAY_PRESETS = [
+  {
+    name: 'corner',
+    options: { layout: 'vertical', scale: 0.8, position: 'top-right', nameLength: 4 },
+  },
+  {
+    name: 'courtside',
+    options: { layout: 'fullscreen', position: 'center', nameLength: 16, transparent: false },
+  },
+  {
+    name: 'score-only',
+    options: { layout: 'score-only', position: 'bottom-left', showSets: false },
+  },
+];
+
+const SCALE_RANGE = { min: 0.25, max: 4 };
+const NAME_LENGTH_RANGE = { min: 3, max: 30 };
+const FALSE_VALUES = ['0', 'false', 'no', 'off'];
+const TRUE_VALUES = ['1', 'true', 'yes', 'on'];
+
+const clampNumber = (value, { min, max }) => {
+  if (value === null || value === undefined || value === '') return undefined;
+  const parsed = Number(value);
+  return Number.isFinite(parsed) ? Math.min(max, Math.max(min, parsed)) : undefined;
+};
+
+const parseBoolean = (value) => {
+  if (typeof value === 'boolean') return value;
+  const normalized = String(value ?? '').trim().toLowerCase();
+  if (TRUE_VALUES.includes(normalized)) return true;
+  if (FALSE_VALUES.includes(normalized)) return false;
+  return undefined;
+};
+
+// Keeps only the recognized, valid options so partial sources can be layered
+const pickOverlayOptions = (source) => {
+  const picked = {};
+  const scale = clampNumber(source?.scale, SCALE_RANGE);
+  const nameLength = clampNumber(source?.nameLength, NAME_LENGTH_RANGE);
+  const showSets = parseBoolean(source?.showSets);
+  const transparent = parseBoolean(source?.transparent);
+
+  if (OVERLAY_LAYOUTS.includes(source?.layout)) picked.layout = source.layout;
+  if (scale !== undefined) picked.scale = Math.round(scale * 100) / 100;
+  if (OVERLAY_POSITIONS.includes(source?.position)) picked.position = source.position;
+  if (nameLength !== undefined) picked.nameLength = Math.round(nameLength);
+  if (showSets !== undefined) picked.showSets = showSets;
+  if (transparent !== undefined) picked.transparent = transparent;
+
+  return picked;
+};
+
+export const findOverlayPreset = (name, savedPresets = []) => {
+  const key = String(name ?? '').trim().toLowerCase();
+  if (!key) return null;
+
+  return (
+    [...(Array.isArray(savedPresets) ? savedPresets : []), ...BUILT_IN_OVERLAY_PRESETS].find(
+      (preset) => preset?.name?.trim().toLowerCase() === key
+    ) ?? null
+  );
+};
+
+/**
+ * Resolves display options from `/board/:id/display` query parameters. A `preset` (saved on
+ * the scoreboard or built in) is applied first, then individual parameters override it:
+ * `layout`, `scale`, `position`, `names` (name length), `sets`, `transparent`.
+ */
+export const resolveOverlayOptions = (search, savedPresets = []) => {
+  const params = new URLSearchParams(search ?? '');
+  const preset = findOverlayPreset(params.get('preset'), savedPresets);
+
+  return {
+    ...DEFAULT_OVERLAY_OPTIONS,
+    ...pickOverlayOptions(preset?.options),
+    ...pickOverlayOptions({
+      layout: params.get('layout'),
+      scale: params.get('scale'),
+      position: params.get('position'),
+      nameLength: params.get('names'),
+      showSets: params.get('sets'),
+      transparent: params.get('transparent'),
+    }),
+  };
+};
+
+// Query string for the options that differ from the defaults ('' when none do)
+export const buildOverlayQuery = (options) => {
+  const resolved = { ...DEFAULT_OVERLAY_OPTIONS, ...pickOverlayOptions(options) };
+  const params = new URLSearchParams();
+  const keys = {
+    layout: 'layout',
+    scale: 'scale',
+    position: 'position',
+    nameLength: 'names',
+    showSets: 'sets',
+    transparent: 'transparent',
+  };
+
+  Object.entries(keys).forEach(([option, param]) => {
+    const value = resolved[option];
+    if (value === DEFAULT_OVERLAY_OPTIONS[option]) return;
+    params.set(param, typeof value === 'boolean' ? (value ? '1' : '0') : String(value));
+  });
+
+  const query = params.toString();
+  return query ? `?${query}` : '';
+};
@@ -183,7 +183,7 @@ export const normalizeTournamentSchedule = (tournament) => {
   };
 };
 
-const formatMinutesAsClockTime = (minutesSinceStart) => {
+export const formatMinutesAsClockTime = (minutesSinceStart) => {
   const normalizedMinutes = ((Math.floor(minutesSinceStart) % 1440) + 1440) % 1440;
   const hours24 = Math.floor(normalizedMinutes / 60);
   const minutes = normalizedMinutes % 60;
@@ -192,7 +192,7 @@ const formatMinutesAsClockTime = (minutesSinceStart) => {
   return `${hours12}:${String(minutes).padStart(2, '0')} ${meridiem}`;
 };
 
-const getTimeZoneOffsetMinutes = (timeZone, timestamp) => {
+export const getTimeZoneOffsetMinutes = (timeZone, timestamp) => {
   const formatter = new Intl.DateTimeFormat('en-US', {
     timeZone,
     year: 'numeric',
@@ -227,7 +227,7 @@ const getTimeZoneOffsetMinutes = (timeZone, timestamp) => {
   return Math.round((asUtc - timestamp) / 60000);
 };
 
-const formatMinutesInTimezone = (minutesSinceMidnight, timezone) => {
+export const formatMinutesInTimezone = (minutesSinceMidnight, timezone) => {
   const referenceMidnightUtc = Date.UTC(2026, 0, 1, 0, 0, 0);
   const offsetMinutes = getTimeZoneOffsetMinutes(timezone, referenceMidnightUtc);
   const timestamp = referenceMidnightUtc + (minutesSinceMidnight - offsetMinutes) * 60_000;
@@ -0,0 +1,73 @@
+const STORAGE_KEY = 'scorebugger.pendingScoreboardUpdates';
+
+function normalizeKey(value) {
+  return typeof value === 'string' ? value.trim().toUpperCase() : '';
+}
+
+function readStore() {
+  if (typeof window === 'undefined') {
+    return {};
+  }
+
+  try {
+    const parsed = JSON.parse(window.localStorage.getItem(STORAGE_KEY) || '{}');
+    return parsed && typeof parsed === 'object' ? parsed : {};
+  } catch {
+    return {};
+  }
+}
+
+function writeStore(store) {
+  try {
+    if (Object.keys(store).length === 0) {
+      window.localStorage.removeItem(STORAGE_KEY);
+    } else {
+      window.localStorage.setItem(STORAGE_KEY, JSON.stringify(store));
+    }
+  } catch {
+    /* no-op */
+  }
+}
+
+function isPendingUpdate(entry) {
+  return typeof entry?.id === 'string' && entry.id && entry.payload?.state;
+}
+
+// Ids only need to be unique per device; the server uses them to ignore replays
+function createActionId() {
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+function createPendingUpdate(payload) {
+  return {
+    id: createActionId(),
+    payload,
+    queuedAt: new Date().toISOString(),
+  };
+}
+
+function loadPendingUpdates(identifier) {
+  const entries = readStore()[normalizeKey(identifier)];
+  return Array.isArray(entries) ? entries.filter(isPendingUpdate) : [];
+}
+
+// Queues survive reloads so points scored while offline are replayed by the next session
+function savePendingUpdates(identifier, entries) {
+  const key = normalizeKey(identifier);
+
+  if (!key) {
+    return;
+  }
+
+  const store = readStore();
+
+  if (Array.isArray(entries) && entries.length > 0) {
+    store[key] = entries;
+  } else {
+    delete store[key];
+  }
+
+  writeStore(store);
+}
+
+export { createPendingUpdate, loadPendingUpdates, savePendingUpdates };
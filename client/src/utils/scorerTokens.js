@@ -0,0 +1,104 @@
+const STORAGE_KEY = 'scorebugger.scorerTokens';
+
+function normalizeKey(value) {
+  return typeof value === 'string' ? value.trim().toUpperCase() : '';
+}
+
+function readStore() {
+  if (typeof window === 'undefined') {
+    return {};
+  }
+
+  try {
+    const parsed = JSON.parse(window.localStorage.getItem(STORAGE_KEY) || '{}');
+    return parsed && typeof parsed === 'object' ? parsed : {};
+  } catch {
+    return {};
+  }
+}
+
+function writeStore(store) {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(store));
+  } catch {
+    /* no-op */
+  }
+}
+
+function isExpired(entry, nowMs = Date.now()) {
+  const expiresAtMs = entry?.expiresAt ? new Date(entry.expiresAt).getTime() : NaN;
+  return Number.isFinite(expiresAtMs) && expiresAtMs <= nowMs;
+}
+
+function pruneExpired(store, nowMs = Date.now()) {
+  return Object.fromEntries(
+    Object.entries(store).filter(([, entry]) => entry?.token && !isExpired(entry, nowMs))
+  );
+}
+
+// Reads `exp` from a scorer token (a JWT) so shared links expire locally too; the server
+// still verifies the signature
+function readScorerTokenExpiry(token) {
+  const [, payload] = typeof token === 'string' ? token.split('.') : [];
+
+  if (!payload) {
+    return null;
+  }
+
+  try {
+    const { exp } = JSON.parse(atob(payload.replace(/-/g, '+').replace(/_/g, '/')));
+    return Number.isFinite(exp) ? new Date(exp * 1000).toISOString() : null;
+  } catch {
+    return null;
+  }
+}
+
+// Scorer tokens are stored under every identifier a board can be opened by (Mongo id and code)
+function saveScorerToken(identifiers, token, expiresAt = null) {
+  if (typeof token !== 'string' || !token.trim()) {
+    return;
+  }
+
+  const keys = (Array.isArray(identifiers) ? identifiers : [identifiers])
+    .map(normalizeKey)
+    .filter(Boolean);
+
+  if (keys.length === 0) {
+    return;
+  }
+
+  const store = pruneExpired(readStore());
+  keys.forEach((key) => {
+    store[key] = { token: token.trim(), expiresAt };
+  });
+  writeStore(store);
+}
+
+function loadScorerToken(identifier) {
+  const entry = readStore()[normalizeKey(identifier)];
+  return entry?.token && !isExpired(entry) ? entry.token : null;
+}
+
+// Forgets a token the server refused, under every identifier it was stored by
+function clearScorerToken(token) {
+  const store = readStore();
+  writeStore(
+    Object.fromEntries(Object.entries(store).filter(([, entry]) => entry?.token !== token))
+  );
+}
+
+function buildScorerControlUrl(controlUrl, token) {
+  if (!controlUrl || !token) {
+    return controlUrl;
+  }
+
+  return `${controlUrl}?scorer=${encodeURIComponent(token)}`;
+}
+
+export {
+  buildScorerControlUrl,
+  clearScorerToken,
+  loadScorerToken,
+  readScorerTokenExpiry,
+  saveScorerToken,
+};
@@ -0,0 +1,95 @@
+import { toSetSummaryFromLiveSummary } from './matchSetSummary.js';
+
+export const TOURNAMENT_OVERLAY_TYPES = ['ticker', 'bracket', 'live'];
+
+const toNonNegativeInteger = (value) => {
+  const parsed = Number(value);
+  return Number.isFinite(parsed) && parsed >= 0 ? Math.floor(parsed) : 0;
+};
+
+const FINAL_ROUND_RANKS = Object.freeze({ GF: 200, GF2: 201, '3P': 300 });
+
+// Winners rounds, then losers rounds, then the double-elimination grand finals, then the
+// third-place match
+const parseRoundRank = (roundKey) => {
+  const normalized = String(roundKey || '').trim().toUpperCase();
+  const matched = /^([RL])(\d+)$/.exec(normalized);
+  if (!matched) {
+    return FINAL_ROUND_RANKS[normalized] ?? Number.MAX_SAFE_INTEGER;
+  }
+
+  return Number(matched[2]) + (matched[1] === 'L' ? 100 : 0);
+};
+
+export function resolveBracketKeys(playoffs) {
+  const brackets =
+    playoffs?.brackets && typeof playoffs.brackets === 'object' ? playoffs.brackets : {};
+  const ordered =
+    Array.isArray(playoffs?.bracketOrder) && playoffs.bracketOrder.length > 0
+      ? playoffs.bracketOrder
+      : Object.keys(brackets);
+
+  return ordered.filter((key) => Boolean(brackets[key]));
+}
+
+export function orderBracketRounds(bracketData) {
+  if (Array.isArray(bracketData?.roundOrder) && bracketData.roundOrder.length > 0) {
+    return bracketData.roundOrder;
+  }
+
+  return Object.keys(bracketData?.rounds || {}).sort((left, right) => {
+    const byRank = parseRoundRank(left) - parseRoundRank(right);
+    return byRank !== 0 ? byRank : left.localeCompare(right);
+  });
+}
+
+// The last round of a bracket is always its final, whatever its round number. Brackets
+// that name their own rounds (double elimination) send `roundLabels`, which win.
+export function formatBracketRoundLabel(roundKey, roundOrder, roundLabels) {
+  if (roundLabels?.[roundKey]) {
+    return roundLabels[roundKey];
+  }
+
+  if (roundKey === '3P') {
+    return 'Third Place';
+  }
+
+  const rounds = (Array.isArray(roundOrder) ? roundOrder : []).filter((entry) => entry !== '3P');
+
+  if (rounds.length > 1 && rounds[rounds.length - 1] === roundKey) {
+    return 'Final';
+  }
+
+  if (rounds.length > 2 && rounds[rounds.length - 2] === roundKey) {
+    return 'Semifinal';
+  }
+
+  const rank = parseRoundRank(roundKey);
+  return rank === Number.MAX_SAFE_INTEGER ? String(roundKey || '') : `Round ${rank}`;
+}
+
+/**
+ * Merges a SCOREBOARD_SUMMARY event payload into a live match card from
+ * `/code/:publicCode/live`, so the strip updates without refetching.
+ */
+export function applyLiveSummary(card, summary) {
+  if (!summary) {
+    return card;
+  }
+
+  const { setsA, setsB } = toSetSummaryFromLiveSummary(summary);
+
+  return {
+    ...card,
+    scoreSummary: {
+      setsA,
+      setsB,
+      pointsA: toNonNegativeInteger(summary.points?.a),
+      pointsB: toNonNegativeInteger(summary.points?.b),
+    },
+    completedSetScores: Array.isArray(summary.completedSetScores)
+      ? summary.completedSetScores
+      : card?.completedSetScores,
+    serving: summary.serving === 'A' || summary.serving === 'B' ? summary.serving : null,
+  };
+}
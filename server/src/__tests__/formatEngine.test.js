@@ -1,7 +1,16 @@
 const {
+  generatePlayoffsFromFormat,
   generateRoundRobinMatches,
+  isSupportedBracketShape,
+  pairSwissRound,
+  schedulePlayoffMatches,
   scheduleStageMatches,
+  scheduleSwissRoundMatches,
 } = require('../tournamentEngine/formatEngine');
+const { buildPairKey } = require('../tournamentEngine/pairKeys');
+
+const buildPoolTeams = (size) =>
+  Array.from({ length: size }, (_, index) => ({ _id: `team-${index + 1}`, orderIndex: index + 1 }));
 
 describe('formatEngine round robin + scheduling', () => {
   test('pool size 3 round robin uses spec order: 1v3, 2v3, 1v2 with correct refs', () => {
@@ -51,6 +60,62 @@ describe('formatEngine round robin + scheduling', () => {
     });
   });
 
+  test.each([5, 6, 7, 8, 12])(
+    'pool size %i round robin plays every pairing once with even ref duty and no streaks',
+    (size) => {
+      const teams = buildPoolTeams(size);
+      const matches = generateRoundRobinMatches(teams, size);
+      const pairings = new Set(
+        matches.map((match) => [match.teamAId, match.teamBId].sort().join('|'))
+      );
+
+      expect(matches).toHaveLength((size * (size - 1)) / 2);
+      expect(pairings.size).toBe(matches.length);
+      expect(generateRoundRobinMatches(teams, size)).toEqual(matches);
+
+      const refCounts = new Map(teams.map((team) => [team._id, 0]));
+      matches.forEach((match) => {
+        expect(match.refTeamIds).toHaveLength(1);
+        expect(match.offTeamIds).toContain(match.refTeamIds[0]);
+        refCounts.set(match.refTeamIds[0], refCounts.get(match.refTeamIds[0]) + 1);
+      });
+      const counts = [...refCounts.values()];
+      expect(Math.max(...counts) - Math.min(...counts)).toBeLessThanOrEqual(1);
+
+      teams.forEach((team) => {
+        let streak = 0;
+        matches.forEach((match) => {
+          streak = [match.teamAId, match.teamBId].includes(team._id) ? streak + 1 : 0;
+          expect(streak).toBeLessThan(3);
+        });
+      });
+    }
+  );
+
+  test('odd pool sizes give each team one bye round', () => {
+    const matches = generateRoundRobinMatches(buildPoolTeams(5), 5);
+    const byeCounts = matches.reduce((lookup, match) => {
+      lookup[match.byeTeamId] = (lookup[match.byeTeamId] || 0) + 1;
+      return lookup;
+    }, {});
+
+    // 5 circle rounds of 2 matches; the bye team sits out both matches of its round
+    expect(Object.keys(byeCounts).sort()).toEqual(buildPoolTeams(5).map((team) => team._id));
+    expect(Object.values(byeCounts).every((count) => count === 2)).toBe(true);
+    matches.forEach((match) => {
+      expect([match.teamAId, match.teamBId]).not.toContain(match.byeTeamId);
+    });
+    expect(generateRoundRobinMatches(buildPoolTeams(6), 6).every((match) => !match.byeTeamId)).toBe(
+      true
+    );
+  });
+
+  test('rejects pool sizes outside the supported range', () => {
+    expect(() => generateRoundRobinMatches(buildPoolTeams(2), 2)).toThrow(
+      'Round robin generation supports pool sizes 3 through 12.'
+    );
+  });
+
   test('scheduling with fewer courts than pools is deterministic and non-overlapping per court', () => {
     const matchesByPool = [
       {
@@ -101,3 +166,308 @@ describe('formatEngine round robin + scheduling', () => {
     });
   });
 });
+
+describe('formatEngine double elimination', () => {
+  const buildDoubleElim = (size, options = {}) =>
+    generatePlayoffsFromFormat(
+      'tournament-1',
+      {
+        name: 'Gold',
+        type: 'doubleElim',
+        size,
+        seedsFromOverall: Array.from({ length: size }, (_, index) => index + 1),
+        ...options,
+      },
+      Array.from({ length: size }, (_, index) => `team-${index + 1}`)
+    );
+
+  test('supports 4, 8, and 16 team brackets', () => {
+    expect([4, 6, 8, 16].map((size) => isSupportedBracketShape('doubleElim', size))).toEqual([
+      true,
+      false,
+      true,
+      true,
+    ]);
+  });
+
+  test('8-team bracket wires winners losses into the losers bracket and a grand final', () => {
+    const matches = buildDoubleElim(8);
+    const byKey = Object.fromEntries(matches.map((match) => [match.bracketMatchKey, match]));
+
+    // 2N - 2 matches without the reset final
+    expect(matches).toHaveLength(14);
+    expect(matches.filter((match) => /^R\d$/.test(match.bracketRound))).toHaveLength(7);
+    expect(matches.filter((match) => /^L\d$/.test(match.bracketRound))).toHaveLength(6);
+    expect(byKey['gold:L1:M1']).toMatchObject({
+      teamAFromMatchKey: 'gold:R1:M1',
+      teamAFromSlot: 'loser',
+      teamBFromMatchKey: 'gold:R1:M2',
+      teamBFromSlot: 'loser',
+    });
+    // Winners round 2 losers drop in reversed so they avoid their round 1 opponent's side
+    expect(byKey['gold:L2:M1']).toMatchObject({
+      teamAFromMatchKey: 'gold:R2:M2',
+      teamAFromSlot: 'loser',
+      teamBFromMatchKey: 'gold:L1:M1',
+      teamBFromSlot: 'winner',
+    });
+    expect(byKey['gold:L4:M1']).toMatchObject({
+      teamAFromMatchKey: 'gold:R3:M1',
+      teamAFromSlot: 'loser',
+    });
+    expect(byKey['gold:GF:M1']).toMatchObject({
+      teamAFromMatchKey: 'gold:R3:M1',
+      teamAFromSlot: 'winner',
+      teamBFromMatchKey: 'gold:L4:M1',
+      teamBFromSlot: 'winner',
+    });
+    expect(byKey['gold:GF2:M1']).toBeUndefined();
+  });
+
+  test('every source match is scheduled in an earlier round than the matches it feeds', () => {
+    const matches = buildDoubleElim(16, { ifNecessaryFinal: true });
+    const byKey = new Map(matches.map((match) => [match.bracketMatchKey, match]));
+    const scheduled = schedulePlayoffMatches(matches, ['SRC-1', 'SRC-2'], 10);
+    const scheduledByKey = new Map(scheduled.map((match) => [match.bracketMatchKey, match]));
+
+    expect(matches).toHaveLength(31);
+    matches.forEach((match) => {
+      [match.teamAFromMatchKey, match.teamBFromMatchKey].filter(Boolean).forEach((sourceKey) => {
+        expect(byKey.get(sourceKey).round).toBeLessThan(match.round);
+        expect(scheduledByKey.get(sourceKey).roundBlock).toBeLessThan(
+          scheduledByKey.get(match.bracketMatchKey).roundBlock
+        );
+      });
+    });
+  });
+
+  test('adds an if-necessary reset final when requested', () => {
+    const matches = buildDoubleElim(4, { ifNecessaryFinal: true });
+    const reset = matches[matches.length - 1];
+
+    expect(matches).toHaveLength(7);
+    expect(reset).toMatchObject({
+      bracketRound: 'GF2',
+      bracketMatchKey: 'gold:GF2:M1',
+      teamAFromMatchKey: 'gold:GF:M1',
+      teamAFromSlot: 'loser',
+      teamBFromMatchKey: 'gold:GF:M1',
+      teamBFromSlot: 'winner',
+      ifNecessary: true,
+    });
+  });
+});
+
+describe('formatEngine single elimination', () => {
+  const buildSingleElim = (size, options = {}) =>
+    generatePlayoffsFromFormat(
+      'tournament-1',
+      {
+        name: 'Gold',
+        type: 'singleElim',
+        size,
+        seedsFromOverall: Array.from({ length: size }, (_, index) => index + 1),
+        ...options,
+      },
+      Array.from({ length: size }, (_, index) => `team-${index + 1}`)
+    );
+  const describeSide = (match, side) =>
+    match[`seed${side}`] ||
+    `${match[`team${side}FromSlot`]}:${match[`team${side}FromMatchKey`]}`;
+
+  test('supports every size from 3 to 32', () => {
+    expect([2, 3, 6, 13, 32, 33].map((size) => isSupportedBracketShape('singleElim', size))).toEqual([
+      false,
+      true,
+      true,
+      true,
+      true,
+      false,
+    ]);
+    expect(isSupportedBracketShape('singleElimWithByes', 12)).toBe(true);
+    expect(isSupportedBracketShape('doubleElim', 32)).toBe(false);
+  });
+
+  test('keeps the full-bracket seeding and extends it to 32 teams', () => {
+    const roundOnePairs = (size) =>
+      buildSingleElim(size)
+        .filter((match) => match.bracketRound === 'R1')
+        .map((match) => `${match.seedA}v${match.seedB}`);
+
+    expect(roundOnePairs(8)).toEqual(['1v8', '4v5', '3v6', '2v7']);
+    expect(roundOnePairs(16)).toEqual([
+      '1v16',
+      '8v9',
+      '5v12',
+      '4v13',
+      '3v14',
+      '6v11',
+      '7v10',
+      '2v15',
+    ]);
+    expect(roundOnePairs(32).slice(0, 4)).toEqual(['1v32', '16v17', '9v24', '8v25']);
+    expect(buildSingleElim(32)).toHaveLength(31);
+  });
+
+  test('gives byes to the top seeds and seats them in round two', () => {
+    const matches = buildSingleElim(6);
+
+    expect(matches.map((match) => [match.bracketMatchKey, describeSide(match, 'A'), describeSide(match, 'B')])).toEqual([
+      ['gold:R1:M1', 4, 5],
+      ['gold:R1:M2', 3, 6],
+      ['gold:R2:M1', 1, 'winner:gold:R1:M1'],
+      ['gold:R2:M2', 2, 'winner:gold:R1:M2'],
+      ['gold:R3:M1', 'winner:gold:R2:M1', 'winner:gold:R2:M2'],
+    ]);
+    expect(matches[2]).toMatchObject({ teamAId: 'team-1', teamBId: null });
+
+    const thirteen = buildSingleElim(13);
+    expect(thirteen).toHaveLength(12);
+    expect(thirteen.filter((match) => match.bracketRound === 'R1')).toHaveLength(5);
+    expect(
+      thirteen
+        .filter((match) => match.bracketRound === 'R2' && match.teamAFromMatchKey === null)
+        .map((match) => match.seedA)
+    ).toEqual([1, 3, 2]);
+  });
+
+  test('adds a third-place match for the semifinal losers, scheduled before the final', () => {
+    const matches = buildSingleElim(5, { thirdPlaceMatch: true });
+    const thirdPlace = matches.find((match) => match.bracketRound === '3P');
+    const scheduled = schedulePlayoffMatches(matches, ['SRC-1'], 1);
+
+    expect(thirdPlace).toMatchObject({
+      bracketMatchKey: 'gold:3P:M1',
+      round: 3,
+      teamAFromMatchKey: 'gold:R2:M1',
+      teamAFromSlot: 'loser',
+      teamBFromMatchKey: 'gold:R2:M2',
+      teamBFromSlot: 'loser',
+    });
+    expect(scheduled.slice(-2).map((match) => match.bracketMatchKey)).toEqual([
+      'gold:3P:M1',
+      'gold:R3:M1',
+    ]);
+    expect(buildSingleElim(3, { thirdPlaceMatch: true })).toHaveLength(2);
+  });
+});
+
+
+describe('formatEngine swiss rounds', () => {
+  const teamIds = Array.from({ length: 8 }, (_, index) => `team-${index + 1}`);
+  const toPairs = (result) => result.pairs.map((pair) => [pair.teamAId, pair.teamBId]);
+
+  test('round 1 pairs the top half of the seeds against the bottom half', () => {
+    expect(toPairs(pairSwissRound(teamIds, { round: 1 }))).toEqual([
+      ['team-1', 'team-5'],
+      ['team-2', 'team-6'],
+      ['team-3', 'team-7'],
+      ['team-4', 'team-8'],
+    ]);
+  });
+
+  test('later rounds pair neighbours by record and backtrack around rematches', () => {
+    const playedPairs = new Set([
+      buildPairKey('team-1', 'team-2'),
+      buildPairKey('team-3', 'team-4'),
+      buildPairKey('team-2', 'team-3'),
+    ]);
+    const result = pairSwissRound(['team-1', 'team-2', 'team-3', 'team-4'], { round: 2, playedPairs });
+
+    expect(toPairs(result)).toEqual([
+      ['team-1', 'team-3'],
+      ['team-2', 'team-4'],
+    ]);
+    expect(result.pairs.every((pair) => pair.rematch === false)).toBe(true);
+  });
+
+  test('gives the bye to the lowest-ranked team that has not had one', () => {
+    const result = pairSwissRound(['team-1', 'team-2', 'team-3', 'team-4', 'team-5'], {
+      round: 3,
+      byeTeamIds: ['team-5'],
+    });
+
+    expect(result.byeTeamId).toBe('team-4');
+    expect(toPairs(result)).toEqual([
+      ['team-1', 'team-2'],
+      ['team-3', 'team-5'],
+    ]);
+  });
+
+  test('allows a rematch only when every pairing repeats one', () => {
+    const result = pairSwissRound(['team-1', 'team-2'], {
+      playedPairs: new Set([buildPairKey('team-1', 'team-2')]),
+    });
+
+    expect(result.pairs).toEqual([{ teamAId: 'team-1', teamBId: 'team-2', rematch: true }]);
+  });
+
+  test('finds the pairing with the fewest rematches when one is unavoidable', () => {
+    // team-1 has played everyone; pairing it with team-2 would force team-4 v team-5 as well
+    const playedPairs = new Set(
+      [
+        ['team-1', 'team-2'],
+        ['team-1', 'team-3'],
+        ['team-1', 'team-4'],
+        ['team-1', 'team-5'],
+        ['team-1', 'team-6'],
+        ['team-3', 'team-4'],
+        ['team-3', 'team-5'],
+        ['team-4', 'team-5'],
+      ].map(([left, right]) => buildPairKey(left, right))
+    );
+    const result = pairSwissRound(teamIds.slice(0, 6), { round: 4, playedPairs });
+
+    expect(toPairs(result)).toEqual([
+      ['team-1', 'team-3'],
+      ['team-2', 'team-4'],
+      ['team-5', 'team-6'],
+    ]);
+    expect(result.pairs.filter((pair) => pair.rematch)).toHaveLength(1);
+  });
+
+  test('pairs greedily once the search budget runs out', () => {
+    // Two odd groups that have played across but not within: no rematch-free round exists,
+    // and proving that takes far more steps than the search allows
+    const fieldIds = Array.from({ length: 62 }, (_, index) => `team-${index + 1}`);
+    const groupOf = (teamId) => (fieldIds.indexOf(teamId) % 2 === 0 ? 'odd' : 'even');
+    const playedPairs = new Set();
+    fieldIds.forEach((left) =>
+      fieldIds.forEach((right) => {
+        if (groupOf(left) !== groupOf(right)) {
+          playedPairs.add(buildPairKey(left, right));
+        }
+      })
+    );
+
+    const result = pairSwissRound(fieldIds, { round: 5, playedPairs });
+
+    expect(result.pairs).toHaveLength(31);
+    expect(new Set(result.pairs.flatMap((pair) => [pair.teamAId, pair.teamBId])).size).toBe(62);
+    expect(result.pairs.filter((pair) => pair.rematch)).toHaveLength(1);
+  });
+
+  test('schedules pairs into open slots and refs from teams free in that block', () => {
+    const { pairs, byeTeamId } = pairSwissRound(teamIds.slice(0, 7), { round: 1 });
+    const scheduled = scheduleSwissRoundMatches(
+      pairs,
+      [
+        { roundBlock: 4, court: 'SRC-1' },
+        { roundBlock: 4, court: 'SRC-2' },
+        { roundBlock: 5, court: 'SRC-1' },
+      ],
+      byeTeamId
+    );
+
+    expect(byeTeamId).toBe('team-7');
+    expect(scheduled.map((match) => [match.roundBlock, match.court])).toEqual([
+      [4, 'SRC-1'],
+      [4, 'SRC-2'],
+      [5, 'SRC-1'],
+    ]);
+    expect(scheduled.map((match) => match.refTeamIds)).toEqual([['team-7'], ['team-3'], ['team-7']]);
+    expect(() => scheduleSwissRoundMatches(pairs, [], byeTeamId)).toThrow(
+      'Not enough open court slots for the Swiss round'
+    );
+  });
+});
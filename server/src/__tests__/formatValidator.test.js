@@ -0,0 +1,209 @@
+const { getFormat } = require('../tournamentFormats/formatRegistry');
+const { validateFormatDefinition } = require('../tournamentFormats/formatValidator');
+
+const buildDefinition = (overrides = {}) => ({
+  name: '10 Teams: 2x3 + 4, Gold 8',
+  stages: [
+    {
+      type: 'poolPlay',
+      pools: [
+        { name: 'a', size: 4 },
+        { name: 'B', size: 3 },
+        { name: 'C', size: 3 },
+      ],
+    },
+    { type: 'crossover', fromPools: ['b', 'C'] },
+    {
+      type: 'playoffs',
+      brackets: [
+        { name: 'Gold', size: 8, type: 'singleElim', seedsFromOverall: [1, 2, 3, 4, 5, 6, 7, 8] },
+      ],
+    },
+  ],
+  ...overrides,
+});
+
+describe('validateFormatDefinition', () => {
+  test('normalizes a valid definition and derives the team count from pool sizes', () => {
+    const { formatDef, errors } = validateFormatDefinition(buildDefinition());
+
+    expect(errors).toEqual([]);
+    expect(formatDef.supportedTeamCounts).toEqual([10]);
+    expect(formatDef.minCourts).toBe(1);
+    expect(formatDef.stages.map((stage) => [stage.type, stage.key, stage.displayName])).toEqual([
+      ['poolPlay', 'poolPlay1', 'Pool Play'],
+      ['crossover', 'crossover', 'Crossover'],
+      ['playoffs', 'playoffs', 'Playoffs'],
+    ]);
+    expect(formatDef.stages[0].pools[0]).toEqual({
+      name: 'A',
+      size: 4,
+      preferredCourtGroup: 'ANY',
+    });
+    expect(formatDef.stages[0].refs).toEqual({ policy: 'offTeamSamePool' });
+    expect(formatDef.stages[1]).toMatchObject({ fromPools: ['B', 'C'], pairings: 'rankToRank' });
+  });
+
+  test('accepts the built-in formats the engine can generate', () => {
+    const formatDef = getFormat('classic_14_mixedpools_crossover_gold8_silver6_v1');
+    const { errors, formatDef: normalized } = validateFormatDefinition(formatDef);
+
+    expect(errors).toEqual([]);
+    expect(normalized.supportedTeamCounts).toEqual(formatDef.supportedTeamCounts);
+  });
+
+  test('reports stage order, pool, crossover, and bracket problems', () => {
+    const { errors } = validateFormatDefinition({
+      name: '',
+      stages: [
+        { type: 'playoffs', brackets: [{ name: 'Gold', size: 40, type: 'singleElim' }] },
+        { type: 'poolPlay', pools: [{ name: 'A', size: 2 }, { name: 'A', size: 3 }] },
+        { type: 'crossover', fromPools: ['A', 'Z'] },
+      ],
+    });
+
+    expect(errors).toEqual(
+      expect.arrayContaining([
+        'Format name is required',
+        'The first stage must be pool play or Swiss',
+        'Stages must run pool play, then crossover, then playoffs',
+        'Pool Play pool A must have between 3 and 12 teams',
+        'Pool Play has more than one pool named A',
+        'Crossover refers to unknown pool Z',
+        'Playoffs bracket Gold cannot be a singleElim bracket of 40 teams',
+        'Playoffs bracket Gold must list exactly 40 overall seeds',
+      ])
+    );
+  });
+
+  test('accepts round-robin pools of five and six teams', () => {
+    const { formatDef, errors } = validateFormatDefinition({
+      name: '11 Teams: 5 + 6, Gold 8',
+      stages: [
+        {
+          type: 'poolPlay',
+          pools: [
+            { name: 'A', size: 5 },
+            { name: 'B', size: 6 },
+          ],
+        },
+        {
+          type: 'playoffs',
+          brackets: [
+            { name: 'Gold', size: 8, type: 'singleElim', seedsFromOverall: [1, 2, 3, 4, 5, 6, 7, 8] },
+          ],
+        },
+      ],
+    });
+
+    expect(errors).toEqual([]);
+    expect(formatDef.supportedTeamCounts).toEqual([11]);
+  });
+
+  test('accepts double-elimination brackets and keeps the if-necessary final option', () => {
+    const definition = buildDefinition();
+    definition.stages[2].brackets = [
+      {
+        name: 'Gold',
+        size: 8,
+        type: 'doubleElim',
+        seedsFromOverall: [1, 2, 3, 4, 5, 6, 7, 8],
+        ifNecessaryFinal: true,
+      },
+    ];
+
+    const { formatDef, errors } = validateFormatDefinition(definition);
+
+    expect(errors).toEqual([]);
+    expect(formatDef.stages[2].brackets[0]).toMatchObject({
+      type: 'doubleElim',
+      ifNecessaryFinal: true,
+    });
+  });
+
+  test('accepts single-elimination brackets of any size with a third-place match', () => {
+    const definition = buildDefinition();
+    definition.stages[2].brackets = [
+      {
+        name: 'Gold',
+        size: 5,
+        type: 'singleElim',
+        seedsFromOverall: [1, 2, 3, 4, 5],
+        thirdPlaceMatch: true,
+      },
+      { name: 'Silver', size: 3, type: 'singleElim', seedsFromOverall: [6, 7, 8], thirdPlaceMatch: true },
+    ];
+
+    const { formatDef, errors } = validateFormatDefinition(definition);
+
+    expect(errors).toEqual(['Playoffs bracket Silver needs at least 4 teams for a third-place match']);
+    expect(formatDef.stages[2].brackets[0]).toMatchObject({ size: 5, thirdPlaceMatch: true });
+  });
+
+  test('accepts a Swiss stage in place of pool play and takes the team count from it', () => {
+    const { formatDef, errors } = validateFormatDefinition({
+      name: '24 Teams: Swiss, Gold 8',
+      stages: [
+        { type: 'swiss', teamCount: 24, rounds: 5 },
+        {
+          type: 'playoffs',
+          brackets: [
+            { name: 'Gold', size: 8, type: 'singleElim', seedsFromOverall: [1, 2, 3, 4, 5, 6, 7, 8] },
+          ],
+        },
+      ],
+    });
+
+    expect(errors).toEqual([]);
+    expect(formatDef.supportedTeamCounts).toEqual([24]);
+    expect(formatDef.stages[0]).toEqual({
+      type: 'swiss',
+      key: 'swiss',
+      displayName: 'Swiss',
+      teamCount: 24,
+      rounds: 5,
+      opponentWinPct: true,
+    });
+  });
+
+  test('rejects Swiss stages with too many rounds or alongside pool play', () => {
+    expect(
+      validateFormatDefinition({
+        name: 'Swiss',
+        stages: [{ type: 'swiss', teamCount: 6, rounds: 6, opponentWinPct: false }],
+      }).errors
+    ).toEqual(['Swiss must have between 1 and 5 rounds']);
+
+    const definition = buildDefinition();
+    definition.stages.splice(1, 1, { type: 'swiss', teamCount: 10, rounds: 3 });
+    expect(validateFormatDefinition(definition).errors).toEqual([
+      'A Swiss stage cannot be combined with pool play or crossover',
+    ]);
+  });
+
+  test('rejects seeds beyond the team count or used by two brackets', () => {
+    const definition = buildDefinition();
+    definition.stages[2].brackets.push({
+      name: 'Silver',
+      size: 4,
+      type: 'singleElim',
+      seedsFromOverall: [8, 9, 10, 11],
+    });
+
+    const { errors } = validateFormatDefinition(definition);
+
+    expect(errors).toEqual([
+      'Overall seed 8 is used by more than one bracket',
+      'Playoffs bracket Silver seeds must be between 1 and 10',
+    ]);
+  });
+
+  test('checks court limits', () => {
+    expect(validateFormatDefinition(buildDefinition({ minCourts: 3, maxCourts: 2 })).errors).toEqual([
+      'Maximum courts must be at least the minimum courts',
+    ]);
+    expect(validateFormatDefinition(buildDefinition({ minCourts: 0 })).errors).toEqual([
+      'Minimum courts must be between 1 and 64',
+    ]);
+  });
+});
@@ -0,0 +1,97 @@
+const {
+  applySideOutRotation,
+  getServerNumber,
+  resetLineupRotation,
+  sanitizeLineup,
+} = require('../services/lineup');
+
+const buildLineup = (rotations = [0, 0]) => ({
+  enabled: true,
+  teams: [
+    { starters: ['1', '2', '3', '4', '5', '6'], rotation: rotations[0] },
+    { starters: ['11', '12', '13', '14', '15', '16'], rotation: rotations[1] },
+  ],
+});
+
+const buildTeams = (scores) => scores.map((score) => ({ score }));
+
+describe('lineup service', () => {
+  test('sanitizes jersey numbers and wraps rotations', () => {
+    expect(
+      sanitizeLineup({
+        enabled: 'yes',
+        teams: [{ starters: [' 7', '#12', 'abc', 1234], rotation: 7 }],
+      })
+    ).toEqual({
+      enabled: true,
+      teams: [
+        { starters: ['7', '12', '', '123', '', ''], rotation: 1 },
+        { starters: ['', '', '', '', '', ''], rotation: 0 },
+      ],
+    });
+    expect(sanitizeLineup(null)).toBeNull();
+    expect(sanitizeLineup(undefined)).toBeUndefined();
+  });
+
+  test('rotates the receiving team on a side-out only', () => {
+    const current = { teams: buildTeams([5, 5]), servingTeamIndex: 0, lineup: buildLineup() };
+
+    const sideOut = applySideOutRotation({
+      current,
+      update: { teams: buildTeams([5, 6]), servingTeamIndex: 1 },
+    });
+    expect(sideOut.lineup.teams.map((team) => team.rotation)).toEqual([0, 1]);
+    expect(getServerNumber(sideOut.lineup, 1)).toBe('12');
+
+    const hold = applySideOutRotation({
+      current,
+      update: { teams: buildTeams([6, 5]), servingTeamIndex: 0 },
+    });
+    expect(hold.lineup).toBeUndefined();
+
+    const correction = applySideOutRotation({
+      current,
+      update: { teams: buildTeams([5, 4]), servingTeamIndex: 0 },
+    });
+    expect(correction.lineup).toBeUndefined();
+  });
+
+  test('wraps position VI back to the first starter', () => {
+    const current = {
+      teams: buildTeams([10, 10]),
+      servingTeamIndex: 1,
+      lineup: buildLineup([5, 0]),
+    };
+
+    const rotated = applySideOutRotation({
+      current,
+      update: { teams: buildTeams([11, 10]), servingTeamIndex: 0 },
+    });
+
+    expect(getServerNumber(rotated.lineup, 0)).toBe('1');
+  });
+
+  test('ignores rotation when lineups are off or the server is unknown', () => {
+    const update = { teams: buildTeams([0, 1]), servingTeamIndex: 1 };
+
+    expect(
+      applySideOutRotation({
+        current: { teams: buildTeams([0, 0]), servingTeamIndex: 0, lineup: null },
+        update,
+      })
+    ).toBe(update);
+    expect(
+      applySideOutRotation({
+        current: { teams: buildTeams([0, 0]), servingTeamIndex: null, lineup: buildLineup() },
+        update,
+      })
+    ).toBe(update);
+    expect(getServerNumber({ ...buildLineup(), enabled: false }, 0)).toBeNull();
+  });
+
+  test('resets rotations for a new set', () => {
+    const reset = resetLineupRotation(buildLineup([3, 4]));
+
+    expect(reset.teams.map((team) => team.rotation)).toEqual([0, 0]);
+  });
+});
@@ -0,0 +1,160 @@
+const { EventEmitter } = require('events');
+
+const {
+  STREAM_BUFFER_SIZE,
+  STREAM_KEEPALIVE_MS,
+  STREAM_RESUME_WINDOW_MS,
+  getScoreboardChannel,
+  openEventStream,
+  publishLiveEvent,
+  resetLiveEventStreams,
+} = require('../services/liveEventStream');
+
+const CHANNEL = getScoreboardChannel('665f1c2e8a1b2c3d4e5f6a7b');
+
+const createRequest = (lastEventId) => {
+  const req = new EventEmitter();
+  req.get = (header) => (header === 'Last-Event-ID' ? lastEventId : undefined);
+  req.query = {};
+  return req;
+};
+
+const createResponse = () => ({
+  statusCode: null,
+  headers: {},
+  chunks: [],
+  status(code) {
+    this.statusCode = code;
+    return this;
+  },
+  set(headers) {
+    Object.assign(this.headers, headers);
+    return this;
+  },
+  write(chunk) {
+    this.chunks.push(chunk);
+    return true;
+  },
+  text() {
+    return this.chunks.join('');
+  },
+});
+
+const parseEvents = (res) =>
+  res
+    .text()
+    .split('\n\n')
+    .filter((block) => block.startsWith('id: '))
+    .map((block) => {
+      const fields = Object.fromEntries(
+        block.split('\n').map((line) => {
+          const separator = line.indexOf(':');
+          return [line.slice(0, separator), line.slice(separator + 2)];
+        })
+      );
+      return { id: fields.id, event: fields.event, data: JSON.parse(fields.data) };
+    });
+
+const openStream = (lastEventId, options) => {
+  const req = createRequest(lastEventId);
+  const res = createResponse();
+  openEventStream(req, res, CHANNEL, options);
+  return { req, res };
+};
+
+describe('liveEventStream', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+    resetLiveEventStreams();
+  });
+
+  afterEach(() => {
+    resetLiveEventStreams();
+    jest.useRealTimers();
+  });
+
+  test('opens an event stream and sends the snapshot first', () => {
+    const { res } = openStream(undefined, {
+      snapshot: { event: 'scoreboard:state', data: { revision: 1 } },
+    });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.headers['Content-Type']).toBe('text/event-stream');
+    expect(res.text()).toMatch(/^retry: \d+\n\n/);
+    expect(parseEvents(res)).toEqual([
+      expect.objectContaining({ event: 'scoreboard:state', data: { revision: 1 } }),
+    ]);
+  });
+
+  test('streams published events to every connected client', () => {
+    const first = openStream();
+    const second = openStream();
+
+    expect(publishLiveEvent(CHANNEL, 'scoreboard:state', { revision: 2 })).toBe(true);
+
+    [first, second].forEach(({ res }) => {
+      expect(parseEvents(res)).toEqual([
+        expect.objectContaining({ event: 'scoreboard:state', data: { revision: 2 } }),
+      ]);
+    });
+  });
+
+  test('does not buffer events for channels nobody watches', () => {
+    expect(publishLiveEvent(getScoreboardChannel('unwatched'), 'scoreboard:state', {})).toBe(false);
+  });
+
+  test('replays missed events after a resumable Last-Event-ID', () => {
+    const { req, res } = openStream();
+    publishLiveEvent(CHANNEL, 'scoreboard:state', { revision: 2 });
+    const [lastSeen] = parseEvents(res);
+    req.emit('close');
+
+    publishLiveEvent(CHANNEL, 'scoreboard:state', { revision: 3 });
+    publishLiveEvent(CHANNEL, 'scoreboard:state', { revision: 4 });
+
+    const resumed = openStream(lastSeen.id, {
+      snapshot: { event: 'scoreboard:state', data: { revision: 4 } },
+    });
+
+    expect(parseEvents(resumed.res).map((event) => event.data.revision)).toEqual([3, 4]);
+  });
+
+  test('falls back to the snapshot for unknown or expired event ids', () => {
+    const snapshot = { event: 'scoreboard:state', data: { revision: 'now' } };
+    const { req, res } = openStream(undefined, { snapshot });
+    const [initial] = parseEvents(res);
+
+    // Overflowing the buffer drops the first event, so the initial snapshot id is too old
+    for (let revision = 1; revision <= STREAM_BUFFER_SIZE + 1; revision += 1) {
+      publishLiveEvent(CHANNEL, 'scoreboard:state', { revision });
+    }
+
+    [initial.id, 'stale-12', 'garbage'].forEach((lastEventId) => {
+      const resumed = openStream(lastEventId, { snapshot });
+      expect(parseEvents(resumed.res).map((event) => event.data.revision)).toEqual(['now']);
+    });
+
+    req.emit('close');
+  });
+
+  test('sends keepalive comments until the client disconnects', () => {
+    const { req, res } = openStream();
+
+    jest.advanceTimersByTime(STREAM_KEEPALIVE_MS * 2);
+    expect(res.text().match(/: keepalive\n\n/g)).toHaveLength(2);
+
+    req.emit('close');
+    jest.advanceTimersByTime(STREAM_KEEPALIVE_MS * 2);
+    expect(res.text().match(/: keepalive\n\n/g)).toHaveLength(2);
+  });
+
+  test('drops a channel once the resume window passes without clients', () => {
+    const { req } = openStream();
+    req.emit('close');
+
+    expect(publishLiveEvent(CHANNEL, 'scoreboard:state', {})).toBe(true);
+
+    jest.advanceTimersByTime(STREAM_RESUME_WINDOW_MS);
+    expect(publishLiveEvent(CHANNEL, 'scoreboard:state', {})).toBe(false);
+  });
+});
@@ -10,6 +10,7 @@ const Scoreboard = require('../models/Scoreboard');
 const Tournament = require('../models/Tournament');
 const TournamentTeam = require('../models/TournamentTeam');
 const User = require('../models/User');
+const { endMatchForCompletedScoreboard } = require('../services/matchLifecycle');
 
 describe('match lifecycle routes', () => {
   let mongo;
@@ -193,6 +194,28 @@ describe('match lifecycle routes', () => {
     );
   });
 
+  test('ends a live match when its scoreboard reaches a decided result', async () => {
+    const { tournament, match } = await createContext({
+      status: 'live',
+      startedAt: new Date('2026-10-01T12:00:00.000Z'),
+    });
+
+    const ended = await endMatchForCompletedScoreboard({
+      scoreboardId: match.scoreboardId,
+      io: { to: ioToMock },
+    });
+
+    expect(ended.status).toBe('ended');
+    expect((await Match.findById(match._id).lean()).endedAt).toBeTruthy();
+    expect(ioToMock).toHaveBeenCalledWith(`tournament:${tournament.publicCode}`);
+
+    const repeated = await endMatchForCompletedScoreboard({
+      scoreboardId: match.scoreboardId,
+      io: { to: ioToMock },
+    });
+    expect(repeated).toBeNull();
+  });
+
   test('POST /api/matches/:matchId/finalize blocks non-ended match by default', async () => {
     const { match } = await createContext({
       status: 'scheduled',
@@ -237,6 +260,70 @@ describe('match lifecycle routes', () => {
     );
   });
 
+  test('POST /api/matches/:matchId/finalize records substitutions and sanctions', async () => {
+    const { match } = await createContext({ status: 'ended' });
+    const recordedAt = new Date('2026-10-01T12:10:00.000Z');
+
+    await Scoreboard.updateOne(
+      { _id: match.scoreboardId },
+      {
+        $set: {
+          substitutions: [
+            {
+              setIndex: 0,
+              teamIndex: 1,
+              playerIn: '12',
+              playerOut: '4',
+              scores: [10, 8],
+              createdAt: recordedAt,
+            },
+          ],
+          sanctions: [
+            {
+              setIndex: 1,
+              teamIndex: 0,
+              type: 'red',
+              player: '7',
+              scores: [14, 14],
+              createdAt: recordedAt,
+            },
+          ],
+        },
+      }
+    );
+
+    const response = await request(app)
+      .post(`/api/matches/${match._id}/finalize`)
+      .set(authHeader());
+
+    expect(response.statusCode).toBe(200);
+    expect(response.body.result.substitutions).toEqual([
+      {
+        setNo: 1,
+        team: 'B',
+        playerIn: '12',
+        playerOut: '4',
+        scoreA: 10,
+        scoreB: 8,
+        recordedAt: recordedAt.toISOString(),
+      },
+    ]);
+    expect(response.body.result.sanctions).toEqual([
+      {
+        setNo: 2,
+        team: 'A',
+        type: 'red',
+        player: '7',
+        scoreA: 14,
+        scoreB: 14,
+        recordedAt: recordedAt.toISOString(),
+      },
+    ]);
+
+    const storedMatch = await Match.findById(match._id).lean();
+    expect(storedMatch.result.sanctions).toHaveLength(1);
+  });
+
   test('POST /api/matches/:matchId/finalize allows override when scoreboard is complete', async () => {
     const { match } = await createContext({
       status: 'scheduled',
@@ -0,0 +1,136 @@
+const {
+  applySanctionPenalty,
+  applySubstitutionToLineup,
+  buildMatchEntryRecord,
+  buildSanction,
+  buildSubstitution,
+  countSubstitutions,
+} = require('../services/officiating');
+
+const buildScoreboard = (overrides = {}) => ({
+  teams: [{ score: 10 }, { score: 8 }],
+  sets: [{ scores: [25, 20] }],
+  substitutions: [],
+  scoring: {},
+  ...overrides,
+});
+
+describe('officiating service', () => {
+  test('records substitutions against the live set and current score', () => {
+    const { entry, error } = buildSubstitution(buildScoreboard(), {
+      teamIndex: 1,
+      playerIn: '#12',
+      playerOut: '4',
+    });
+
+    expect(error).toBeUndefined();
+    expect(entry).toEqual(
+      expect.objectContaining({
+        setIndex: 1,
+        teamIndex: 1,
+        playerIn: '12',
+        playerOut: '4',
+        scores: [10, 8],
+      })
+    );
+  });
+
+  test('rejects incomplete substitutions and enforces the per-set limit', () => {
+    expect(buildSubstitution(buildScoreboard(), { teamIndex: 0, playerIn: '3' }).error).toMatch(
+      /both jersey numbers/
+    );
+    expect(
+      buildSubstitution(buildScoreboard(), { teamIndex: 0, playerIn: '3', playerOut: '3' }).error
+    ).toMatch(/different player/);
+
+    const substitutions = [
+      { setIndex: 1, teamIndex: 0 },
+      { setIndex: 1, teamIndex: 0 },
+      { setIndex: 0, teamIndex: 0 },
+      { setIndex: 1, teamIndex: 1 },
+    ];
+    const scoreboard = buildScoreboard({ substitutions, scoring: { substitutionLimit: 2 } });
+
+    expect(countSubstitutions(substitutions, { setIndex: 1, teamIndex: 0 })).toBe(2);
+    expect(
+      buildSubstitution(scoreboard, { teamIndex: 0, playerIn: '3', playerOut: '9' }).error
+    ).toBe('Substitution limit reached (2 per set)');
+    expect(
+      buildSubstitution(scoreboard, { teamIndex: 1, playerIn: '3', playerOut: '9' }).entry
+    ).toBeTruthy();
+  });
+
+  test('only red cards award the opponent a point and the serve', () => {
+    const update = { teams: [{ score: 10 }, { score: 8 }], servingTeamIndex: 0 };
+    const { entry: yellow } = buildSanction(buildScoreboard(), { teamIndex: 0, type: 'yellow' });
+    const { entry: red } = buildSanction(buildScoreboard(), {
+      teamIndex: 0,
+      type: 'red',
+      player: '7',
+    });
+
+    expect(buildSanction(buildScoreboard(), { teamIndex: 0, type: 'green' }).error).toMatch(
+      /yellow or red/
+    );
+    expect(applySanctionPenalty(update, yellow)).toBe(update);
+    expect(applySanctionPenalty(update, red)).toEqual({
+      teams: [{ score: 10 }, { score: 9 }],
+      servingTeamIndex: 1,
+    });
+  });
+
+  test('swaps substituted players into an enabled lineup', () => {
+    const lineup = {
+      enabled: true,
+      teams: [
+        { starters: ['1', '2', '3', '4', '5', '6'], rotation: 2 },
+        { starters: ['11', '12', '13', '14', '15', '16'], rotation: 0 },
+      ],
+    };
+
+    expect(
+      applySubstitutionToLineup(lineup, { teamIndex: 0, playerIn: '9', playerOut: '3' }).teams
+    ).toEqual([
+      { starters: ['1', '2', '9', '4', '5', '6'], rotation: 2 },
+      lineup.teams[1],
+    ]);
+    expect(applySubstitutionToLineup(null, { teamIndex: 0 })).toBeNull();
+  });
+
+  test('maps scoreboard entries to match record entries for teams A and B', () => {
+    const createdAt = new Date('2026-10-01T12:00:00.000Z');
+
+    expect(
+      buildMatchEntryRecord({
+        substitutions: [
+          { setIndex: 0, teamIndex: 1, playerIn: '5', playerOut: '6', scores: [3, 4], createdAt },
+        ],
+        sanctions: [{ setIndex: 2, teamIndex: 0, type: 'yellow', scores: [1, 0], createdAt }],
+      })
+    ).toEqual({
+      substitutions: [
+        {
+          setNo: 1,
+          team: 'B',
+          playerIn: '5',
+          playerOut: '6',
+          scoreA: 3,
+          scoreB: 4,
+          recordedAt: createdAt,
+        },
+      ],
+      sanctions: [
+        {
+          setNo: 3,
+          team: 'A',
+          type: 'yellow',
+          player: '',
+          scoreA: 1,
+          scoreB: 0,
+          recordedAt: createdAt,
+        },
+      ],
+    });
+    expect(buildMatchEntryRecord({})).toEqual({ substitutions: [], sanctions: [] });
+  });
+});
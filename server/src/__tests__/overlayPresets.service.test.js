@@ -0,0 +1,49 @@
+const {
+  MAX_OVERLAY_PRESETS,
+  OVERLAY_OPTION_DEFAULTS,
+  sanitizeOverlayOptions,
+  sanitizeOverlayPresets,
+} = require('../services/overlayPresets');
+
+describe('overlay presets service', () => {
+  test('fills defaults and clamps overlay options', () => {
+    expect(sanitizeOverlayOptions(null)).toEqual(OVERLAY_OPTION_DEFAULTS);
+    expect(
+      sanitizeOverlayOptions({
+        layout: 'fullscreen',
+        scale: '0.333',
+        position: 'bottom-right',
+        nameLength: 99,
+        showSets: 'no',
+        transparent: false,
+      })
+    ).toEqual({
+      layout: 'fullscreen',
+      scale: 0.33,
+      position: 'bottom-right',
+      nameLength: 30,
+      showSets: true,
+      transparent: false,
+    });
+    expect(sanitizeOverlayOptions({ layout: 'diagonal', position: 'middle' })).toMatchObject({
+      layout: 'horizontal',
+      position: 'top-left',
+    });
+  });
+
+  test('requires unique names and caps the number of presets', () => {
+    expect(sanitizeOverlayPresets('corner').error).toMatch(/list/);
+    expect(sanitizeOverlayPresets([{ name: '  ' }]).error).toMatch(/needs a name/);
+    expect(sanitizeOverlayPresets([{ name: 'Corner' }, { name: 'corner ' }]).error).toBe(
+      'Duplicate overlay preset name: corner'
+    );
+    expect(
+      sanitizeOverlayPresets(
+        Array.from({ length: MAX_OVERLAY_PRESETS + 1 }, (_, index) => ({ name: `P${index}` }))
+      ).error
+    ).toMatch(/Only 10/);
+    expect(sanitizeOverlayPresets([{ name: 'TV', options: { layout: 'fullscreen' } }])).toEqual({
+      presets: [{ name: 'TV', options: { ...OVERLAY_OPTION_DEFAULTS, layout: 'fullscreen' } }],
+    });
+  });
+});
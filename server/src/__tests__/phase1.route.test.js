@@ -283,6 +283,39 @@ describe('phase1 pool + match generation routes', () => {
     });
   });
 
+  test('generate phase1 copies team logos onto match scoreboards', async () => {
+    const tournament = await createOwnedTournament();
+    const teams = await seedTournamentTeams(tournament._id);
+    await TournamentTeam.updateOne(
+      { _id: teams[0]._id },
+      { $set: { logoUrl: 'https://example.com/t1.png' } }
+    );
+
+    await request(app)
+      .post(`/api/tournaments/${tournament._id}/phase1/pools/init`)
+      .set(authHeader());
+    await request(app)
+      .post(`/api/tournaments/${tournament._id}/phase1/pools/autofill`)
+      .set(authHeader());
+
+    const generate = await request(app)
+      .post(`/api/tournaments/${tournament._id}/generate/phase1`)
+      .set(authHeader());
+
+    expect(generate.statusCode).toBe(201);
+
+    const scoreboards = await Scoreboard.find({ owner: user._id }).lean();
+    const withLogo = scoreboards.filter((scoreboard) =>
+      scoreboard.teams.some((team) => team.logoUrl === 'https://example.com/t1.png')
+    );
+
+    expect(withLogo).toHaveLength(2);
+    withLogo.forEach((scoreboard) => {
+      const logoTeam = scoreboard.teams.find((team) => team.logoUrl);
+      expect(logoTeam.name).toBe('T1');
+    });
+  });
+
   test('pool update blocks duplicate team assignments across phase1 pools', async () => {
     const tournament = await createOwnedTournament();
     await seedTournamentTeams(tournament._id);
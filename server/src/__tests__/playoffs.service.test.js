@@ -0,0 +1,111 @@
+const {
+  buildPlayoffRoundLabels,
+  getPlayoffRoundRank,
+  isIfNecessaryMatchSkipped,
+  resolveGenericSuggestedRefTeamId,
+} = require('../services/playoffs');
+
+describe('playoff round helpers', () => {
+  test('orders winners rounds, then losers rounds, then grand finals', () => {
+    const rounds = ['3P', 'GF2', 'L2', 'R2', 'GF', 'L1', 'R1'];
+
+    expect([...rounds].sort((left, right) => getPlayoffRoundRank(left) - getPlayoffRoundRank(right))).toEqual([
+      'R1',
+      'R2',
+      'L1',
+      'L2',
+      'GF',
+      'GF2',
+      '3P',
+    ]);
+  });
+
+  test('labels double-elimination rounds and single-elimination finals', () => {
+    expect(buildPlayoffRoundLabels(['R1', 'R2', 'R3', 'L1', 'L2', 'L3', 'L4', 'GF', 'GF2'])).toEqual({
+      R1: 'Winners Round 1',
+      R2: 'Winners Round 2',
+      R3: 'Winners Final',
+      L1: 'Losers Round 1',
+      L2: 'Losers Round 2',
+      L3: 'Losers Round 3',
+      L4: 'Losers Final',
+      GF: 'Grand Final',
+      GF2: 'Grand Final (If Necessary)',
+    });
+    expect(buildPlayoffRoundLabels(['R1', 'R2', 'R3', '3P'])).toEqual({
+      R2: 'Semifinal',
+      R3: 'Final',
+      '3P': 'Third Place',
+    });
+  });
+
+  test('skips the reset final only when the winners-bracket champion takes the grand final', () => {
+    const reset = { ifNecessary: true };
+    const grandFinal = (winnerTeamId) => ({
+      teamAId: 'winners-champion',
+      teamBId: 'losers-champion',
+      result: winnerTeamId ? { winnerTeamId } : null,
+    });
+
+    expect(isIfNecessaryMatchSkipped(reset, grandFinal('winners-champion'))).toBe(true);
+    expect(isIfNecessaryMatchSkipped(reset, grandFinal('losers-champion'))).toBe(false);
+    expect(isIfNecessaryMatchSkipped(reset, grandFinal(null))).toBe(false);
+    expect(isIfNecessaryMatchSkipped({ ifNecessary: false }, grandFinal('winners-champion'))).toBe(
+      false
+    );
+  });
+});
+
+describe('resolveGenericSuggestedRefTeamId', () => {
+  const finished = (id, winnerTeamId, loserTeamId, extra = {}) => ({
+    _id: id,
+    roundBlock: 1,
+    result: { winnerTeamId, loserTeamId },
+    ...extra,
+  });
+  const semiOne = finished('semi-1', 'team-1', 'team-4', {
+    roundBlock: 2,
+    teamAFromMatchId: 'quarter-1',
+    teamAFromSlot: 'winner',
+  });
+  const semiTwo = finished('semi-2', 'team-2', 'team-3', { roundBlock: 2 });
+  const quarterOne = finished('quarter-1', 'team-1', 'team-8');
+  const final = {
+    _id: 'final',
+    roundBlock: 3,
+    teamAId: 'team-1',
+    teamBId: 'team-2',
+    teamAFromMatchId: 'semi-1',
+    teamAFromSlot: 'winner',
+    teamBFromMatchId: 'semi-2',
+    teamBFromSlot: 'winner',
+  };
+  const resolve = (match, matches) =>
+    resolveGenericSuggestedRefTeamId(
+      match,
+      new Map(matches.map((entry) => [entry._id, entry])),
+      matches
+    );
+
+  test('uses the loser of a source match', () => {
+    expect(resolve(final, [quarterOne, semiOne, semiTwo, final])).toBe('team-4');
+  });
+
+  test('skips semifinal losers who play the third-place match', () => {
+    const thirdPlace = {
+      _id: 'third-place',
+      roundBlock: 3,
+      teamAId: 'team-4',
+      teamBId: 'team-3',
+      teamAFromMatchId: 'semi-1',
+      teamAFromSlot: 'loser',
+      teamBFromMatchId: 'semi-2',
+      teamBFromSlot: 'loser',
+    };
+    const matches = [quarterOne, semiOne, semiTwo, final, thirdPlace];
+
+    expect(resolve(final, matches)).toBe('team-8');
+    expect(resolve(thirdPlace, matches)).toBe('team-8');
+  });
+});
+
@@ -0,0 +1,172 @@
+const {
+  RALLY_EVENT_TYPES,
+  planRallyEvents,
+  replayRallyLog,
+  sequenceRallyEvents,
+} = require('../services/rallyLog');
+
+const buildTeams = (scoreA, scoreB) => [
+  { name: 'Home', score: scoreA },
+  { name: 'Away', score: scoreB },
+];
+
+describe('rally log replay', () => {
+  test('derives the live score from point and correction events', () => {
+    const state = replayRallyLog([
+      { type: RALLY_EVENT_TYPES.POINT, setIndex: 0, teamIndex: 0 },
+      { type: RALLY_EVENT_TYPES.POINT, setIndex: 0, teamIndex: 1 },
+      { type: RALLY_EVENT_TYPES.POINT, setIndex: 0, teamIndex: 0 },
+      { type: RALLY_EVENT_TYPES.POINT_REMOVED, setIndex: 0, teamIndex: 1 },
+    ]);
+
+    expect(state).toEqual({ setIndex: 0, scores: [2, 0] });
+  });
+
+  test('starts a fresh live set after a completed set', () => {
+    const state = replayRallyLog([
+      { type: RALLY_EVENT_TYPES.SCORE_ADJUSTED, setIndex: 0, scores: [24, 20] },
+      { type: RALLY_EVENT_TYPES.POINT, setIndex: 0, teamIndex: 0 },
+      { type: RALLY_EVENT_TYPES.SET_COMPLETED, setIndex: 0, scores: [25, 20] },
+      { type: RALLY_EVENT_TYPES.POINT, setIndex: 1, teamIndex: 1 },
+    ]);
+
+    expect(state).toEqual({ setIndex: 1, scores: [0, 1] });
+  });
+});
+
+describe('planRallyEvents', () => {
+  test('logs a single point with the team that served the rally', () => {
+    const { events, liveState } = planRallyEvents({
+      events: [{ type: RALLY_EVENT_TYPES.POINT, setIndex: 0, teamIndex: 0 }],
+      scoreboard: { teams: buildTeams(1, 0), sets: [], servingTeamIndex: 0 },
+      update: { teams: buildTeams(1, 1), servingTeamIndex: 1 },
+    });
+
+    expect(events).toEqual([
+      {
+        type: RALLY_EVENT_TYPES.POINT,
+        setIndex: 0,
+        teamIndex: 1,
+        servingTeamIndex: 0,
+        scores: [1, 1],
+      },
+    ]);
+    expect(liveState).toEqual({ setIndex: 0, scores: [1, 1] });
+  });
+
+  test('logs a completed set and no live event when the next set starts at zero', () => {
+    const { events, liveState } = planRallyEvents({
+      events: [{ type: RALLY_EVENT_TYPES.SCORE_ADJUSTED, setIndex: 0, scores: [25, 23] }],
+      scoreboard: { teams: buildTeams(25, 23), sets: [], servingTeamIndex: 0 },
+      update: {
+        teams: buildTeams(0, 0),
+        sets: [{ scores: [25, 23] }],
+        servingTeamIndex: 0,
+      },
+    });
+
+    expect(events.map((event) => event.type)).toEqual([RALLY_EVENT_TYPES.SET_COMPLETED]);
+    expect(events[0]).toMatchObject({ setIndex: 0, scores: [25, 23] });
+    expect(liveState).toEqual({ setIndex: 1, scores: [0, 0] });
+  });
+
+  test('logs the deciding point before a set archived in the same update', () => {
+    const { events, liveState } = planRallyEvents({
+      events: [{ type: RALLY_EVENT_TYPES.SCORE_ADJUSTED, setIndex: 0, scores: [24, 20] }],
+      scoreboard: { teams: buildTeams(24, 20), sets: [], servingTeamIndex: 0 },
+      update: {
+        teams: buildTeams(0, 0),
+        sets: [{ scores: [25, 20] }],
+        servingTeamIndex: 0,
+      },
+    });
+
+    expect(events.map((event) => event.type)).toEqual([
+      RALLY_EVENT_TYPES.POINT,
+      RALLY_EVENT_TYPES.SET_COMPLETED,
+    ]);
+    expect(events[0]).toMatchObject({ setIndex: 0, teamIndex: 0, scores: [25, 20] });
+    expect(liveState).toEqual({ setIndex: 1, scores: [0, 0] });
+  });
+
+  test('records resets and multi-point jumps as score adjustments', () => {
+    const { events, liveState } = planRallyEvents({
+      events: [
+        { type: RALLY_EVENT_TYPES.POINT, setIndex: 0, teamIndex: 0 },
+        { type: RALLY_EVENT_TYPES.POINT, setIndex: 0, teamIndex: 0 },
+      ],
+      scoreboard: { teams: buildTeams(2, 0), sets: [], servingTeamIndex: 0 },
+      update: { teams: buildTeams(0, 0), servingTeamIndex: 0 },
+    });
+
+    expect(events).toHaveLength(1);
+    expect(events[0]).toMatchObject({
+      type: RALLY_EVENT_TYPES.SCORE_ADJUSTED,
+      teamIndex: null,
+      scores: [0, 0],
+    });
+    expect(liveState.scores).toEqual([0, 0]);
+  });
+
+  test('re-anchors the live set when a completed set is deleted', () => {
+    const { events, liveState } = planRallyEvents({
+      events: [{ type: RALLY_EVENT_TYPES.SET_COMPLETED, setIndex: 0, scores: [25, 20] }],
+      scoreboard: {
+        teams: buildTeams(0, 0),
+        sets: [{ scores: [25, 20] }],
+        servingTeamIndex: 1,
+      },
+      update: { teams: buildTeams(0, 0), sets: [], servingTeamIndex: 1 },
+    });
+
+    expect(events).toEqual([
+      {
+        type: RALLY_EVENT_TYPES.SCORE_ADJUSTED,
+        setIndex: 0,
+        teamIndex: null,
+        servingTeamIndex: 1,
+        scores: [0, 0],
+      },
+    ]);
+    expect(liveState).toEqual({ setIndex: 0, scores: [0, 0] });
+  });
+
+  test('does not log anything when the score is unchanged', () => {
+    const { events } = planRallyEvents({
+      events: [],
+      scoreboard: { teams: buildTeams(0, 0), sets: [], servingTeamIndex: 0 },
+      update: { teams: buildTeams(0, 0), servingTeamIndex: 1 },
+    });
+
+    expect(events).toEqual([]);
+  });
+});
+
+describe('rally log snapshots', () => {
+  test('plans from a stored snapshot without the earlier events', () => {
+    const { events, liveState } = planRallyEvents({
+      baseState: { sequence: 40, setIndex: 1, scores: [12, 9] },
+      scoreboard: { teams: buildTeams(12, 9), sets: [{ scores: [25, 20] }], servingTeamIndex: 1 },
+      update: { teams: buildTeams(12, 10) },
+    });
+
+    expect(events).toEqual([
+      expect.objectContaining({ type: RALLY_EVENT_TYPES.POINT, setIndex: 1, teamIndex: 1 }),
+    ]);
+    expect(liveState).toEqual({ setIndex: 1, scores: [12, 10] });
+  });
+
+  test('numbers new events after the last committed sequence', () => {
+    const events = sequenceRallyEvents(
+      [
+        { type: RALLY_EVENT_TYPES.POINT, setIndex: 0, teamIndex: 0 },
+        { type: RALLY_EVENT_TYPES.SET_COMPLETED, setIndex: 0, teamIndex: null },
+      ],
+      7,
+      { userId: null, socketId: 'socket-1' }
+    );
+
+    expect(events.map((event) => event.sequence)).toEqual([8, 9]);
+    expect(events[0].actor).toEqual({ userId: null, socketId: 'socket-1' });
+  });
+});
@@ -0,0 +1,65 @@
+const jwt = require('jsonwebtoken');
+
+const {
+  SCORER_TOKEN_MAX_TTL_MINUTES,
+  createScorerToken,
+  readScorerTokenScoreboardId,
+} = require('../services/scoreboardAccess');
+const {
+  API_TOKEN_PREFIX,
+  hashScoreboardApiToken,
+  isScoreboardApiToken,
+} = require('../services/scoreboardApiTokens');
+
+describe('scorer tokens', () => {
+  test('round-trips the scoreboard id for a valid token', () => {
+    const { token, expiresAt } = createScorerToken('665f1c2e8a1b2c3d4e5f6a7b', {
+      ttlMinutes: 30,
+    });
+
+    expect(readScorerTokenScoreboardId(token)).toBe('665f1c2e8a1b2c3d4e5f6a7b');
+    expect(expiresAt.getTime() - Date.now()).toBeLessThanOrEqual(30 * 60 * 1000);
+  });
+
+  test('clamps the lifetime to the maximum', () => {
+    const { token } = createScorerToken('665f1c2e8a1b2c3d4e5f6a7b', { ttlMinutes: 10_000 });
+    const payload = jwt.decode(token);
+
+    expect(payload.exp - payload.iat).toBe(SCORER_TOKEN_MAX_TTL_MINUTES * 60);
+    expect(payload.sub).toBeUndefined();
+  });
+
+  test('rejects account sessions, expired tokens, and foreign signatures', () => {
+    const accountToken = jwt.sign({ sub: 'user-id' }, process.env.JWT_SECRET);
+    const expiredToken = jwt.sign(
+      { scope: 'scoreboard:scorer', scoreboardId: 'board', exp: Math.floor(Date.now() / 1000) - 60 },
+      process.env.JWT_SECRET
+    );
+    const foreignToken = jwt.sign(
+      { scope: 'scoreboard:scorer', scoreboardId: 'board' },
+      'another-secret'
+    );
+
+    expect(readScorerTokenScoreboardId(accountToken)).toBeNull();
+    expect(readScorerTokenScoreboardId(expiredToken)).toBeNull();
+    expect(readScorerTokenScoreboardId(foreignToken)).toBeNull();
+    expect(readScorerTokenScoreboardId('')).toBeNull();
+  });
+});
+
+describe('scoreboard API tokens', () => {
+  test('are recognized by prefix so they are not verified as JWTs', () => {
+    const { token: scorerToken } = createScorerToken('665f1c2e8a1b2c3d4e5f6a7b');
+
+    expect(isScoreboardApiToken(`${API_TOKEN_PREFIX}abc123`)).toBe(true);
+    expect(isScoreboardApiToken(scorerToken)).toBe(false);
+    expect(isScoreboardApiToken(null)).toBe(false);
+  });
+
+  test('hash the same token identically, ignoring surrounding whitespace', () => {
+    const token = `${API_TOKEN_PREFIX}abc123`;
+
+    expect(hashScoreboardApiToken(` ${token} `)).toBe(hashScoreboardApiToken(token));
+    expect(hashScoreboardApiToken(token)).not.toContain('abc123');
+  });
+});
@@ -0,0 +1,158 @@
+const Scoreboard = require('../models/Scoreboard');
+const {
+  FEED_CACHE_MAX_ENTRIES,
+  FEED_CACHE_TTL_MS,
+  FEED_FIELDS,
+  buildScoreboardFeed,
+  loadScoreboardFeed,
+  primeScoreboardFeed,
+  resetScoreboardFeedCache,
+  serializeFeedCsv,
+  serializeFeedXml,
+} = require('../services/scoreboardFeed');
+
+const buildBoard = (overrides = {}) => ({
+  _id: '665f1c2e8a1b2c3d4e5f6a7b',
+  code: 'ABC123',
+  title: 'Court 1',
+  teams: [
+    { name: 'Lions', color: '#112233', teamTextColor: '#ffffff', score: 12, timeouts: 1 },
+    { name: 'Tigers, "B"', color: '#445566', textColor: '#000000', score: 9 },
+  ],
+  sets: [{ scores: [25, 20] }, { scores: [18, 25] }, { scores: [25, 23] }],
+  servingTeamIndex: 1,
+  completion: { matchWinnerIndex: null },
+  updatedAt: new Date('2026-05-01T18:00:00.000Z'),
+  ...overrides,
+});
+
+describe('buildScoreboardFeed', () => {
+  test('flattens teams, sets, and serve into stable fields', () => {
+    const feed = buildScoreboardFeed(buildBoard());
+
+    expect(Object.keys(feed)).toEqual(FEED_FIELDS);
+    expect(feed).toMatchObject({
+      scoreboardId: '665f1c2e8a1b2c3d4e5f6a7b',
+      code: 'ABC123',
+      homeName: 'Lions',
+      homeColor: '#112233',
+      homeTextColor: '#ffffff',
+      homeScore: 12,
+      homeSetsWon: 2,
+      homeTimeouts: 1,
+      homeServing: false,
+      awayTextColor: '#000000',
+      awaySetsWon: 1,
+      awayServing: true,
+      servingTeam: 'away',
+      currentSet: 4,
+      setsPlayed: 3,
+      matchWinner: null,
+      set1Home: 25,
+      set2Away: 25,
+      set4Home: null,
+      set5Away: null,
+      updatedAt: '2026-05-01T18:00:00.000Z',
+    });
+  });
+
+  test('reports the match winner and no server when none is set', () => {
+    const feed = buildScoreboardFeed(
+      buildBoard({ servingTeamIndex: null, completion: { matchWinnerIndex: 0 } })
+    );
+
+    expect(feed.servingTeam).toBeNull();
+    expect(feed.matchWinner).toBe('home');
+  });
+});
+
+describe('feed serializers', () => {
+  test('writes one escaped XML element per field', () => {
+    const xml = serializeFeedXml(buildScoreboardFeed(buildBoard()));
+
+    expect(xml).toMatch(/^<\?xml version="1.0" encoding="UTF-8"\?>\n<scoreboard>\n/);
+    expect(xml).toContain('<awayName>Tigers, &quot;B&quot;</awayName>');
+    expect(xml).toContain('<homeServing>false</homeServing>');
+    expect(xml).toContain('<set4Home></set4Home>');
+  });
+
+  test('writes a header row and one quoted data row', () => {
+    const [header, row] = serializeFeedCsv(buildScoreboardFeed(buildBoard())).split('\r\n');
+
+    expect(header.split(',')).toEqual(FEED_FIELDS);
+    expect(row).toContain(',Lions,#112233,');
+    expect(row).toContain(',"Tigers, ""B""",');
+  });
+});
+
+describe('feed cache', () => {
+  afterEach(() => {
+    resetScoreboardFeedCache();
+    jest.restoreAllMocks();
+  });
+
+  const mockFindOne = (board) =>
+    jest.spyOn(Scoreboard, 'findOne').mockReturnValue({
+      select: () => ({ lean: () => Promise.resolve(board) }),
+    });
+
+  test('shares one read per scoreboard until the cache expires', async () => {
+    const findOne = mockFindOne(buildBoard());
+    const nowMs = 1_000_000;
+
+    const [first, second] = await Promise.all([
+      loadScoreboardFeed('ABC123', nowMs),
+      loadScoreboardFeed('abc123', nowMs + 10),
+    ]);
+
+    expect(first).toBe(second);
+    expect(findOne).toHaveBeenCalledTimes(1);
+    expect(findOne).toHaveBeenCalledWith({ code: 'ABC123' });
+
+    await loadScoreboardFeed('ABC123', nowMs + FEED_CACHE_TTL_MS);
+    expect(findOne).toHaveBeenCalledTimes(2);
+  });
+
+  test('serves primed writes by id and code without reading', async () => {
+    const findOne = mockFindOne(null);
+    const nowMs = 1_000_000;
+
+    primeScoreboardFeed(
+      buildBoard({ teams: [{ name: 'Lions', score: 20 }, { name: 'Tigers' }] }),
+      nowMs
+    );
+
+    expect((await loadScoreboardFeed('ABC123', nowMs)).homeScore).toBe(20);
+    expect((await loadScoreboardFeed('665f1c2e8a1b2c3d4e5f6a7b', nowMs)).homeScore).toBe(20);
+    expect(findOne).not.toHaveBeenCalled();
+    expect(await loadScoreboardFeed('ZZZ999', nowMs)).toBeNull();
+  });
+
+  test('never caches misses and skips keys that cannot be a scoreboard', async () => {
+    const findOne = mockFindOne(null);
+    const nowMs = 1_000_000;
+
+    expect(await loadScoreboardFeed('../../etc', nowMs)).toBeNull();
+    expect(findOne).not.toHaveBeenCalled();
+
+    await loadScoreboardFeed('ABC123', nowMs);
+    await loadScoreboardFeed('ABC123', nowMs + 10);
+    expect(findOne).toHaveBeenCalledTimes(2);
+  });
+
+  test('evicts the oldest feeds once the cache is full', async () => {
+    const findOne = mockFindOne(buildBoard());
+    const nowMs = 1_000_000;
+    const toBoardId = (index) => index.toString(16).padStart(24, '0');
+
+    for (let index = 0; index <= FEED_CACHE_MAX_ENTRIES; index += 1) {
+      primeScoreboardFeed(buildBoard({ _id: toBoardId(index), code: null }), nowMs);
+    }
+
+    await loadScoreboardFeed(toBoardId(FEED_CACHE_MAX_ENTRIES), nowMs);
+    expect(findOne).not.toHaveBeenCalled();
+
+    await loadScoreboardFeed(toBoardId(0), nowMs);
+    expect(findOne).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,53 @@
+const {
+  GRAPHICS_KEYS,
+  buildScoreboardGraphics,
+  sanitizeGraphicsChanges,
+} = require('../services/scoreboardGraphics');
+
+describe('scoreboard graphics service', () => {
+  test('keeps boolean visibility flags for known graphics and trims the title text', () => {
+    expect(
+      sanitizeGraphicsChanges({
+        visible: { standings: true, nextMatch: 'yes', bracket: true },
+        title: `  ${'Final'.padEnd(80, '!')}`,
+        subtitle: ' Court 1 ',
+      })
+    ).toEqual({
+      'graphics.visible.standings': true,
+      'graphics.title': 'Final'.padEnd(60, '!'),
+      'graphics.subtitle': 'Court 1',
+    });
+  });
+
+  test('rejects changes that do not touch any graphic', () => {
+    expect(() => sanitizeGraphicsChanges({ visible: { bracket: true } })).toThrow(
+      expect.objectContaining({ status: 400, message: 'No graphics changes provided' })
+    );
+    expect(() => sanitizeGraphicsChanges(null)).toThrow('No graphics changes provided');
+  });
+
+  test('fills every graphic and falls back to the team names and context subtitle', () => {
+    const graphics = buildScoreboardGraphics(
+      {
+        _id: '665f1c2e8a1b2c3d4e5f6a7b',
+        title: 'Court 1',
+        teams: [{ name: 'Lions' }, { name: 'Tigers' }],
+        graphics: { visible: { matchTitle: true }, title: '', subtitle: '' },
+      },
+      { subtitle: 'Spring Open · Pool A', nextMatch: { teamA: 'Bears', teamB: 'Owls' } }
+    );
+
+    expect(Object.keys(graphics.visible)).toEqual(GRAPHICS_KEYS);
+    expect(graphics).toEqual({
+      scoreboardId: '665f1c2e8a1b2c3d4e5f6a7b',
+      visible: { setSummary: false, matchTitle: true, standings: false, nextMatch: false },
+      matchTitle: { title: 'Lions vs Tigers', subtitle: 'Spring Open · Pool A' },
+      standings: null,
+      nextMatch: { teamA: 'Bears', teamB: 'Owls' },
+    });
+    expect(buildScoreboardGraphics({ title: 'Gym' }).matchTitle).toEqual({
+      title: 'Home vs Away',
+      subtitle: 'Gym',
+    });
+  });
+});
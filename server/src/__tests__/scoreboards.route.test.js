@@ -7,6 +7,30 @@ const { MongoMemoryServer } = require('mongodb-memory-server');
 const scoreboardRoutes = require('../routes/scoreboards');
 const User = require('../models/User');
 const Scoreboard = require('../models/Scoreboard');
+const RallyEvent = require('../models/RallyEvent');
+const ScoreboardApiToken = require('../models/ScoreboardApiToken');
+const Tournament = require('../models/Tournament');
+const TournamentAccess = require('../models/TournamentAccess');
+const Match = require('../models/Match');
+const Pool = require('../models/Pool');
+const TournamentTeam = require('../models/TournamentTeam');
+const {
+  applyScoreboardUpdate,
+  completeScoreboardSet,
+  recordScoreboardSanction,
+  recordScoreboardSubstitution,
+  stepScoreboardHistory,
+} = require('../services/scoreboards');
+const { resetScoreboardFeedCache } = require('../services/scoreboardFeed');
+const {
+  loadScoreboardGraphics,
+  updateScoreboardGraphics,
+} = require('../services/scoreboardGraphics');
+const {
+  createScorerToken,
+  readScorerTokenScoreboardId,
+  requireScoreboardWriteAccess,
+} = require('../services/scoreboardAccess');
 
 describe('scoreboard routes', () => {
   let mongo;
@@ -24,6 +48,7 @@ describe('scoreboard routes', () => {
   beforeEach(async () => {
     const collections = await mongoose.connection.db.collections();
     await Promise.all(collections.map((collection) => collection.deleteMany({})));
+    resetScoreboardFeedCache();
 
     user = await User.create({
       email: 'owner@example.com',
@@ -36,6 +61,9 @@ describe('scoreboard routes', () => {
     app = express();
     app.use(express.json());
     app.use('/api/scoreboards', scoreboardRoutes);
+    app.use((err, _req, res, _next) => {
+      res.status(err.status || 500).json({ message: err.message });
+    });
   });
 
   afterAll(async () => {
@@ -160,6 +188,99 @@ describe('scoreboard routes', () => {
     expect(response.body.teams[1].color).toBe('#16a34a');
     expect(response.body.teams[1].teamTextColor).toBe('#ffffff');
     expect(new Date(response.body.expiresAt).getTime()).toBeGreaterThan(Date.now());
+    expect(readScorerTokenScoreboardId(response.body.scorerToken)).toBe(response.body._id);
+  });
+
+  test('stores team logos on created and updated scoreboards', async () => {
+    const created = await request(app)
+      .post('/api/scoreboards')
+      .set(authHeader())
+      .send({
+        teams: [
+          { name: 'Home', logoUrl: 'https://example.com/home.png' },
+          { name: 'Away', logoUrl: 'not a url' },
+        ],
+      });
+
+    expect(created.statusCode).toBe(201);
+    expect(created.body.teams.map((team) => team.logoUrl)).toEqual([
+      'https://example.com/home.png',
+      null,
+    ]);
+
+    const { scoreboard } = await applyScoreboardUpdate({
+      query: { _id: created.body._id },
+      state: {
+        teams: [
+          { name: 'Home', score: 0 },
+          { name: 'Away', score: 0, logoUrl: 'https://example.com/away.png' },
+        ],
+        servingTeamIndex: null,
+        sets: [],
+      },
+      actor: { userId: user._id, socketId: 'socket-1' },
+    });
+
+    expect(scoreboard.teams.map((team) => team.logoUrl)).toEqual([
+      null,
+      'https://example.com/away.png',
+    ]);
+  });
+
+  test('serves the live feed as JSON, XML, and CSV', async () => {
+    const board = await Scoreboard.create({
+      owner: user._id,
+      teams: [
+        { name: 'Lions', color: '#112233', score: 14 },
+        { name: 'Tigers', color: '#445566', score: 12 },
+      ],
+      sets: [{ scores: [25, 21] }],
+      servingTeamIndex: 0,
+    });
+
+    const json = await request(app).get(`/api/scoreboards/${board.code}/feed.json`);
+
+    expect(json.statusCode).toBe(200);
+    expect(json.headers['cache-control']).toBe('no-cache');
+    expect(json.body).toMatchObject({
+      scoreboardId: board._id.toString(),
+      homeName: 'Lions',
+      homeScore: 14,
+      homeSetsWon: 1,
+      awayScore: 12,
+      servingTeam: 'home',
+      set1Home: 25,
+      set1Away: 21,
+      set2Home: null,
+    });
+
+    const revalidated = await request(app)
+      .get(`/api/scoreboards/${board.code}/feed.json`)
+      .set('If-None-Match', json.headers.etag);
+    expect(revalidated.statusCode).toBe(304);
+
+    const xml = await request(app).get(`/api/scoreboards/${board._id}/feed.xml`);
+    expect(xml.statusCode).toBe(200);
+    expect(xml.headers['content-type']).toMatch(/application\/xml/);
+    expect(xml.text).toContain('<homeName>Lions</homeName>');
+
+    const csv = await request(app).get(`/api/scoreboards/${board._id}/feed.csv`);
+    expect(csv.statusCode).toBe(200);
+    expect(csv.headers['content-type']).toMatch(/text\/csv/);
+    expect(csv.text.split('\r\n')[0]).toMatch(/^scoreboardId,code,title,homeName,/);
+
+    const unknownFormat = await request(app).get(`/api/scoreboards/${board.code}/feed.html`);
+    expect(unknownFormat.statusCode).toBe(404);
+
+    const missing = await request(app).get('/api/scoreboards/ZZZ999/feed.json');
+    expect(missing.statusCode).toBe(404);
+  });
+
+  test('rejects event streams for unknown scoreboards', async () => {
+    const missing = await request(app).get('/api/scoreboards/ZZZ999/events');
+
+    expect(missing.statusCode).toBe(404);
+    expect(missing.headers['content-type']).toMatch(/json/);
   });
 
   test('allows claiming a temporary scoreboard after signing in', async () => {
@@ -195,4 +316,911 @@ describe('scoreboard routes', () => {
 
     expect(response.statusCode).toBe(403);
   });
+
+  test('derives live scores from the rally log and exposes it publicly', async () => {
+    const created = await request(app)
+      .post('/api/scoreboards')
+      .set(authHeader())
+      .send({ title: 'Rally board' });
+
+    const boardId = created.body._id;
+    const teamsWithScores = (scoreA, scoreB) =>
+      created.body.teams.map((team, index) => ({
+        ...team,
+        score: index === 0 ? scoreA : scoreB,
+      }));
+
+    await applyScoreboardUpdate({
+      query: { _id: boardId },
+      state: { teams: teamsWithScores(1, 0), servingTeamIndex: 0 },
+      actor: { userId: user._id, socketId: 'socket-1' },
+    });
+    await applyScoreboardUpdate({
+      query: { _id: boardId },
+      state: { teams: teamsWithScores(1, 1), servingTeamIndex: 1 },
+      actor: { socketId: 'socket-1' },
+    });
+    const archived = await applyScoreboardUpdate({
+      query: { _id: boardId },
+      state: {
+        teams: teamsWithScores(0, 0),
+        servingTeamIndex: 1,
+        sets: [{ scores: [1, 1] }],
+      },
+      actor: { socketId: 'socket-1' },
+    });
+    const latest = await applyScoreboardUpdate({
+      query: { _id: boardId },
+      state: {
+        teams: teamsWithScores(0, 1),
+        servingTeamIndex: 1,
+        sets: [{ scores: [1, 1] }],
+      },
+      actor: { socketId: 'socket-1' },
+    });
+
+    expect(archived.scoreboard.teams.map((team) => team.score)).toEqual([0, 0]);
+    expect(latest.scoreboard.teams.map((team) => team.score)).toEqual([0, 1]);
+    expect(await RallyEvent.countDocuments({ scoreboardId: boardId })).toBe(4);
+
+    const response = await request(app).get(`/api/scoreboards/${created.body.code}/rallies`);
+
+    expect(response.statusCode).toBe(200);
+    expect(response.body.scoreboardId).toBe(boardId);
+    expect(response.body.live).toEqual({ setNo: 2, scores: [0, 1] });
+    expect(response.body.events.map((event) => event.type)).toEqual([
+      'point',
+      'point',
+      'set_completed',
+      'point',
+    ]);
+    expect(response.body.events[0]).toMatchObject({
+      setNo: 1,
+      teamIndex: 0,
+      servingTeamIndex: 0,
+      scores: [1, 0],
+      actor: { userId: user._id.toString(), socketId: 'socket-1' },
+    });
+    expect(response.body.events[1]).toMatchObject({
+      teamIndex: 1,
+      servingTeamIndex: 0,
+      scores: [1, 1],
+    });
+
+    const secondSet = await request(app).get(`/api/scoreboards/${boardId}/rallies?set=2`);
+
+    expect(secondSet.statusCode).toBe(200);
+    expect(secondSet.body.events).toHaveLength(1);
+    expect(secondSet.body.events[0]).toMatchObject({ setNo: 2, teamIndex: 1, scores: [0, 1] });
+
+    const invalidSet = await request(app).get(`/api/scoreboards/${boardId}/rallies?set=0`);
+    expect(invalidSet.statusCode).toBe(400);
+  });
+
+  test('removes the rally log when a scoreboard is deleted', async () => {
+    const created = await request(app)
+      .post('/api/scoreboards')
+      .set(authHeader())
+      .send({});
+
+    await applyScoreboardUpdate({
+      query: { _id: created.body._id },
+      state: {
+        teams: created.body.teams.map((team, index) => ({ ...team, score: index === 0 ? 1 : 0 })),
+        servingTeamIndex: 0,
+      },
+    });
+
+    const response = await request(app)
+      .delete(`/api/scoreboards/${created.body._id}`)
+      .set(authHeader());
+
+    expect(response.statusCode).toBe(200);
+    expect(await RallyEvent.countDocuments({ scoreboardId: created.body._id })).toBe(0);
+  });
+
+  test('undoes and redoes scoreboard changes through the server-held history', async () => {
+    const created = await request(app)
+      .post('/api/scoreboards')
+      .set(authHeader())
+      .send({});
+
+    const query = { _id: created.body._id };
+    const teamsWithScores = (scoreA, scoreB) =>
+      created.body.teams.map((team, index) => ({
+        ...team,
+        score: index === 0 ? scoreA : scoreB,
+      }));
+
+    await applyScoreboardUpdate({
+      query,
+      state: { teams: teamsWithScores(1, 0), servingTeamIndex: 0 },
+    });
+    const archived = await applyScoreboardUpdate({
+      query,
+      state: { teams: teamsWithScores(0, 0), servingTeamIndex: 0, sets: [{ scores: [1, 0] }] },
+    });
+
+    expect(archived.history).toEqual({ undo: 2, redo: 0 });
+
+    const undone = await stepScoreboardHistory({ query, direction: 'undo' });
+
+    expect(undone.scoreboard.sets).toHaveLength(0);
+    expect(undone.scoreboard.teams.map((team) => team.score)).toEqual([1, 0]);
+    expect(undone.scoreboard.history).toBeUndefined();
+    expect(undone.history).toEqual({ undo: 1, redo: 1 });
+
+    const redone = await stepScoreboardHistory({ query, direction: 'redo' });
+
+    expect(redone.scoreboard.sets).toHaveLength(1);
+    expect(redone.scoreboard.teams.map((team) => team.score)).toEqual([0, 0]);
+    expect(redone.history).toEqual({ undo: 2, redo: 0 });
+
+    await stepScoreboardHistory({ query, direction: 'undo' });
+    const branched = await applyScoreboardUpdate({
+      query,
+      state: { teams: teamsWithScores(2, 0), servingTeamIndex: 0, sets: [] },
+    });
+
+    expect(branched.history).toEqual({ undo: 2, redo: 0 });
+    await expect(stepScoreboardHistory({ query, direction: 'redo' })).rejects.toMatchObject({
+      status: 400,
+      message: 'Nothing to redo',
+    });
+
+    const publicRead = await request(app).get(`/api/scoreboards/${created.body._id}`);
+    expect(publicRead.body.history).toBeUndefined();
+  });
+
+  test('issues scorer tokens only to the scoreboard owner', async () => {
+    const created = await request(app)
+      .post('/api/scoreboards')
+      .set(authHeader())
+      .send({});
+
+    const issued = await request(app)
+      .post(`/api/scoreboards/${created.body.code}/scorer-tokens`)
+      .set(authHeader())
+      .send({ ttlMinutes: 60 });
+
+    expect(issued.statusCode).toBe(201);
+    expect(issued.body.scoreboardId).toBe(created.body._id);
+    expect(readScorerTokenScoreboardId(issued.body.token)).toBe(created.body._id);
+
+    const stranger = await User.create({
+      email: 'stranger@example.com',
+      passwordHash: 'hashed',
+      emailVerified: true,
+    });
+    const strangerToken = jwt.sign({ sub: stranger._id.toString() }, process.env.JWT_SECRET);
+
+    const denied = await request(app)
+      .post(`/api/scoreboards/${created.body._id}/scorer-tokens`)
+      .set({ Authorization: `Bearer ${strangerToken}` })
+      .send({});
+
+    expect(denied.statusCode).toBe(403);
+
+    const anonymous = await request(app)
+      .post(`/api/scoreboards/${created.body._id}/scorer-tokens`)
+      .send({});
+
+    expect(anonymous.statusCode).toBe(401);
+  });
+
+  test('saves overlay presets for the owner only', async () => {
+    const created = await request(app)
+      .post('/api/scoreboards')
+      .set(authHeader())
+      .send({});
+
+    const saved = await request(app)
+      .put(`/api/scoreboards/${created.body.code}/overlay-presets`)
+      .set(authHeader())
+      .send({
+        presets: [{ name: ' Corner ', options: { layout: 'vertical', scale: 9, showSets: false } }],
+      });
+
+    expect(saved.statusCode).toBe(200);
+    expect(saved.body.overlayPresets).toEqual([
+      {
+        name: 'Corner',
+        options: {
+          layout: 'vertical',
+          scale: 4,
+          position: 'top-left',
+          nameLength: 10,
+          showSets: false,
+          transparent: true,
+        },
+      },
+    ]);
+
+    const stored = await Scoreboard.findById(created.body._id).lean();
+    expect(stored.overlayPresets).toHaveLength(1);
+    expect(stored.revision).toBe(created.body.revision + 1);
+
+    const duplicate = await request(app)
+      .put(`/api/scoreboards/${created.body._id}/overlay-presets`)
+      .set(authHeader())
+      .send({ presets: [{ name: 'A' }, { name: 'a' }] });
+
+    expect(duplicate.statusCode).toBe(400);
+
+    const stranger = await User.create({
+      email: 'stranger@example.com',
+      passwordHash: 'hashed',
+      emailVerified: true,
+    });
+    const strangerToken = jwt.sign({ sub: stranger._id.toString() }, process.env.JWT_SECRET);
+
+    const denied = await request(app)
+      .put(`/api/scoreboards/${created.body._id}/overlay-presets`)
+      .set({ Authorization: `Bearer ${strangerToken}` })
+      .send({ presets: [] });
+
+    expect(denied.statusCode).toBe(403);
+  });
+
+  test('does not accept scorer tokens as account sessions', async () => {
+    const guest = await request(app).post('/api/scoreboards/guest').send({});
+
+    const response = await request(app)
+      .get('/api/scoreboards/mine')
+      .set({ Authorization: `Bearer ${guest.body.scorerToken}` });
+
+    expect(response.statusCode).toBe(401);
+  });
+
+  test('allows scoreboard writes for owners, tournament admins, and scorer tokens only', async () => {
+    const [admin, stranger] = await User.insertMany([
+      { email: 'admin@example.com', passwordHash: 'hashed', emailVerified: true },
+      { email: 'nobody@example.com', passwordHash: 'hashed', emailVerified: true },
+    ]);
+    const tournament = await Tournament.create({
+      name: 'Access Cup',
+      date: new Date('2026-10-01T12:00:00.000Z'),
+      timezone: 'America/New_York',
+      publicCode: 'ACC001',
+      createdByUserId: user._id,
+    });
+    await TournamentAccess.create({
+      tournamentId: tournament._id,
+      userId: admin._id,
+      role: 'admin',
+    });
+    const scoreboard = await Scoreboard.create({ owner: user._id, title: 'Court 1' });
+    const otherBoard = await Scoreboard.create({ owner: user._id, title: 'Court 2' });
+    await Match.create({
+      tournamentId: tournament._id,
+      phase: 'phase1',
+      poolId: null,
+      roundBlock: 1,
+      facility: 'SRC',
+      court: 'SRC-1',
+      teamAId: new mongoose.Types.ObjectId(),
+      teamBId: new mongoose.Types.ObjectId(),
+      refTeamIds: [],
+      scoreboardId: scoreboard._id,
+    });
+    const query = { code: scoreboard.code };
+
+    await expect(
+      requireScoreboardWriteAccess({ query, userId: user._id.toString() })
+    ).resolves.toMatchObject({ role: 'owner' });
+    await expect(
+      requireScoreboardWriteAccess({ query, userId: admin._id.toString() })
+    ).resolves.toMatchObject({ role: 'tournamentAdmin' });
+    await expect(
+      requireScoreboardWriteAccess({
+        query,
+        scorerToken: createScorerToken(scoreboard._id).token,
+      })
+    ).resolves.toMatchObject({ role: 'scorer' });
+
+    await expect(
+      requireScoreboardWriteAccess({ query, userId: stranger._id.toString() })
+    ).rejects.toMatchObject({ status: 403 });
+    await expect(
+      requireScoreboardWriteAccess({
+        query,
+        scorerToken: createScorerToken(otherBoard._id).token,
+      })
+    ).rejects.toMatchObject({ status: 403 });
+    await expect(
+      requireScoreboardWriteAccess({ query: { code: 'NOPE00' } })
+    ).rejects.toMatchObject({ status: 404 });
+  });
+
+  test('holds decided sets for confirmation and archives them on request', async () => {
+    const scoreboard = await Scoreboard.create({
+      owner: user._id,
+      teams: [
+        { name: 'Home', score: 24 },
+        { name: 'Away', score: 20 },
+      ],
+    });
+    const query = { _id: scoreboard._id };
+    const state = (scoreA, scoreB) => ({
+      teams: [
+        { name: 'Home', score: scoreA },
+        { name: 'Away', score: scoreB },
+      ],
+      servingTeamIndex: 0,
+      sets: [],
+    });
+
+    await expect(completeScoreboardSet({ query })).rejects.toMatchObject({ status: 400 });
+
+    const pending = await applyScoreboardUpdate({ query, state: state(25, 20) });
+    expect(pending.scoreboard.sets).toHaveLength(0);
+    expect(pending.scoreboard.completion).toMatchObject({
+      setWinnerIndex: 0,
+      matchWinnerIndex: null,
+    });
+
+    const confirmed = await completeScoreboardSet({ query });
+    expect(confirmed.scoreboard.sets.map((set) => set.scores)).toEqual([[25, 20]]);
+    expect(confirmed.scoreboard.teams.map((team) => team.score)).toEqual([0, 0]);
+    expect(confirmed.scoreboard.completion).toMatchObject({
+      setWinnerIndex: null,
+      setWins: [1, 0],
+    });
+    expect(confirmed.history.undo).toBe(2);
+  });
+
+  test('stores set point and match point flags with each write', async () => {
+    const scoreboard = await Scoreboard.create({
+      owner: user._id,
+      teams: [
+        { name: 'Home', score: 13 },
+        { name: 'Away', score: 12 },
+      ],
+      sets: [{ scores: [25, 20] }, { scores: [22, 25] }],
+    });
+    const query = { _id: scoreboard._id };
+    const state = (scoreA, scoreB) => ({
+      teams: [
+        { name: 'Home', score: scoreA },
+        { name: 'Away', score: scoreB },
+      ],
+      servingTeamIndex: 0,
+      sets: [{ scores: [25, 20] }, { scores: [22, 25] }],
+    });
+
+    const matchPoint = await applyScoreboardUpdate({ query, state: state(14, 12) });
+    expect(matchPoint.scoreboard.completion).toMatchObject({
+      setPoint: [true, false],
+      matchPoint: [true, false],
+    });
+
+    const cleared = await applyScoreboardUpdate({ query, state: state(14, 14) });
+    expect(cleared.scoreboard.completion).toMatchObject({
+      setPoint: [false, false],
+      matchPoint: [false, false],
+    });
+  });
+
+  test('auto-archives decided sets and reports the completed match', async () => {
+    const scoreboard = await Scoreboard.create({
+      owner: user._id,
+      teams: [
+        { name: 'Home', score: 26 },
+        { name: 'Away', score: 26 },
+      ],
+      sets: [{ scores: [25, 21] }],
+      scoring: { autoComplete: 'auto' },
+    });
+    const query = { _id: scoreboard._id };
+    const state = (scoreA, scoreB) => ({
+      teams: [
+        { name: 'Home', score: scoreA },
+        { name: 'Away', score: scoreB },
+      ],
+      servingTeamIndex: 0,
+      sets: [{ scores: [25, 21] }],
+    });
+
+    // Anchor the rally log at 26-26 before the capped point
+    await applyScoreboardUpdate({ query, state: state(26, 26) });
+    const result = await applyScoreboardUpdate({ query, state: state(27, 26) });
+
+    expect(result.scoreboard.sets.map((set) => set.scores)).toEqual([
+      [25, 21],
+      [27, 26],
+    ]);
+    expect(result.scoreboard.teams.map((team) => team.score)).toEqual([0, 0]);
+    expect(result.scoreboard.completion.matchWinnerIndex).toBe(0);
+    expect(result.matchCompleted).toBe(true);
+
+    const events = await RallyEvent.find({ scoreboardId: scoreboard._id }).sort({ _id: 1 }).lean();
+    expect(events.map((event) => event.type).slice(-2)).toEqual(['point', 'set_completed']);
+
+    const undone = await stepScoreboardHistory({ query, direction: 'undo' });
+    expect(undone.scoreboard.completion).toMatchObject({
+      setWinnerIndex: null,
+      matchWinnerIndex: null,
+    });
+    expect(undone.matchCompleted).toBe(false);
+  });
+
+  test('merges stale single-point updates and rejects other stale edits', async () => {
+    const scoreboard = await Scoreboard.create({
+      owner: user._id,
+      teams: [
+        { name: 'Home', score: 0 },
+        { name: 'Away', score: 0 },
+      ],
+    });
+    const query = { _id: scoreboard._id };
+    const state = (scoreA, scoreB, servingTeamIndex = 0) => ({
+      teams: [
+        { name: 'Home', score: scoreA },
+        { name: 'Away', score: scoreB },
+      ],
+      servingTeamIndex,
+      sets: [],
+    });
+
+    const first = await applyScoreboardUpdate({
+      query,
+      state: state(1, 0),
+      baseRevision: 0,
+      action: { type: 'point', teamIndex: 0, delta: 1 },
+    });
+    expect(first.scoreboard.revision).toBe(1);
+
+    // A second device still on revision 0 scores for Away; both points must survive
+    const merged = await applyScoreboardUpdate({
+      query,
+      state: state(0, 1, 1),
+      baseRevision: 0,
+      action: { type: 'point', teamIndex: 1, delta: 1 },
+    });
+    expect(merged.scoreboard.teams.map((team) => team.score)).toEqual([1, 1]);
+    expect(merged.scoreboard.servingTeamIndex).toBe(1);
+    expect(merged.scoreboard.revision).toBe(2);
+
+    await expect(
+      applyScoreboardUpdate({ query, state: state(0, 0), baseRevision: 1 })
+    ).rejects.toMatchObject({
+      status: 409,
+      code: 'SCOREBOARD_CONFLICT',
+      scoreboard: expect.objectContaining({ revision: 2 }),
+    });
+
+    const stored = await Scoreboard.findById(scoreboard._id).lean();
+    expect(stored.teams.map((team) => team.score)).toEqual([1, 1]);
+  });
+
+  test('applies a replayed offline update only once', async () => {
+    const scoreboard = await Scoreboard.create({
+      owner: user._id,
+      teams: [
+        { name: 'Home', score: 0 },
+        { name: 'Away', score: 0 },
+      ],
+    });
+    const query = { _id: scoreboard._id };
+    const queued = {
+      query,
+      state: {
+        teams: [
+          { name: 'Home', score: 1 },
+          { name: 'Away', score: 0 },
+        ],
+        servingTeamIndex: 0,
+        sets: [],
+      },
+      baseRevision: 0,
+      action: { type: 'point', teamIndex: 0, delta: 1 },
+      actionId: 'device-1:action-1',
+    };
+
+    const applied = await applyScoreboardUpdate(queued);
+    expect(applied.duplicate).toBeUndefined();
+    expect(applied.scoreboard.revision).toBe(1);
+    expect(applied.scoreboard.appliedActionIds).toBeUndefined();
+
+    // The acknowledgement was lost, so the client replays the same stale point
+    const replayed = await applyScoreboardUpdate(queued);
+    expect(replayed.duplicate).toBe(true);
+    expect(replayed.scoreboard.revision).toBe(1);
+    expect(replayed.scoreboard.teams.map((team) => team.score)).toEqual([1, 0]);
+
+    const stored = await Scoreboard.findById(scoreboard._id).select('+appliedActionIds').lean();
+    expect(stored.appliedActionIds).toEqual(['device-1:action-1']);
+  });
+
+  test('resets timeouts for a new set and ends a running timeout on the next rally', async () => {
+    const scoreboard = await Scoreboard.create({
+      owner: user._id,
+      teams: [
+        { name: 'Home', score: 0 },
+        { name: 'Away', score: 0 },
+      ],
+    });
+    const query = { _id: scoreboard._id };
+    const state = (scores, timeouts, extra = {}) => ({
+      teams: [
+        { name: 'Home', score: scores[0], timeouts: timeouts[0] },
+        { name: 'Away', score: scores[1], timeouts: timeouts[1] },
+      ],
+      servingTeamIndex: 0,
+      sets: [],
+      ...extra,
+    });
+
+    await applyScoreboardUpdate({ query, state: state([10, 8], [0, 0]) });
+    const called = await applyScoreboardUpdate({
+      query,
+      state: state([10, 8], [0, 1], { activeTimeout: { teamIndex: 1 } }),
+    });
+    expect(called.scoreboard.teams.map((team) => team.timeouts)).toEqual([0, 1]);
+    expect(called.scoreboard.activeTimeout).toMatchObject({ teamIndex: 1, durationSeconds: 30 });
+
+    const rally = await applyScoreboardUpdate({ query, state: state([11, 8], [0, 1]) });
+    expect(rally.scoreboard.activeTimeout).toBeNull();
+    expect(rally.scoreboard.teams.map((team) => team.timeouts)).toEqual([0, 1]);
+
+    const nextSet = await applyScoreboardUpdate({
+      query,
+      state: state([0, 0], [0, 1], {
+        sets: [{ scores: [25, 20], createdAt: new Date().toISOString() }],
+      }),
+    });
+    expect(nextSet.scoreboard.teams.map((team) => team.timeouts)).toEqual([0, 0]);
+
+    const undone = await stepScoreboardHistory({ query, direction: 'undo' });
+    expect(undone.scoreboard.teams.map((team) => team.timeouts)).toEqual([0, 1]);
+  });
+
+  test('rotates lineups on side-outs, resets them for a new set, and undoes rotations', async () => {
+    const lineup = {
+      enabled: true,
+      teams: [
+        { starters: ['1', '2', '3', '4', '5', '6'], rotation: 0 },
+        { starters: ['11', '12', '13', '14', '15', '16'], rotation: 0 },
+      ],
+    };
+    const scoreboard = await Scoreboard.create({
+      owner: user._id,
+      teams: [
+        { name: 'Home', score: 0 },
+        { name: 'Away', score: 0 },
+      ],
+      servingTeamIndex: 0,
+      lineup,
+    });
+    const query = { _id: scoreboard._id };
+    const state = (scores, servingTeamIndex, extra = {}) => ({
+      teams: [
+        { name: 'Home', score: scores[0] },
+        { name: 'Away', score: scores[1] },
+      ],
+      servingTeamIndex,
+      sets: [],
+      ...extra,
+    });
+    const rotations = (result) => result.scoreboard.lineup.teams.map((team) => team.rotation);
+
+    const sideOut = await applyScoreboardUpdate({ query, state: state([0, 1], 1) });
+    expect(rotations(sideOut)).toEqual([0, 1]);
+
+    const held = await applyScoreboardUpdate({ query, state: state([0, 2], 1) });
+    expect(rotations(held)).toEqual([0, 1]);
+
+    const sideOutBack = await applyScoreboardUpdate({ query, state: state([1, 2], 0) });
+    expect(rotations(sideOutBack)).toEqual([1, 1]);
+
+    const undone = await stepScoreboardHistory({ query, direction: 'undo' });
+    expect(rotations(undone)).toEqual([0, 1]);
+
+    const nextSet = await applyScoreboardUpdate({
+      query,
+      state: state([0, 0], 0, {
+        sets: [{ scores: [25, 20], createdAt: new Date().toISOString() }],
+      }),
+    });
+    expect(rotations(nextSet)).toEqual([0, 0]);
+    expect(nextSet.scoreboard.lineup.teams[1].starters).toEqual(lineup.teams[1].starters);
+  });
+
+  test('records substitutions up to the limit and applies red card penalties', async () => {
+    const scoreboard = await Scoreboard.create({
+      owner: user._id,
+      teams: [
+        { name: 'Home', score: 10 },
+        { name: 'Away', score: 8 },
+      ],
+      servingTeamIndex: 0,
+      scoring: { substitutionLimit: 1 },
+    });
+    const query = { _id: scoreboard._id };
+
+    const substituted = await recordScoreboardSubstitution({
+      query,
+      teamIndex: 1,
+      playerIn: '12',
+      playerOut: '4',
+    });
+    expect(substituted.scoreboard.substitutions).toEqual([
+      expect.objectContaining({ setIndex: 0, teamIndex: 1, playerIn: '12', scores: [10, 8] }),
+    ]);
+    expect(substituted.history.undo).toBe(1);
+
+    await expect(
+      recordScoreboardSubstitution({ query, teamIndex: 1, playerIn: '14', playerOut: '6' })
+    ).rejects.toMatchObject({ status: 400, message: 'Substitution limit reached (1 per set)' });
+
+    const warned = await recordScoreboardSanction({ query, teamIndex: 0, type: 'yellow' });
+    expect(warned.scoreboard.teams.map((team) => team.score)).toEqual([10, 8]);
+
+    const penalized = await recordScoreboardSanction({
+      query,
+      teamIndex: 0,
+      type: 'red',
+      player: '7',
+    });
+    expect(penalized.scoreboard.teams.map((team) => team.score)).toEqual([10, 9]);
+    expect(penalized.scoreboard.servingTeamIndex).toBe(1);
+    expect(penalized.scoreboard.sanctions.map((entry) => entry.type)).toEqual(['yellow', 'red']);
+
+    const undone = await stepScoreboardHistory({ query, direction: 'undo' });
+    expect(undone.scoreboard.teams.map((team) => team.score)).toEqual([10, 8]);
+    expect(undone.scoreboard.sanctions).toHaveLength(1);
+  });
+
+  test('API tokens are created, listed and revoked by the owner only', async () => {
+    const scoreboard = await Scoreboard.create({ owner: user._id, teams: [{}, {}] });
+    const stranger = await User.create({
+      email: 'stranger@example.com',
+      passwordHash: 'hashed',
+      emailVerified: true,
+    });
+    const strangerToken = jwt.sign({ sub: stranger._id.toString() }, process.env.JWT_SECRET);
+
+    const created = await request(app)
+      .post(`/api/scoreboards/${scoreboard._id}/api-tokens`)
+      .set(authHeader())
+      .send({ name: 'Stream Deck' });
+
+    expect(created.statusCode).toBe(201);
+    expect(created.body.token).toMatch(/^sbk_/);
+    expect(created.body.apiToken).toMatchObject({ name: 'Stream Deck' });
+    expect(created.body.apiToken).not.toHaveProperty('tokenHash');
+
+    const listed = await request(app)
+      .get(`/api/scoreboards/${scoreboard.code}/api-tokens`)
+      .set(authHeader());
+    expect(listed.statusCode).toBe(200);
+    expect(listed.body.apiTokens).toEqual([
+      expect.objectContaining({ id: created.body.apiToken.id, name: 'Stream Deck' }),
+    ]);
+    expect(JSON.stringify(listed.body)).not.toContain(created.body.token);
+
+    const forbidden = await request(app)
+      .get(`/api/scoreboards/${scoreboard._id}/api-tokens`)
+      .set({ Authorization: `Bearer ${strangerToken}` });
+    expect(forbidden.statusCode).toBe(403);
+
+    const unnamed = await request(app)
+      .post(`/api/scoreboards/${scoreboard._id}/api-tokens`)
+      .set(authHeader())
+      .send({ name: '  ' });
+    expect(unnamed.statusCode).toBe(400);
+
+    const revoked = await request(app)
+      .delete(`/api/scoreboards/${scoreboard._id}/api-tokens/${created.body.apiToken.id}`)
+      .set(authHeader());
+    expect(revoked.statusCode).toBe(200);
+    expect(await ScoreboardApiToken.countDocuments()).toBe(0);
+
+    const missing = await request(app)
+      .delete(`/api/scoreboards/${scoreboard._id}/api-tokens/${created.body.apiToken.id}`)
+      .set(authHeader());
+    expect(missing.statusCode).toBe(404);
+  });
+
+  test('commands score a board with an API token and broadcast the new state', async () => {
+    const scoreboard = await Scoreboard.create({
+      owner: user._id,
+      teams: [{ name: 'Home' }, { name: 'Away' }],
+      servingTeamIndex: 0,
+    });
+    const created = await request(app)
+      .post(`/api/scoreboards/${scoreboard._id}/api-tokens`)
+      .set(authHeader())
+      .send({ name: 'Clicker' });
+    const apiHeader = { Authorization: `Bearer ${created.body.token}` };
+    const emit = jest.fn();
+    const io = { to: jest.fn(() => ({ emit })) };
+    app.set('io', io);
+
+    const point = await request(app)
+      .post(`/api/scoreboards/${scoreboard.code}/commands/point-away`)
+      .set(apiHeader);
+    expect(point.statusCode).toBe(200);
+    expect(point.body.scoreboard.teams.map((team) => team.score)).toEqual([0, 1]);
+    expect(point.body.scoreboard.servingTeamIndex).toBe(1);
+    expect(io.to).toHaveBeenCalledWith(scoreboard._id.toString());
+    expect(emit).toHaveBeenCalledWith(
+      'scoreboard:state',
+      expect.objectContaining({ servingTeamIndex: 1 })
+    );
+
+    const served = await request(app)
+      .post(`/api/scoreboards/${scoreboard._id}/commands/toggle-serve`)
+      .set(apiHeader);
+    expect(served.body.scoreboard.servingTeamIndex).toBe(0);
+
+    // The undo button takes back points only; a serve change stays in place
+    const notPoint = await request(app)
+      .post(`/api/scoreboards/${scoreboard._id}/commands/undo`)
+      .set(apiHeader);
+    expect(notPoint.statusCode).toBe(409);
+    expect(notPoint.body.message).toBe('Last change was not a point');
+    expect((await Scoreboard.findById(scoreboard._id).lean()).servingTeamIndex).toBe(0);
+
+    await request(app)
+      .post(`/api/scoreboards/${scoreboard._id}/commands/point-home`)
+      .set(apiHeader);
+    const undone = await request(app)
+      .post(`/api/scoreboards/${scoreboard._id}/commands/undo`)
+      .set(apiHeader);
+    expect(undone.statusCode).toBe(200);
+    expect(undone.body.scoreboard.teams.map((team) => team.score)).toEqual([0, 1]);
+    expect(undone.body.scoreboard.servingTeamIndex).toBe(0);
+
+    const endSet = await request(app)
+      .post(`/api/scoreboards/${scoreboard._id}/commands/end-set`)
+      .set(apiHeader);
+    expect(endSet.statusCode).toBe(400);
+    expect(endSet.body.message).toBe('Current set is not complete');
+
+    const reset = await request(app)
+      .post(`/api/scoreboards/${scoreboard._id}/commands/reset`)
+      .set(apiHeader);
+    expect(reset.body.scoreboard.teams.map((team) => team.score)).toEqual([0, 0]);
+
+    const tokens = await request(app)
+      .get(`/api/scoreboards/${scoreboard._id}/api-tokens`)
+      .set(authHeader());
+    expect(tokens.body.apiTokens[0].lastUsedAt).toBeTruthy();
+  });
+
+  test('commands reject missing, foreign and unknown requests', async () => {
+    const scoreboard = await Scoreboard.create({ owner: user._id, teams: [{}, {}] });
+    const other = await Scoreboard.create({ owner: user._id, teams: [{}, {}] });
+    const created = await request(app)
+      .post(`/api/scoreboards/${other._id}/api-tokens`)
+      .set(authHeader())
+      .send({ name: 'Other board' });
+
+    const anonymous = await request(app).post(
+      `/api/scoreboards/${scoreboard._id}/commands/point-home`
+    );
+    expect(anonymous.statusCode).toBe(401);
+
+    const foreign = await request(app)
+      .post(`/api/scoreboards/${scoreboard._id}/commands/point-home`)
+      .set({ Authorization: `Bearer ${created.body.token}` });
+    expect(foreign.statusCode).toBe(403);
+
+    const unknown = await request(app)
+      .post(`/api/scoreboards/${scoreboard._id}/commands/point-both`)
+      .set(authHeader());
+    expect(unknown.statusCode).toBe(404);
+
+    const owner = await request(app)
+      .post(`/api/scoreboards/${scoreboard._id}/commands/point-home`)
+      .set(authHeader());
+    expect(owner.statusCode).toBe(200);
+    expect(owner.body.scoreboard.teams[0].score).toBe(1);
+
+    // Concurrent commands retry on the latest board, so neither point is lost
+    await Promise.all(
+      [1, 2].map(() =>
+        request(app)
+          .post(`/api/scoreboards/${scoreboard._id}/commands/point-away`)
+          .set(authHeader())
+      )
+    );
+    const afterConcurrent = await Scoreboard.findById(scoreboard._id).lean();
+    expect(afterConcurrent.teams.map((team) => team.score)).toEqual([1, 2]);
+
+    // Two undo taps at once take back both points instead of failing one of them
+    const undos = await Promise.all(
+      [1, 2].map(() =>
+        request(app).post(`/api/scoreboards/${scoreboard._id}/commands/undo`).set(authHeader())
+      )
+    );
+    expect(undos.map((response) => response.statusCode)).toEqual([200, 200]);
+    const afterUndos = await Scoreboard.findById(scoreboard._id).lean();
+    expect(afterUndos.teams.map((team) => team.score)).toEqual([1, 0]);
+
+    await request(app).delete(`/api/scoreboards/${other._id}`).set(authHeader());
+    expect(await ScoreboardApiToken.countDocuments()).toBe(0);
+  });
+
+  test('graphics toggle without touching the board and resolve tournament cards', async () => {
+    const tournament = await Tournament.create({
+      name: 'Graphics Cup',
+      date: new Date('2026-10-01T12:00:00.000Z'),
+      timezone: 'America/New_York',
+      publicCode: 'GFX001',
+      createdByUserId: user._id,
+    });
+    const [lions, tigers, bears] = await TournamentTeam.create(
+      ['Lions', 'Tigers', 'Bears'].map((name) => ({ tournamentId: tournament._id, name }))
+    );
+    const pool = await Pool.create({
+      tournamentId: tournament._id,
+      phase: 'phase1',
+      name: 'A',
+      teamIds: [lions._id, tigers._id, bears._id],
+    });
+    const scoreboard = await Scoreboard.create({
+      owner: user._id,
+      teams: [{ name: 'Lions' }, { name: 'Tigers' }],
+    });
+    const matchDefaults = {
+      tournamentId: tournament._id,
+      phase: 'phase1',
+      poolId: pool._id,
+      court: 'SRC-1',
+    };
+    await Match.create([
+      {
+        ...matchDefaults,
+        roundBlock: 1,
+        teamAId: lions._id,
+        teamBId: tigers._id,
+        scoreboardId: scoreboard._id,
+      },
+      { ...matchDefaults, roundBlock: 2, teamAId: tigers._id, teamBId: bears._id },
+      { ...matchDefaults, roundBlock: 3, teamAId: bears._id, teamBId: lions._id, court: 'SRC-2' },
+    ]);
+    const query = { _id: scoreboard._id };
+
+    const initial = await loadScoreboardGraphics(query);
+    expect(initial.visible).toEqual({
+      setSummary: false,
+      matchTitle: false,
+      standings: false,
+      nextMatch: false,
+    });
+    expect(initial.matchTitle).toEqual({
+      title: 'Lions vs Tigers',
+      subtitle: 'Graphics Cup · Pool A · SRC-1',
+    });
+    expect(initial.standings.poolName).toBe('A');
+    expect(initial.standings.teams.map((team) => team.name).sort()).toEqual([
+      'Bears',
+      'Lions',
+      'Tigers',
+    ]);
+    expect(initial.nextMatch).toMatchObject({ teamA: 'Tigers', teamB: 'Bears', court: 'SRC-1' });
+
+    const updated = await updateScoreboardGraphics({
+      query,
+      changes: { visible: { standings: true }, title: 'Semifinal' },
+    });
+    expect(updated.visible.standings).toBe(true);
+    expect(updated.matchTitle.title).toBe('Semifinal');
+
+    const stored = await Scoreboard.findById(scoreboard._id).lean();
+    expect(stored.revision).toBe(scoreboard.revision);
+    expect(stored.graphics).toBeUndefined();
+
+    const response = await request(app).get(`/api/scoreboards/${scoreboard._id}`);
+    expect(response.body.graphics).toBeUndefined();
+
+    await expect(
+      updateScoreboardGraphics({
+        query: { _id: new mongoose.Types.ObjectId() },
+        changes: { title: 'Final' },
+      })
+    ).resolves.toBeNull();
+  });
 });
@@ -0,0 +1,84 @@
+const { sanitizeLogoUrl, sanitizeScoreboardState } = require('../services/scoreboards');
+
+const buildState = (overrides = {}) => ({
+  teams: [
+    { name: 'Home', score: 3, timeouts: 1 },
+    { name: 'Away', score: 2 },
+  ],
+  servingTeamIndex: 0,
+  sets: [],
+  ...overrides,
+});
+
+describe('sanitizeScoreboardState timeouts', () => {
+  test('clamps team timeouts to the two allowed per set', () => {
+    const update = sanitizeScoreboardState(
+      buildState({
+        teams: [
+          { name: 'Home', score: 3, timeouts: 5 },
+          { name: 'Away', score: 2, timeouts: -1 },
+        ],
+      })
+    );
+
+    expect(update.teams.map((team) => team.timeouts)).toEqual([2, 0]);
+  });
+
+  test('accepts a running timeout with a fixed 30-second countdown', () => {
+    const update = sanitizeScoreboardState(
+      buildState({
+        activeTimeout: {
+          teamIndex: 1,
+          startedAt: '2026-05-01T18:00:00.000Z',
+          durationSeconds: 600,
+        },
+        scoring: { timeoutCountdown: false },
+      })
+    );
+
+    expect(update.activeTimeout).toEqual({
+      teamIndex: 1,
+      startedAt: new Date('2026-05-01T18:00:00.000Z'),
+      durationSeconds: 30,
+    });
+    expect(update['scoring.timeoutCountdown']).toBe(false);
+  });
+
+  test('clears a timeout on null and ignores invalid or missing ones', () => {
+    expect(sanitizeScoreboardState(buildState({ activeTimeout: null })).activeTimeout).toBeNull();
+    expect(
+      sanitizeScoreboardState(buildState({ activeTimeout: { teamIndex: 3 } }))
+    ).not.toHaveProperty('activeTimeout');
+    expect(sanitizeScoreboardState(buildState())).not.toHaveProperty('activeTimeout');
+  });
+});
+
+describe('team logos', () => {
+  test('keeps absolute http(s) logo URLs only', () => {
+    expect(sanitizeLogoUrl('  https://cdn.example.com/crest.png ')).toBe(
+      'https://cdn.example.com/crest.png'
+    );
+    expect(sanitizeLogoUrl('http://example.com/logo.svg')).toBe('http://example.com/logo.svg');
+    expect(sanitizeLogoUrl('javascript:alert(1)')).toBeNull();
+    expect(sanitizeLogoUrl('/logos/home.png')).toBeNull();
+    expect(sanitizeLogoUrl(`https://example.com/${'a'.repeat(2048)}`)).toBeNull();
+    expect(sanitizeLogoUrl('')).toBeNull();
+    expect(sanitizeLogoUrl(42)).toBeNull();
+  });
+
+  test('carries team logos through scoreboard updates', () => {
+    const update = sanitizeScoreboardState(
+      buildState({
+        teams: [
+          { name: 'Home', score: 3, logoUrl: 'https://example.com/home.png' },
+          { name: 'Away', score: 2, logoUrl: 'data:image/png;base64,AAAA' },
+        ],
+      })
+    );
+
+    expect(update.teams.map((team) => team.logoUrl)).toEqual([
+      'https://example.com/home.png',
+      null,
+    ]);
+  });
+});
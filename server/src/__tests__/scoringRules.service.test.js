@@ -0,0 +1,124 @@
+const {
+  evaluateScoreboardCompletion,
+  evaluateSetPoints,
+  getSetRule,
+  getSetWinnerIndex,
+  getSetsToWin,
+  normalizeAutoCompleteMode,
+} = require('../services/scoringRules');
+
+const DEFAULT_SCORING = { setTargets: [25, 25, 15], winBy: 2, caps: [27, 27, 17] };
+
+const buildTeams = (scoreA, scoreB) => [
+  { name: 'Home', score: scoreA },
+  { name: 'Away', score: scoreB },
+];
+
+describe('set winner rules', () => {
+  const firstSetRule = getSetRule(DEFAULT_SCORING, 0);
+  const decidingSetRule = getSetRule(DEFAULT_SCORING, 2);
+
+  test('requires the target and the win-by margin', () => {
+    expect(getSetWinnerIndex([25, 23], firstSetRule)).toBe(0);
+    expect(getSetWinnerIndex([25, 24], firstSetRule)).toBeNull();
+    expect(getSetWinnerIndex([24, 26], firstSetRule)).toBe(1);
+    expect(getSetWinnerIndex([20, 10], firstSetRule)).toBeNull();
+  });
+
+  test('awards the set to the first team to reach the cap even when up by one', () => {
+    expect(getSetWinnerIndex([27, 26], firstSetRule)).toBe(0);
+    expect(getSetWinnerIndex([26, 27], firstSetRule)).toBe(1);
+    expect(getSetWinnerIndex([26, 26], firstSetRule)).toBeNull();
+  });
+
+  test('uses the deciding set target and cap for set three', () => {
+    expect(decidingSetRule).toEqual({ target: 15, winBy: 2, cap: 17 });
+    expect(getSetWinnerIndex([15, 13], decidingSetRule)).toBe(0);
+    expect(getSetWinnerIndex([17, 16], decidingSetRule)).toBe(0);
+    expect(getSetWinnerIndex([15, 14], decidingSetRule)).toBeNull();
+  });
+
+  test('plays best of three from the configured set targets', () => {
+    expect(getSetsToWin(DEFAULT_SCORING)).toBe(2);
+  });
+
+  test('falls back to confirmation for unknown completion modes', () => {
+    expect(normalizeAutoCompleteMode('auto')).toBe('auto');
+    expect(normalizeAutoCompleteMode('bogus')).toBe('confirm');
+    expect(normalizeAutoCompleteMode(undefined)).toBe('confirm');
+  });
+});
+
+describe('evaluateScoreboardCompletion', () => {
+  test('flags a decided live set', () => {
+    expect(
+      evaluateScoreboardCompletion({
+        teams: buildTeams(25, 20),
+        sets: [],
+        scoring: DEFAULT_SCORING,
+      })
+    ).toEqual({ setIndex: 0, setWinnerIndex: 0, matchWinnerIndex: null, setWins: [0, 0] });
+  });
+
+  test('reports the match winner once enough sets are archived', () => {
+    expect(
+      evaluateScoreboardCompletion({
+        teams: buildTeams(0, 0),
+        sets: [{ scores: [20, 25] }, { scores: [25, 18] }, { scores: [13, 15] }],
+        scoring: DEFAULT_SCORING,
+      })
+    ).toEqual({ setIndex: 3, setWinnerIndex: null, matchWinnerIndex: 1, setWins: [1, 2] });
+  });
+
+  test('does not flag live sets after the match is decided', () => {
+    const completion = evaluateScoreboardCompletion({
+      teams: buildTeams(25, 0),
+      sets: [{ scores: [25, 20] }, { scores: [25, 18] }],
+      scoring: DEFAULT_SCORING,
+    });
+
+    expect(completion.matchWinnerIndex).toBe(0);
+    expect(completion.setWinnerIndex).toBeNull();
+  });
+});
+
+describe('evaluateSetPoints', () => {
+  test('flags the team one rally from winning the set', () => {
+    expect(
+      evaluateSetPoints({ teams: buildTeams(24, 22), sets: [], scoring: DEFAULT_SCORING })
+    ).toEqual({ setPoint: [true, false], matchPoint: [false, false] });
+    expect(
+      evaluateSetPoints({ teams: buildTeams(24, 24), sets: [], scoring: DEFAULT_SCORING })
+    ).toEqual({ setPoint: [false, false], matchPoint: [false, false] });
+  });
+
+  test('flags both teams when either could reach the cap', () => {
+    expect(
+      evaluateSetPoints({ teams: buildTeams(26, 26), sets: [], scoring: DEFAULT_SCORING })
+        .setPoint
+    ).toEqual([true, true]);
+  });
+
+  test('turns set point into match point for a team one set from the match', () => {
+    expect(
+      evaluateSetPoints({
+        teams: buildTeams(13, 14),
+        sets: [{ scores: [25, 20] }, { scores: [18, 25] }],
+        scoring: DEFAULT_SCORING,
+      })
+    ).toEqual({ setPoint: [false, true], matchPoint: [false, true] });
+  });
+
+  test('clears flags once the live set or match is decided', () => {
+    expect(
+      evaluateSetPoints({ teams: buildTeams(25, 20), sets: [], scoring: DEFAULT_SCORING })
+    ).toEqual({ setPoint: [false, false], matchPoint: [false, false] });
+    expect(
+      evaluateSetPoints({
+        teams: buildTeams(24, 0),
+        sets: [{ scores: [25, 20] }, { scores: [25, 18] }],
+        scoring: DEFAULT_SCORING,
+      }).matchPoint
+    ).toEqual([false, false]);
+  });
+});
@@ -297,6 +297,61 @@ describe('manual finalize + standings routes', () => {
     );
   });
 
+  test('public ticker overlay lists recent results before pool standings', async () => {
+    const tournament = await createOwnedTournament();
+    const [teamA, teamB, teamC] = await createTeams(tournament._id, ['Alpha', 'Bravo', 'Charlie']);
+
+    await Pool.create({
+      tournamentId: tournament._id,
+      phase: 'phase1',
+      name: 'A',
+      homeCourt: 'SRC-1',
+      teamIds: [teamA._id, teamB._id, teamC._id],
+    });
+
+    const board = await createScoreboardWithSets('Alpha', 'Bravo', [
+      [25, 18],
+      [25, 22],
+    ]);
+    const match = await createMatch({
+      tournamentId: tournament._id,
+      teamAId: teamA._id,
+      teamBId: teamB._id,
+      scoreboardId: board._id,
+    });
+
+    await finalizeMatch(match._id);
+
+    const response = await request(app).get(
+      `/api/tournaments/code/${tournament.publicCode}/overlay/ticker`
+    );
+
+    expect(response.statusCode).toBe(200);
+    expect(response.body.phase).toBe('phase1');
+    expect(response.body.items[0]).toEqual({
+      kind: 'result',
+      title: expect.any(String),
+      teamA: 'ALP',
+      teamB: 'BRA',
+      setsA: 2,
+      setsB: 0,
+    });
+    expect(response.body.items[1]).toMatchObject({
+      kind: 'standings',
+      title: 'Pool A',
+      teams: [
+        expect.objectContaining({ rank: 1, name: 'ALP', matchesWon: 1 }),
+        expect.anything(),
+        expect.anything(),
+      ],
+    });
+
+    const invalid = await request(app).get(
+      `/api/tournaments/code/${tournament.publicCode}/overlay/ticker?phase=playoffs`
+    );
+    expect(invalid.statusCode).toBe(400);
+  });
+
   test('unfinalize removes match from standings', async () => {
     const tournament = await createOwnedTournament();
     const [teamA, teamB] = await createTeams(tournament._id, ['Alpha', 'Bravo']);
@@ -0,0 +1,44 @@
+const { buildStandingsEntries } = require('../services/tournamentEngine/standings');
+
+const buildResult = (winnerTeamId, setsWonA, setsWonB) => ({
+  winnerTeamId,
+  setsWonA,
+  setsWonB,
+  setsPlayed: setsWonA + setsWonB,
+  pointsForA: setsWonA * 25,
+  pointsAgainstA: setsWonB * 25,
+  pointsForB: setsWonB * 25,
+  pointsAgainstB: setsWonA * 25,
+});
+
+const teamIds = ['a', 'b', 'c', 'd', 'e'];
+const teamLookup = new Map(teamIds.map((teamId) => [teamId, { name: teamId.toUpperCase() }]));
+// b, c and d all finish 1-1 with the same sets and points but faced opponents of different strength
+const matches = [
+  { teamAId: 'a', teamBId: 'b', result: buildResult('a', 2, 0) },
+  { teamAId: 'b', teamBId: 'e', result: buildResult('b', 2, 0) },
+  { teamAId: 'c', teamBId: 'e', result: buildResult('c', 2, 0) },
+  { teamAId: 'd', teamBId: 'c', result: buildResult('d', 2, 0) },
+  { teamAId: 'a', teamBId: 'd', result: buildResult('a', 2, 0) },
+];
+
+describe('buildStandingsEntries', () => {
+  test('leaves opponent win percentage out unless the option is on', () => {
+    const entries = buildStandingsEntries({ teamIds, teamLookup, matches });
+
+    expect(entries.map((entry) => entry.teamId)).toEqual(['a', 'b', 'c', 'd', 'e']);
+    expect(entries[0]).not.toHaveProperty('opponentWinPct');
+  });
+
+  test('ranks equal records by opponent win percentage when the option is on', () => {
+    const entries = buildStandingsEntries({ teamIds, teamLookup, matches, opponentWinPct: true });
+
+    expect(entries.map((entry) => [entry.teamId, entry.opponentWinPct])).toEqual([
+      ['a', 0.5],
+      ['d', 0.75],
+      ['b', 0.5],
+      ['c', 0.25],
+      ['e', 0.5],
+    ]);
+  });
+});
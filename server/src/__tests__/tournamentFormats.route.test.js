@@ -11,6 +11,7 @@ const Pool = require('../models/Pool');
 const Tournament = require('../models/Tournament');
 const TournamentTeam = require('../models/TournamentTeam');
 const User = require('../models/User');
+const { setCustomFormats } = require('../tournamentFormats/formatRegistry');
 
 const FORMAT_12_ID = 'classic_12_3x4_gold8_silver4_v1';
 const FORMAT_14_ID = 'classic_14_mixedpools_crossover_gold8_silver6_v1';
@@ -51,6 +52,7 @@ describe('tournament format routes + apply-format flow', () => {
   beforeEach(async () => {
     const collections = await mongoose.connection.db.collections();
     await Promise.all(collections.map((collection) => collection.deleteMany({})));
+    setCustomFormats([]);
 
     user = await User.create({
       email: 'owner@example.com',
@@ -128,6 +130,189 @@ describe('tournament format routes + apply-format flow', () => {
     );
   });
 
+  const buildEightTeamDefinition = (overrides = {}) => ({
+    name: 'Eight Teams: 2x4 Pools + Gold 8',
+    description: 'Club night format',
+    stages: [
+      {
+        type: 'poolPlay',
+        pools: [
+          { name: 'A', size: 4 },
+          { name: 'B', size: 4 },
+        ],
+      },
+      {
+        type: 'playoffs',
+        brackets: [
+          {
+            name: 'Gold',
+            size: 8,
+            type: 'singleElim',
+            seedsFromOverall: [1, 2, 3, 4, 5, 6, 7, 8],
+          },
+        ],
+      },
+    ],
+    ...overrides,
+  });
+
+  test('validates custom format definitions without saving them', async () => {
+    const valid = await request(app)
+      .post('/api/tournament-formats/validate')
+      .set(authHeader())
+      .send({ definition: buildEightTeamDefinition() });
+
+    expect(valid.statusCode).toBe(200);
+    expect(valid.body.valid).toBe(true);
+    expect(valid.body.format.supportedTeamCounts).toEqual([8]);
+    expect(valid.body.format.stages.map((stage) => stage.key)).toEqual(['poolPlay1', 'playoffs']);
+
+    const invalid = await request(app)
+      .post('/api/tournament-formats/validate')
+      .set(authHeader())
+      .send({ definition: buildEightTeamDefinition({ name: '' }) });
+
+    expect(invalid.body.valid).toBe(false);
+    expect(invalid.body.errors).toContain('Format name is required');
+
+    const rejected = await request(app)
+      .post('/api/tournament-formats')
+      .set(authHeader())
+      .send({ definition: buildEightTeamDefinition({ name: '' }) });
+
+    expect(rejected.statusCode).toBe(400);
+  });
+
+  test('saves custom formats, shares them, and applies them to tournaments', async () => {
+    const otherUser = await User.create({
+      email: 'other@example.com',
+      passwordHash: 'hashed',
+      emailVerified: true,
+    });
+    const otherToken = jwt.sign({ sub: otherUser._id.toString() }, process.env.JWT_SECRET);
+
+    const created = await request(app)
+      .post('/api/tournament-formats')
+      .set(authHeader())
+      .send({ definition: buildEightTeamDefinition() });
+
+    expect(created.statusCode).toBe(201);
+    expect(created.body.id).toMatch(/^custom_eight_teams_2x4_pools_gold_8_[0-9a-f]{6}$/);
+    const formatId = created.body.id;
+
+    const ownSuggestions = await request(app)
+      .get('/api/tournament-formats/suggest?teamCount=8&courtCount=2')
+      .set(authHeader());
+    expect(ownSuggestions.body).toEqual([
+      expect.objectContaining({ id: formatId, custom: true, shared: false, isOwner: true }),
+    ]);
+
+    const anonymousList = await request(app).get('/api/tournament-formats');
+    expect(anonymousList.body.map((entry) => entry.id)).not.toContain(formatId);
+
+    const forbidden = await request(app)
+      .put(`/api/tournament-formats/${formatId}`)
+      .set({ Authorization: `Bearer ${otherToken}` })
+      .send({ definition: buildEightTeamDefinition(), shared: true });
+    expect(forbidden.statusCode).toBe(403);
+
+    const shared = await request(app)
+      .put(`/api/tournament-formats/${formatId}`)
+      .set(authHeader())
+      .send({ definition: buildEightTeamDefinition(), shared: true });
+    expect(shared.statusCode).toBe(200);
+
+    const otherSuggestions = await request(app)
+      .get('/api/tournament-formats/suggest?teamCount=8&courtCount=2')
+      .set({ Authorization: `Bearer ${otherToken}` });
+    expect(otherSuggestions.body).toEqual([
+      expect.objectContaining({ id: formatId, shared: true, isOwner: false }),
+    ]);
+
+    const tournament = await createOwnedTournament('custom-format');
+    await seedTeams(tournament._id, 8);
+
+    const applied = await request(app)
+      .post(`/api/tournaments/${tournament._id}/apply-format`)
+      .set(authHeader())
+      .send({ formatId });
+
+    expect(applied.statusCode).toBe(200);
+    expect(applied.body.format.id).toBe(formatId);
+    expect(applied.body.pools.map((pool) => Number(pool.requiredTeamCount))).toEqual([4, 4]);
+
+    const locked = await request(app)
+      .put(`/api/tournament-formats/${formatId}`)
+      .set(authHeader())
+      .send({
+        definition: buildEightTeamDefinition({
+          stages: buildEightTeamDefinition().stages.slice(0, 1),
+        }),
+      });
+    expect(locked.statusCode).toBe(409);
+
+    const deleteInUse = await request(app)
+      .delete(`/api/tournament-formats/${formatId}`)
+      .set(authHeader());
+    expect(deleteInUse.statusCode).toBe(409);
+  });
+
+  test('GET /api/tournament-formats/:formatId hides private formats until a tournament uses them', async () => {
+    const created = await request(app)
+      .post('/api/tournament-formats')
+      .set(authHeader())
+      .send({ definition: buildEightTeamDefinition() });
+    const formatId = created.body.id;
+
+    const anonymous = await request(app).get(`/api/tournament-formats/${formatId}`);
+    expect(anonymous.statusCode).toBe(404);
+
+    const own = await request(app).get(`/api/tournament-formats/${formatId}`).set(authHeader());
+    expect(own.statusCode).toBe(200);
+    expect(own.body.stages.map((stage) => stage.key)).toEqual(['poolPlay1', 'playoffs']);
+    expect(own.body).not.toHaveProperty('ownerId');
+
+    const tournament = await createOwnedTournament('private-format');
+    await seedTeams(tournament._id, 8);
+    await request(app)
+      .post(`/api/tournaments/${tournament._id}/apply-format`)
+      .set(authHeader())
+      .send({ formatId });
+
+    const inUse = await request(app).get(`/api/tournament-formats/${formatId}`);
+    expect(inUse.statusCode).toBe(200);
+    expect(inUse.body).not.toHaveProperty('ownerId');
+  });
+
+  test('reads custom formats saved by another server instance from the database', async () => {
+    const created = await request(app)
+      .post('/api/tournament-formats')
+      .set(authHeader())
+      .send({ definition: buildEightTeamDefinition() });
+    const formatId = created.body.id;
+
+    // Another process never saw the create, so its registry cache is empty
+    setCustomFormats([]);
+
+    const suggestions = await request(app)
+      .get('/api/tournament-formats/suggest?teamCount=8&courtCount=2')
+      .set(authHeader());
+    expect(suggestions.body.map((entry) => entry.id)).toEqual([formatId]);
+
+    setCustomFormats([]);
+
+    const tournament = await createOwnedTournament('other-instance');
+    await seedTeams(tournament._id, 8);
+
+    const applied = await request(app)
+      .post(`/api/tournaments/${tournament._id}/apply-format`)
+      .set(authHeader())
+      .send({ formatId });
+
+    expect(applied.statusCode).toBe(200);
+    expect(applied.body.pools.map((pool) => Number(pool.requiredTeamCount))).toEqual([4, 4]);
+  });
+
   test.each([
     {
       label: '12-team format',
@@ -1031,4 +1216,116 @@ describe('tournament format routes + apply-format flow', () => {
     expect(generate.statusCode).toBe(400);
     expect(generate.body.message).toMatch(/share the same court/i);
   });
+
+  test('swiss stages generate one round at a time from finalized results without rematches', async () => {
+    const created = await request(app)
+      .post('/api/tournament-formats')
+      .set(authHeader())
+      .send({
+        definition: {
+          name: 'Six Teams: Swiss',
+          stages: [{ type: 'swiss', teamCount: 6, rounds: 3 }],
+        },
+      });
+    expect(created.statusCode).toBe(201);
+
+    const tournament = await createOwnedTournament('swiss');
+    await seedTeams(tournament._id, 6);
+
+    const applied = await request(app)
+      .post(`/api/tournaments/${tournament._id}/apply-format`)
+      .set(authHeader())
+      .send({ formatId: created.body.id, totalCourts: 2 });
+    expect(applied.statusCode).toBe(200);
+    expect(applied.body.pools).toEqual([]);
+
+    const roundOne = await request(app)
+      .post(`/api/tournaments/${tournament._id}/stages/swiss/matches/generate`)
+      .set(authHeader());
+    expect(roundOne.statusCode).toBe(201);
+    expect(roundOne.body).toHaveLength(3);
+    expect(roundOne.body.every((match) => match.swissRound === 1)).toBe(true);
+    expect(roundOne.body.map((match) => match.roundBlock)).toEqual([1, 1, 2]);
+
+    const pending = await request(app)
+      .post(`/api/tournaments/${tournament._id}/stages/swiss/rounds/next`)
+      .set(authHeader());
+    expect(pending.statusCode).toBe(409);
+
+    const finalizeRound = async (round) => {
+      const matches = await Match.find({ tournamentId: tournament._id, swissRound: round }).lean();
+      await Promise.all(
+        matches.map((match) =>
+          Match.updateOne(
+            { _id: match._id },
+            {
+              $set: {
+                status: 'final',
+                result: {
+                  winnerTeamId: match.teamAId,
+                  loserTeamId: match.teamBId,
+                  setsWonA: 2,
+                  setsWonB: 0,
+                  setsPlayed: 2,
+                  pointsForA: 50,
+                  pointsAgainstA: 30,
+                  pointsForB: 30,
+                  pointsAgainstB: 50,
+                },
+              },
+            }
+          )
+        )
+      );
+      return matches;
+    };
+
+    const roundOneMatches = await finalizeRound(1);
+    // Two admins pressing "next round" at once: only one request generates it
+    const roundTwoRequests = await Promise.all(
+      [1, 2].map(() =>
+        request(app)
+          .post(`/api/tournaments/${tournament._id}/stages/swiss/rounds/next`)
+          .set(authHeader())
+      )
+    );
+    expect(roundTwoRequests.map((response) => response.statusCode).sort()).toEqual([201, 409]);
+    expect(await Match.countDocuments({ tournamentId: tournament._id, swissRound: 2 })).toBe(3);
+    const roundTwo = roundTwoRequests.find((response) => response.statusCode === 201);
+    expect(roundTwo.body.every((match) => match.swissRound === 2)).toBe(true);
+    expect(Math.min(...roundTwo.body.map((match) => match.roundBlock))).toBe(3);
+
+    const pairKey = (match) => [String(match.teamAId), String(match.teamBId)].sort().join(':');
+    const roundOnePairs = new Set(roundOneMatches.map(pairKey));
+    expect(roundTwo.body.some((match) => roundOnePairs.has(pairKey(match)))).toBe(false);
+
+    await finalizeRound(2);
+    const standings = await request(app)
+      .get(`/api/tournaments/${tournament._id}/standings?phase=phase1&stageKey=swiss`)
+      .set(authHeader());
+    expect(standings.body.overall[0]).toMatchObject({ matchesWon: 2, matchesLost: 0 });
+    expect(standings.body.overall.every((entry) => Number.isFinite(entry.opponentWinPct))).toBe(true);
+
+    // Other standings of the same tournament keep the usual tiebreakers
+    const cumulative = await request(app)
+      .get(`/api/tournaments/${tournament._id}/standings?phase=cumulative`)
+      .set(authHeader());
+    expect(cumulative.body.overall.some((entry) => 'opponentWinPct' in entry)).toBe(false);
+
+    const stored = await Tournament.findById(tournament._id).lean();
+    expect(
+      stored.settings.schedulePlan.slots.filter((slot) => slot.stageKey === 'swiss')
+    ).toHaveLength(6);
+
+    const roundThree = await request(app)
+      .post(`/api/tournaments/${tournament._id}/stages/swiss/rounds/next`)
+      .set(authHeader());
+    expect(roundThree.statusCode).toBe(201);
+
+    await finalizeRound(3);
+    const done = await request(app)
+      .post(`/api/tournaments/${tournament._id}/stages/swiss/rounds/next`)
+      .set(authHeader());
+    expect(done.statusCode).toBe(409);
+  });
 });
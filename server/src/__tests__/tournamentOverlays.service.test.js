@@ -0,0 +1,58 @@
+const {
+  buildTickerResultItems,
+  buildTickerStandingsItems,
+} = require('../services/tournamentOverlays');
+
+describe('tournament overlay ticker', () => {
+  test('builds one standings segment per pool, or an overall segment without pools', () => {
+    const team = {
+      rank: 1,
+      name: 'Alpha Club',
+      shortName: 'ALP',
+      matchesWon: 2,
+      matchesLost: 0,
+      setsWon: 4,
+      setsLost: 1,
+      pointDiff: 20,
+    };
+
+    expect(
+      buildTickerStandingsItems({
+        pools: [
+          { poolName: 'A', teams: [team] },
+          { poolName: 'B', teams: [] },
+        ],
+        overall: [team],
+      })
+    ).toEqual([
+      {
+        kind: 'standings',
+        title: 'Pool A',
+        teams: [
+          { rank: 1, name: 'ALP', matchesWon: 2, matchesLost: 0, setsWon: 4, setsLost: 1 },
+        ],
+      },
+    ]);
+    expect(buildTickerStandingsItems({ pools: [], overall: [team] })[0].title).toBe('Standings');
+    expect(buildTickerStandingsItems(null)).toEqual([]);
+  });
+
+  test('labels results by phase and skips matches without a result', () => {
+    expect(
+      buildTickerResultItems(
+        [
+          {
+            phase: 'phase1',
+            teamAId: { name: 'Alpha' },
+            teamBId: { name: 'Bravo', shortName: 'BRA' },
+            result: { setsWonA: 2, setsWonB: 1 },
+          },
+          { phase: 'phase1', teamAId: null, teamBId: null, result: null },
+        ],
+        { phase1: 'Pool Play' }
+      )
+    ).toEqual([
+      { kind: 'result', title: 'Pool Play', teamA: 'Alpha', teamB: 'BRA', setsA: 2, setsB: 1 },
+    ]);
+  });
+});
@@ -654,6 +654,93 @@ describe('tournament routes', () => {
     ]);
   });
 
+  test('GET /api/tournaments/code/:publicCode/video-wall tiles every court with current and next matches', async () => {
+    const tournament = await Tournament.create({
+      name: 'Video Wall Tournament',
+      date: new Date('2026-08-12T13:00:00.000Z'),
+      timezone: 'America/New_York',
+      publicCode: 'WALL01',
+      createdByUserId: user._id,
+    });
+    const [alpha, bravo, charlie, delta] = await TournamentTeam.insertMany(
+      [
+        { tournamentId: tournament._id, name: 'Alpha', shortName: 'ALP', orderIndex: 1 },
+        { tournamentId: tournament._id, name: 'Bravo', shortName: 'BRV', orderIndex: 2 },
+        { tournamentId: tournament._id, name: 'Charlie', shortName: 'CHR', orderIndex: 3 },
+        { tournamentId: tournament._id, name: 'Delta', shortName: 'DLT', orderIndex: 4 },
+      ],
+      { ordered: true }
+    );
+    const startedAt = new Date('2026-08-12T13:05:00.000Z');
+    const [liveMatch, nextMatch] = await Match.insertMany(
+      [
+        {
+          tournamentId: tournament._id,
+          phase: 'phase1',
+          poolId: null,
+          roundBlock: 1,
+          facility: 'SRC',
+          court: 'SRC-1',
+          teamAId: alpha._id,
+          teamBId: bravo._id,
+          refTeamIds: [],
+          status: 'live',
+          startedAt,
+        },
+        {
+          tournamentId: tournament._id,
+          phase: 'phase1',
+          poolId: null,
+          roundBlock: 2,
+          facility: 'SRC',
+          court: 'SRC-1',
+          teamAId: charlie._id,
+          teamBId: delta._id,
+          refTeamIds: [],
+          status: 'scheduled',
+        },
+      ],
+      { ordered: true }
+    );
+
+    const response = await request(app).get('/api/tournaments/code/WALL01/video-wall');
+
+    expect(response.statusCode).toBe(200);
+    expect(response.body.tournament).toEqual({ name: 'Video Wall Tournament', publicCode: 'WALL01' });
+    expect(response.body.courts.map((tile) => tile.court.code)).toEqual([
+      'SRC-1',
+      'SRC-2',
+      'SRC-3',
+      'VC-1',
+      'VC-2',
+    ]);
+
+    const [src1, src2] = response.body.courts;
+    expect(src1.current).toEqual(
+      expect.objectContaining({
+        matchId: liveMatch._id.toString(),
+        status: 'live',
+        startedAt: startedAt.toISOString(),
+      })
+    );
+    expect(src1.next).toEqual(
+      expect.objectContaining({ matchId: nextMatch._id.toString(), status: 'scheduled' })
+    );
+    expect(src2).toEqual(expect.objectContaining({ current: null, next: null }));
+
+    const missing = await request(app).get('/api/tournaments/code/NOPE00/video-wall');
+    expect(missing.statusCode).toBe(404);
+  });
+
+  test('GET /api/tournaments/code/:publicCode/events validates the tournament before streaming', async () => {
+    const invalid = await request(app).get('/api/tournaments/code/bad/events');
+    expect(invalid.statusCode).toBe(400);
+
+    const missing = await request(app).get('/api/tournaments/code/NOPE00/events');
+    expect(missing.statusCode).toBe(404);
+    expect(missing.body.message).toBe('Tournament not found');
+  });
+
   test('DELETE /api/tournaments/:id removes owner tournament and related records', async () => {
     const tournament = await Tournament.create({
       name: 'Delete Me Tournament',
@@ -1312,6 +1399,10 @@ describe('tournament routes', () => {
     expect(typeof schedule.body.court?.code).toBe('string');
     expect(typeof schedule.body.court?.label).toBe('string');
     expect(schedule.body.court?.label.toUpperCase()).toContain('SRC');
+    expect(schedule.body.schedule).toEqual({
+      timezone: expect.any(String),
+      matchDurationMinutes: expect.any(Number),
+    });
     expect(schedule.body.matches).toHaveLength(2);
     expect(schedule.body.matches.map((match) => match.roundBlock)).toEqual([1, 5]);
     expect(schedule.body.matches.every((match) => ['phase1', 'phase2'].includes(match.phase))).toBe(true);
@@ -31,8 +31,24 @@ const poolRoutes = require('./routes/pools');
 const matchRoutes = require('./routes/matches');
 const adminRoutes = require('./routes/admin');
 const tournamentInviteRoutes = require('./routes/tournamentInvites');
+const { resolveUserFromToken } = require('./middleware/auth');
+const { loadCustomFormats } = require('./services/customFormats');
+const { requireScoreboardWriteAccess } = require('./services/scoreboardAccess');
+const { broadcastScoreboardResult } = require('./services/scoreboardBroadcast');
+const {
+  loadScoreboardGraphics,
+  updateScoreboardGraphics,
+} = require('./services/scoreboardGraphics');
+const {
+  applyScoreboardUpdate,
+  completeScoreboardSet,
+  getScoreboardHistorySummary,
+  recordScoreboardSanction,
+  recordScoreboardSubstitution,
+  resolveScoreboardQuery,
+  stepScoreboardHistory,
+} = require('./services/scoreboards');
 const {
-  emitScoreboardSummaryEvent,
   getTournamentRoom,
   normalizeTournamentCode,
 } = require('./services/tournamentRealtime');
@@ -50,6 +66,7 @@ const CLIENT_ORIGINS = process.env.CLIENT_ORIGIN
 
 async function bootstrap() {
   await connectDB();
+  await loadCustomFormats();
 
   const app = express();
   const server = http.createServer(app);
@@ -95,6 +112,16 @@ async function bootstrap() {
     res.status(status).json({ message });
   });
 
+  // Sockets never fail the handshake: viewers connect anonymously and only writes are gated.
+  // Clients pass `auth: { token, scorerToken }` (account JWT and/or a per-board scorer token).
+  io.use(async (socket, next) => {
+    const auth = socket.handshake.auth ?? {};
+
+    socket.data.user = await resolveUserFromToken(auth.token);
+    socket.data.scorerToken = typeof auth.scorerToken === 'string' ? auth.scorerToken : null;
+    next();
+  });
+
   io.on('connection', (socket) => {
     socket.on('tournament:join', async ({ code } = {}) => {
       const normalizedCode = normalizeTournamentCode(code);
@@ -155,120 +182,233 @@ async function bootstrap() {
         socket.join(room);
         socket.data.room = room;
         socket.emit('scoreboard:state', scoreboard);
+        socket.emit('scoreboard:history', {
+          scoreboardId: room,
+          ...(await getScoreboardHistorySummary(scoreboard._id)),
+        });
+        socket.emit('scoreboard:graphics', await loadScoreboardGraphics({ _id: scoreboard._id }));
       } catch (error) {
         socket.emit('scoreboard:error', { message: 'Failed to load scoreboard' });
       }
     });
 
-    // Control clients send new state after user interactions
-    socket.on('scoreboard:update', async ({ scoreboardId, state }) => {
+    const broadcastScoreboardWrite = async (result) => {
+      const liveRoom = result.scoreboard._id.toString();
+      socket.join(liveRoom);
+      socket.data.room = liveRoom;
+
+      await broadcastScoreboardResult(io, result);
+    };
+
+    const resolveWriteQuery = (scoreboardId) => {
       const key = typeof scoreboardId === 'string' ? scoreboardId.trim() : '';
       const room = socket.data.room;
-      const MAX_SET_COUNT = 5;
 
       if (!key && !room) {
+        return null;
+      }
+
+      return key ? resolveScoreboardQuery(key) : { _id: room };
+    };
+
+    // Only the owner, a tournament admin, or a scorer-token holder may change a scoreboard
+    const authorizeWrite = async (query) => {
+      const { scoreboard } = await requireScoreboardWriteAccess({
+        query,
+        userId: socket.data.user?.id,
+        scorerToken: socket.data.scorerToken,
+      });
+
+      return {
+        query: { _id: scoreboard._id },
+        actor: { userId: socket.data.user?.id ?? null, socketId: socket.id },
+      };
+    };
+
+    // Control clients send new state after user interactions. Queued (offline) updates
+    // carry an `actionId` and an ack callback so the client can drop them once handled.
+    socket.on('scoreboard:update', async (payload = {}, ack) => {
+      const { scoreboardId, state, baseRevision, action, actionId } = payload ?? {};
+      const acknowledge = typeof ack === 'function' ? ack : () => {};
+      const query = resolveWriteQuery(scoreboardId);
+
+      if (!query) {
         socket.emit('scoreboard:error', { message: 'No scoreboard joined' });
+        acknowledge({ ok: false, status: 400, message: 'No scoreboard joined' });
         return;
       }
 
-      if (
-        !state ||
-        !Array.isArray(state.teams) ||
-        state.teams.length !== 2 ||
-        !(state.servingTeamIndex === null || [0, 1].includes(state.servingTeamIndex))
-      ) {
-        socket.emit('scoreboard:error', { message: 'Invalid scoreboard payload' });
-        return;
+      try {
+        const access = await authorizeWrite(query);
+        const result = await applyScoreboardUpdate({
+          query: access.query,
+          state,
+          actor: access.actor,
+          baseRevision,
+          action,
+          actionId,
+        });
+
+        if (!result) {
+          socket.emit('scoreboard:error', { message: 'Scoreboard not found' });
+          acknowledge({ ok: false, status: 404, message: 'Scoreboard not found' });
+          return;
+        }
+
+        // A replay of an already-applied update only needs to resync the sender
+        if (result.duplicate) {
+          const room = result.scoreboard._id.toString();
+          socket.join(room);
+          socket.data.room = room;
+          socket.emit('scoreboard:state', result.scoreboard);
+          socket.emit('scoreboard:history', { scoreboardId: room, ...result.history });
+        } else {
+          await broadcastScoreboardWrite(result);
+        }
+
+        acknowledge({
+          ok: true,
+          revision: result.scoreboard.revision,
+          duplicate: Boolean(result.duplicate),
+        });
+      } catch (error) {
+        // Stale edits that cannot be merged go back to the sender with the latest state
+        if (error.code === 'SCOREBOARD_CONFLICT') {
+          socket.emit('scoreboard:conflict', {
+            scoreboardId: error.scoreboard._id.toString(),
+            message: error.message,
+            scoreboard: error.scoreboard,
+            rejected: state,
+          });
+          acknowledge({ ok: false, status: 409, conflict: true, message: error.message });
+          return;
+        }
+
+        // `status` tells the client whether to retry (409 retry exhaustion, 5xx) or give up (4xx)
+        const message = error.status ? error.message : 'Failed to save scoreboard';
+        socket.emit('scoreboard:error', { message });
+        acknowledge({ ok: false, status: error.status || 500, message });
       }
+    });
 
-      const query = key
-        ? mongoose.Types.ObjectId.isValid(key)
-          ? { _id: key }
-          : { code: key.toUpperCase() }
-        : { _id: room };
+    // Undo/redo walk the server-held history so every controller and overlay rolls back together
+    ['undo', 'redo'].forEach((direction) => {
+      socket.on(`scoreboard:${direction}`, async ({ scoreboardId } = {}) => {
+        const query = resolveWriteQuery(scoreboardId);
 
-      try {
-        const sanitizeSet = (set) => {
-          if (!set || !Array.isArray(set.scores) || set.scores.length !== 2) {
-            return null;
+        if (!query) {
+          socket.emit('scoreboard:error', { message: 'No scoreboard joined' });
+          return;
+        }
+
+        try {
+          const access = await authorizeWrite(query);
+          const result = await stepScoreboardHistory({
+            query: access.query,
+            direction,
+            actor: access.actor,
+          });
+
+          if (!result) {
+            socket.emit('scoreboard:error', { message: 'Scoreboard not found' });
+            return;
           }
 
-          const [homeScore, awayScore] = set.scores;
-          const createdAt =
-            set.createdAt && !Number.isNaN(Date.parse(set.createdAt))
-              ? new Date(set.createdAt)
-              : new Date();
-
-          return {
-            scores: [
-              Math.max(0, Number(homeScore) || 0),
-              Math.max(0, Number(awayScore) || 0),
-            ],
-            createdAt,
-          };
-        };
-
-        const sanitizedSets = Array.isArray(state.sets)
-          ? state.sets.map(sanitizeSet).filter(Boolean)
-          : undefined;
-
-        if (sanitizedSets && sanitizedSets.length > MAX_SET_COUNT) {
+          await broadcastScoreboardWrite(result);
+        } catch (error) {
           socket.emit('scoreboard:error', {
-            message: `Only ${MAX_SET_COUNT} sets are supported for a match`,
+            message: error.status ? error.message : `Failed to ${direction} scoreboard change`,
           });
+        }
+      });
+    });
+
+    // Confirms a set the scoring rules consider decided and archives it
+    socket.on('scoreboard:completeSet', async ({ scoreboardId } = {}) => {
+      const query = resolveWriteQuery(scoreboardId);
+
+      if (!query) {
+        socket.emit('scoreboard:error', { message: 'No scoreboard joined' });
+        return;
+      }
+
+      try {
+        const access = await authorizeWrite(query);
+        const result = await completeScoreboardSet(access);
+
+        if (!result) {
+          socket.emit('scoreboard:error', { message: 'Scoreboard not found' });
           return;
         }
 
-        const MAX_TITLE_LENGTH = 30;
-        const sanitizedTitle =
-          typeof state.title === 'string'
-            ? state.title.trim().slice(0, MAX_TITLE_LENGTH)
-            : null;
-
-        const update = {
-          teams: state.teams.map((team, index) => ({
-            name: team.name?.toString().trim() || `Team ${index + 1}`,
-            color: team.color || '#ffffff',
-            teamTextColor: team.teamTextColor || team.textColor || '#ffffff',
-            setColor: team.setColor || team.color || '#0b1a3a',
-            scoreTextColor: team.scoreTextColor || '#ffffff',
-            textColor: team.textColor || team.teamTextColor || '#ffffff',
-            score: Number.isFinite(Number(team.score))
-              ? Math.max(0, Number(team.score))
-              : 0,
-          })),
-          servingTeamIndex: state.servingTeamIndex,
-        };
-
-        if (sanitizedTitle) {
-          update.title = sanitizedTitle;
+        await broadcastScoreboardWrite(result);
+      } catch (error) {
+        socket.emit('scoreboard:error', {
+          message: error.status ? error.message : 'Failed to complete set',
+        });
+      }
+    });
+
+    // Officials' entries apply to the live set; a red card also scores for the opponent
+    const entryRecorders = {
+      substitution: (access, { teamIndex, playerIn, playerOut }) =>
+        recordScoreboardSubstitution({ ...access, teamIndex, playerIn, playerOut }),
+      sanction: (access, { teamIndex, type, player }) =>
+        recordScoreboardSanction({ ...access, teamIndex, type, player }),
+    };
+
+    Object.entries(entryRecorders).forEach(([kind, recordEntry]) => {
+      socket.on(`scoreboard:${kind}`, async (payload = {}) => {
+        const query = resolveWriteQuery(payload.scoreboardId);
+
+        if (!query) {
+          socket.emit('scoreboard:error', { message: 'No scoreboard joined' });
+          return;
         }
 
-        if (sanitizedSets) {
-          update.sets = sanitizedSets;
-        } else if (Array.isArray(state.sets) && state.sets.length === 0) {
-          update.sets = [];
+        try {
+          const access = await authorizeWrite(query);
+          const result = await recordEntry(access, payload);
+
+          if (!result) {
+            socket.emit('scoreboard:error', { message: 'Scoreboard not found' });
+            return;
+          }
+
+          await broadcastScoreboardWrite(result);
+        } catch (error) {
+          socket.emit('scoreboard:error', {
+            message: error.status ? error.message : `Failed to record ${kind}`,
+          });
         }
+      });
+    });
 
-        const scoreboard = await Scoreboard.findOneAndUpdate(query, update, {
-          new: true,
-          runValidators: true,
-          omitUndefined: true,
-        }).lean();
+    // Producers toggle broadcast graphics; every overlay in the room animates them in or out
+    socket.on('scoreboard:setGraphics', async ({ scoreboardId, ...changes } = {}) => {
+      const query = resolveWriteQuery(scoreboardId);
 
-        if (!scoreboard) {
+      if (!query) {
+        socket.emit('scoreboard:error', { message: 'No scoreboard joined' });
+        return;
+      }
+
+      try {
+        const access = await authorizeWrite(query);
+        const graphics = await updateScoreboardGraphics({ query: access.query, changes });
+
+        if (!graphics) {
           socket.emit('scoreboard:error', { message: 'Scoreboard not found' });
           return;
         }
 
-        const liveRoom = scoreboard._id.toString();
-        socket.join(liveRoom);
-        socket.data.room = liveRoom;
-
-        io.to(liveRoom).emit('scoreboard:state', scoreboard);
-        await emitScoreboardSummaryEvent(io, scoreboard);
+        socket.join(graphics.scoreboardId);
+        socket.data.room = graphics.scoreboardId;
+        io.to(graphics.scoreboardId).emit('scoreboard:graphics', graphics);
       } catch (error) {
-        socket.emit('scoreboard:error', { message: 'Failed to save scoreboard' });
+        socket.emit('scoreboard:error', {
+          message: error.status ? error.message : 'Failed to update graphics',
+        });
       }
     });
 
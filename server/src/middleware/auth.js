@@ -44,6 +44,35 @@ async function requireAuth(req, res, next) {
   }
 }
 
+// Resolves a bearer JWT to the same user shape as `req.user`, or null when it is missing,
+// invalid, or belongs to an unverified account. Used where a 401 response is not an option.
+async function resolveUserFromToken(token) {
+  const secret = process.env.JWT_SECRET;
+
+  if (!secret || typeof token !== 'string' || !token.trim()) {
+    return null;
+  }
+
+  try {
+    const payload = jwt.verify(token.trim(), secret);
+    const user = await User.findById(payload.sub).lean();
+
+    if (!user || !user.emailVerified) {
+      return null;
+    }
+
+    return {
+      id: user._id.toString(),
+      email: user.email,
+      displayName: user.displayName,
+      emailVerified: Boolean(user.emailVerified),
+    };
+  } catch (error) {
+    return null;
+  }
+}
+
 module.exports = {
   requireAuth,
+  resolveUserFromToken,
 };
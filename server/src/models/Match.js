@@ -21,6 +21,54 @@ const MatchResultSetScoreSchema = new mongoose.Schema(
   { _id: false }
 );
 
+// Substitutions and sanctions copied from the scoreboard when the match is finalized
+const MatchResultEntrySchema = new mongoose.Schema(
+  {
+    setNo: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    team: {
+      type: String,
+      enum: ['A', 'B'],
+      required: true,
+    },
+    scoreA: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    scoreB: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    recordedAt: {
+      type: Date,
+      default: null,
+    },
+    playerIn: {
+      type: String,
+      default: undefined,
+    },
+    playerOut: {
+      type: String,
+      default: undefined,
+    },
+    type: {
+      type: String,
+      enum: ['yellow', 'red'],
+      default: undefined,
+    },
+    player: {
+      type: String,
+      default: undefined,
+    },
+  },
+  { _id: false }
+);
+
 const MatchResultSchema = new mongoose.Schema(
   {
     winnerTeamId: {
@@ -72,6 +120,14 @@ const MatchResultSchema = new mongoose.Schema(
       type: [MatchResultSetScoreSchema],
       default: [],
     },
+    substitutions: {
+      type: [MatchResultEntrySchema],
+      default: [],
+    },
+    sanctions: {
+      type: [MatchResultEntrySchema],
+      default: [],
+    },
   },
   { _id: false }
 );
@@ -146,6 +202,17 @@ const MatchSchema = new mongoose.Schema(
       enum: ['winner', 'loser'],
       default: null,
     },
+    // Double-elimination reset final: only played if the losers-bracket champion wins
+    ifNecessary: {
+      type: Boolean,
+      default: false,
+    },
+    // Swiss stages are generated one round at a time; this is the 1-based round number
+    swissRound: {
+      type: Number,
+      default: null,
+      min: 1,
+    },
     roundBlock: {
       type: Number,
       default: null,
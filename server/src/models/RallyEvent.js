@@ -0,0 +1,90 @@
+const mongoose = require('mongoose');
+
+const RallyEventActorSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    socketId: {
+      type: String,
+      default: null,
+      trim: true,
+    },
+  },
+  { _id: false }
+);
+
+const RallyEventSchema = new mongoose.Schema(
+  {
+    scoreboardId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Scoreboard',
+      required: true,
+    },
+    // Position in the scoreboard's log; events logged before sequencing have none
+    sequence: {
+      type: Number,
+      default: undefined,
+      min: 1,
+    },
+    setIndex: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    type: {
+      type: String,
+      enum: ['point', 'point_removed', 'score_adjusted', 'set_completed'],
+      required: true,
+    },
+    teamIndex: {
+      type: Number,
+      default: null,
+      validate: {
+        validator: (value) => value === null || value === 0 || value === 1,
+        message: 'teamIndex must be 0, 1, or null.',
+      },
+    },
+    servingTeamIndex: {
+      type: Number,
+      default: null,
+      validate: {
+        validator: (value) => value === null || value === 0 || value === 1,
+        message: 'servingTeamIndex must be 0, 1, or null.',
+      },
+    },
+    scores: {
+      type: [Number],
+      default: [0, 0],
+      validate: {
+        validator: (value) =>
+          Array.isArray(value) &&
+          value.length === 2 &&
+          value.every((score) => Number.isFinite(score) && score >= 0),
+        message: 'Rally events must include scores for both teams.',
+      },
+    },
+    actor: {
+      type: RallyEventActorSchema,
+      default: () => ({}),
+    },
+  },
+  {
+    timestamps: {
+      createdAt: true,
+      updatedAt: false,
+    },
+  }
+);
+
+RallyEventSchema.index({ scoreboardId: 1, _id: 1 });
+RallyEventSchema.index(
+  { scoreboardId: 1, sequence: 1 },
+  { unique: true, partialFilterExpression: { sequence: { $type: 'number' } } }
+);
+
+const RallyEvent = mongoose.model('RallyEvent', RallyEventSchema);
+
+module.exports = RallyEvent;
@@ -28,11 +28,23 @@ const TeamSchema = new mongoose.Schema(
       type: String,
       default: '#ffffff',
     },
+    logoUrl: {
+      type: String,
+      default: null,
+      trim: true,
+    },
     score: {
       type: Number,
       default: 0,
       min: 0,
     },
+    // Timeouts taken in the live set; reset when a set is archived.
+    timeouts: {
+      type: Number,
+      default: 0,
+      min: 0,
+      max: 2,
+    },
   },
   { _id: false }
 );
@@ -58,6 +70,345 @@ const SetSchema = new mongoose.Schema(
   { _id: false }
 );
 
+const LineupTeamSchema = new mongoose.Schema(
+  {
+    // Jersey numbers in positions I-VI at the start of the live set
+    starters: {
+      type: [String],
+      default: () => Array(6).fill(''),
+    },
+    rotation: {
+      type: Number,
+      default: 0,
+      min: 0,
+      max: 5,
+    },
+  },
+  { _id: false }
+);
+
+const LineupSchema = new mongoose.Schema(
+  {
+    enabled: {
+      type: Boolean,
+      default: false,
+    },
+    teams: {
+      type: [LineupTeamSchema],
+      default: () => [{}, {}],
+    },
+  },
+  { _id: false }
+);
+
+const SubstitutionSchema = new mongoose.Schema(
+  {
+    // Index of the live set when the entry was made (0 = first set)
+    setIndex: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    teamIndex: {
+      type: Number,
+      enum: [0, 1],
+      required: true,
+    },
+    playerIn: {
+      type: String,
+      default: '',
+    },
+    playerOut: {
+      type: String,
+      default: '',
+    },
+    // Live score when the entry was made
+    scores: {
+      type: [Number],
+      default: () => [0, 0],
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+const SanctionSchema = new mongoose.Schema(
+  {
+    setIndex: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    teamIndex: {
+      type: Number,
+      enum: [0, 1],
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: ['yellow', 'red'],
+      required: true,
+    },
+    // Empty for a team or bench sanction
+    player: {
+      type: String,
+      default: '',
+    },
+    scores: {
+      type: [Number],
+      default: () => [0, 0],
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+const HistorySnapshotSchema = new mongoose.Schema(
+  {
+    teams: {
+      type: [TeamSchema],
+      default: [],
+    },
+    sets: {
+      type: [SetSchema],
+      default: [],
+    },
+    servingTeamIndex: {
+      type: Number,
+      default: null,
+    },
+    lineup: {
+      type: LineupSchema,
+      default: null,
+    },
+    substitutions: {
+      type: [SubstitutionSchema],
+      default: undefined,
+    },
+    sanctions: {
+      type: [SanctionSchema],
+      default: undefined,
+    },
+  },
+  { _id: false }
+);
+
+const HistorySchema = new mongoose.Schema(
+  {
+    undo: {
+      type: [HistorySnapshotSchema],
+      default: [],
+    },
+    redo: {
+      type: [HistorySnapshotSchema],
+      default: [],
+    },
+  },
+  { _id: false }
+);
+
+// Live state replayed from the rally log, up to and including event `sequence`
+const RallyLogSnapshotSchema = new mongoose.Schema(
+  {
+    sequence: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    setIndex: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    scores: {
+      type: [Number],
+      default: [0, 0],
+    },
+  },
+  { _id: false }
+);
+
+const PendingRallyEventSchema = new mongoose.Schema(
+  {
+    sequence: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    setIndex: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    type: {
+      type: String,
+      required: true,
+    },
+    teamIndex: {
+      type: Number,
+      default: null,
+    },
+    servingTeamIndex: {
+      type: Number,
+      default: null,
+    },
+    scores: {
+      type: [Number],
+      default: [0, 0],
+    },
+    actor: {
+      userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: null,
+      },
+      socketId: {
+        type: String,
+        default: null,
+      },
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+const ActiveTimeoutSchema = new mongoose.Schema(
+  {
+    teamIndex: {
+      type: Number,
+      enum: [0, 1],
+      required: true,
+    },
+    startedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    durationSeconds: {
+      type: Number,
+      default: 30,
+      min: 1,
+    },
+  },
+  { _id: false }
+);
+
+// Named display settings for /board/:id/display?preset=<name>
+const OverlayPresetSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 30,
+    },
+    options: {
+      layout: {
+        type: String,
+        enum: ['horizontal', 'vertical', 'fullscreen', 'score-only'],
+        default: 'horizontal',
+      },
+      scale: {
+        type: Number,
+        default: 1,
+        min: 0.25,
+        max: 4,
+      },
+      position: {
+        type: String,
+        enum: ['top-left', 'top-right', 'bottom-left', 'bottom-right', 'center'],
+        default: 'top-left',
+      },
+      nameLength: {
+        type: Number,
+        default: 10,
+        min: 3,
+        max: 30,
+      },
+      showSets: {
+        type: Boolean,
+        default: true,
+      },
+      transparent: {
+        type: Boolean,
+        default: true,
+      },
+    },
+  },
+  { _id: false }
+);
+
+// Broadcast graphics a producer switches on and off alongside the score bug
+const GraphicsSchema = new mongoose.Schema(
+  {
+    visible: {
+      setSummary: {
+        type: Boolean,
+        default: false,
+      },
+      matchTitle: {
+        type: Boolean,
+        default: false,
+      },
+      standings: {
+        type: Boolean,
+        default: false,
+      },
+      nextMatch: {
+        type: Boolean,
+        default: false,
+      },
+    },
+    title: {
+      type: String,
+      trim: true,
+      maxlength: 60,
+      default: '',
+    },
+    subtitle: {
+      type: String,
+      trim: true,
+      maxlength: 80,
+      default: '',
+    },
+  },
+  { _id: false }
+);
+
+const CompletionSchema = new mongoose.Schema(
+  {
+    setWinnerIndex: {
+      type: Number,
+      default: null,
+    },
+    matchWinnerIndex: {
+      type: Number,
+      default: null,
+    },
+    setWins: {
+      type: [Number],
+      default: [0, 0],
+    },
+    // Per team: the next rally would win the live set / the match
+    setPoint: {
+      type: [Boolean],
+      default: [false, false],
+    },
+    matchPoint: {
+      type: [Boolean],
+      default: [false, false],
+    },
+  },
+  { _id: false }
+);
+
 const SCORING_DEFAULTS = {
   setTargets: [25, 25, 15],
   winBy: 2,
@@ -123,6 +474,12 @@ const ScoreboardSchema = new mongoose.Schema(
       type: [SetSchema],
       default: [],
     },
+    // Bumped on every write; control clients send it back as `baseRevision` to detect stale edits.
+    revision: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
     scoring: {
       setTargets: {
         type: [Number],
@@ -136,6 +493,78 @@ const ScoreboardSchema = new mongoose.Schema(
         type: [Number],
         default: () => [...SCORING_DEFAULTS.caps],
       },
+      autoComplete: {
+        type: String,
+        enum: ['off', 'confirm', 'auto'],
+        default: 'confirm',
+      },
+      timeoutCountdown: {
+        type: Boolean,
+        default: true,
+      },
+      substitutionLimit: {
+        type: Number,
+        default: 6,
+        min: 0,
+        max: 12,
+      },
+    },
+    // Optional six-player lineups; the server rotates the receiving team on side-outs.
+    lineup: {
+      type: LineupSchema,
+      default: null,
+    },
+    // Officials' entries for every set; a red card also awards the opponent a point.
+    substitutions: {
+      type: [SubstitutionSchema],
+      default: [],
+    },
+    sanctions: {
+      type: [SanctionSchema],
+      default: [],
+    },
+    // Running timeout shown as a countdown on overlays; cleared by the next rally or set change.
+    activeTimeout: {
+      type: ActiveTimeoutSchema,
+      default: null,
+    },
+    overlayPresets: {
+      type: [OverlayPresetSchema],
+      default: [],
+    },
+    // Sent on its own `scoreboard:graphics` channel rather than with the board state.
+    graphics: {
+      type: GraphicsSchema,
+      select: false,
+      default: undefined,
+    },
+    // Derived from teams/sets/scoring on every write so clients can prompt without re-deriving rules.
+    completion: {
+      type: CompletionSchema,
+      default: () => ({}),
+    },
+    // Server-held undo/redo stacks; hidden from reads so they never ride along on broadcasts.
+    history: {
+      type: HistorySchema,
+      select: false,
+    },
+    // Recent client action ids from offline replays, so a resent update is never applied twice.
+    appliedActionIds: {
+      type: [String],
+      select: false,
+      default: undefined,
+    },
+    // Written in the same revision-checked update as the score, so the log can never drift from it.
+    rallyLog: {
+      type: RallyLogSnapshotSchema,
+      select: false,
+      default: undefined,
+    },
+    // Rally events committed with the score but not yet copied into the RallyEvent collection.
+    pendingRallyEvents: {
+      type: [PendingRallyEventSchema],
+      select: false,
+      default: undefined,
     },
     temporary: {
       type: Boolean,
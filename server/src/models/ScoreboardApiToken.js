@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+// Long-lived tokens for hardware controllers; only a hash of the secret is stored.
+const ScoreboardApiTokenSchema = new mongoose.Schema(
+  {
+    scoreboardId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Scoreboard',
+      required: true,
+      index: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 40,
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+      index: true,
+    },
+    // First characters of the token, shown so operators can tell tokens apart
+    tokenPrefix: {
+      type: String,
+      required: true,
+    },
+    createdByUserId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    lastUsedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const ScoreboardApiToken = mongoose.model('ScoreboardApiToken', ScoreboardApiTokenSchema);
+
+module.exports = ScoreboardApiToken;
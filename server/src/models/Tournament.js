@@ -380,6 +380,12 @@ const TournamentSchema = new mongoose.Schema(
         default: undefined,
       },
     },
+    // Last round claimed per Swiss stage key, bumped atomically before a round is generated
+    swissRounds: {
+      type: Map,
+      of: Number,
+      default: undefined,
+    },
     details: {
       specialNotes: {
         type: String,
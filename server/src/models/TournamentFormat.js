@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+// A user-defined tournament format. `stages` holds the validated stage schema
+// (see tournamentFormats/formatValidator.js), stored as-is.
+const TournamentFormatSchema = new mongoose.Schema(
+  {
+    formatId: {
+      type: String,
+      required: true,
+      unique: true,
+      index: true,
+      trim: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    description: {
+      type: String,
+      default: '',
+      trim: true,
+    },
+    supportedTeamCounts: {
+      type: [Number],
+      default: [],
+    },
+    minCourts: {
+      type: Number,
+      default: 1,
+      min: 1,
+    },
+    maxCourts: {
+      type: Number,
+      default: null,
+    },
+    stages: {
+      type: [mongoose.Schema.Types.Mixed],
+      default: [],
+    },
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    shared: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const TournamentFormat = mongoose.model('TournamentFormat', TournamentFormatSchema);
+
+module.exports = TournamentFormat;
@@ -4,6 +4,7 @@ const mongoose = require('mongoose');
 const { requireAuth } = require('../middleware/auth');
 const Match = require('../models/Match');
 const Scoreboard = require('../models/Scoreboard');
+const { emitScoreboardState } = require('../services/scoreboardBroadcast');
 const {
   emitScoreboardSummaryEvent,
 } = require('../services/tournamentRealtime');
@@ -399,14 +400,16 @@ router.post('/matches/:matchId/score', requireAuth, async (req, res, next) => {
     }
 
     scoreboard.servingTeamIndex = null;
+    scoreboard.revision = (scoreboard.revision ?? 0) + 1;
 
     await scoreboard.save();
 
     const io = req.app?.get('io');
     const scoreboardPayload = scoreboard.toObject();
 
-    if (io && scoreboard?._id) {
-      io.to(scoreboard._id.toString()).emit('scoreboard:state', scoreboardPayload);
+    emitScoreboardState(io, scoreboardPayload);
+
+    if (io) {
       await emitScoreboardSummaryEvent(io, scoreboardPayload);
     }
 
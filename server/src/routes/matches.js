@@ -7,6 +7,7 @@ const TournamentTeam = require('../models/TournamentTeam');
 const {
   MATCH_STATUSES,
   emitMatchStatusUpdated,
+  endMatchAndEmit,
   finalizeMatchAndEmit,
   findOwnedTournamentContext,
   serializeMatch,
@@ -106,18 +107,11 @@ router.post('/:matchId/end', requireAuth, async (req, res, next) => {
       return res.status(409).json({ message: 'Only live matches can be ended' });
     }
 
-    const endedAt = new Date();
-    match.status = 'ended';
-    match.endedAt = endedAt;
-
-    if (!match.startedAt) {
-      match.startedAt = endedAt;
-    }
-
-    await match.save();
-
-    const serializedMatch = serializeMatch(match.toObject());
-    emitMatchStatusUpdated(req.app?.get('io'), tournamentContext.publicCode, serializedMatch);
+    const serializedMatch = await endMatchAndEmit({
+      match,
+      io: req.app?.get('io'),
+      tournamentCode: tournamentContext.publicCode,
+    });
 
     return res.json(serializedMatch);
   } catch (error) {
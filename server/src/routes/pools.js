@@ -3,7 +3,8 @@ const mongoose = require('mongoose');
 
 const Pool = require('../models/Pool');
 const TournamentTeam = require('../models/TournamentTeam');
-const { DEFAULT_15_TEAM_FORMAT_ID, getFormat } = require('../tournamentFormats/formatRegistry');
+const { DEFAULT_15_TEAM_FORMAT_ID } = require('../tournamentFormats/formatRegistry');
+const { resolveFormat } = require('../services/customFormats');
 const { requireAuth } = require('../middleware/auth');
 const { recomputePhase2RematchWarnings } = require('../services/phase2');
 const { normalizeCourtCode } = require('../services/phase1');
@@ -78,7 +79,7 @@ async function resolveRequiredTeamCountFromFormat(pool, tournament) {
     return null;
   }
 
-  const formatDef = getFormat(formatId);
+  const formatDef = await resolveFormat(formatId);
   if (!formatDef || !Array.isArray(formatDef.stages)) {
     return null;
   }
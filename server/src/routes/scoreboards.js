@@ -1,8 +1,45 @@
 const express = require('express');
 const mongoose = require('mongoose');
 const Scoreboard = require('../models/Scoreboard');
-const { requireAuth } = require('../middleware/auth');
-const { MAX_TITLE_LENGTH, createScoreboard } = require('../services/scoreboards');
+const { requireAuth, resolveUserFromToken } = require('../middleware/auth');
+const {
+  MAX_TITLE_LENGTH,
+  SCOREBOARD_COMMANDS,
+  createScoreboard,
+  runScoreboardCommand,
+} = require('../services/scoreboards');
+const {
+  broadcastScoreboardResult,
+  emitScoreboardState,
+} = require('../services/scoreboardBroadcast');
+const { getScoreboardChannel, openEventStream } = require('../services/liveEventStream');
+const {
+  createScoreboardApiToken,
+  deleteScoreboardApiTokens,
+  isScoreboardApiToken,
+  listScoreboardApiTokens,
+  revokeScoreboardApiToken,
+} = require('../services/scoreboardApiTokens');
+const { sanitizeOverlayPresets } = require('../services/overlayPresets');
+const {
+  FEED_FORMATS,
+  loadScoreboardFeed,
+  serializeFeedCsv,
+  serializeFeedXml,
+} = require('../services/scoreboardFeed');
+const {
+  deleteRallyEvents,
+  flushPendingRallyEvents,
+  listRallyEvents,
+  replayRallyLog,
+  serializeRallyEvent,
+} = require('../services/rallyLog');
+const {
+  SCORER_TOKEN_MAX_TTL_MINUTES,
+  createScorerToken,
+  requireScoreboardWriteAccess,
+  resolveScoreboardWriteAccess,
+} = require('../services/scoreboardAccess');
 
 const router = express.Router();
 
@@ -11,6 +48,32 @@ const resolveScoreboardQuery = (idOrCode) =>
     ? { _id: idOrCode }
     : { code: idOrCode.toUpperCase() };
 
+const readBearerToken = (req) => {
+  const header = req.headers.authorization;
+  return header && header.startsWith('Bearer ') ? header.slice(7).trim() : '';
+};
+
+// API tokens are managed by account holders with write access (owner/tournament admin)
+const loadApiTokenManagedScoreboard = async (req, res) => {
+  const scoreboard = await Scoreboard.findOne(resolveScoreboardQuery(req.params.idOrCode))
+    .select('_id owner')
+    .lean();
+
+  if (!scoreboard) {
+    res.status(404).json({ message: 'Scoreboard not found' });
+    return null;
+  }
+
+  const role = await resolveScoreboardWriteAccess({ scoreboard, userId: req.user.id });
+
+  if (!role) {
+    res.status(403).json({ message: 'Not authorized to manage API tokens for this scoreboard' });
+    return null;
+  }
+
+  return scoreboard;
+};
+
 // POST /api/scoreboards -> create a new scoreboard instance
 router.post('/', requireAuth, async (req, res, next) => {
   try {
@@ -55,7 +118,17 @@ router.post('/guest', async (req, res, next) => {
       temporary: true,
     });
 
-    res.status(201).json(scoreboard.toObject());
+    // Guests have no account, so the creator gets a scorer token for the board's lifetime
+    const { token: scorerToken, expiresAt: scorerTokenExpiresAt } = createScorerToken(
+      scoreboard._id,
+      { ttlMinutes: SCORER_TOKEN_MAX_TTL_MINUTES }
+    );
+
+    res.status(201).json({
+      ...scoreboard.toObject(),
+      scorerToken,
+      scorerTokenExpiresAt,
+    });
   } catch (error) {
     next(error);
   }
@@ -93,6 +166,267 @@ router.get('/:idOrCode', async (req, res, next) => {
   }
 });
 
+// GET /api/scoreboards/:id/rallies -> public point-by-point rally log (optionally ?set=<setNo>)
+router.get('/:idOrCode/rallies', async (req, res, next) => {
+  try {
+    const { idOrCode } = req.params;
+    const query = resolveScoreboardQuery(idOrCode);
+    const rawSetNo = req.query?.set;
+    const setNo = rawSetNo === undefined ? null : Number(rawSetNo);
+
+    if (setNo !== null && (!Number.isInteger(setNo) || setNo < 1)) {
+      return res.status(400).json({ message: 'set must be a positive integer' });
+    }
+
+    const scoreboard = await Scoreboard.findOne(query).select('_id +pendingRallyEvents').lean();
+
+    if (!scoreboard) {
+      return res.status(404).json({ message: 'Scoreboard not found' });
+    }
+
+    await flushPendingRallyEvents(scoreboard._id, scoreboard.pendingRallyEvents);
+    const events = await listRallyEvents(scoreboard._id);
+    const liveState = replayRallyLog(events);
+    const filteredEvents =
+      setNo === null ? events : events.filter((event) => event.setIndex === setNo - 1);
+
+    return res.json({
+      scoreboardId: scoreboard._id.toString(),
+      live: {
+        setNo: liveState.setIndex + 1,
+        scores: liveState.scores,
+      },
+      events: filteredEvents.map(serializeRallyEvent),
+    });
+  } catch (error) {
+    return next(error);
+  }
+});
+
+// GET /api/scoreboards/:id/feed.(json|xml|csv) -> flat live state for vMix/OBS/CasparCG data sources
+router.get('/:idOrCode/feed.:format', async (req, res, next) => {
+  try {
+    const { idOrCode, format } = req.params;
+
+    if (!FEED_FORMATS.includes(format)) {
+      return res.status(404).json({ message: 'Unknown feed format' });
+    }
+
+    const feed = await loadScoreboardFeed(idOrCode);
+
+    if (!feed) {
+      return res.status(404).json({ message: 'Scoreboard not found' });
+    }
+
+    // Pollers revalidate every request; Express answers unchanged bodies with 304 via ETag
+    res.set('Cache-Control', 'no-cache');
+
+    if (format === 'xml') {
+      return res.type('application/xml').send(serializeFeedXml(feed));
+    }
+
+    if (format === 'csv') {
+      return res.type('text/csv').send(serializeFeedCsv(feed));
+    }
+
+    return res.json(feed);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/scoreboards/:id/events -> Server-Sent Events stream of scoreboard:state for socket-free clients
+router.get('/:idOrCode/events', async (req, res, next) => {
+  try {
+    const query = resolveScoreboardQuery(req.params.idOrCode);
+    const scoreboard = await Scoreboard.findOne(query).lean();
+
+    if (!scoreboard) {
+      return res.status(404).json({ message: 'Scoreboard not found' });
+    }
+
+    return openEventStream(req, res, getScoreboardChannel(scoreboard._id), {
+      snapshot: { event: 'scoreboard:state', data: scoreboard },
+    });
+  } catch (error) {
+    return next(error);
+  }
+});
+
+// POST /api/scoreboards/:id/scorer-tokens -> issue a short-lived scorer token (owner/tournament admin)
+router.post('/:idOrCode/scorer-tokens', requireAuth, async (req, res, next) => {
+  try {
+    const { idOrCode } = req.params;
+    const query = resolveScoreboardQuery(idOrCode);
+
+    const scoreboard = await Scoreboard.findOne(query).select('_id owner').lean();
+
+    if (!scoreboard) {
+      return res.status(404).json({ message: 'Scoreboard not found' });
+    }
+
+    const role = await resolveScoreboardWriteAccess({ scoreboard, userId: req.user.id });
+
+    if (!role) {
+      return res.status(403).json({ message: 'Not authorized to share this scoreboard' });
+    }
+
+    const { token, expiresAt } = createScorerToken(scoreboard._id, {
+      ttlMinutes: req.body?.ttlMinutes,
+    });
+
+    return res.status(201).json({
+      scoreboardId: scoreboard._id.toString(),
+      token,
+      expiresAt,
+    });
+  } catch (error) {
+    return next(error);
+  }
+});
+
+// GET /api/scoreboards/:id/api-tokens -> list API tokens (names and prefixes only)
+router.get('/:idOrCode/api-tokens', requireAuth, async (req, res, next) => {
+  try {
+    const scoreboard = await loadApiTokenManagedScoreboard(req, res);
+
+    if (!scoreboard) {
+      return undefined;
+    }
+
+    return res.json({ apiTokens: await listScoreboardApiTokens(scoreboard._id) });
+  } catch (error) {
+    return next(error);
+  }
+});
+
+// POST /api/scoreboards/:id/api-tokens -> issue a named API token; the secret is returned once
+router.post('/:idOrCode/api-tokens', requireAuth, async (req, res, next) => {
+  try {
+    const scoreboard = await loadApiTokenManagedScoreboard(req, res);
+
+    if (!scoreboard) {
+      return undefined;
+    }
+
+    const { token, apiToken } = await createScoreboardApiToken({
+      scoreboardId: scoreboard._id,
+      name: req.body?.name,
+      userId: req.user.id,
+    });
+
+    return res.status(201).json({ token, apiToken });
+  } catch (error) {
+    return next(error);
+  }
+});
+
+// DELETE /api/scoreboards/:id/api-tokens/:tokenId -> revoke an API token
+router.delete('/:idOrCode/api-tokens/:tokenId', requireAuth, async (req, res, next) => {
+  try {
+    const scoreboard = await loadApiTokenManagedScoreboard(req, res);
+
+    if (!scoreboard) {
+      return undefined;
+    }
+
+    const { tokenId } = req.params;
+    const revoked =
+      mongoose.Types.ObjectId.isValid(tokenId) &&
+      (await revokeScoreboardApiToken({ scoreboardId: scoreboard._id, tokenId }));
+
+    if (!revoked) {
+      return res.status(404).json({ message: 'API token not found' });
+    }
+
+    return res.json({ id: tokenId });
+  } catch (error) {
+    return next(error);
+  }
+});
+
+// POST /api/scoreboards/:id/commands/:command -> score from hardware controllers
+// (point-home, point-away, undo, toggle-serve, end-set, reset). Accepts a scoreboard
+// API token, a scorer token, or an account JWT as the bearer token.
+router.post('/:idOrCode/commands/:command', async (req, res, next) => {
+  try {
+    const { idOrCode, command } = req.params;
+    const token = readBearerToken(req);
+
+    if (!token) {
+      return res.status(401).json({ message: 'Unauthorized' });
+    }
+
+    if (!SCOREBOARD_COMMANDS.includes(command)) {
+      return res.status(404).json({ message: `Unknown command: ${command}` });
+    }
+
+    const isApiToken = isScoreboardApiToken(token);
+    const user = isApiToken ? null : await resolveUserFromToken(token);
+    const { scoreboard } = await requireScoreboardWriteAccess({
+      query: resolveScoreboardQuery(idOrCode),
+      userId: user?.id,
+      scorerToken: isApiToken ? null : token,
+      apiToken: isApiToken ? token : null,
+    });
+
+    const result = await runScoreboardCommand({
+      query: { _id: scoreboard._id },
+      actor: { userId: user?.id ?? null, socketId: null },
+      command,
+    });
+
+    if (!result) {
+      return res.status(404).json({ message: 'Scoreboard not found' });
+    }
+
+    await broadcastScoreboardResult(req.app?.get('io'), result);
+
+    return res.json({ command, scoreboard: result.scoreboard });
+  } catch (error) {
+    return next(error);
+  }
+});
+
+// PUT /api/scoreboards/:id/overlay-presets -> replace saved overlay presets (owner/tournament admin)
+router.put('/:idOrCode/overlay-presets', requireAuth, async (req, res, next) => {
+  try {
+    const { idOrCode } = req.params;
+    const query = resolveScoreboardQuery(idOrCode);
+
+    const scoreboard = await Scoreboard.findOne(query).select('_id owner').lean();
+
+    if (!scoreboard) {
+      return res.status(404).json({ message: 'Scoreboard not found' });
+    }
+
+    const role = await resolveScoreboardWriteAccess({ scoreboard, userId: req.user.id });
+
+    if (!role) {
+      return res.status(403).json({ message: 'Not authorized to edit this scoreboard' });
+    }
+
+    const { presets, error } = sanitizeOverlayPresets(req.body?.presets);
+
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const updated = await Scoreboard.findByIdAndUpdate(
+      scoreboard._id,
+      { $set: { overlayPresets: presets }, $inc: { revision: 1 } },
+      { new: true, runValidators: true }
+    ).lean();
+
+    // Displays pick up preset changes live, and controllers need the bumped revision
+    emitScoreboardState(req.app?.get('io'), updated);
+
+    return res.json({ overlayPresets: updated.overlayPresets });
+  } catch (error) {
+    return next(error);
+  }
+});
+
 // PATCH /api/scoreboards/:id/claim -> attach a temporary scoreboard to the current user
 router.patch('/:idOrCode/claim', requireAuth, async (req, res, next) => {
   try {
@@ -113,6 +447,7 @@ router.patch('/:idOrCode/claim', requireAuth, async (req, res, next) => {
     scoreboard.owner = req.user.id;
     scoreboard.temporary = false;
     scoreboard.expiresAt = null;
+    scoreboard.revision = (scoreboard.revision ?? 0) + 1;
 
     if (!scoreboard.title?.trim()) {
       scoreboard.title = 'New Scoreboard';
@@ -120,10 +455,7 @@ router.patch('/:idOrCode/claim', requireAuth, async (req, res, next) => {
 
     await scoreboard.save();
 
-    const io = req.app?.get('io');
-    if (io && scoreboard?._id) {
-      io.to(scoreboard._id.toString()).emit('scoreboard:state', scoreboard.toObject());
-    }
+    emitScoreboardState(req.app?.get('io'), scoreboard.toObject());
 
     res.json(scoreboard.toObject());
   } catch (error) {
@@ -147,7 +479,7 @@ router.patch('/:id', requireAuth, async (req, res, next) => {
 
     const board = await Scoreboard.findOneAndUpdate(
       { _id: id, owner: { $in: ownerCandidates } },
-      { title: title.trim() },
+      { title: title.trim(), $inc: { revision: 1 } },
       { new: true, runValidators: true }
     );
 
@@ -159,7 +491,11 @@ router.patch('/:id', requireAuth, async (req, res, next) => {
         legacyBoard.owner = req.user.id;
         legacyBoard.temporary = false;
         legacyBoard.expiresAt = null;
+        legacyBoard.revision = (legacyBoard.revision ?? 0) + 1;
         await legacyBoard.save();
+
+        emitScoreboardState(req.app?.get('io'), legacyBoard.toObject());
+
         return res.json(legacyBoard.toObject());
       }
 
@@ -171,6 +507,9 @@ router.patch('/:id', requireAuth, async (req, res, next) => {
       return res.status(404).json({ message: 'Scoreboard not found or unauthorized' });
     }
 
+    // Renames bump the revision, so live controllers need the new one
+    emitScoreboardState(req.app?.get('io'), board.toObject());
+
     res.json(board.toObject());
   } catch (error) {
     next(error);
@@ -192,6 +531,9 @@ router.delete('/:id', requireAuth, async (req, res, next) => {
       return res.status(404).json({ message: 'Scoreboard not found or unauthorized' });
     }
 
+    await deleteRallyEvents(deleted._id);
+    await deleteScoreboardApiTokens(deleted._id);
+
     res.json({ message: 'Scoreboard deleted successfully', id });
   } catch (error) {
     next(error);
@@ -1,10 +1,20 @@
 const express = require('express');
 
+const { requireAuth, resolveUserFromToken } = require('../middleware/auth');
 const {
-  getFormat,
+  createCustomFormat,
+  deleteCustomFormat,
+  isFormatInUse,
+  loadCustomFormats,
+  resolveFormat,
+  updateCustomFormat,
+} = require('../services/customFormats');
+const {
+  isFormatVisibleTo,
   listFormats,
   suggestFormats,
 } = require('../tournamentFormats/formatRegistry');
+const { validateFormatDefinition } = require('../tournamentFormats/formatValidator');
 
 const router = express.Router();
 
@@ -17,7 +27,18 @@ const toPositiveInteger = (value) => {
   return Math.floor(parsed);
 };
 
-const toFormatSummary = (formatDef) => ({
+const readBearerToken = (req) => {
+  const header = req.headers.authorization;
+  return header && header.startsWith('Bearer ') ? header.slice(7).trim() : '';
+};
+
+// Listing is public; signed-in callers also see their own private custom formats
+const resolveOptionalUserId = async (req) => {
+  const user = await resolveUserFromToken(readBearerToken(req));
+  return user?.id || null;
+};
+
+const toFormatSummary = (formatDef, userId = null) => ({
   id: formatDef.id,
   name: formatDef.name,
   description: formatDef.description || '',
@@ -30,39 +51,109 @@ const toFormatSummary = (formatDef) => ({
   maxCourts: Number.isFinite(Number(formatDef.maxCourts))
     ? Number(formatDef.maxCourts)
     : null,
+  custom: Boolean(formatDef.custom),
+  shared: Boolean(formatDef.shared),
+  isOwner: Boolean(formatDef.custom && userId && formatDef.ownerId === userId),
 });
 
 // GET /api/tournament-formats
-router.get('/', (_req, res) => {
-  const formats = listFormats();
-  return res.json(formats.map(toFormatSummary));
+router.get('/', async (req, res, next) => {
+  try {
+    const userId = await resolveOptionalUserId(req);
+    await loadCustomFormats();
+    const formats = listFormats({ userId });
+    return res.json(formats.map((formatDef) => toFormatSummary(formatDef, userId)));
+  } catch (error) {
+    return next(error);
+  }
 });
 
 // GET /api/tournament-formats/suggest?teamCount=14&courtCount=5
-router.get('/suggest', (req, res) => {
-  const teamCount = toPositiveInteger(req.query?.teamCount);
-  const courtCount = toPositiveInteger(req.query?.courtCount);
+router.get('/suggest', async (req, res, next) => {
+  try {
+    const teamCount = toPositiveInteger(req.query?.teamCount);
+    const courtCount = toPositiveInteger(req.query?.courtCount);
 
-  if (!teamCount || !courtCount) {
-    return res.status(400).json({
-      message: 'teamCount and courtCount must be positive integers',
-    });
+    if (!teamCount || !courtCount) {
+      return res.status(400).json({
+        message: 'teamCount and courtCount must be positive integers',
+      });
+    }
+
+    const userId = await resolveOptionalUserId(req);
+    await loadCustomFormats();
+    const suggestions = suggestFormats(teamCount, courtCount, { userId });
+    return res.json(suggestions.map((formatDef) => toFormatSummary(formatDef, userId)));
+  } catch (error) {
+    return next(error);
   }
+});
+
+// POST /api/tournament-formats/validate -> check a format definition without saving it
+router.post('/validate', requireAuth, (req, res) => {
+  const { formatDef, errors } = validateFormatDefinition(req.body?.definition);
+  return res.json({ valid: errors.length === 0, errors, format: formatDef });
+});
 
-  const suggestions = suggestFormats(teamCount, courtCount);
-  return res.json(suggestions.map(toFormatSummary));
+// POST /api/tournament-formats -> save a custom format owned by the current user
+router.post('/', requireAuth, async (req, res, next) => {
+  try {
+    const formatDef = await createCustomFormat({
+      userId: req.user.id,
+      definition: req.body?.definition,
+      shared: req.body?.shared,
+    });
+    return res.status(201).json(formatDef);
+  } catch (error) {
+    return next(error);
+  }
 });
 
-// GET /api/tournament-formats/:formatId
-router.get('/:formatId', (req, res) => {
-  const formatId = typeof req.params?.formatId === 'string' ? req.params.formatId.trim() : '';
-  const formatDef = getFormat(formatId);
+// PUT /api/tournament-formats/:formatId -> replace a custom format (owner only)
+router.put('/:formatId', requireAuth, async (req, res, next) => {
+  try {
+    const formatDef = await updateCustomFormat({
+      userId: req.user.id,
+      formatId: req.params.formatId,
+      definition: req.body?.definition,
+      shared: req.body?.shared,
+    });
+    return res.json(formatDef);
+  } catch (error) {
+    return next(error);
+  }
+});
 
-  if (!formatDef) {
-    return res.status(404).json({ message: 'Format not found' });
+// DELETE /api/tournament-formats/:formatId -> remove an unused custom format (owner only)
+router.delete('/:formatId', requireAuth, async (req, res, next) => {
+  try {
+    await deleteCustomFormat({ userId: req.user.id, formatId: req.params.formatId });
+    return res.json({ id: req.params.formatId });
+  } catch (error) {
+    return next(error);
   }
+});
+
+// GET /api/tournament-formats/:formatId -> built-in, shared, own, or in use by a tournament
+router.get('/:formatId', async (req, res, next) => {
+  try {
+    const formatId = typeof req.params?.formatId === 'string' ? req.params.formatId.trim() : '';
+    const formatDef = await resolveFormat(formatId);
+    const userId = formatDef ? await resolveOptionalUserId(req) : null;
+    // Private formats stay readable once applied, so a tournament's pages can still load them
+    const canRead =
+      isFormatVisibleTo(formatDef, userId) ||
+      (formatDef?.custom && (await isFormatInUse(formatDef.id)));
 
-  return res.json(formatDef);
+    if (!formatDef || !canRead) {
+      return res.status(404).json({ message: 'Format not found' });
+    }
+
+    const { ownerId, ...publicFormatDef } = formatDef;
+    return res.json(publicFormatDef);
+  } catch (error) {
+    return next(error);
+  }
 });
 
 module.exports = router;
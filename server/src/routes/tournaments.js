@@ -28,27 +28,35 @@ const {
   PHASE2_MATCH_ORDER,
   PHASE2_POOL_NAMES,
   buildPhase2PoolsFromPhase1Results,
+  loadFinalizedPlayedPairs,
 } = require('../services/phase2');
 const {
   DEFAULT_15_TEAM_FORMAT_ID,
-  getFormat,
+  isFormatVisibleTo,
 } = require('../tournamentFormats/formatRegistry');
+const { resolveFormat } = require('../services/customFormats');
 const {
   generatePlayoffsFromFormat,
   generateRoundRobinMatches,
   instantiatePools,
+  pairSwissRound,
   resolvePoolPhase,
   resolveStage,
   schedulePlayoffMatches,
+  scheduleSwissRoundMatches,
 } = require('../tournamentEngine/formatEngine');
 const { createMatchScoreboard, createScoreboard } = require('../services/scoreboards');
 const { computeStandingsBundle } = require('../services/tournamentEngine/standings');
+const { loadTournamentTicker } = require('../services/tournamentOverlays');
 const {
   PLAYOFF_BRACKETS,
   buildPlayoffBracketView,
   buildPlayoffOpsSchedule,
+  buildPlayoffRoundLabels,
   buildPlayoffSeedAssignments,
   createPlayoffMatchPlan,
+  getPlayoffRoundRank,
+  isIfNecessaryMatchSkipped,
   recomputePlayoffBracketProgression,
 } = require('../services/playoffs');
 const {
@@ -65,8 +73,10 @@ const {
   cacheTournamentMatchEntry,
   emitTournamentEvent,
 } = require('../services/tournamentRealtime');
+const { getTournamentChannel, openEventStream } = require('../services/liveEventStream');
 const {
   formatRankRefLabel: formatScheduleRankRefLabel,
+  resolveOpenCourtSlots,
   resolveRoundBlockStartMinutes: resolveSchedulePlanRoundBlockStartMinutes,
   syncSchedulePlan,
 } = require('../services/schedulePlan');
@@ -856,7 +866,7 @@ async function persistShareLinkWithUniqueToken(shareLink) {
   throw error;
 }
 
-function getTournamentFormatContext(tournament, teamCount) {
+async function getTournamentFormatContext(tournament, teamCount) {
   const availableCourts = flattenFacilityCourts(tournament?.facilities);
   const explicitFormatId = tournament?.settings?.format?.formatId;
   const formatId = resolveDefaultFormatId({
@@ -865,7 +875,7 @@ function getTournamentFormatContext(tournament, teamCount) {
   });
   const venueState = resolveTournamentVenueState(tournament);
   const activeCourts = venueToLegacyCourtNames(venueState.venue, { enabledOnly: true });
-  const formatDef = formatId ? getFormat(formatId) : null;
+  const formatDef = formatId ? await resolveFormat(formatId) : null;
 
   return {
     formatId,
@@ -1623,6 +1633,8 @@ function serializeMatch(match) {
     teamAFromSlot: match?.teamAFromSlot ?? null,
     teamBFromMatchId: toIdString(match?.teamBFromMatchId),
     teamBFromSlot: match?.teamBFromSlot ?? null,
+    ifNecessary: Boolean(match?.ifNecessary),
+    swissRound: match?.swissRound ?? null,
     roundBlock: match?.roundBlock ?? null,
     facility: match?.facility ?? null,
     court: match?.court ?? null,
@@ -1846,6 +1858,7 @@ function formatStandingsPayload(standings) {
           pointsFor: team.pointsFor ?? 0,
           pointsAgainst: team.pointsAgainst ?? 0,
           pointDiff: team.pointDiff ?? 0,
+          ...(Number.isFinite(team.opponentWinPct) ? { opponentWinPct: team.opponentWinPct } : {}),
         }))
       : [],
   };
@@ -1973,15 +1986,7 @@ async function computePlayoffGenerationRanking(tournamentId) {
   };
 }
 
-const parseRoundRank = (roundLabel) => {
-  const normalized = typeof roundLabel === 'string' ? roundLabel.trim().toUpperCase() : '';
-  const matched = /^R(\d+)$/.exec(normalized);
-  if (!matched) {
-    return Number.MAX_SAFE_INTEGER;
-  }
-
-  return Number(matched[1]);
-};
+const parseRoundRank = (roundLabel) => getPlayoffRoundRank(roundLabel);
 
 function buildBracketOrder(formatDef, matches) {
   const fromFormat = (getPlayoffStage(formatDef)?.brackets || [])
@@ -2113,14 +2118,19 @@ function buildGenericPlayoffBracketView(matches, bracketOrder, formatDef) {
   );
   const bracketState = {};
   const seedBuckets = new Map();
+  const matchesById = new Map(
+    (Array.isArray(matches) ? matches : []).map((match) => [toIdString(match?._id), match])
+  );
 
   orderedBracketKeys.forEach((bracketKey) => {
     bracketState[bracketKey] = {
       bracket: bracketKey,
       label: resolveBracketLabelFromKey(bracketKey),
+      type: bracketDefsByKey.get(bracketKey)?.type || null,
       seeds: [],
       rounds: {},
       roundOrder: [],
+      roundLabels: {},
     };
     seedBuckets.set(bracketKey, new Map());
   });
@@ -2130,9 +2140,11 @@ function buildGenericPlayoffBracketView(matches, bracketOrder, formatDef) {
       bracketState[bracketKey] = {
         bracket: bracketKey,
         label: resolveBracketLabelFromKey(bracketKey),
+        type: null,
         seeds: [],
         rounds: {},
         roundOrder: [],
+        roundLabels: {},
       };
       seedBuckets.set(bracketKey, new Map());
     }
@@ -2180,7 +2192,17 @@ function buildGenericPlayoffBracketView(matches, bracketOrder, formatDef) {
     if (!Array.isArray(currentBracketState.rounds[roundKey])) {
       currentBracketState.rounds[roundKey] = [];
     }
-    currentBracketState.rounds[roundKey].push(match);
+    currentBracketState.rounds[roundKey].push(
+      match?.ifNecessary
+        ? {
+            ...match,
+            skipped: isIfNecessaryMatchSkipped(
+              match,
+              matchesById.get(toIdString(match?.teamAFromMatchId))
+            ),
+          }
+        : match
+    );
 
     addSeedEntry(bracketKey, match?.seedA, match?.teamAId?._id || match?.teamAId, match?.teamA);
     addSeedEntry(bracketKey, match?.seedB, match?.teamBId?._id || match?.teamBId, match?.teamB);
@@ -2201,6 +2223,7 @@ function buildGenericPlayoffBracketView(matches, bracketOrder, formatDef) {
       }
       return left.localeCompare(right);
     });
+    state.roundLabels = buildPlayoffRoundLabels(state.roundOrder);
     state.roundOrder.forEach((roundKey) => {
       state.rounds[roundKey].sort((left, right) => {
         const bySeedA = (Number(left?.seedA) || Number.MAX_SAFE_INTEGER) - (Number(right?.seedA) || Number.MAX_SAFE_INTEGER);
@@ -2250,12 +2273,16 @@ function buildGenericPlayoffOpsSchedule(matches, bracketView) {
       .map((match) => {
         const bracketKey = normalizeBracket(match?.bracket);
         const bracketLabel = labelByBracket.get(bracketKey) || resolveBracketLabelFromKey(bracketKey);
+        const namedRound = bracketView?.[bracketKey]?.roundLabels?.[match?.bracketRound];
         return {
           roundBlock,
           facility: match?.facility || getFacilityFromCourt(match?.court),
           court: match?.court || null,
           matchId: match?._id || null,
-          matchLabel: createDynamicRoundLabel(match, bracketLabel),
+          matchLabel:
+            namedRound && !(match?.seedA && match?.seedB)
+              ? `${bracketLabel} ${namedRound}`
+              : createDynamicRoundLabel(match, bracketLabel),
           bracket: match?.bracket || null,
           bracketRound: match?.bracketRound || null,
           teams: {
@@ -3427,6 +3454,56 @@ function serializeLegacyCourtScheduleMatch(slotView) {
   };
 }
 
+function listPublicCourts(venue) {
+  const venueCourts = getEnabledCourts(venue);
+
+  return venueCourts.length > 0
+    ? venueCourts.map((court) => ({
+        code: court.courtId,
+        label: court.courtName,
+        facility: court.facilityId,
+        facilityLabel: court.facilityName || '',
+      }))
+    : PHASE1_COURT_ORDER.map((courtCode) => ({
+        code: courtCode,
+        label: mapCourtDisplayLabel(courtCode),
+        facility: getFacilityFromCourt(courtCode),
+        facilityLabel: FACILITY_LABELS[getFacilityFromCourt(courtCode)] || getFacilityFromCourt(courtCode),
+      }));
+}
+
+function isSlotOnCourt(slotView, courtLookupKeys) {
+  return [
+    normalizeCourtLookupKey(slotView?.courtCode),
+    normalizeCourtLookupKey(slotView?.courtLabel),
+  ].some((lookupKey) => lookupKey && courtLookupKeys.has(lookupKey));
+}
+
+const VIDEO_WALL_DONE_STATUSES = new Set(['final', 'ended']);
+
+// Current = the live match, else the next match still to play, else the court's last match
+function buildVideoWallCourtTile(court, courtSlots) {
+  const matchSlots = sortSchedulePlanSlotsByTime(
+    courtSlots.filter((slot) => normalizeSchedulePlanSlotKind(slot?.kind) === 'match')
+  );
+  const liveIndex = matchSlots.findIndex((slot) => slot.status === 'live');
+  const pendingIndex = matchSlots.findIndex((slot) => !VIDEO_WALL_DONE_STATUSES.has(slot.status));
+  const currentIndex = liveIndex >= 0
+    ? liveIndex
+    : pendingIndex >= 0
+      ? pendingIndex
+      : matchSlots.length - 1;
+  const next = matchSlots.find(
+    (slot, index) => index > currentIndex && !VIDEO_WALL_DONE_STATUSES.has(slot.status)
+  );
+
+  return {
+    court,
+    current: currentIndex >= 0 ? matchSlots[currentIndex] : null,
+    next: next || null,
+  };
+}
+
 const TEAM_TIMELINE_ROLE_META = Object.freeze({
   PLAY: {
     roleLabel: 'PLAY',
@@ -3596,6 +3673,7 @@ function sanitizePlayoffMatchForPublic(match) {
     teamAFromSlot: match?.teamAFromSlot ?? null,
     teamBFromMatchId: match?.teamBFromMatchId ?? null,
     teamBFromSlot: match?.teamBFromSlot ?? null,
+    ifNecessary: Boolean(match?.ifNecessary),
     roundBlock: match?.roundBlock ?? null,
     facility: match?.facility ?? null,
     court: match?.court ?? null,
@@ -4301,8 +4379,24 @@ async function generateGenericPlayoffStageMatches({
   const createdScoreboardIds = [];
   const createdMatchByKey = new Map();
   const phase = resolvePoolPhase(formatDef, stageDef.key, stageDef);
-  const roundLabel = (round) => {
-    const numericRound = Number(round);
+  const roundLabelsByBracket = new Map(
+    brackets.map((bracketDef) => {
+      const bracketKey = normalizeBracket(bracketDef?.name);
+      const roundKeys = uniqueValues(
+        allPlannedMatches
+          .filter((plannedMatch) => plannedMatch.bracket === bracketKey)
+          .map((plannedMatch) => plannedMatch.bracketRound)
+      );
+      return [bracketKey, buildPlayoffRoundLabels(roundKeys)];
+    })
+  );
+  const roundLabel = (plannedMatch) => {
+    const namedRoundLabel = roundLabelsByBracket.get(plannedMatch.bracket)?.[plannedMatch.bracketRound];
+    if (namedRoundLabel) {
+      return namedRoundLabel;
+    }
+
+    const numericRound = Number(plannedMatch.round);
     return Number.isFinite(numericRound) && numericRound > 0 ? `Round ${numericRound}` : 'Round';
   };
 
@@ -4319,10 +4413,10 @@ async function generateGenericPlayoffStageMatches({
 
       const scoreboard = await createScoreboard({
         ownerId: userId,
-        title: `${plannedMatch.bracket} ${roundLabel(plannedMatch.round)}`,
+        title: `${plannedMatch.bracket} ${roundLabel(plannedMatch)}`,
         teams: [
-          { name: teamA?.shortName || teamA?.name || 'TBD' },
-          { name: teamB?.shortName || teamB?.name || 'TBD' },
+          { name: teamA?.shortName || teamA?.name || 'TBD', logoUrl: teamA?.logoUrl },
+          { name: teamB?.shortName || teamB?.name || 'TBD', logoUrl: teamB?.logoUrl },
         ],
         servingTeamIndex: null,
         temporary: false,
@@ -4344,6 +4438,7 @@ async function generateGenericPlayoffStageMatches({
         teamAFromSlot: plannedMatch.teamAFromSlot || null,
         teamBFromMatchId: teamBFromMatch?._id || null,
         teamBFromSlot: plannedMatch.teamBFromSlot || null,
+        ifNecessary: plannedMatch.ifNecessary === true,
         refTeamIds: [],
         roundBlock: plannedMatch.roundBlock,
         facility: plannedMatch.facility,
@@ -4389,6 +4484,205 @@ async function generateGenericPlayoffStageMatches({
   return loadMatchesForResponse({ _id: { $in: createdMatchIds } });
 }
 
+// Round-by-round state of a Swiss stage, read from the matches generated so far
+async function loadSwissStageProgress(tournamentId, stageDef) {
+  const stageMatches = await Match.find({ tournamentId, stageKey: stageDef.key })
+    .select('swissRound roundBlock status byeTeamId')
+    .lean();
+  const currentRound = stageMatches.reduce(
+    (maxValue, match) => Math.max(maxValue, toPositiveInteger(match?.swissRound) || 0),
+    0
+  );
+
+  return {
+    currentRound,
+    totalRounds: toPositiveInteger(stageDef?.rounds) || 0,
+    pendingMatchCount: stageMatches.filter(
+      (match) => match?.swissRound === currentRound && match?.status !== 'final'
+    ).length,
+    lastRoundBlock: stageMatches.reduce((maxValue, match) => {
+      const roundBlock = Number(match?.roundBlock);
+      return Number.isFinite(roundBlock) ? Math.max(maxValue, Math.floor(roundBlock)) : maxValue;
+    }, 0),
+    byeTeamIds: uniqueValues(stageMatches.map((match) => toIdString(match?.byeTeamId)).filter(Boolean)),
+  };
+}
+
+/**
+ * Claims `round` of a Swiss stage for one request. The counter must still read the previous
+ * round (or be unset on stages generated before it existed), so when two requests race
+ * only one gets the tournament back; the other gets null.
+ */
+function claimSwissRound(tournamentId, stageKey, round) {
+  const path = `swissRounds.${stageKey}`;
+
+  return Tournament.findOneAndUpdate(
+    { _id: tournamentId, [path]: { $in: [round - 1, null] } },
+    { $set: { [path]: round } },
+    { new: true, projection: { _id: 1 } }
+  ).lean();
+}
+
+// Hands a claimed round back after its generation failed, so it can be retried
+function releaseSwissRound(tournamentId, stageKey, round) {
+  const path = `swissRounds.${stageKey}`;
+
+  return Tournament.updateOne({ _id: tournamentId, [path]: round }, { $set: { [path]: round - 1 } });
+}
+
+/**
+ * Generates the round after `progress.currentRound`, the state the caller checked. Returns
+ * null when another request claimed that round first.
+ */
+async function generateSwissRoundMatches({
+  tournamentId,
+  userId,
+  tournament,
+  formatDef,
+  stageDef,
+  progress,
+}) {
+  const round = progress.currentRound + 1;
+
+  if (!(await claimSwissRound(tournamentId, stageDef.key, round))) {
+    return null;
+  }
+
+  try {
+    return await createSwissRoundMatches({
+      tournamentId,
+      userId,
+      tournament,
+      formatDef,
+      stageDef,
+      progress,
+      round,
+    });
+  } catch (error) {
+    await releaseSwissRound(tournamentId, stageDef.key, round);
+    throw error;
+  }
+}
+
+async function createSwissRoundMatches({
+  tournamentId,
+  userId,
+  tournament,
+  formatDef,
+  stageDef,
+  progress,
+  round,
+}) {
+  const phase = resolvePoolPhase(formatDef, stageDef.key, stageDef);
+  const [teams, standings, playedPairs] = await Promise.all([
+    TournamentTeam.find({ tournamentId })
+      .select('name shortName logoUrl seed orderIndex createdAt')
+      .lean(),
+    computeStandingsBundle(tournamentId, phase, { stageKey: stageDef.key }),
+    loadFinalizedPlayedPairs(tournamentId, { stageKey: stageDef.key }),
+  ]);
+  const teamsById = new Map(teams.map((team) => [toIdString(team._id), team]));
+  // Round 1 goes by seed; later rounds by the standings from finalized matches
+  const rankedTeamIds =
+    round === 1
+      ? teams
+          .slice()
+          .sort(
+            (left, right) =>
+              (left?.seed ?? Number.MAX_SAFE_INTEGER) - (right?.seed ?? Number.MAX_SAFE_INTEGER) ||
+              compareTeamsByTournamentOrder(left, right)
+          )
+          .map((team) => toIdString(team._id))
+      : (Array.isArray(standings?.overall) ? standings.overall : [])
+          .map((entry) => toIdString(entry.teamId))
+          .filter((teamId) => teamsById.has(teamId));
+  const { pairs, byeTeamId } = pairSwissRound(rankedTeamIds, {
+    round,
+    playedPairs,
+    byeTeamIds: progress.byeTeamIds,
+  });
+
+  if (pairs.length === 0) {
+    throw new Error('Swiss stage requires at least two teams');
+  }
+
+  const startRoundBlock =
+    round === 1
+      ? await resolveStageStartRoundBlock(tournamentId, formatDef, stageDef.key)
+      : progress.lastRoundBlock + 1;
+  const openSlots = await resolveOpenCourtSlots({
+    tournamentId,
+    count: pairs.length,
+    startRoundBlock,
+  });
+  const scheduledMatches = scheduleSwissRoundMatches(
+    pairs,
+    openSlots.map((slot) => ({ roundBlock: slot.roundBlock, court: slot.courtId || slot.courtName })),
+    byeTeamId
+  );
+  const venueState = resolveTournamentVenueState(tournament);
+  const scoring = normalizeScoringConfig(tournament?.settings?.scoring);
+  const createdMatchIds = [];
+  const createdScoreboardIds = [];
+
+  try {
+    for (let index = 0; index < scheduledMatches.length; index += 1) {
+      const scheduledMatch = scheduledMatches[index];
+      const resolvedVenueCourt = findCourtInVenue(venueState.venue, scheduledMatch.court);
+      const court = resolvedVenueCourt?.courtName || scheduledMatch.court;
+      const scoreboard = await createMatchScoreboard({
+        ownerId: userId,
+        title: `${stageDef.displayName || stageDef.key} R${round} #${index + 1}`,
+        teamA: teamsById.get(scheduledMatch.teamAId),
+        teamB: teamsById.get(scheduledMatch.teamBId),
+        scoring,
+      });
+      const match = await Match.create({
+        tournamentId,
+        phase,
+        stageKey: stageDef.key,
+        poolId: null,
+        swissRound: round,
+        roundBlock: scheduledMatch.roundBlock,
+        facility: getFacilityFromCourt(court) || resolvedVenueCourt?.facilityName || null,
+        court,
+        facilityId: resolvedVenueCourt?.facilityId || null,
+        courtId: resolvedVenueCourt?.courtId || null,
+        teamAId: scheduledMatch.teamAId,
+        teamBId: scheduledMatch.teamBId,
+        refTeamIds: scheduledMatch.refTeamIds,
+        // The bye is recorded once per round, on its first match
+        byeTeamId: index === 0 ? byeTeamId : null,
+        scoreboardId: scoreboard._id,
+        status: 'scheduled',
+      });
+
+      cacheTournamentMatchEntry({
+        scoreboardId: scoreboard._id,
+        matchId: match._id,
+        tournamentCode: tournament.publicCode,
+      });
+
+      createdScoreboardIds.push(toIdString(scoreboard._id));
+      createdMatchIds.push(toIdString(match._id));
+    }
+  } catch (error) {
+    if (createdMatchIds.length > 0) {
+      await Match.deleteMany({ _id: { $in: createdMatchIds } });
+    }
+
+    if (createdScoreboardIds.length > 0) {
+      await Scoreboard.deleteMany({ _id: { $in: createdScoreboardIds } });
+    }
+
+    throw error;
+  }
+
+  await ensureTournamentStatusAtLeast(tournamentId, 'phase1');
+
+  return loadMatchesForResponse({ _id: { $in: createdMatchIds } });
+}
+
 // GET /api/tournaments/code/:publicCode -> public tournament + teams payload
 router.get('/code/:publicCode', async (req, res, next) => {
   try {
@@ -4497,7 +4791,7 @@ router.get('/code/:publicCode/live', async (req, res, next) => {
     }
 
     const teamCount = await TournamentTeam.countDocuments({ tournamentId: tournament._id });
-    const formatContext = getTournamentFormatContext(tournament, teamCount);
+    const formatContext = await getTournamentFormatContext(tournament, teamCount);
     const phaseLabels = buildPhaseLabelLookup(formatContext.formatDef);
 
     const liveMatches = await Match.find({
@@ -4522,6 +4816,30 @@ router.get('/code/:publicCode/live', async (req, res, next) => {
   }
 });
 
+// GET /api/tournaments/code/:publicCode/events -> Server-Sent Events stream of tournament:event envelopes
+router.get('/code/:publicCode/events', async (req, res, next) => {
+  try {
+    const publicCode = normalizePublicCode(req.params.publicCode);
+
+    if (!new RegExp(`^[A-Z0-9]{${CODE_LENGTH}}$`).test(publicCode)) {
+      return res.status(400).json({ message: 'Invalid tournament code' });
+    }
+
+    const tournament = await Tournament.findOne({ publicCode }).select('_id').lean();
+
+    if (!tournament) {
+      return res.status(404).json({ message: 'Tournament not found' });
+    }
+
+    // Without a resumable Last-Event-ID the client may have missed events, so it refetches
+    return openEventStream(req, res, getTournamentChannel(publicCode), {
+      snapshot: { event: 'resync', data: { tournamentCode: publicCode } },
+    });
+  } catch (error) {
+    return next(error);
+  }
+});
+
 // GET /api/tournaments/code/:publicCode/team/:teamCode -> public team-focused view payload
 router.get('/code/:publicCode/team/:teamCode', async (req, res, next) => {
   try {
@@ -4543,7 +4861,7 @@ router.get('/code/:publicCode/team/:teamCode', async (req, res, next) => {
     }
 
     const teamCount = await TournamentTeam.countDocuments({ tournamentId: tournament._id });
-    const formatContext = getTournamentFormatContext(tournament, teamCount);
+    const formatContext = await getTournamentFormatContext(tournament, teamCount);
     const phaseLabels = buildPhaseLabelLookup(formatContext.formatDef);
     const stageDefinitions = buildStageDefinitionLookup(formatContext.formatDef);
     const stageLabels = buildStageLabelLookup(formatContext.formatDef);
@@ -4922,25 +5240,9 @@ router.get('/code/:publicCode/courts', async (req, res, next) => {
     }
 
     const teamCount = await TournamentTeam.countDocuments({ tournamentId: tournament._id });
-    const formatContext = getTournamentFormatContext(tournament, teamCount);
-    const venueCourts = getEnabledCourts(formatContext.venue);
+    const formatContext = await getTournamentFormatContext(tournament, teamCount);
 
-    return res.json({
-      courts:
-        venueCourts.length > 0
-          ? venueCourts.map((court) => ({
-              code: court.courtId,
-              label: court.courtName,
-              facility: court.facilityId,
-              facilityLabel: court.facilityName || '',
-            }))
-          : PHASE1_COURT_ORDER.map((courtCode) => ({
-              code: courtCode,
-              label: mapCourtDisplayLabel(courtCode),
-              facility: getFacilityFromCourt(courtCode),
-              facilityLabel: FACILITY_LABELS[getFacilityFromCourt(courtCode)] || getFacilityFromCourt(courtCode),
-            })),
-    });
+    return res.json({ courts: listPublicCourts(formatContext.venue) });
   } catch (error) {
     return next(error);
   }
@@ -4973,7 +5275,7 @@ router.get('/code/:publicCode/courts/:courtCode/schedule', async (req, res, next
     }
 
     const teamCount = await TournamentTeam.countDocuments({ tournamentId: tournament._id });
-    const formatContext = getTournamentFormatContext(tournament, teamCount);
+    const formatContext = await getTournamentFormatContext(tournament, teamCount);
     const phaseLabels = buildPhaseLabelLookup(formatContext.formatDef);
     const stageDefinitions = buildStageDefinitionLookup(formatContext.formatDef);
     const stageLabels = buildStageLabelLookup(formatContext.formatDef);
@@ -5001,15 +5303,7 @@ router.get('/code/:publicCode/courts/:courtCode/schedule', async (req, res, next
       ? schedulePlanResult.slots
       : [];
     const responseSlots = sortSchedulePlanSlotsByTime(
-      allSlots.filter((slot) => {
-        const lookupKeys = new Set(
-          [
-            normalizeCourtLookupKey(slot?.courtCode),
-            normalizeCourtLookupKey(slot?.courtLabel),
-          ].filter(Boolean)
-        );
-        return Array.from(lookupKeys).some((lookupKey) => requestedCourtLookupKeys.has(lookupKey));
-      })
+      allSlots.filter((slot) => isSlotOnCourt(slot, requestedCourtLookupKeys))
     );
     const responseLegacyMatches = responseSlots
       .filter((slot) => normalizeSchedulePlanSlotKind(slot?.kind) === 'match')
@@ -5027,6 +5321,11 @@ router.get('/code/:publicCode/courts/:courtCode/schedule', async (req, res, next
           || FACILITY_LABELS[getFacilityFromCourt(legacyCourtCode || requestedCourtKey)]
           || getFacilityFromCourt(legacyCourtCode || requestedCourtKey),
       },
+      schedule: {
+        timezone: tournament.timezone || null,
+        matchDurationMinutes:
+          normalizeTournamentSchedule(tournament?.settings?.schedule).matchDurationMinutes,
+      },
       slots: responseSlots,
       matches: responseLegacyMatches,
     });
@@ -5035,6 +5334,60 @@ router.get('/code/:publicCode/courts/:courtCode/schedule', async (req, res, next
   }
 });
 
+// GET /api/tournaments/code/:publicCode/video-wall -> current + next match for every court
+router.get('/code/:publicCode/video-wall', async (req, res, next) => {
+  try {
+    const publicCode = normalizePublicCode(req.params.publicCode);
+
+    if (!new RegExp(`^[A-Z0-9]{${CODE_LENGTH}}$`).test(publicCode)) {
+      return res.status(400).json({ message: 'Invalid tournament code' });
+    }
+
+    const tournament = await Tournament.findOne({ publicCode })
+      .select(
+        '_id name publicCode timezone settings.schedule settings.schedulePlan settings.format settings.venue facilities'
+      )
+      .lean();
+
+    if (!tournament) {
+      return res.status(404).json({ message: 'Tournament not found' });
+    }
+
+    const teamCount = await TournamentTeam.countDocuments({ tournamentId: tournament._id });
+    const formatContext = await getTournamentFormatContext(tournament, teamCount);
+    const schedulePlanResult = await loadSchedulePlanSlotViews({
+      tournament,
+      formatContext,
+      phaseLabels: buildPhaseLabelLookup(formatContext.formatDef),
+      stageDefinitions: buildStageDefinitionLookup(formatContext.formatDef),
+      stageLabels: buildStageLabelLookup(formatContext.formatDef),
+      kindsFilter: ['match'],
+      includeLegacyFallback: true,
+      io: req.app?.get('io'),
+    });
+    const allSlots = Array.isArray(schedulePlanResult?.slots) ? schedulePlanResult.slots : [];
+
+    return res.json({
+      tournament: { name: tournament.name, publicCode: tournament.publicCode },
+      courts: listPublicCourts(formatContext.venue).map((court) => {
+        const courtLookupKeys = new Set(
+          [
+            normalizeCourtLookupKey(court.code),
+            normalizeCourtLookupKey(court.label),
+          ].filter(Boolean)
+        );
+
+        return buildVideoWallCourtTile(
+          court,
+          allSlots.filter((slot) => isSlotOnCourt(slot, courtLookupKeys))
+        );
+      }),
+    });
+  } catch (error) {
+    return next(error);
+  }
+});
+
 // GET /api/tournaments/code/:publicCode/schedule-plan -> public schedulePlan slot views
 router.get('/code/:publicCode/schedule-plan', async (req, res, next) => {
   try {
@@ -5053,7 +5406,7 @@ router.get('/code/:publicCode/schedule-plan', async (req, res, next) => {
     }
 
     const teamCount = await TournamentTeam.countDocuments({ tournamentId: tournament._id });
-    const formatContext = getTournamentFormatContext(tournament, teamCount);
+    const formatContext = await getTournamentFormatContext(tournament, teamCount);
     const phaseLabels = buildPhaseLabelLookup(formatContext.formatDef);
     const stageDefinitions = buildStageDefinitionLookup(formatContext.formatDef);
     const stageLabels = buildStageLabelLookup(formatContext.formatDef);
@@ -5175,7 +5528,7 @@ router.get('/code/:publicCode/playoffs', async (req, res, next) => {
     }
 
     const teamCount = await TournamentTeam.countDocuments({ tournamentId: tournament._id });
-    const formatContext = getTournamentFormatContext(tournament, teamCount);
+    const formatContext = await getTournamentFormatContext(tournament, teamCount);
     const phaseLabels = buildPhaseLabelLookup(formatContext.formatDef);
     const stageDefinitions = buildStageDefinitionLookup(formatContext.formatDef);
     const stageLabels = buildStageLabelLookup(formatContext.formatDef);
@@ -5266,6 +5619,47 @@ router.get('/code/:publicCode/standings', async (req, res, next) => {
   }
 });
 
+// GET /api/tournaments/code/:publicCode/overlay/ticker?phase=phase1|phase2|cumulative
+// -> recent results and standings for the broadcast ticker overlay
+router.get('/code/:publicCode/overlay/ticker', async (req, res, next) => {
+  try {
+    const publicCode = normalizePublicCode(req.params.publicCode);
+    const phase = normalizeStandingsPhase(req.query?.phase);
+
+    if (!new RegExp(`^[A-Z0-9]{${CODE_LENGTH}}$`).test(publicCode)) {
+      return res.status(400).json({ message: 'Invalid tournament code' });
+    }
+
+    const phaseError = validateStandingsPhaseFilter(phase);
+
+    if (phaseError) {
+      return res.status(400).json({ message: phaseError });
+    }
+
+    const tournament = await Tournament.findOne({ publicCode })
+      .select('_id name publicCode settings.format settings.venue facilities')
+      .lean();
+
+    if (!tournament) {
+      return res.status(404).json({ message: 'Tournament not found' });
+    }
+
+    const teamCount = await TournamentTeam.countDocuments({ tournamentId: tournament._id });
+    const formatContext = await getTournamentFormatContext(tournament, teamCount);
+    const items = await loadTournamentTicker(tournament._id, phase, {
+      phaseLabels: buildPhaseLabelLookup(formatContext.formatDef),
+    });
+
+    return res.json({
+      tournament: { name: tournament.name, publicCode: tournament.publicCode },
+      phase,
+      items,
+    });
+  } catch (error) {
+    return next(error);
+  }
+});
+
 // GET /api/tournaments -> list tournaments accessible by current user
 router.get('/', requireAuth, async (req, res, next) => {
   try {
@@ -5628,9 +6022,13 @@ router.post('/:id/apply-format', requireAuth, async (req, res, next) => {
     }
 
     const { tournament, teamCount } = ownedContext;
-    const formatDef = getFormat(requestedFormatId);
+    const formatDef = await resolveFormat(requestedFormatId);
+    // Private custom formats stay applicable to tournaments that already use them
+    const canUseFormat =
+      isFormatVisibleTo(formatDef, req.user.id) ||
+      tournament?.settings?.format?.formatId === requestedFormatId;
 
-    if (!formatDef) {
+    if (!formatDef || !canUseFormat) {
       return res.status(400).json({ message: 'Unknown formatId' });
     }
 
@@ -5932,7 +6330,7 @@ router.get('/:id/stages/:stageKey/pools', requireAuth, async (req, res, next) =>
       return res.status(404).json({ message: 'Tournament not found or unauthorized' });
     }
 
-    const formatContext = getTournamentFormatContext(
+    const formatContext = await getTournamentFormatContext(
       ownedContext.tournament,
       ownedContext.teamCount
     );
@@ -6008,7 +6406,7 @@ router.get('/:id/stages/:stageKey/matches', requireAuth, async (req, res, next)
       return res.status(404).json({ message: 'Tournament not found or unauthorized' });
     }
 
-    const formatContext = getTournamentFormatContext(
+    const formatContext = await getTournamentFormatContext(
       ownedContext.tournament,
       ownedContext.teamCount
     );
@@ -6056,7 +6454,7 @@ router.post('/:id/stages/:stageKey/pools/init', requireAuth, async (req, res, ne
     }
 
     const { tournament, teamCount } = ownedContext;
-    const formatContext = getTournamentFormatContext(tournament, teamCount);
+    const formatContext = await getTournamentFormatContext(tournament, teamCount);
 
     if (!formatContext.formatDef) {
       return res.status(400).json({ message: 'No tournament format has been applied yet' });
@@ -6128,7 +6526,7 @@ router.post('/:id/stages/:stageKey/pools/autofill', requireAuth, async (req, res
     }
 
     const { tournament, teamCount } = ownedContext;
-    const formatContext = getTournamentFormatContext(tournament, teamCount);
+    const formatContext = await getTournamentFormatContext(tournament, teamCount);
 
     if (!formatContext.formatDef) {
       return res.status(400).json({ message: 'No tournament format has been applied yet' });
@@ -6295,7 +6693,7 @@ router.post('/:id/stages/:stageKey/matches/generate', requireAuth, async (req, r
     }
 
     const { tournament, teamCount } = ownedContext;
-    const formatContext = getTournamentFormatContext(tournament, teamCount);
+    const formatContext = await getTournamentFormatContext(tournament, teamCount);
 
     if (!formatContext.formatDef) {
       return res.status(400).json({ message: 'No tournament format has been applied yet' });
@@ -6333,6 +6731,10 @@ router.post('/:id/stages/:stageKey/matches/generate', requireAuth, async (req, r
 
     if (forceRegenerate) {
       await deleteMatchesAndLinkedScoreboards(stageMatchQuery);
+
+      if (stageDef.type === 'swiss') {
+        await Tournament.updateOne({ _id: id }, { $unset: { [`swissRounds.${stageDef.key}`]: 1 } });
+      }
     }
 
     let generatedMatches;
@@ -6365,6 +6767,22 @@ router.post('/:id/stages/:stageKey/matches/generate', requireAuth, async (req, r
         stageDef,
         activeCourts: formatContext.activeCourts,
       });
+    } else if (stageDef.type === 'swiss') {
+      // Only round 1; later rounds come from POST .../rounds/next
+      generatedMatches = await generateSwissRoundMatches({
+        tournamentId: id,
+        userId: req.user.id,
+        tournament,
+        formatDef: formatContext.formatDef,
+        stageDef,
+        progress: await loadSwissStageProgress(id, stageDef),
+      });
+
+      if (!generatedMatches) {
+        return res.status(409).json({
+          message: `${stageDef.displayName || stageDef.key} matches are already being generated`,
+        });
+      }
     } else {
       return res.status(400).json({
         message: `Unsupported stage type: ${stageDef.type}`,
@@ -6404,6 +6822,103 @@ router.post('/:id/stages/:stageKey/matches/generate', requireAuth, async (req, r
   }
 });
 
+// POST /api/tournaments/:id/stages/:stageKey/rounds/next -> generate the next Swiss round from finalized results
+router.post('/:id/stages/:stageKey/rounds/next', requireAuth, async (req, res, next) => {
+  try {
+    const { id, stageKey } = req.params;
+    const normalizedStageKey = isNonEmptyString(stageKey) ? stageKey.trim() : '';
+
+    if (!isObjectId(id)) {
+      return res.status(400).json({ message: 'Invalid tournament id' });
+    }
+
+    const ownedContext = await getOwnedTournamentAndTeamCount(
+      id,
+      req.user.id,
+      'publicCode status settings facilities'
+    );
+
+    if (!ownedContext) {
+      return res.status(404).json({ message: 'Tournament not found or unauthorized' });
+    }
+
+    const { tournament, teamCount } = ownedContext;
+    const formatContext = await getTournamentFormatContext(tournament, teamCount);
+
+    if (!formatContext.formatDef) {
+      return res.status(400).json({ message: 'No tournament format has been applied yet' });
+    }
+
+    const stageDef = resolveStage(formatContext.formatDef, normalizedStageKey);
+
+    if (!stageDef) {
+      return res.status(404).json({ message: 'Unknown stageKey for current format' });
+    }
+
+    if (stageDef.type !== 'swiss') {
+      return res.status(400).json({
+        message: `Stage ${stageDef.key} is not generated round by round`,
+      });
+    }
+
+    const stageName = stageDef.displayName || stageDef.key;
+    const progress = await loadSwissStageProgress(id, stageDef);
+
+    if (progress.currentRound >= progress.totalRounds) {
+      return res.status(409).json({
+        message: `${stageName} already has all ${progress.totalRounds} rounds`,
+      });
+    }
+
+    if (progress.pendingMatchCount > 0) {
+      return res.status(409).json({
+        message: `Finalize every round ${progress.currentRound} match before generating round ${progress.currentRound + 1}`,
+      });
+    }
+
+    const generatedMatches = await generateSwissRoundMatches({
+      tournamentId: id,
+      userId: req.user.id,
+      tournament,
+      formatDef: formatContext.formatDef,
+      stageDef,
+      progress,
+    });
+
+    if (!generatedMatches) {
+      return res.status(409).json({
+        message: `Round ${progress.currentRound + 1} of ${stageName} was already generated`,
+      });
+    }
+
+    emitTournamentEventFromRequest(
+      req,
+      tournament.publicCode,
+      TOURNAMENT_EVENT_TYPES.MATCHES_GENERATED,
+      {
+        phase: resolvePoolPhase(formatContext.formatDef, stageDef.key, stageDef),
+        stageKey: stageDef.key,
+        matchIds: generatedMatches.map((match) => toIdString(match._id)).filter(Boolean),
+      }
+    );
+
+    await syncSchedulePlan({
+      tournamentId: id,
+      actorUserId: req.user.id,
+      io: req.app?.get('io'),
+      emitEvents: true,
+    });
+
+    return res.status(201).json(generatedMatches);
+  } catch (error) {
+    if (error?.message && /(requires|Not enough open court slots)/i.test(error.message)) {
+      return res.status(400).json({ message: error.message });
+    }
+
+    return next(error);
+  }
+});
+
 // POST /api/tournaments/:id/phase1/pools/init -> create phase1 pools A-E if needed
 router.post('/:id/phase1/pools/init', requireAuth, async (req, res, next) => {
   try {
@@ -7460,7 +7975,7 @@ router.get('/:id/playoffs', requireAuth, async (req, res, next) => {
     if (!ownedContext) {
       return res.status(404).json({ message: 'Tournament not found or unauthorized' });
     }
-    const formatContext = getTournamentFormatContext(
+    const formatContext = await getTournamentFormatContext(
       ownedContext.tournament,
       ownedContext.teamCount
     );
@@ -7519,7 +8034,7 @@ router.get('/:id/playoffs/ops', requireAuth, async (req, res, next) => {
     if (!ownedContext) {
       return res.status(404).json({ message: 'Tournament not found or unauthorized' });
     }
-    const formatContext = getTournamentFormatContext(
+    const formatContext = await getTournamentFormatContext(
       ownedContext.tournament,
       ownedContext.teamCount
     );
@@ -7581,7 +8096,7 @@ router.get('/:id/schedule-plan', requireAuth, async (req, res, next) => {
       return res.status(404).json({ message: 'Tournament not found or unauthorized' });
     }
 
-    const formatContext = getTournamentFormatContext(
+    const formatContext = await getTournamentFormatContext(
       ownedContext.tournament,
       ownedContext.teamCount
     );
@@ -7644,11 +8159,12 @@ router.get('/:id/matches', requireAuth, async (req, res, next) => {
   }
 });
 
-// GET /api/tournaments/:id/standings?phase=phase1|phase2|cumulative -> accessible tournament standings
+// GET /api/tournaments/:id/standings?phase=phase1|phase2|cumulative[&stageKey=swiss] -> accessible tournament standings
 router.get('/:id/standings', requireAuth, async (req, res, next) => {
   try {
     const { id } = req.params;
     const phase = normalizeStandingsPhase(req.query?.phase);
+    const stageKey = isNonEmptyString(req.query?.stageKey) ? req.query.stageKey.trim() : null;
 
     if (!isObjectId(id)) {
       return res.status(400).json({ message: 'Invalid tournament id' });
@@ -7666,10 +8182,11 @@ router.get('/:id/standings', requireAuth, async (req, res, next) => {
       return res.status(404).json({ message: 'Tournament not found or unauthorized' });
     }
 
-    const standings = await computeStandingsBundle(id, phase);
+    const standings = await computeStandingsBundle(id, phase, { stageKey });
 
     return res.json({
       phase,
+      ...(stageKey ? { stageKey } : {}),
       basedOn: 'finalized',
       ...formatStandingsPayload(standings),
     });
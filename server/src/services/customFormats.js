@@ -0,0 +1,176 @@
+const crypto = require('crypto');
+
+const Tournament = require('../models/Tournament');
+const TournamentFormat = require('../models/TournamentFormat');
+const {
+  getFormat,
+  registerCustomFormat,
+  setCustomFormats,
+  unregisterCustomFormat,
+} = require('../tournamentFormats/formatRegistry');
+const { validateFormatDefinition } = require('../tournamentFormats/formatValidator');
+
+const CUSTOM_FORMAT_ID_PREFIX = 'custom_';
+const MAX_FORMAT_ID_SLUG_LENGTH = 40;
+
+function createHttpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function buildCustomFormatId(name) {
+  const slug = String(name || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '')
+    .slice(0, MAX_FORMAT_ID_SLUG_LENGTH);
+
+  return `${CUSTOM_FORMAT_ID_PREFIX}${slug || 'format'}_${crypto.randomBytes(3).toString('hex')}`;
+}
+
+function serializeCustomFormat(record) {
+  return {
+    id: record.formatId,
+    name: record.name,
+    description: record.description || '',
+    supportedTeamCounts: Array.isArray(record.supportedTeamCounts)
+      ? record.supportedTeamCounts
+      : [],
+    minCourts: record.minCourts ?? 1,
+    ...(Number.isFinite(record.maxCourts) ? { maxCourts: record.maxCourts } : {}),
+    stages: Array.isArray(record.stages) ? record.stages : [],
+    custom: true,
+    shared: Boolean(record.shared),
+    ownerId: record.owner ? record.owner.toString() : null,
+  };
+}
+
+function requireValidDefinition(input) {
+  const { formatDef, errors } = validateFormatDefinition(input);
+
+  if (errors.length > 0) {
+    throw createHttpError(400, errors.join('; '));
+  }
+
+  return formatDef;
+}
+
+async function loadOwnedFormat(formatId, userId) {
+  const record = await TournamentFormat.findOne({ formatId });
+
+  if (!record) {
+    throw createHttpError(404, 'Format not found');
+  }
+
+  if (record.owner.toString() !== String(userId)) {
+    throw createHttpError(403, 'Only the format owner can change it');
+  }
+
+  return record;
+}
+
+function isFormatInUse(formatId) {
+  return Tournament.exists({ 'settings.format.formatId': formatId });
+}
+
+// Refills the registry cache from Mongo; runs at startup and before every format listing
+async function loadCustomFormats() {
+  const records = await TournamentFormat.find({}).lean();
+  setCustomFormats(records.map(serializeCustomFormat));
+  return records.length;
+}
+
+/**
+ * Looks up a format by id. The registry cache is per process, so custom formats are always
+ * read from Mongo: another server instance may have created, changed or deleted them.
+ */
+async function resolveFormat(formatId) {
+  const normalizedId = typeof formatId === 'string' ? formatId.trim() : '';
+
+  if (!normalizedId) {
+    return null;
+  }
+
+  const cached = getFormat(normalizedId);
+
+  if (cached && !cached.custom) {
+    return cached;
+  }
+
+  const record = await TournamentFormat.findOne({ formatId: normalizedId }).lean();
+
+  if (!record) {
+    unregisterCustomFormat(normalizedId);
+    return null;
+  }
+
+  registerCustomFormat(serializeCustomFormat(record));
+  return getFormat(normalizedId);
+}
+
+async function createCustomFormat({ userId, definition, shared }) {
+  const formatDef = requireValidDefinition(definition);
+  const record = await TournamentFormat.create({
+    ...formatDef,
+    formatId: buildCustomFormatId(formatDef.name),
+    owner: userId,
+    shared: shared === true,
+  });
+  const serialized = serializeCustomFormat(record.toObject());
+
+  registerCustomFormat(serialized);
+  return serialized;
+}
+
+/**
+ * Replaces a custom format's definition. Once a tournament uses the format its stages
+ * are locked, because pools and matches were generated from them; name, description,
+ * court limits and sharing can still change.
+ */
+async function updateCustomFormat({ userId, formatId, definition, shared }) {
+  const record = await loadOwnedFormat(formatId, userId);
+  const formatDef = requireValidDefinition(definition);
+  const stagesChanged =
+    JSON.stringify(formatDef.stages) !== JSON.stringify(record.toObject().stages);
+
+  if (stagesChanged && (await isFormatInUse(formatId))) {
+    throw createHttpError(
+      409,
+      'This format is used by a tournament, so its stages cannot change. Save a copy instead.'
+    );
+  }
+
+  record.set({
+    ...formatDef,
+    maxCourts: formatDef.maxCourts ?? null,
+    ...(typeof shared === 'boolean' ? { shared } : {}),
+  });
+  await record.save();
+
+  const serialized = serializeCustomFormat(record.toObject());
+  registerCustomFormat(serialized);
+  return serialized;
+}
+
+async function deleteCustomFormat({ userId, formatId }) {
+  const record = await loadOwnedFormat(formatId, userId);
+
+  if (await isFormatInUse(formatId)) {
+    throw createHttpError(409, 'This format is used by a tournament and cannot be deleted');
+  }
+
+  await record.deleteOne();
+  unregisterCustomFormat(formatId);
+}
+
+module.exports = {
+  buildCustomFormatId,
+  createCustomFormat,
+  deleteCustomFormat,
+  isFormatInUse,
+  loadCustomFormats,
+  resolveFormat,
+  serializeCustomFormat,
+  updateCustomFormat,
+};
@@ -0,0 +1,120 @@
+const LINEUP_SIZE = 6;
+const MAX_JERSEY_LENGTH = 3;
+
+function sanitizeJerseyNumber(value) {
+  return String(value ?? '')
+    .replace(/[^0-9]/g, '')
+    .slice(0, MAX_JERSEY_LENGTH);
+}
+
+function normalizeRotation(value) {
+  const parsed = Math.floor(Number(value));
+  return Number.isFinite(parsed) ? ((parsed % LINEUP_SIZE) + LINEUP_SIZE) % LINEUP_SIZE : 0;
+}
+
+function sanitizeLineupTeam(team) {
+  return {
+    starters: Array.from({ length: LINEUP_SIZE }, (_, position) =>
+      sanitizeJerseyNumber(team?.starters?.[position])
+    ),
+    rotation: normalizeRotation(team?.rotation),
+  };
+}
+
+/**
+ * Maps a control client's lineup to the stored shape: `starters` are jersey numbers in
+ * positions I-VI at the start of the set, `rotation` counts rotations since then.
+ * Returns `undefined` when the payload does not carry a lineup.
+ */
+function sanitizeLineup(lineup) {
+  if (lineup === null) {
+    return null;
+  }
+
+  if (!lineup || typeof lineup !== 'object') {
+    return undefined;
+  }
+
+  return {
+    enabled: Boolean(lineup.enabled),
+    teams: [0, 1].map((index) => sanitizeLineupTeam(lineup.teams?.[index])),
+  };
+}
+
+function isLineupEnabled(lineup) {
+  return Boolean(lineup?.enabled) && Array.isArray(lineup.teams) && lineup.teams.length === 2;
+}
+
+// The player in position I serves; each rotation moves the next starter into it
+function getServerNumber(lineup, servingTeamIndex) {
+  if (!isLineupEnabled(lineup) || ![0, 1].includes(servingTeamIndex)) {
+    return null;
+  }
+
+  const team = sanitizeLineupTeam(lineup.teams[servingTeamIndex]);
+  return team.starters[team.rotation] || null;
+}
+
+/**
+ * Rotates the receiving team when it wins a rally (a side-out). Only a single +1 for the
+ * team that was not serving counts; corrections and serve toggles leave rotations alone.
+ */
+function applySideOutRotation({ current, update }) {
+  const lineup = update.lineup === undefined ? current.lineup : update.lineup;
+  const servingTeamIndex = current.servingTeamIndex;
+
+  if (!isLineupEnabled(lineup) || ![0, 1].includes(servingTeamIndex)) {
+    return update;
+  }
+
+  const gains = update.teams.map(
+    (team, index) => (Number(team.score) || 0) - (Number(current.teams?.[index]?.score) || 0)
+  );
+  const scoringTeamIndex = gains.findIndex((gain) => gain === 1);
+
+  if (
+    scoringTeamIndex === -1 ||
+    gains[1 - scoringTeamIndex] !== 0 ||
+    scoringTeamIndex === servingTeamIndex
+  ) {
+    return update;
+  }
+
+  const normalized = sanitizeLineup(lineup);
+
+  return {
+    ...update,
+    lineup: {
+      ...normalized,
+      teams: normalized.teams.map((team, index) =>
+        index === scoringTeamIndex
+          ? { ...team, rotation: normalizeRotation(team.rotation + 1) }
+          : team
+      ),
+    },
+  };
+}
+
+// Each set starts from the entered starters, so rotations go back to zero
+function resetLineupRotation(lineup) {
+  if (!isLineupEnabled(lineup)) {
+    return lineup;
+  }
+
+  const normalized = sanitizeLineup(lineup);
+
+  return {
+    ...normalized,
+    teams: normalized.teams.map((team) => ({ ...team, rotation: 0 })),
+  };
+}
+
+module.exports = {
+  LINEUP_SIZE,
+  applySideOutRotation,
+  getServerNumber,
+  isLineupEnabled,
+  resetLineupRotation,
+  sanitizeJerseyNumber,
+  sanitizeLineup,
+};
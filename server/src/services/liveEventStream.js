@@ -0,0 +1,166 @@
+const crypto = require('crypto');
+
+const STREAM_BUFFER_SIZE = 50;
+const STREAM_KEEPALIVE_MS = 15000;
+const STREAM_RESUME_WINDOW_MS = 2 * 60 * 1000;
+const STREAM_RETRY_MS = 3000;
+
+// Event ids are `<epoch>-<seq>`; a new epoch per process makes ids from before a restart unresumable
+const STREAM_EPOCH = crypto.randomBytes(4).toString('hex');
+
+const channels = new Map();
+let lastSeq = 0;
+
+function getScoreboardChannel(scoreboardId) {
+  return scoreboardId ? `scoreboard:${scoreboardId.toString()}` : '';
+}
+
+function getTournamentChannel(tournamentCode) {
+  return tournamentCode ? `tournament:${tournamentCode}` : '';
+}
+
+function formatEventId(seq) {
+  return `${STREAM_EPOCH}-${seq}`;
+}
+
+function parseEventId(value) {
+  const match = /^([0-9a-f]+)-(\d+)$/.exec(typeof value === 'string' ? value.trim() : '');
+
+  if (!match || match[1] !== STREAM_EPOCH) {
+    return null;
+  }
+
+  return Number(match[2]);
+}
+
+function formatEvent({ id, event, data }) {
+  return `id: ${id}\nevent: ${event}\ndata: ${data}\n\n`;
+}
+
+function scheduleChannelExpiry(channelKey, channel) {
+  clearTimeout(channel.expiryTimer);
+  channel.expiryTimer = setTimeout(() => {
+    if (channels.get(channelKey) === channel && channel.clients.size === 0) {
+      channels.delete(channelKey);
+    }
+  }, STREAM_RESUME_WINDOW_MS);
+  channel.expiryTimer.unref?.();
+}
+
+function ensureChannel(channelKey) {
+  let channel = channels.get(channelKey);
+
+  if (!channel) {
+    // Nothing before this point was buffered, so older ids cannot be resumed here
+    channel = { events: [], clients: new Set(), floorSeq: lastSeq, expiryTimer: null };
+    channels.set(channelKey, channel);
+  }
+
+  clearTimeout(channel.expiryTimer);
+  channel.expiryTimer = null;
+  return channel;
+}
+
+/**
+ * Buffers an event for a channel and writes it to every connected stream. Channels only
+ * exist while someone is subscribed (or recently was, so they can resume), so publishing
+ * to an unwatched channel is a no-op.
+ */
+function publishLiveEvent(channelKey, eventName, payload) {
+  const channel = channels.get(channelKey);
+
+  if (!channel) {
+    return false;
+  }
+
+  lastSeq += 1;
+  const entry = {
+    seq: lastSeq,
+    id: formatEventId(lastSeq),
+    event: eventName,
+    data: JSON.stringify(payload ?? null),
+  };
+
+  channel.events.push(entry);
+
+  if (channel.events.length > STREAM_BUFFER_SIZE) {
+    channel.floorSeq = channel.events.shift().seq;
+  }
+
+  const chunk = formatEvent(entry);
+  channel.clients.forEach((res) => res.write(chunk));
+  return true;
+}
+
+function resolveLastEventId(req) {
+  const headerValue = typeof req.get === 'function' ? req.get('Last-Event-ID') : undefined;
+  // EventSource polyfills that cannot set headers pass the id as a query parameter
+  return headerValue || req.query?.lastEventId || '';
+}
+
+/**
+ * Turns `res` into a Server-Sent Events stream for a channel. A `Last-Event-ID` that is
+ * still buffered replays the missed events; otherwise the client gets `snapshot` (an
+ * `{ event, data }` pair describing the current state) first. Keepalive comments hold the
+ * connection open through proxies until the client disconnects.
+ */
+function openEventStream(req, res, channelKey, { snapshot } = {}) {
+  const channel = ensureChannel(channelKey);
+  const resumeSeq = parseEventId(resolveLastEventId(req));
+  const canResume = resumeSeq !== null && resumeSeq >= channel.floorSeq && resumeSeq <= lastSeq;
+
+  res.status(200);
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders?.();
+  res.write(`retry: ${STREAM_RETRY_MS}\n\n`);
+
+  if (canResume) {
+    channel.events
+      .filter((entry) => entry.seq > resumeSeq)
+      .forEach((entry) => res.write(formatEvent(entry)));
+  } else if (snapshot) {
+    res.write(
+      formatEvent({
+        id: formatEventId(lastSeq),
+        event: snapshot.event,
+        data: JSON.stringify(snapshot.data ?? null),
+      })
+    );
+  }
+
+  channel.clients.add(res);
+
+  const keepaliveTimer = setInterval(() => {
+    res.write(': keepalive\n\n');
+  }, STREAM_KEEPALIVE_MS);
+
+  req.on('close', () => {
+    clearInterval(keepaliveTimer);
+    channel.clients.delete(res);
+
+    if (channel.clients.size === 0) {
+      scheduleChannelExpiry(channelKey, channel);
+    }
+  });
+}
+
+function resetLiveEventStreams() {
+  channels.forEach((channel) => clearTimeout(channel.expiryTimer));
+  channels.clear();
+}
+
+module.exports = {
+  STREAM_BUFFER_SIZE,
+  STREAM_KEEPALIVE_MS,
+  STREAM_RESUME_WINDOW_MS,
+  getScoreboardChannel,
+  getTournamentChannel,
+  openEventStream,
+  publishLiveEvent,
+  resetLiveEventStreams,
+};
@@ -1,7 +1,9 @@
 const Match = require('../models/Match');
 const Scoreboard = require('../models/Scoreboard');
+const Tournament = require('../models/Tournament');
 const { requireTournamentAdminContext } = require('./tournamentAccess');
 const { PLAYOFF_BRACKETS, recomputePlayoffBracketProgression } = require('./playoffs');
+const { buildMatchEntryRecord } = require('./officiating');
 const { computeMatchSnapshot } = require('./tournamentEngine/standings');
 const {
   TOURNAMENT_EVENT_TYPES,
@@ -56,6 +58,28 @@ function serializeResult(result) {
           b: set.b,
         }))
       : [],
+    substitutions: Array.isArray(result.substitutions)
+      ? result.substitutions.map((entry) => ({
+          setNo: entry.setNo,
+          team: entry.team,
+          playerIn: entry.playerIn ?? '',
+          playerOut: entry.playerOut ?? '',
+          scoreA: entry.scoreA ?? 0,
+          scoreB: entry.scoreB ?? 0,
+          recordedAt: entry.recordedAt ?? null,
+        }))
+      : [],
+    sanctions: Array.isArray(result.sanctions)
+      ? result.sanctions.map((entry) => ({
+          setNo: entry.setNo,
+          team: entry.team,
+          type: entry.type,
+          player: entry.player ?? '',
+          scoreA: entry.scoreA ?? 0,
+          scoreB: entry.scoreB ?? 0,
+          recordedAt: entry.recordedAt ?? null,
+        }))
+      : [],
   };
 }
 
@@ -75,6 +99,8 @@ function serializeMatch(match) {
     teamAFromSlot: match?.teamAFromSlot ?? null,
     teamBFromMatchId: toIdString(match?.teamBFromMatchId),
     teamBFromSlot: match?.teamBFromSlot ?? null,
+    ifNecessary: Boolean(match?.ifNecessary),
+    swissRound: match?.swissRound ?? null,
     roundBlock: match?.roundBlock ?? null,
     facility: match?.facility ?? null,
     court: match?.court ?? null,
@@ -162,6 +188,39 @@ function normalizeAffectedMatchIds(playoffProgression) {
   ];
 }
 
+async function endMatchAndEmit({ match, io, tournamentCode }) {
+  const endedAt = new Date();
+  match.status = 'ended';
+  match.endedAt = endedAt;
+
+  if (!match.startedAt) {
+    match.startedAt = endedAt;
+  }
+
+  await match.save();
+
+  const serializedMatch = serializeMatch(match.toObject());
+  emitMatchStatusUpdated(io, tournamentCode, serializedMatch);
+
+  return serializedMatch;
+}
+
+// Called when a linked scoreboard reaches a decided match under its scoring rules.
+// Only live matches move; scheduled, ended, and final matches are left to admins.
+async function endMatchForCompletedScoreboard({ scoreboardId, io }) {
+  const match = scoreboardId
+    ? await Match.findOne({ scoreboardId, status: 'live' })
+    : null;
+
+  if (!match) {
+    return null;
+  }
+
+  const tournament = await Tournament.findById(match.tournamentId).select('publicCode').lean();
+
+  return endMatchAndEmit({ match, io, tournamentCode: tournament?.publicCode });
+}
+
 async function finalizeMatchAndEmit({ match, userId, io, tournamentCode, override = false }) {
   if (!match?.scoreboardId) {
     throw createHttpError(400, 'Match has no linked scoreboard');
@@ -188,7 +247,7 @@ async function finalizeMatchAndEmit({ match, userId, io, tournamentCode, overrid
     );
   }
 
-  match.result = resultSnapshot;
+  match.result = { ...resultSnapshot, ...buildMatchEntryRecord(scoreboard) };
   match.status = 'final';
   if (!match.endedAt) {
     match.endedAt = new Date();
@@ -305,6 +364,8 @@ module.exports = {
   MATCH_STATUSES,
   createHttpError,
   emitMatchStatusUpdated,
+  endMatchAndEmit,
+  endMatchForCompletedScoreboard,
   finalizeMatchAndEmit,
   findOwnedTournamentContext,
   serializeMatch,
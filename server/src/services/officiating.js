@@ -0,0 +1,216 @@
+const { sanitizeJerseyNumber } = require('./lineup');
+
+const SANCTION_TYPES = ['yellow', 'red'];
+const DEFAULT_SUBSTITUTION_LIMIT = 6;
+const MAX_SUBSTITUTION_LIMIT = 12;
+
+function normalizeTeamIndex(value) {
+  const parsed = Number(value);
+  return [0, 1].includes(parsed) ? parsed : null;
+}
+
+function normalizeSetIndex(value) {
+  const parsed = Math.floor(Number(value));
+  return Number.isFinite(parsed) && parsed >= 0 ? parsed : 0;
+}
+
+function normalizeEntryScores(scores) {
+  return [0, 1].map((index) => Math.max(0, Number(scores?.[index]) || 0));
+}
+
+function normalizeCreatedAt(value) {
+  return value && !Number.isNaN(Date.parse(value)) ? new Date(value) : new Date();
+}
+
+function resolveSubstitutionLimit(scoring) {
+  const parsed = Math.floor(Number(scoring?.substitutionLimit));
+  return Number.isFinite(parsed) && parsed >= 0
+    ? Math.min(MAX_SUBSTITUTION_LIMIT, parsed)
+    : DEFAULT_SUBSTITUTION_LIMIT;
+}
+
+function sanitizeSubstitution(entry) {
+  const teamIndex = normalizeTeamIndex(entry?.teamIndex);
+
+  if (teamIndex === null) {
+    return null;
+  }
+
+  return {
+    setIndex: normalizeSetIndex(entry.setIndex),
+    teamIndex,
+    playerIn: sanitizeJerseyNumber(entry.playerIn),
+    playerOut: sanitizeJerseyNumber(entry.playerOut),
+    scores: normalizeEntryScores(entry.scores),
+    createdAt: normalizeCreatedAt(entry.createdAt),
+  };
+}
+
+function sanitizeSanction(entry) {
+  const teamIndex = normalizeTeamIndex(entry?.teamIndex);
+
+  if (teamIndex === null || !SANCTION_TYPES.includes(entry.type)) {
+    return null;
+  }
+
+  return {
+    setIndex: normalizeSetIndex(entry.setIndex),
+    teamIndex,
+    type: entry.type,
+    player: sanitizeJerseyNumber(entry.player),
+    scores: normalizeEntryScores(entry.scores),
+    createdAt: normalizeCreatedAt(entry.createdAt),
+  };
+}
+
+// Restores stored entries (e.g. from a history snapshot); `undefined` leaves them unchanged
+function sanitizeEntries(entries, sanitizeEntry) {
+  return Array.isArray(entries) ? entries.map(sanitizeEntry).filter(Boolean) : undefined;
+}
+
+function countSubstitutions(substitutions, { setIndex, teamIndex }) {
+  return (Array.isArray(substitutions) ? substitutions : []).filter(
+    (entry) => entry?.setIndex === setIndex && entry?.teamIndex === teamIndex
+  ).length;
+}
+
+/**
+ * Builds the entry for a substitution in the live set, or returns an `error` message when
+ * it is incomplete or the team has used its `scoring.substitutionLimit` for the set.
+ */
+function buildSubstitution(scoreboard, { teamIndex, playerIn, playerOut }) {
+  const normalizedTeamIndex = normalizeTeamIndex(teamIndex);
+  const normalizedIn = sanitizeJerseyNumber(playerIn);
+  const normalizedOut = sanitizeJerseyNumber(playerOut);
+
+  if (normalizedTeamIndex === null || !normalizedIn || !normalizedOut) {
+    return { error: 'Substitution needs a team and both jersey numbers' };
+  }
+
+  if (normalizedIn === normalizedOut) {
+    return { error: 'Substitution must bring on a different player' };
+  }
+
+  const setIndex = Array.isArray(scoreboard?.sets) ? scoreboard.sets.length : 0;
+  const limit = resolveSubstitutionLimit(scoreboard?.scoring);
+
+  if (
+    countSubstitutions(scoreboard?.substitutions, { setIndex, teamIndex: normalizedTeamIndex }) >=
+    limit
+  ) {
+    return { error: `Substitution limit reached (${limit} per set)` };
+  }
+
+  return {
+    entry: {
+      setIndex,
+      teamIndex: normalizedTeamIndex,
+      playerIn: normalizedIn,
+      playerOut: normalizedOut,
+      scores: normalizeEntryScores(scoreboard?.teams?.map((team) => team?.score)),
+      createdAt: new Date(),
+    },
+  };
+}
+
+function buildSanction(scoreboard, { teamIndex, type, player }) {
+  const normalizedTeamIndex = normalizeTeamIndex(teamIndex);
+
+  if (normalizedTeamIndex === null || !SANCTION_TYPES.includes(type)) {
+    return { error: 'Sanction needs a team and a yellow or red card' };
+  }
+
+  return {
+    entry: {
+      setIndex: Array.isArray(scoreboard?.sets) ? scoreboard.sets.length : 0,
+      teamIndex: normalizedTeamIndex,
+      type,
+      player: sanitizeJerseyNumber(player),
+      scores: normalizeEntryScores(scoreboard?.teams?.map((team) => team?.score)),
+      createdAt: new Date(),
+    },
+  };
+}
+
+// A red card is a penalty: the opponent wins the rally, so it scores and takes the serve
+function applySanctionPenalty(update, sanction) {
+  if (sanction.type !== 'red') {
+    return update;
+  }
+
+  const opponentIndex = 1 - sanction.teamIndex;
+
+  return {
+    ...update,
+    teams: update.teams.map((team, index) =>
+      index === opponentIndex ? { ...team, score: (Number(team.score) || 0) + 1 } : team
+    ),
+    servingTeamIndex: opponentIndex,
+  };
+}
+
+// On-court lineups follow substitutions so the serving player stays accurate
+function applySubstitutionToLineup(lineup, substitution) {
+  const team = lineup?.teams?.[substitution.teamIndex];
+
+  if (!lineup?.enabled || !Array.isArray(team?.starters)) {
+    return lineup;
+  }
+
+  return {
+    ...lineup,
+    teams: lineup.teams.map((entry, index) =>
+      index === substitution.teamIndex
+        ? {
+            ...entry,
+            starters: entry.starters.map((number) =>
+              number === substitution.playerOut ? substitution.playerIn : number
+            ),
+          }
+        : entry
+    ),
+  };
+}
+
+function toMatchEntry(entry) {
+  return {
+    setNo: entry.setIndex + 1,
+    team: entry.teamIndex === 0 ? 'A' : 'B',
+    scoreA: entry.scores[0],
+    scoreB: entry.scores[1],
+    recordedAt: entry.createdAt,
+  };
+}
+
+// Tournament matches keep the officials' entries with the result; team A is scoreboard team 0
+function buildMatchEntryRecord(scoreboard) {
+  return {
+    substitutions: (sanitizeEntries(scoreboard?.substitutions, sanitizeSubstitution) ?? []).map(
+      (entry) => ({
+        ...toMatchEntry(entry),
+        playerIn: entry.playerIn,
+        playerOut: entry.playerOut,
+      })
+    ),
+    sanctions: (sanitizeEntries(scoreboard?.sanctions, sanitizeSanction) ?? []).map((entry) => ({
+      ...toMatchEntry(entry),
+      type: entry.type,
+      player: entry.player,
+    })),
+  };
+}
+
+module.exports = {
+  DEFAULT_SUBSTITUTION_LIMIT,
+  SANCTION_TYPES,
+  applySanctionPenalty,
+  applySubstitutionToLineup,
+  buildMatchEntryRecord,
+  buildSanction,
+  buildSubstitution,
+  countSubstitutions,
+  resolveSubstitutionLimit,
+  sanitizeEntries,
+  sanitizeSanction,
+  sanitizeSubstitution,
+};
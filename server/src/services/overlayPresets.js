@@ -0,0 +1,93 @@
+const OVERLAY_LAYOUTS = ['horizontal', 'vertical', 'fullscreen', 'score-only'];
+const OVERLAY_POSITIONS = ['top-left', 'top-right', 'bottom-left', 'bottom-right', 'center'];
+const MAX_OVERLAY_PRESETS = 10;
+const MAX_PRESET_NAME_LENGTH = 30;
+const SCALE_RANGE = { min: 0.25, max: 4 };
+const NAME_LENGTH_RANGE = { min: 3, max: 30 };
+
+const OVERLAY_OPTION_DEFAULTS = {
+  layout: 'horizontal',
+  scale: 1,
+  position: 'top-left',
+  nameLength: 10,
+  showSets: true,
+  transparent: true,
+};
+
+function clampNumber(value, { min, max }, fallback) {
+  const parsed = Number(value);
+  return Number.isFinite(parsed) ? Math.min(max, Math.max(min, parsed)) : fallback;
+}
+
+// Mirrors the client's overlay option parsing (client/src/utils/overlayOptions.js)
+function sanitizeOverlayOptions(options) {
+  const source = options && typeof options === 'object' ? options : {};
+
+  return {
+    layout: OVERLAY_LAYOUTS.includes(source.layout)
+      ? source.layout
+      : OVERLAY_OPTION_DEFAULTS.layout,
+    scale:
+      Math.round(clampNumber(source.scale, SCALE_RANGE, OVERLAY_OPTION_DEFAULTS.scale) * 100) /
+      100,
+    position: OVERLAY_POSITIONS.includes(source.position)
+      ? source.position
+      : OVERLAY_OPTION_DEFAULTS.position,
+    nameLength: Math.round(
+      clampNumber(source.nameLength, NAME_LENGTH_RANGE, OVERLAY_OPTION_DEFAULTS.nameLength)
+    ),
+    showSets:
+      typeof source.showSets === 'boolean' ? source.showSets : OVERLAY_OPTION_DEFAULTS.showSets,
+    transparent:
+      typeof source.transparent === 'boolean'
+        ? source.transparent
+        : OVERLAY_OPTION_DEFAULTS.transparent,
+  };
+}
+
+/**
+ * Validates the full list of saved overlay presets for a scoreboard. Names are trimmed
+ * and must be unique (case-insensitive); returns an `error` message instead of a list
+ * when the payload cannot be saved.
+ */
+function sanitizeOverlayPresets(presets) {
+  if (!Array.isArray(presets)) {
+    return { error: 'Overlay presets must be a list' };
+  }
+
+  if (presets.length > MAX_OVERLAY_PRESETS) {
+    return { error: `Only ${MAX_OVERLAY_PRESETS} overlay presets can be saved` };
+  }
+
+  const seen = new Set();
+  const sanitized = [];
+
+  for (const preset of presets) {
+    const name =
+      typeof preset?.name === 'string' ? preset.name.trim().slice(0, MAX_PRESET_NAME_LENGTH) : '';
+
+    if (!name) {
+      return { error: 'Each overlay preset needs a name' };
+    }
+
+    const key = name.toLowerCase();
+
+    if (seen.has(key)) {
+      return { error: `Duplicate overlay preset name: ${name}` };
+    }
+
+    seen.add(key);
+    sanitized.push({ name, options: sanitizeOverlayOptions(preset.options) });
+  }
+
+  return { presets: sanitized };
+}
+
+module.exports = {
+  MAX_OVERLAY_PRESETS,
+  OVERLAY_LAYOUTS,
+  OVERLAY_OPTION_DEFAULTS,
+  OVERLAY_POSITIONS,
+  sanitizeOverlayOptions,
+  sanitizeOverlayPresets,
+};
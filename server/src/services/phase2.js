@@ -3,6 +3,7 @@ const Pool = require('../models/Pool');
 const Tournament = require('../models/Tournament');
 const { PHASE1_POOL_NAMES, isValidHomeCourt } = require('./phase1');
 const { computeStandingsBundle } = require('./tournamentEngine/standings');
+const { buildPairKey } = require('../tournamentEngine/pairKeys');
 
 const PHASE2_POOL_NAMES = ['F', 'G', 'H', 'I', 'J'];
 const PHASE2_POOL_HOME_COURTS = {
@@ -128,17 +129,6 @@ const parsePlacementToken = (token) => {
   };
 };
 
-const buildPairKey = (teamIdA, teamIdB) => {
-  const left = toIdString(teamIdA);
-  const right = toIdString(teamIdB);
-
-  if (!left || !right || left === right) {
-    return null;
-  }
-
-  return left < right ? `${left}:${right}` : `${right}:${left}`;
-};
-
 const buildConflictPairsForTeamIds = (teamIds, playedPairs) => {
   const conflicts = [];
   const ids = normalizeTeamIdList(teamIds);
@@ -325,10 +315,11 @@ function resolvePhase2Rematches(initialState, playedPairs, maxAttempts = MAX_PHA
   };
 }
 
-async function loadFinalizedPhase1PlayedPairs(tournamentId) {
-  const finalizedPhase1Matches = await Match.find({
+// Pair keys (see buildPairKey) for every finalized match matching `matchQuery`
+async function loadFinalizedPlayedPairs(tournamentId, matchQuery = {}) {
+  const finalizedMatches = await Match.find({
+    ...matchQuery,
     tournamentId,
-    phase: 'phase1',
     status: 'final',
     result: { $ne: null },
   })
@@ -337,7 +328,7 @@ async function loadFinalizedPhase1PlayedPairs(tournamentId) {
 
   const playedPairs = new Set();
 
-  finalizedPhase1Matches.forEach((match) => {
+  finalizedMatches.forEach((match) => {
     const pairKey = buildPairKey(match.teamAId, match.teamBId);
 
     if (pairKey) {
@@ -348,6 +339,10 @@ async function loadFinalizedPhase1PlayedPairs(tournamentId) {
   return playedPairs;
 }
 
+async function loadFinalizedPhase1PlayedPairs(tournamentId) {
+  return loadFinalizedPlayedPairs(tournamentId, { phase: 'phase1' });
+}
+
 function computeRematchWarningsForPools(pools, playedPairs) {
   return Object.fromEntries(
     PHASE2_POOL_NAMES.map((poolName) => {
@@ -598,6 +593,7 @@ module.exports = {
   computePhase1PlacementsForPhase2,
   computeRematchWarningsForPools,
   loadFinalizedPhase1PlayedPairs,
+  loadFinalizedPlayedPairs,
   recomputePhase2RematchWarnings,
   resolvePhase2Rematches,
 };
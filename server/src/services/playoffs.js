@@ -1,6 +1,7 @@
 const Match = require('../models/Match');
 const Scoreboard = require('../models/Scoreboard');
 const TournamentTeam = require('../models/TournamentTeam');
+const { sanitizeLogoUrl } = require('./scoreboards');
 
 const PLAYOFF_BRACKETS = ['gold', 'silver', 'bronze'];
 
@@ -212,10 +213,10 @@ const DEFAULT_REF_SOURCE_BY_MATCH_KEY = {
   'bronze:R3:final': { sourceMatchKey: 'bronze:R2:1vW45', slot: 'loser' },
 };
 
-const ROUND_ORDER = {
-  R1: 1,
-  R2: 2,
-  R3: 3,
+const FINAL_ROUND_RANKS = {
+  GF: 200,
+  GF2: 201,
+  '3P': 300,
 };
 
 const normalizeBracket = (value) =>
@@ -233,6 +234,68 @@ const toOverallSeed = (bracket, bracketSeed) => {
   return offset + parsedSeed;
 };
 
+// Winners (or single-elimination) rounds R1.., then losers rounds L1.., then grand finals,
+// then the third-place match
+function getPlayoffRoundRank(roundKey) {
+  const normalized = typeof roundKey === 'string' ? roundKey.trim().toUpperCase() : '';
+  const winnersMatch = /^R(\d+)$/.exec(normalized);
+  if (winnersMatch) {
+    return Number(winnersMatch[1]);
+  }
+
+  const losersMatch = /^L(\d+)$/.exec(normalized);
+  if (losersMatch) {
+    return 100 + Number(losersMatch[1]);
+  }
+
+  return FINAL_ROUND_RANKS[normalized] ?? Number.MAX_SAFE_INTEGER;
+}
+
+/**
+ * Display names for a format-driven bracket's rounds, keyed by round key. Single-elimination
+ * brackets name their final, semifinal and third-place match; double-elimination brackets
+ * name every round.
+ */
+function buildPlayoffRoundLabels(roundOrder) {
+  const rounds = Array.isArray(roundOrder) ? roundOrder : [];
+
+  if (!rounds.includes('GF')) {
+    const singleElimRounds = rounds.filter((roundKey) => /^R\d+$/.test(roundKey));
+    const labels = {};
+
+    if (singleElimRounds.length > 0) {
+      labels[singleElimRounds[singleElimRounds.length - 1]] = 'Final';
+    }
+    if (singleElimRounds.length > 1) {
+      labels[singleElimRounds[singleElimRounds.length - 2]] = 'Semifinal';
+    }
+    if (rounds.includes('3P')) {
+      labels['3P'] = 'Third Place';
+    }
+
+    return labels;
+  }
+
+  const winnersRounds = rounds.filter((roundKey) => /^R\d+$/.test(roundKey));
+  const losersRounds = rounds.filter((roundKey) => /^L\d+$/.test(roundKey));
+  const labels = {};
+
+  winnersRounds.forEach((roundKey, index) => {
+    labels[roundKey] =
+      index === winnersRounds.length - 1 ? 'Winners Final' : `Winners Round ${roundKey.slice(1)}`;
+  });
+  losersRounds.forEach((roundKey, index) => {
+    labels[roundKey] =
+      index === losersRounds.length - 1 ? 'Losers Final' : `Losers Round ${roundKey.slice(1)}`;
+  });
+  labels.GF = 'Grand Final';
+  if (rounds.includes('GF2')) {
+    labels.GF2 = 'Grand Final (If Necessary)';
+  }
+
+  return labels;
+}
+
 const toIdString = (value) => {
   if (!value) {
     return null;
@@ -546,7 +609,7 @@ function createPlayoffMatchPlan(bracketSeeds) {
 
 async function loadTournamentTeamLookup(tournamentId) {
   const teams = await TournamentTeam.find({ tournamentId })
-    .select('_id name shortName location')
+    .select('_id name shortName location logoUrl')
     .lean();
   return new Map(teams.map((team) => [toIdString(team._id), team]));
 }
@@ -573,6 +636,25 @@ function resolveDependentTeamId(matchesById, sourceMatchId, sourceSlot) {
   return null;
 }
 
+// The reset final is needed only once the losers-bracket champion (side B) wins the grand final
+function isIfNecessaryMatchNeeded(match, matchesById) {
+  const sourceMatch = matchesById.get(toIdString(match?.teamAFromMatchId));
+  const winnerTeamId = sourceMatch?.result?.winnerTeamId;
+
+  return Boolean(winnerTeamId) && sameId(winnerTeamId, sourceMatch.teamBId);
+}
+
+// True once the grand final is decided in favour of the winners-bracket champion
+function isIfNecessaryMatchSkipped(match, sourceMatch) {
+  const winnerTeamId = sourceMatch?.result?.winnerTeamId;
+
+  return (
+    Boolean(match?.ifNecessary) &&
+    Boolean(winnerTeamId) &&
+    sameId(winnerTeamId, sourceMatch?.teamAId)
+  );
+}
+
 function clearFinalization(match) {
   match.result = null;
   match.status = 'scheduled';
@@ -594,10 +676,15 @@ async function syncScoreboardParticipants(match, teamsById, { resetState = false
   const teamA = teamsById.get(toIdString(match.teamAId));
   const teamB = teamsById.get(toIdString(match.teamBId));
   const nextNames = [resolveTeamName(teamA), resolveTeamName(teamB)];
+  const nextLogos = [sanitizeLogoUrl(teamA?.logoUrl), sanitizeLogoUrl(teamB?.logoUrl)];
   let changed = false;
 
   if (!Array.isArray(scoreboard.teams) || scoreboard.teams.length !== 2) {
-    scoreboard.teams = [{ name: nextNames[0], score: 0 }, { name: nextNames[1], score: 0 }];
+    scoreboard.teams = nextNames.map((name, index) => ({
+      name,
+      logoUrl: nextLogos[index],
+      score: 0,
+    }));
     changed = true;
   } else {
     scoreboard.teams.forEach((team, index) => {
@@ -606,6 +693,11 @@ async function syncScoreboardParticipants(match, teamsById, { resetState = false
         changed = true;
       }
 
+      if ((team?.logoUrl || null) !== nextLogos[index]) {
+        scoreboard.teams[index].logoUrl = nextLogos[index];
+        changed = true;
+      }
+
       if (resetState && Number(team?.score || 0) !== 0) {
         scoreboard.teams[index].score = 0;
         changed = true;
@@ -619,6 +711,7 @@ async function syncScoreboardParticipants(match, teamsById, { resetState = false
   }
 
   if (changed) {
+    scoreboard.revision = (scoreboard.revision ?? 0) + 1;
     await scoreboard.save();
   }
 }
@@ -705,6 +798,59 @@ function resolveSuggestedRefTeamId(match, matchesByKey, teamsById) {
   return resolveTeamIdFromRefRule(refRule, matchesByKey);
 }
 
+// Format-driven brackets have no hand-written ref rules. A match is reffed by a team that is
+// already out and free: the loser of one of its source matches (then of their sources, and so
+// on) whose loser slot feeds no other match, and who is not playing in the same round block.
+function resolveGenericSuggestedRefTeamId(match, matchesById, allMatches) {
+  const busyTeamIds = new Set(
+    allMatches
+      .filter((entry) => Number(entry.roundBlock) === Number(match.roundBlock))
+      .flatMap((entry) => [toIdString(entry.teamAId), toIdString(entry.teamBId)])
+      .filter(Boolean)
+  );
+  const advancingLoserSourceIds = new Set(
+    allMatches.flatMap((entry) =>
+      [
+        [entry.teamAFromMatchId, entry.teamAFromSlot],
+        [entry.teamBFromMatchId, entry.teamBFromSlot],
+      ]
+        .filter(([sourceMatchId, sourceSlot]) => sourceMatchId && sourceSlot === 'loser')
+        .map(([sourceMatchId]) => toIdString(sourceMatchId))
+    )
+  );
+  const visitedMatchIds = new Set();
+  let sourceMatchIds = [match.teamAFromMatchId, match.teamBFromMatchId]
+    .map((sourceMatchId) => toIdString(sourceMatchId))
+    .filter(Boolean);
+
+  while (sourceMatchIds.length > 0) {
+    const nextSourceMatchIds = [];
+
+    for (const sourceMatchId of sourceMatchIds) {
+      const sourceMatch = matchesById.get(sourceMatchId);
+      if (!sourceMatch || visitedMatchIds.has(sourceMatchId)) {
+        continue;
+      }
+      visitedMatchIds.add(sourceMatchId);
+
+      const loserTeamId = toIdString(sourceMatch.result?.loserTeamId);
+      if (loserTeamId && !advancingLoserSourceIds.has(sourceMatchId) && !busyTeamIds.has(loserTeamId)) {
+        return loserTeamId;
+      }
+
+      nextSourceMatchIds.push(
+        ...[sourceMatch.teamAFromMatchId, sourceMatch.teamBFromMatchId]
+          .map((entry) => toIdString(entry))
+          .filter(Boolean)
+      );
+    }
+
+    sourceMatchIds = nextSourceMatchIds;
+  }
+
+  return null;
+}
+
 async function recomputePlayoffBracketProgression(tournamentId, bracket, options = {}) {
   const normalizedBracket = normalizeBracket(bracket);
   const allowUnknownBracket = options?.allowUnknownBracket === true;
@@ -750,7 +896,7 @@ async function recomputePlayoffBracketProgression(tournamentId, bracket, options
   const teamsById = await loadTournamentTeamLookup(tournamentId);
 
   const ordered = [...matches].sort((left, right) => {
-    const roundCompare = (ROUND_ORDER[left.bracketRound] || 99) - (ROUND_ORDER[right.bracketRound] || 99);
+    const roundCompare = getPlayoffRoundRank(left.bracketRound) - getPlayoffRoundRank(right.bracketRound);
     if (roundCompare !== 0) {
       return roundCompare;
     }
@@ -768,9 +914,12 @@ async function recomputePlayoffBracketProgression(tournamentId, bracket, options
 
   ordered.forEach((match) => {
     let participantChanged = false;
+    const isNeeded = !match.ifNecessary || isIfNecessaryMatchNeeded(match, matchesById);
 
     if (match.teamAFromMatchId && match.teamAFromSlot) {
-      const nextTeamAId = resolveDependentTeamId(matchesById, match.teamAFromMatchId, match.teamAFromSlot);
+      const nextTeamAId = isNeeded
+        ? resolveDependentTeamId(matchesById, match.teamAFromMatchId, match.teamAFromSlot)
+        : null;
       if (!sameId(nextTeamAId, match.teamAId)) {
         match.teamAId = nextTeamAId || null;
         participantChanged = true;
@@ -778,7 +927,9 @@ async function recomputePlayoffBracketProgression(tournamentId, bracket, options
     }
 
     if (match.teamBFromMatchId && match.teamBFromSlot) {
-      const nextTeamBId = resolveDependentTeamId(matchesById, match.teamBFromMatchId, match.teamBFromSlot);
+      const nextTeamBId = isNeeded
+        ? resolveDependentTeamId(matchesById, match.teamBFromMatchId, match.teamBFromSlot)
+        : null;
       if (!sameId(nextTeamBId, match.teamBId)) {
         match.teamBId = nextTeamBId || null;
         participantChanged = true;
@@ -797,6 +948,21 @@ async function recomputePlayoffBracketProgression(tournamentId, bracket, options
       matchesNeedingSave.set(toIdString(match._id), match);
     }
 
+    // Only fills empty ref slots, so refs picked by an admin are kept
+    const currentGenericRefCount = Array.isArray(match.refTeamIds) ? match.refTeamIds.length : 0;
+    if (
+      !hasManagedRefRules &&
+      isNeeded &&
+      match.status !== 'final' &&
+      currentGenericRefCount === 0
+    ) {
+      const suggestedRefTeamId = resolveGenericSuggestedRefTeamId(match, matchesById, allMatches);
+      if (suggestedRefTeamId) {
+        match.refTeamIds = [suggestedRefTeamId];
+        matchesNeedingSave.set(toIdString(match._id), match);
+      }
+    }
+
     const hasManagedRefRule =
       hasManagedRefRules &&
       Boolean(DEFAULT_REF_SOURCE_BY_MATCH_KEY[match?.bracketMatchKey]);
@@ -841,9 +1007,13 @@ module.exports = {
   buildMatchLabel,
   buildPlayoffBracketView,
   buildPlayoffOpsSchedule,
+  buildPlayoffRoundLabels,
   buildPlayoffSeedAssignments,
   createPlayoffMatchPlan,
+  getPlayoffRoundRank,
+  isIfNecessaryMatchSkipped,
   loadTournamentTeamLookup,
+  resolveGenericSuggestedRefTeamId,
   recomputePlayoffBracketProgression,
   resolveTeamName,
   toIdString,
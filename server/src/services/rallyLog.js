@@ -0,0 +1,268 @@
+const RallyEvent = require('../models/RallyEvent');
+const Scoreboard = require('../models/Scoreboard');
+
+const RALLY_EVENT_TYPES = Object.freeze({
+  POINT: 'point',
+  POINT_REMOVED: 'point_removed',
+  SCORE_ADJUSTED: 'score_adjusted',
+  SET_COMPLETED: 'set_completed',
+});
+
+function toIdString(value) {
+  if (!value) {
+    return null;
+  }
+
+  if (typeof value === 'string') {
+    return value;
+  }
+
+  if (typeof value === 'object' && value._id) {
+    return value._id.toString();
+  }
+
+  return value.toString();
+}
+
+function safeScore(value) {
+  const parsed = Number(value);
+  return Number.isFinite(parsed) ? Math.max(0, parsed) : 0;
+}
+
+function normalizeTeamIndex(value) {
+  return value === 0 || value === 1 ? value : null;
+}
+
+function readTeamScores(teams) {
+  return [safeScore(teams?.[0]?.score), safeScore(teams?.[1]?.score)];
+}
+
+function createEmptyRallyState() {
+  return {
+    setIndex: 0,
+    scores: [0, 0],
+  };
+}
+
+// Applies one logged event to the replayed live state. Events are the only source of
+// truth for the live score, so this must stay deterministic.
+function applyRallyEvent(state, event) {
+  const setIndex = Number.isInteger(event?.setIndex) ? event.setIndex : state.setIndex;
+  const teamIndex = normalizeTeamIndex(event?.teamIndex);
+
+  switch (event?.type) {
+    case RALLY_EVENT_TYPES.POINT:
+    case RALLY_EVENT_TYPES.POINT_REMOVED: {
+      if (teamIndex === null) {
+        return state;
+      }
+
+      const delta = event.type === RALLY_EVENT_TYPES.POINT ? 1 : -1;
+      const baseScores = setIndex === state.setIndex ? state.scores : [0, 0];
+      const scores = baseScores.map((score, index) =>
+        index === teamIndex ? Math.max(0, score + delta) : score
+      );
+
+      return { setIndex, scores };
+    }
+    case RALLY_EVENT_TYPES.SCORE_ADJUSTED:
+      return {
+        setIndex,
+        scores: [safeScore(event.scores?.[0]), safeScore(event.scores?.[1])],
+      };
+    case RALLY_EVENT_TYPES.SET_COMPLETED:
+      return {
+        setIndex: setIndex + 1,
+        scores: [0, 0],
+      };
+    default:
+      return state;
+  }
+}
+
+function replayRallyLog(events) {
+  return (Array.isArray(events) ? events : []).reduce(
+    applyRallyEvent,
+    createEmptyRallyState()
+  );
+}
+
+function describeScoreChange(baseScores, nextScores) {
+  const deltas = [nextScores[0] - baseScores[0], nextScores[1] - baseScores[1]];
+
+  if (deltas[0] === 0 && deltas[1] === 0) {
+    return null;
+  }
+
+  const changedIndex = deltas[0] !== 0 ? 0 : 1;
+  const otherIndex = changedIndex === 0 ? 1 : 0;
+
+  if (deltas[otherIndex] === 0 && Math.abs(deltas[changedIndex]) === 1) {
+    return {
+      type: deltas[changedIndex] > 0 ? RALLY_EVENT_TYPES.POINT : RALLY_EVENT_TYPES.POINT_REMOVED,
+      teamIndex: changedIndex,
+    };
+  }
+
+  return {
+    type: RALLY_EVENT_TYPES.SCORE_ADJUSTED,
+    teamIndex: null,
+  };
+}
+
+/**
+ * Turns a sanitized scoreboard update into the rally events that explain it.
+ * Single-point changes become `point`/`point_removed`, archived sets become `set_completed`,
+ * and anything else (resets, manual jumps, deleted sets) is logged as `score_adjusted`.
+ * Starts from `baseState` (a stored replay snapshot) when given, otherwise replays `events`.
+ * Returns the new events plus the resulting live state.
+ */
+function planRallyEvents({ events, baseState, scoreboard, update }) {
+  let state = baseState
+    ? { setIndex: baseState.setIndex, scores: [...baseState.scores] }
+    : replayRallyLog(events);
+  const plannedEvents = [];
+  const previousSets = Array.isArray(scoreboard?.sets) ? scoreboard.sets : [];
+  const nextSets = Array.isArray(update?.sets) ? update.sets : previousSets;
+  const nextSetIndex = nextSets.length;
+  const targetScores = readTeamScores(update?.teams ?? scoreboard?.teams);
+  const servingTeamIndex = normalizeTeamIndex(scoreboard?.servingTeamIndex);
+
+  const pushEvent = (event) => {
+    plannedEvents.push(event);
+    state = applyRallyEvent(state, event);
+  };
+
+  for (let setIndex = previousSets.length; setIndex < nextSetIndex; setIndex += 1) {
+    const archivedScores = nextSets[setIndex]?.scores;
+    const completedScores = [safeScore(archivedScores?.[0]), safeScore(archivedScores?.[1])];
+    // The deciding rally can arrive in the same write that archives the set (auto-completion)
+    const finalChange =
+      state.setIndex === setIndex ? describeScoreChange(state.scores, completedScores) : null;
+
+    if (finalChange) {
+      pushEvent({
+        type: finalChange.type,
+        setIndex,
+        teamIndex: finalChange.teamIndex,
+        servingTeamIndex,
+        scores: completedScores,
+      });
+    }
+
+    pushEvent({
+      type: RALLY_EVENT_TYPES.SET_COMPLETED,
+      setIndex,
+      teamIndex: null,
+      servingTeamIndex,
+      scores: completedScores,
+    });
+  }
+
+  const change =
+    state.setIndex === nextSetIndex
+      ? describeScoreChange(state.scores, targetScores)
+      : { type: RALLY_EVENT_TYPES.SCORE_ADJUSTED, teamIndex: null };
+
+  if (change) {
+    pushEvent({
+      type: change.type,
+      setIndex: nextSetIndex,
+      teamIndex: change.teamIndex,
+      servingTeamIndex,
+      scores: targetScores,
+    });
+  }
+
+  return {
+    events: plannedEvents,
+    liveState: state,
+  };
+}
+
+// Events logged before sequencing have no `sequence`, so they sort first in insertion order
+async function listRallyEvents(scoreboardId) {
+  return RallyEvent.find({ scoreboardId }).sort({ sequence: 1, _id: 1 }).lean();
+}
+
+// Numbers planned events after `lastSequence` and stamps them for the scoreboard's pending queue
+function sequenceRallyEvents(events, lastSequence, actor = {}) {
+  const createdAt = new Date();
+  const normalizedActor = {
+    userId: toIdString(actor?.userId),
+    socketId: typeof actor?.socketId === 'string' ? actor.socketId : null,
+  };
+
+  return (Array.isArray(events) ? events : []).map((event, index) => ({
+    ...event,
+    sequence: lastSequence + index + 1,
+    actor: normalizedActor,
+    createdAt,
+  }));
+}
+
+/**
+ * Copies events that were committed on the scoreboard into the RallyEvent collection, then
+ * drops them from the pending queue. Keyed by sequence, so running it twice (or after a
+ * crash halfway through) never duplicates an event.
+ */
+async function flushPendingRallyEvents(scoreboardId, pendingEvents) {
+  if (!Array.isArray(pendingEvents) || pendingEvents.length === 0) {
+    return;
+  }
+
+  await RallyEvent.bulkWrite(
+    pendingEvents.map((event) => ({
+      updateOne: {
+        filter: { scoreboardId, sequence: event.sequence },
+        update: { $setOnInsert: { ...event, scoreboardId } },
+        upsert: true,
+        timestamps: false,
+      },
+    })),
+    { ordered: true }
+  );
+  await Scoreboard.updateOne(
+    { _id: scoreboardId },
+    {
+      $pull: {
+        pendingRallyEvents: {
+          sequence: { $lte: Math.max(...pendingEvents.map((event) => event.sequence)) },
+        },
+      },
+    }
+  );
+}
+
+async function deleteRallyEvents(scoreboardId) {
+  return RallyEvent.deleteMany({ scoreboardId });
+}
+
+function serializeRallyEvent(event) {
+  return {
+    _id: toIdString(event?._id),
+    setIndex: event?.setIndex ?? 0,
+    setNo: (event?.setIndex ?? 0) + 1,
+    type: event?.type ?? null,
+    teamIndex: normalizeTeamIndex(event?.teamIndex),
+    servingTeamIndex: normalizeTeamIndex(event?.servingTeamIndex),
+    scores: [safeScore(event?.scores?.[0]), safeScore(event?.scores?.[1])],
+    actor: {
+      userId: toIdString(event?.actor?.userId),
+      socketId: event?.actor?.socketId ?? null,
+    },
+    createdAt: event?.createdAt ?? null,
+  };
+}
+
+module.exports = {
+  RALLY_EVENT_TYPES,
+  applyRallyEvent,
+  deleteRallyEvents,
+  flushPendingRallyEvents,
+  listRallyEvents,
+  planRallyEvents,
+  replayRallyLog,
+  sequenceRallyEvents,
+  serializeRallyEvent,
+};
@@ -3,7 +3,8 @@ const TournamentTeam = require('../models/TournamentTeam');
 const Pool = require('../models/Pool');
 const Match = require('../models/Match');
 const Scoreboard = require('../models/Scoreboard');
-const { DEFAULT_15_TEAM_FORMAT_ID, getFormat } = require('../tournamentFormats/formatRegistry');
+const { DEFAULT_15_TEAM_FORMAT_ID } = require('../tournamentFormats/formatRegistry');
+const { resolveFormat } = require('./customFormats');
 const {
   generatePlayoffsFromFormat,
   resolvePoolPhase,
@@ -826,6 +827,12 @@ const formatPlayoffSourceMatchLabel = ({ sourceMatchKey, plansByKey = new Map()
     return `${resolvePlayoffBracketLabel(parsedSource.bracket)} R${Math.floor(parsedSource.round)} M${Math.floor(parsedSource.matchNo)}`;
   }
 
+  // Double-elimination losers rounds and grand finals (gold:L2:M1, gold:GF:M1)
+  const namedRound = /^([^:]+):(L\d+|GF2?):M(\d+)$/i.exec(normalizedKey);
+  if (namedRound) {
+    return `${resolvePlayoffBracketLabel(namedRound[1])} ${namedRound[2].toUpperCase()} M${namedRound[3]}`;
+  }
+
   return normalizedKey;
 };
 
@@ -833,6 +840,7 @@ const resolvePlayoffPlaceholderSideLabel = ({
   bracketLabel,
   seed,
   sourceMatchKey,
+  sourceSlot,
   plansByKey = new Map(),
 } = {}) => {
   const parsedSeed = Number(seed);
@@ -841,7 +849,8 @@ const resolvePlayoffPlaceholderSideLabel = ({
   }
 
   if (isNonEmptyString(sourceMatchKey)) {
-    return `W(${formatPlayoffSourceMatchLabel({ sourceMatchKey, plansByKey })})`;
+    const prefix = sourceSlot === 'loser' ? 'L' : 'W';
+    return `${prefix}(${formatPlayoffSourceMatchLabel({ sourceMatchKey, plansByKey })})`;
   }
 
   return 'TBD';
@@ -1025,6 +1034,7 @@ const buildPlayoffSlots = ({
         bracketLabel,
         seed: plannedMatch?.seedA,
         sourceMatchKey: plannedMatch?.teamAFromMatchKey,
+        sourceSlot: plannedMatch?.teamAFromSlot,
         plansByKey,
       }),
       null
@@ -1034,6 +1044,7 @@ const buildPlayoffSlots = ({
         bracketLabel,
         seed: plannedMatch?.seedB,
         sourceMatchKey: plannedMatch?.teamBFromMatchKey,
+        sourceSlot: plannedMatch?.teamBFromSlot,
         plansByKey,
       }),
       null
@@ -1159,6 +1170,64 @@ async function linkPlayoffSlotsToMatches({ venue, slots, matches, playoffStageKe
   return linkedSlots;
 }
 
+// Court slots no match occupies yet, walking round blocks upward from `startRoundBlock`.
+// Each block fills its free courts in `courts` order before moving on to the next block.
+const findOpenCourtSlots = ({ matches, venue, courts, count, startRoundBlock = 1 }) => {
+  const courtRefs = (Array.isArray(courts) ? courts : [])
+    .map((court) => getCourtReference(venue, court))
+    .filter(Boolean);
+  const slotCount = toPositiveInteger(count) || 0;
+
+  if (slotCount === 0) {
+    return [];
+  }
+
+  if (courtRefs.length === 0) {
+    throw new Error('At least one active court is required for scheduling');
+  }
+
+  const occupied = new Set(
+    (Array.isArray(matches) ? matches : [])
+      .map((match) =>
+        toRoundCourtKey(match?.roundBlock, getCourtReference(venue, match?.courtId || match?.court))
+      )
+      .filter(Boolean)
+  );
+  const openSlots = [];
+
+  for (
+    let roundBlock = toPositiveInteger(startRoundBlock) || 1;
+    openSlots.length < slotCount;
+    roundBlock += 1
+  ) {
+    courtRefs.forEach((courtRef) => {
+      if (openSlots.length < slotCount && !occupied.has(toRoundCourtKey(roundBlock, courtRef))) {
+        openSlots.push({ roundBlock, ...courtRef });
+      }
+    });
+  }
+
+  return openSlots;
+};
+
+async function resolveOpenCourtSlots({ tournamentId, count, startRoundBlock = 1 }) {
+  const tournament = await Tournament.findById(tournamentId)
+    .select('facilities settings.format settings.venue')
+    .lean();
+  const venueState = resolveTournamentVenueState(tournament);
+  const matches = await Match.find({ tournamentId })
+    .select('roundBlock court courtId')
+    .lean();
+
+  return findOpenCourtSlots({
+    matches,
+    venue: venueState.venue,
+    courts: resolveSchedulePlanPlayoffCourts({ tournament, venue: venueState.venue }),
+    count,
+    startRoundBlock,
+  });
+}
+
 async function syncSchedulePlan({
   tournamentId,
   actorUserId = null,
@@ -1202,7 +1271,7 @@ async function syncSchedulePlan({
     : teamCount === 15
       ? DEFAULT_15_TEAM_FORMAT_ID
       : '';
-  const formatDef = formatId ? getFormat(formatId) : null;
+  const formatDef = formatId ? await resolveFormat(formatId) : null;
   const currentSlotsCanonical = serializeSlotsForCompare(tournament?.settings?.schedulePlan?.slots);
 
   if (!formatDef) {
@@ -1458,7 +1527,9 @@ async function syncSchedulePlan({
 }
 
 module.exports = {
+  findOpenCourtSlots,
   formatRankRefLabel,
+  resolveOpenCourtSlots,
   resolveRoundBlockStartMinutes,
   syncSchedulePlan,
   toIdString,
@@ -0,0 +1,163 @@
+const jwt = require('jsonwebtoken');
+
+const Match = require('../models/Match');
+const Scoreboard = require('../models/Scoreboard');
+const { readScoreboardApiTokenScoreboardId } = require('./scoreboardApiTokens');
+const { requireTournamentAdminContext } = require('./tournamentAccess');
+
+const SCORER_TOKEN_SCOPE = 'scoreboard:scorer';
+const SCORER_TOKEN_DEFAULT_TTL_MINUTES = 12 * 60;
+const SCORER_TOKEN_MIN_TTL_MINUTES = 5;
+const SCORER_TOKEN_MAX_TTL_MINUTES = 24 * 60;
+
+function toIdString(value) {
+  if (!value) {
+    return '';
+  }
+
+  if (typeof value === 'string') {
+    return value;
+  }
+
+  if (typeof value === 'object' && value._id) {
+    return value._id.toString();
+  }
+
+  return value.toString();
+}
+
+function createHttpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function getJwtSecret() {
+  const secret = process.env.JWT_SECRET;
+  if (!secret) {
+    throw new Error('JWT secret is not set');
+  }
+
+  return secret;
+}
+
+function normalizeScorerTokenTtlMinutes(value) {
+  const parsed = Number(value);
+
+  if (!Number.isFinite(parsed)) {
+    return SCORER_TOKEN_DEFAULT_TTL_MINUTES;
+  }
+
+  return Math.min(
+    SCORER_TOKEN_MAX_TTL_MINUTES,
+    Math.max(SCORER_TOKEN_MIN_TTL_MINUTES, Math.round(parsed))
+  );
+}
+
+/**
+ * Issues a short-lived scorer token for one scoreboard. Scorer tokens carry no user
+ * subject, so they can never pass `requireAuth` as an account session.
+ */
+function createScorerToken(scoreboardId, { ttlMinutes } = {}) {
+  const normalizedTtlMinutes = normalizeScorerTokenTtlMinutes(ttlMinutes);
+  const expiresAt = new Date(Date.now() + normalizedTtlMinutes * 60 * 1000);
+  const token = jwt.sign(
+    {
+      scope: SCORER_TOKEN_SCOPE,
+      scoreboardId: toIdString(scoreboardId),
+    },
+    getJwtSecret(),
+    { expiresIn: normalizedTtlMinutes * 60 }
+  );
+
+  return { token, expiresAt };
+}
+
+function readScorerTokenScoreboardId(token) {
+  if (typeof token !== 'string' || !token.trim() || !process.env.JWT_SECRET) {
+    return null;
+  }
+
+  try {
+    const payload = jwt.verify(token.trim(), process.env.JWT_SECRET);
+    return payload?.scope === SCORER_TOKEN_SCOPE && payload.scoreboardId
+      ? String(payload.scoreboardId)
+      : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+async function resolveScoreboardWriteRole(scoreboard, userId) {
+  if (!scoreboard || !userId) {
+    return null;
+  }
+
+  if (toIdString(scoreboard.owner) === toIdString(userId)) {
+    return 'owner';
+  }
+
+  const match = await Match.findOne({ scoreboardId: scoreboard._id })
+    .select('_id tournamentId')
+    .lean();
+
+  if (!match) {
+    return null;
+  }
+
+  const accessContext = await requireTournamentAdminContext(match.tournamentId, userId);
+  return accessContext ? 'tournamentAdmin' : null;
+}
+
+/**
+ * Resolves who may write to a scoreboard: its owner, an owner/admin of the tournament
+ * whose match links the scoreboard, the holder of a valid scorer token for it, or a
+ * controller using one of its API tokens. Returns the granted role or null.
+ */
+async function resolveScoreboardWriteAccess({ scoreboard, userId, scorerToken, apiToken }) {
+  if (!scoreboard?._id) {
+    return null;
+  }
+
+  const role = await resolveScoreboardWriteRole(scoreboard, userId);
+
+  if (role) {
+    return role;
+  }
+
+  if (readScorerTokenScoreboardId(scorerToken) === toIdString(scoreboard._id)) {
+    return 'scorer';
+  }
+
+  const apiTokenScoreboardId = apiToken
+    ? await readScoreboardApiTokenScoreboardId(apiToken)
+    : null;
+
+  return apiTokenScoreboardId === toIdString(scoreboard._id) ? 'apiToken' : null;
+}
+
+async function requireScoreboardWriteAccess({ query, userId, scorerToken, apiToken }) {
+  const scoreboard = query ? await Scoreboard.findOne(query).select('_id owner').lean() : null;
+
+  if (!scoreboard) {
+    throw createHttpError(404, 'Scoreboard not found');
+  }
+
+  const role = await resolveScoreboardWriteAccess({ scoreboard, userId, scorerToken, apiToken });
+
+  if (!role) {
+    throw createHttpError(403, 'Not authorized to update this scoreboard');
+  }
+
+  return { scoreboard, role };
+}
+
+module.exports = {
+  SCORER_TOKEN_DEFAULT_TTL_MINUTES,
+  SCORER_TOKEN_MAX_TTL_MINUTES,
+  SCORER_TOKEN_SCOPE,
+  createScorerToken,
+  readScorerTokenScoreboardId,
+  requireScoreboardWriteAccess,
+  resolveScoreboardWriteAccess,
+};
@@ -0,0 +1,119 @@
+const crypto = require('crypto');
+
+const ScoreboardApiToken = require('../models/ScoreboardApiToken');
+
+const API_TOKEN_PREFIX = 'sbk_';
+const API_TOKEN_DISPLAY_LENGTH = 12;
+const MAX_API_TOKENS_PER_SCOREBOARD = 10;
+const MAX_API_TOKEN_NAME_LENGTH = 40;
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+function createHttpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function isScoreboardApiToken(token) {
+  return typeof token === 'string' && token.trim().startsWith(API_TOKEN_PREFIX);
+}
+
+function hashScoreboardApiToken(token) {
+  return crypto.createHash('sha256').update(token.trim()).digest('hex');
+}
+
+function serializeScoreboardApiToken(record) {
+  return {
+    id: record._id.toString(),
+    name: record.name,
+    prefix: record.tokenPrefix,
+    createdAt: record.createdAt ?? null,
+    lastUsedAt: record.lastUsedAt ?? null,
+  };
+}
+
+async function listScoreboardApiTokens(scoreboardId) {
+  const records = await ScoreboardApiToken.find({ scoreboardId }).sort({ createdAt: 1 }).lean();
+  return records.map(serializeScoreboardApiToken);
+}
+
+/**
+ * Issues a named API token for one scoreboard. The raw token is returned only here;
+ * later reads list the name and prefix.
+ */
+async function createScoreboardApiToken({ scoreboardId, name, userId }) {
+  const trimmedName =
+    typeof name === 'string' ? name.trim().slice(0, MAX_API_TOKEN_NAME_LENGTH) : '';
+
+  if (!trimmedName) {
+    throw createHttpError(400, 'Token name is required');
+  }
+
+  const count = await ScoreboardApiToken.countDocuments({ scoreboardId });
+
+  if (count >= MAX_API_TOKENS_PER_SCOREBOARD) {
+    throw createHttpError(
+      400,
+      `Only ${MAX_API_TOKENS_PER_SCOREBOARD} API tokens can be active per scoreboard`
+    );
+  }
+
+  const token = `${API_TOKEN_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+  const record = await ScoreboardApiToken.create({
+    scoreboardId,
+    name: trimmedName,
+    tokenHash: hashScoreboardApiToken(token),
+    tokenPrefix: token.slice(0, API_TOKEN_DISPLAY_LENGTH),
+    createdByUserId: userId,
+  });
+
+  return { token, apiToken: serializeScoreboardApiToken(record) };
+}
+
+async function revokeScoreboardApiToken({ scoreboardId, tokenId }) {
+  const deleted = await ScoreboardApiToken.findOneAndDelete({ _id: tokenId, scoreboardId }).lean();
+  return Boolean(deleted);
+}
+
+async function deleteScoreboardApiTokens(scoreboardId) {
+  await ScoreboardApiToken.deleteMany({ scoreboardId });
+}
+
+/**
+ * Returns the scoreboard id a raw API token grants access to, or null when it is unknown
+ * or revoked. `lastUsedAt` is refreshed at most once a minute.
+ */
+async function readScoreboardApiTokenScoreboardId(token) {
+  if (!isScoreboardApiToken(token)) {
+    return null;
+  }
+
+  const record = await ScoreboardApiToken.findOne({ tokenHash: hashScoreboardApiToken(token) })
+    .select('_id scoreboardId lastUsedAt')
+    .lean();
+
+  if (!record) {
+    return null;
+  }
+
+  const now = new Date();
+
+  if (!record.lastUsedAt || now - record.lastUsedAt >= LAST_USED_RESOLUTION_MS) {
+    await ScoreboardApiToken.updateOne({ _id: record._id }, { $set: { lastUsedAt: now } });
+  }
+
+  return record.scoreboardId.toString();
+}
+
+module.exports = {
+  API_TOKEN_PREFIX,
+  MAX_API_TOKENS_PER_SCOREBOARD,
+  createScoreboardApiToken,
+  deleteScoreboardApiTokens,
+  hashScoreboardApiToken,
+  isScoreboardApiToken,
+  listScoreboardApiTokens,
+  readScoreboardApiTokenScoreboardId,
+  revokeScoreboardApiToken,
+  serializeScoreboardApiToken,
+};
@@ -0,0 +1,49 @@
+const { getScoreboardChannel, publishLiveEvent } = require('./liveEventStream');
+const { endMatchForCompletedScoreboard } = require('./matchLifecycle');
+const { primeScoreboardFeed } = require('./scoreboardFeed');
+const { emitScoreboardSummaryEvent } = require('./tournamentRealtime');
+
+/**
+ * Sends a scoreboard's current state to its socket room and its Server-Sent Events stream.
+ */
+function emitScoreboardState(io, scoreboard) {
+  const room = scoreboard._id.toString();
+
+  if (io) {
+    io.to(room).emit('scoreboard:state', scoreboard);
+  }
+
+  publishLiveEvent(getScoreboardChannel(room), 'scoreboard:state', scoreboard);
+}
+
+/**
+ * Fans a committed scoreboard write out to everyone watching: the board's socket room,
+ * the cached data feed, and the linked tournament. A write that decides the match moves
+ * its live tournament match to ended.
+ */
+async function broadcastScoreboardResult(io, { scoreboard, history, matchCompleted }) {
+  const room = scoreboard._id.toString();
+
+  primeScoreboardFeed(scoreboard);
+  emitScoreboardState(io, scoreboard);
+
+  if (io) {
+    io.to(room).emit('scoreboard:history', { scoreboardId: room, ...history });
+  }
+
+  await emitScoreboardSummaryEvent(io, scoreboard);
+
+  if (matchCompleted) {
+    try {
+      await endMatchForCompletedScoreboard({ scoreboardId: scoreboard._id, io });
+    } catch (error) {
+      // eslint-disable-next-line no-console
+      console.error('Failed to end match for completed scoreboard', error);
+    }
+  }
+}
+
+module.exports = {
+  broadcastScoreboardResult,
+  emitScoreboardState,
+};
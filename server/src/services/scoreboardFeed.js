@@ -0,0 +1,243 @@
+const Scoreboard = require('../models/Scoreboard');
+const { resolveScoreboardQuery } = require('./scoreboards');
+
+const FEED_CACHE_TTL_MS = 1000;
+const FEED_CACHE_MAX_ENTRIES = 1000;
+// Scoreboard ids are ObjectIds and codes are six hex characters; anything else can never match
+const FEED_KEY_PATTERN = /^(?:[0-9a-f]{24}|[0-9a-f]{6})$/;
+const FEED_SET_SLOTS = 5;
+const FEED_FORMATS = ['json', 'xml', 'csv'];
+const FEED_SELECT_FIELDS = '_id code title teams sets servingTeamIndex completion updatedAt';
+
+const TEAM_FIELDS = [
+  'Name',
+  'Color',
+  'TextColor',
+  'LogoUrl',
+  'Score',
+  'SetsWon',
+  'Timeouts',
+  'Serving',
+];
+const TEAM_KEYS = ['home', 'away'];
+
+// Column order is part of the contract: vMix/CasparCG templates bind to these names.
+const FEED_FIELDS = [
+  'scoreboardId',
+  'code',
+  'title',
+  ...TEAM_KEYS.flatMap((side) => TEAM_FIELDS.map((field) => `${side}${field}`)),
+  'servingTeam',
+  'currentSet',
+  'setsPlayed',
+  'matchWinner',
+  ...Array.from({ length: FEED_SET_SLOTS }, (_, index) => [
+    `set${index + 1}Home`,
+    `set${index + 1}Away`,
+  ]).flat(),
+  'updatedAt',
+];
+
+const feedCache = new Map();
+
+function toScore(value) {
+  const parsed = Number(value);
+  return Number.isFinite(parsed) && parsed >= 0 ? parsed : 0;
+}
+
+function toCacheKey(idOrCode) {
+  return typeof idOrCode === 'string' ? idOrCode.trim().toLowerCase() : '';
+}
+
+/**
+ * Flattens a scoreboard into the fixed set of fields served to broadcast data sources.
+ * Team 0 is `home` and team 1 is `away`; unplayed set slots are `null`.
+ */
+function buildScoreboardFeed(scoreboard) {
+  const teams = Array.isArray(scoreboard?.teams) ? scoreboard.teams : [];
+  const sets = (Array.isArray(scoreboard?.sets) ? scoreboard.sets : [])
+    .filter((set) => Array.isArray(set?.scores) && set.scores.length === 2)
+    .map((set) => set.scores.map(toScore));
+  const setsWon = sets.reduce(
+    (wins, [home, away]) => {
+      if (home > away) wins[0] += 1;
+      if (away > home) wins[1] += 1;
+      return wins;
+    },
+    [0, 0]
+  );
+  const servingTeamIndex = [0, 1].includes(scoreboard?.servingTeamIndex)
+    ? scoreboard.servingTeamIndex
+    : null;
+  const matchWinnerIndex = scoreboard?.completion?.matchWinnerIndex;
+
+  const feed = {
+    scoreboardId: scoreboard?._id ? scoreboard._id.toString() : null,
+    code: scoreboard?.code ?? null,
+    title: scoreboard?.title ?? null,
+  };
+
+  TEAM_KEYS.forEach((side, index) => {
+    const team = teams[index] ?? {};
+
+    feed[`${side}Name`] = team.name || (index === 0 ? 'Home' : 'Away');
+    feed[`${side}Color`] = team.color || null;
+    feed[`${side}TextColor`] = team.teamTextColor || team.textColor || null;
+    feed[`${side}LogoUrl`] = team.logoUrl || null;
+    feed[`${side}Score`] = toScore(team.score);
+    feed[`${side}SetsWon`] = setsWon[index];
+    feed[`${side}Timeouts`] = toScore(team.timeouts);
+    feed[`${side}Serving`] = servingTeamIndex === index;
+  });
+
+  feed.servingTeam = servingTeamIndex === null ? null : TEAM_KEYS[servingTeamIndex];
+  feed.currentSet = sets.length + 1;
+  feed.setsPlayed = sets.length;
+  feed.matchWinner = [0, 1].includes(matchWinnerIndex) ? TEAM_KEYS[matchWinnerIndex] : null;
+
+  for (let index = 0; index < FEED_SET_SLOTS; index += 1) {
+    feed[`set${index + 1}Home`] = sets[index]?.[0] ?? null;
+    feed[`set${index + 1}Away`] = sets[index]?.[1] ?? null;
+  }
+
+  feed.updatedAt = scoreboard?.updatedAt ? new Date(scoreboard.updatedAt).toISOString() : null;
+
+  return feed;
+}
+
+function formatFeedValue(value) {
+  return value === null || value === undefined ? '' : String(value);
+}
+
+function escapeXml(value) {
+  return value
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function escapeCsv(value) {
+  return /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+}
+
+function serializeFeedXml(feed) {
+  const fields = FEED_FIELDS.map(
+    (field) => `  <${field}>${escapeXml(formatFeedValue(feed[field]))}</${field}>`
+  );
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<scoreboard>',
+    ...fields,
+    '</scoreboard>',
+    '',
+  ].join('\n');
+}
+
+// Header row plus one data row, so spreadsheet-style data sources see one record
+function serializeFeedCsv(feed) {
+  return [
+    FEED_FIELDS.join(','),
+    FEED_FIELDS.map((field) => escapeCsv(formatFeedValue(feed[field]))).join(','),
+    '',
+  ].join('\r\n');
+}
+
+// Entries are re-inserted on every write, so the Map stays ordered oldest-expiry first
+function pruneFeedCache(nowMs) {
+  for (const [key, entry] of feedCache) {
+    if (entry.expiresAt > nowMs && feedCache.size <= FEED_CACHE_MAX_ENTRIES) {
+      break;
+    }
+
+    feedCache.delete(key);
+  }
+}
+
+function cacheFeed(keys, value, nowMs) {
+  const entry = { value, expiresAt: nowMs + FEED_CACHE_TTL_MS };
+  keys
+    .map(toCacheKey)
+    .filter(Boolean)
+    .forEach((key) => {
+      feedCache.delete(key);
+      feedCache.set(key, entry);
+    });
+  pruneFeedCache(nowMs);
+}
+
+function uncacheFeed(key, value) {
+  if (feedCache.get(key)?.value === value) {
+    feedCache.delete(key);
+  }
+}
+
+// Live writes refresh the cached feed so pollers see the new score without a read
+function primeScoreboardFeed(scoreboard, nowMs = Date.now()) {
+  if (!scoreboard?._id) {
+    return;
+  }
+
+  cacheFeed(
+    [scoreboard._id.toString(), scoreboard.code],
+    Promise.resolve(buildScoreboardFeed(scoreboard)),
+    nowMs
+  );
+}
+
+/**
+ * Resolves the feed for a scoreboard id or code. Found feeds are cached for
+ * FEED_CACHE_TTL_MS and concurrent requests share one query, so frequent polling reads
+ * Mongo at most about once a second per scoreboard. Misses are only shared while the
+ * query is in flight, and keys that are not an id or code never reach the cache.
+ */
+function loadScoreboardFeed(idOrCode, nowMs = Date.now()) {
+  const key = toCacheKey(idOrCode);
+  const cached = feedCache.get(key);
+
+  if (cached && cached.expiresAt > nowMs) {
+    return cached.value;
+  }
+
+  const query = FEED_KEY_PATTERN.test(key) ? resolveScoreboardQuery(idOrCode) : null;
+
+  if (!query) {
+    return Promise.resolve(null);
+  }
+
+  const value = Scoreboard.findOne(query)
+    .select(FEED_SELECT_FIELDS)
+    .lean()
+    .then((scoreboard) => (scoreboard ? buildScoreboardFeed(scoreboard) : null));
+
+  cacheFeed([key], value, nowMs);
+  value.then(
+    (feed) => {
+      if (!feed) {
+        uncacheFeed(key, value);
+      }
+    },
+    () => uncacheFeed(key, value)
+  );
+
+  return value;
+}
+
+function resetScoreboardFeedCache() {
+  feedCache.clear();
+}
+
+module.exports = {
+  FEED_CACHE_MAX_ENTRIES,
+  FEED_CACHE_TTL_MS,
+  FEED_FIELDS,
+  FEED_FORMATS,
+  buildScoreboardFeed,
+  loadScoreboardFeed,
+  primeScoreboardFeed,
+  resetScoreboardFeedCache,
+  serializeFeedCsv,
+  serializeFeedXml,
+};
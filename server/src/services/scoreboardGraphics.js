@@ -0,0 +1,213 @@
+const Match = require('../models/Match');
+const Scoreboard = require('../models/Scoreboard');
+const Tournament = require('../models/Tournament');
+const { computeStandingsBundle } = require('./tournamentEngine/standings');
+
+const GRAPHICS_KEYS = ['setSummary', 'matchTitle', 'standings', 'nextMatch'];
+const MAX_GRAPHICS_TITLE_LENGTH = 60;
+const MAX_GRAPHICS_SUBTITLE_LENGTH = 80;
+const STANDINGS_PHASES = ['phase1', 'phase2'];
+
+function createHttpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function toIdString(value) {
+  return value ? value.toString() : null;
+}
+
+function readText(value, maxLength) {
+  return typeof value === 'string' ? value.trim().slice(0, maxLength) : null;
+}
+
+/**
+ * Turns a producer's partial change (`{ visible: { standings: true }, title, subtitle }`)
+ * into a Mongo `$set`. Unknown graphics and non-boolean flags are ignored.
+ */
+function sanitizeGraphicsChanges(changes) {
+  const source = changes && typeof changes === 'object' ? changes : {};
+  const visible = source.visible && typeof source.visible === 'object' ? source.visible : {};
+  const update = {};
+
+  GRAPHICS_KEYS.forEach((key) => {
+    if (typeof visible[key] === 'boolean') {
+      update[`graphics.visible.${key}`] = visible[key];
+    }
+  });
+
+  const title = readText(source.title, MAX_GRAPHICS_TITLE_LENGTH);
+  const subtitle = readText(source.subtitle, MAX_GRAPHICS_SUBTITLE_LENGTH);
+
+  if (title !== null) {
+    update['graphics.title'] = title;
+  }
+
+  if (subtitle !== null) {
+    update['graphics.subtitle'] = subtitle;
+  }
+
+  if (Object.keys(update).length === 0) {
+    throw createHttpError(400, 'No graphics changes provided');
+  }
+
+  return update;
+}
+
+function formatTeamName(team) {
+  return team?.shortName || team?.name || 'TBD';
+}
+
+/**
+ * Builds the `scoreboard:graphics` payload. `context` carries what a linked tournament
+ * match adds: the pool standings table and the next match on the same court.
+ */
+function buildScoreboardGraphics(scoreboard, context = {}) {
+  const graphics = scoreboard?.graphics ?? {};
+  const teams = Array.isArray(scoreboard?.teams) ? scoreboard.teams : [];
+  const defaultTitle = `${teams[0]?.name || 'Home'} vs ${teams[1]?.name || 'Away'}`;
+
+  return {
+    scoreboardId: toIdString(scoreboard?._id),
+    visible: Object.fromEntries(
+      GRAPHICS_KEYS.map((key) => [key, Boolean(graphics.visible?.[key])])
+    ),
+    matchTitle: {
+      title: graphics.title || defaultTitle,
+      subtitle: graphics.subtitle || context.subtitle || scoreboard?.title || '',
+    },
+    standings: context.standings ?? null,
+    nextMatch: context.nextMatch ?? null,
+  };
+}
+
+async function loadPoolStandings(match) {
+  if (!match.poolId || !STANDINGS_PHASES.includes(match.phase)) {
+    return null;
+  }
+
+  const { pools } = await computeStandingsBundle(match.tournamentId, match.phase);
+  const pool = pools.find((entry) => entry.poolId === toIdString(match.poolId));
+
+  if (!pool) {
+    return null;
+  }
+
+  return {
+    poolName: pool.poolName,
+    teams: pool.teams.map((team) => ({
+      rank: team.rank,
+      name: formatTeamName(team),
+      matchesWon: team.matchesWon,
+      matchesLost: team.matchesLost,
+      setsWon: team.setsWon,
+      setsLost: team.setsLost,
+    })),
+  };
+}
+
+// The earliest scheduled match after this one on the same court
+async function loadNextCourtMatch(match) {
+  const courtQuery = match.courtId
+    ? { courtId: match.courtId }
+    : match.court
+      ? { court: match.court }
+      : null;
+
+  if (!courtQuery) {
+    return null;
+  }
+
+  const candidates = await Match.find({
+    tournamentId: match.tournamentId,
+    _id: { $ne: match._id },
+    status: 'scheduled',
+    ...courtQuery,
+  })
+    .select('roundBlock court createdAt teamAId teamBId')
+    .populate('teamAId', 'name shortName')
+    .populate('teamBId', 'name shortName')
+    .sort({ roundBlock: 1, createdAt: 1 })
+    .lean();
+  const currentRound = Number.isFinite(match.roundBlock) ? match.roundBlock : null;
+  const next = candidates.find(
+    (candidate) =>
+      currentRound === null ||
+      !Number.isFinite(candidate.roundBlock) ||
+      candidate.roundBlock >= currentRound
+  );
+
+  if (!next) {
+    return null;
+  }
+
+  return {
+    teamA: formatTeamName(next.teamAId),
+    teamB: formatTeamName(next.teamBId),
+    court: next.court || match.court || null,
+    roundBlock: next.roundBlock ?? null,
+  };
+}
+
+async function loadGraphicsContext(scoreboardId) {
+  const match = await Match.findOne({ scoreboardId })
+    .select('_id tournamentId phase poolId court courtId roundBlock')
+    .populate('poolId', 'name')
+    .lean();
+
+  if (!match) {
+    return {};
+  }
+
+  const poolName = match.poolId?.name ?? null;
+  const [tournament, standings, nextMatch] = await Promise.all([
+    Tournament.findById(match.tournamentId).select('name').lean(),
+    loadPoolStandings({ ...match, poolId: match.poolId?._id ?? null }),
+    loadNextCourtMatch(match),
+  ]);
+
+  return {
+    subtitle: [tournament?.name, poolName ? `Pool ${poolName}` : null, match.court]
+      .filter(Boolean)
+      .join(' · '),
+    standings,
+    nextMatch,
+  };
+}
+
+/**
+ * Loads the graphics state for a scoreboard, with standings and the next match resolved
+ * from its tournament match (if any). Returns null when the scoreboard does not exist.
+ */
+async function loadScoreboardGraphics(query) {
+  const scoreboard = await Scoreboard.findOne(query)
+    .select('_id title teams +graphics')
+    .lean();
+
+  if (!scoreboard) {
+    return null;
+  }
+
+  return buildScoreboardGraphics(scoreboard, await loadGraphicsContext(scoreboard._id));
+}
+
+// Graphics are presentation only: they skip undo history and leave the revision alone
+async function updateScoreboardGraphics({ query, changes }) {
+  const update = sanitizeGraphicsChanges(changes);
+  const result = await Scoreboard.updateOne(query, { $set: update }, { timestamps: false });
+
+  if (!result.matchedCount) {
+    return null;
+  }
+
+  return loadScoreboardGraphics(query);
+}
+
+module.exports = {
+  GRAPHICS_KEYS,
+  buildScoreboardGraphics,
+  loadScoreboardGraphics,
+  sanitizeGraphicsChanges,
+  updateScoreboardGraphics,
+};
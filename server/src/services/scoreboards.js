@@ -1,8 +1,41 @@
+const mongoose = require('mongoose');
+
 const Scoreboard = require('../models/Scoreboard');
 const { normalizeScoringConfig } = require('./phase1');
+const {
+  flushPendingRallyEvents,
+  listRallyEvents,
+  planRallyEvents,
+  replayRallyLog,
+  sequenceRallyEvents,
+} = require('./rallyLog');
+const { applySideOutRotation, resetLineupRotation, sanitizeLineup } = require('./lineup');
+const {
+  applySanctionPenalty,
+  applySubstitutionToLineup,
+  buildSanction,
+  buildSubstitution,
+  sanitizeEntries,
+  sanitizeSanction,
+  sanitizeSubstitution,
+} = require('./officiating');
+const {
+  AUTO_COMPLETE_MODES,
+  evaluateScoreboardCompletion,
+  evaluateSetPoints,
+  normalizeAutoCompleteMode,
+} = require('./scoringRules');
 
 const MAX_TITLE_LENGTH = 30;
+const MAX_SET_COUNT = 5;
+const HISTORY_LIMIT = 50;
+const WRITE_ATTEMPTS = 3;
+const APPLIED_ACTION_LIMIT = 100;
+const MAX_ACTION_ID_LENGTH = 64;
+const TIMEOUTS_PER_SET = 2;
+const TIMEOUT_DURATION_SECONDS = 30;
 const TEMPORARY_LIFETIME_MS = 24 * 60 * 60 * 1000;
+const MAX_LOGO_URL_LENGTH = 2048;
 const TEAM_DEFAULTS = [
   {
     color: '#2563eb',
@@ -20,6 +53,26 @@ const TEAM_DEFAULTS = [
   },
 ];
 
+// Team logos are linked, not uploaded; only absolute http(s) URLs are kept
+function sanitizeLogoUrl(value) {
+  if (typeof value !== 'string') {
+    return null;
+  }
+
+  const trimmed = value.trim();
+
+  if (!trimmed || trimmed.length > MAX_LOGO_URL_LENGTH) {
+    return null;
+  }
+
+  try {
+    const url = new URL(trimmed);
+    return ['http:', 'https:'].includes(url.protocol) ? trimmed : null;
+  } catch {
+    return null;
+  }
+}
+
 function sanitizeTeams(teams) {
   if (!Array.isArray(teams) || teams.length !== 2) {
     return undefined;
@@ -41,6 +94,7 @@ function sanitizeTeams(teams) {
       setColor: defaults.setColor,
       scoreTextColor: defaults.scoreTextColor,
       textColor: defaults.textColor,
+      logoUrl: sanitizeLogoUrl(team?.logoUrl),
       score: 0,
     };
 
@@ -117,9 +171,11 @@ async function createMatchScoreboard({
     teams: [
       {
         name: teamA?.shortName || teamA?.name || 'Team A',
+        logoUrl: teamA?.logoUrl,
       },
       {
         name: teamB?.shortName || teamB?.name || 'Team B',
+        logoUrl: teamB?.logoUrl,
       },
     ],
     servingTeamIndex: null,
@@ -128,10 +184,743 @@ async function createMatchScoreboard({
   });
 }
 
+function createScoreboardUpdateError(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+function createScoreboardRetryError() {
+  const error = new Error('Scoreboard changed, try again');
+  error.status = 409;
+  return error;
+}
+
+function createUndoNotPointError() {
+  const error = new Error('Last change was not a point');
+  error.status = 409;
+  return error;
+}
+
+function createScoreboardConflictError(current) {
+  const error = new Error('Scoreboard was changed by another scorer');
+  error.status = 409;
+  error.code = 'SCOREBOARD_CONFLICT';
+  error.scoreboard = current;
+  return error;
+}
+
+function resolveScoreboardQuery(idOrCode) {
+  const key = typeof idOrCode === 'string' ? idOrCode.trim() : '';
+
+  if (!key) {
+    return null;
+  }
+
+  return mongoose.Types.ObjectId.isValid(key) ? { _id: key } : { code: key.toUpperCase() };
+}
+
+function sanitizeScoreboardSet(set) {
+  if (!set || !Array.isArray(set.scores) || set.scores.length !== 2) {
+    return null;
+  }
+
+  const [homeScore, awayScore] = set.scores;
+  const createdAt =
+    set.createdAt && !Number.isNaN(Date.parse(set.createdAt))
+      ? new Date(set.createdAt)
+      : new Date();
+
+  return {
+    scores: [Math.max(0, Number(homeScore) || 0), Math.max(0, Number(awayScore) || 0)],
+    createdAt,
+  };
+}
+
+function sanitizeTimeoutCount(value) {
+  const parsed = Math.floor(Number(value));
+  return Number.isFinite(parsed) ? Math.min(TIMEOUTS_PER_SET, Math.max(0, parsed)) : 0;
+}
+
+// `null` ends a running timeout; `undefined` means the payload did not touch it
+function sanitizeActiveTimeout(activeTimeout) {
+  if (activeTimeout === null) {
+    return null;
+  }
+
+  const teamIndex = Number(activeTimeout?.teamIndex);
+
+  if (![0, 1].includes(teamIndex)) {
+    return undefined;
+  }
+
+  const startedAt =
+    activeTimeout.startedAt && !Number.isNaN(Date.parse(activeTimeout.startedAt))
+      ? new Date(activeTimeout.startedAt)
+      : new Date();
+
+  return { teamIndex, startedAt, durationSeconds: TIMEOUT_DURATION_SECONDS };
+}
+
+// Validates a full scoreboard state sent by a control client and maps it to a Mongo update.
+function sanitizeScoreboardState(state) {
+  if (
+    !state ||
+    !Array.isArray(state.teams) ||
+    state.teams.length !== 2 ||
+    !(state.servingTeamIndex === null || [0, 1].includes(state.servingTeamIndex))
+  ) {
+    throw createScoreboardUpdateError('Invalid scoreboard payload');
+  }
+
+  const sanitizedSets = Array.isArray(state.sets)
+    ? state.sets.map(sanitizeScoreboardSet).filter(Boolean)
+    : undefined;
+
+  if (sanitizedSets && sanitizedSets.length > MAX_SET_COUNT) {
+    throw createScoreboardUpdateError(`Only ${MAX_SET_COUNT} sets are supported for a match`);
+  }
+
+  const sanitizedTitle =
+    typeof state.title === 'string' ? state.title.trim().slice(0, MAX_TITLE_LENGTH) : null;
+
+  const update = {
+    teams: state.teams.map((team, index) => ({
+      name: team.name?.toString().trim() || `Team ${index + 1}`,
+      color: team.color || '#ffffff',
+      teamTextColor: team.teamTextColor || team.textColor || '#ffffff',
+      setColor: team.setColor || team.color || '#0b1a3a',
+      scoreTextColor: team.scoreTextColor || '#ffffff',
+      textColor: team.textColor || team.teamTextColor || '#ffffff',
+      logoUrl: sanitizeLogoUrl(team.logoUrl),
+      score: Number.isFinite(Number(team.score)) ? Math.max(0, Number(team.score)) : 0,
+      timeouts: sanitizeTimeoutCount(team.timeouts),
+    })),
+    servingTeamIndex: state.servingTeamIndex,
+  };
+  const activeTimeout = sanitizeActiveTimeout(state.activeTimeout);
+  const lineup = sanitizeLineup(state.lineup);
+  const substitutions = sanitizeEntries(state.substitutions, sanitizeSubstitution);
+  const sanctions = sanitizeEntries(state.sanctions, sanitizeSanction);
+
+  if (sanitizedTitle) {
+    update.title = sanitizedTitle;
+  }
+
+  if (AUTO_COMPLETE_MODES.includes(state.scoring?.autoComplete)) {
+    update['scoring.autoComplete'] = state.scoring.autoComplete;
+  }
+
+  if (typeof state.scoring?.timeoutCountdown === 'boolean') {
+    update['scoring.timeoutCountdown'] = state.scoring.timeoutCountdown;
+  }
+
+  if (activeTimeout !== undefined) {
+    update.activeTimeout = activeTimeout;
+  }
+
+  if (lineup !== undefined) {
+    update.lineup = lineup;
+  }
+
+  if (substitutions) {
+    update.substitutions = substitutions;
+  }
+
+  if (sanctions) {
+    update.sanctions = sanctions;
+  }
+
+  if (sanitizedSets) {
+    update.sets = sanitizedSets;
+  } else if (Array.isArray(state.sets) && state.sets.length === 0) {
+    update.sets = [];
+  }
+
+  return update;
+}
+
+function buildHistorySnapshot(scoreboard) {
+  return {
+    teams: Array.isArray(scoreboard?.teams) ? scoreboard.teams : [],
+    sets: Array.isArray(scoreboard?.sets) ? scoreboard.sets : [],
+    servingTeamIndex: [0, 1].includes(scoreboard?.servingTeamIndex)
+      ? scoreboard.servingTeamIndex
+      : null,
+    lineup: scoreboard?.lineup ?? null,
+    substitutions: Array.isArray(scoreboard?.substitutions) ? scoreboard.substitutions : [],
+    sanctions: Array.isArray(scoreboard?.sanctions) ? scoreboard.sanctions : [],
+  };
+}
+
+function toHistoryComparable(state) {
+  const sanitized = sanitizeScoreboardState({ ...state, sets: state.sets ?? [] });
+
+  return JSON.stringify([
+    sanitized.teams,
+    sanitized.servingTeamIndex,
+    (sanitized.sets ?? []).map((set) => set.scores),
+    sanitized.lineup ?? null,
+    sanitized.substitutions ?? [],
+    sanitized.sanctions ?? [],
+  ]);
+}
+
+// Live and archived set scores only, to tell a point apart from serve, lineup, or card changes
+function toScoreComparable(state) {
+  return JSON.stringify([
+    (state.teams ?? []).map((team) => Math.max(0, Number(team?.score) || 0)),
+    (state.sets ?? []).map((set) => set.scores),
+  ]);
+}
+
+function summarizeScoreboardHistory(history) {
+  return {
+    undo: Array.isArray(history?.undo) ? history.undo.length : 0,
+    redo: Array.isArray(history?.redo) ? history.redo.length : 0,
+  };
+}
+
+function resolveAutoCompleteMode(current, update) {
+  return normalizeAutoCompleteMode(
+    update['scoring.autoComplete'] ?? current?.scoring?.autoComplete
+  );
+}
+
+// Archives the live score as a completed set and starts the next one at 0-0
+function archiveLiveSet(update, sets) {
+  return {
+    ...update,
+    sets: [
+      ...sets,
+      {
+        scores: [update.teams[0].score, update.teams[1].score],
+        createdAt: new Date(),
+      },
+    ],
+    teams: update.teams.map((team) => ({ ...team, score: 0 })),
+  };
+}
+
+// A new set starts with fresh timeouts and rotations, and the next rally ends a running timeout
+function settleLiveSet({ current, update, liveScoreChanged }) {
+  const setCount = Array.isArray(current.sets) ? current.sets.length : 0;
+
+  if (Array.isArray(update.sets) && update.sets.length > setCount) {
+    const lineup = update.lineup === undefined ? current.lineup : update.lineup;
+
+    return {
+      ...update,
+      teams: update.teams.map((team) => ({ ...team, timeouts: 0 })),
+      activeTimeout: null,
+      ...(lineup ? { lineup: resetLineupRotation(lineup) } : {}),
+    };
+  }
+
+  return liveScoreChanged ? { ...update, activeTimeout: null } : { ...update };
+}
+
+// Read at the revision the write below checks, so the snapshot always matches `current`.
+// Boards logged before snapshots existed replay their full log once.
+async function loadRallyLogSnapshot(current, revisionFilter) {
+  const stored = await Scoreboard.findOne({ ...revisionFilter, _id: current._id })
+    .select('+rallyLog')
+    .lean();
+
+  if (!stored) {
+    return null;
+  }
+
+  if (stored.rallyLog) {
+    return stored.rallyLog;
+  }
+
+  return { sequence: 0, ...replayRallyLog(await listRallyEvents(current._id)) };
+}
+
+async function writeScoreboardState({
+  current,
+  update,
+  actor,
+  filter = {},
+  historyUpdate = {},
+  actionId = null,
+}) {
+  // Compare-and-swap on the revision read above so concurrent writers can never interleave
+  const revisionFilter = Number.isInteger(current.revision)
+    ? { revision: current.revision }
+    : { revision: { $exists: false } };
+  const rallyLog = await loadRallyLogSnapshot(current, revisionFilter);
+
+  if (!rallyLog) {
+    return null;
+  }
+
+  const { events: plannedEvents, liveState } = planRallyEvents({
+    baseState: rallyLog,
+    scoreboard: current,
+    update,
+  });
+  // Committed on the scoreboard in the same update as the score, then copied to the log
+  const events = sequenceRallyEvents(plannedEvents, rallyLog.sequence, actor);
+
+  update.teams = update.teams.map((team, index) => ({
+    ...team,
+    score: liveState.scores[index],
+  }));
+
+  const completionInput = {
+    teams: update.teams,
+    sets: update.sets ?? current.sets,
+    scoring: current.scoring,
+  };
+  const { setIndex, ...completion } = {
+    ...evaluateScoreboardCompletion(completionInput),
+    ...evaluateSetPoints(completionInput),
+  };
+  const previousMatchWinnerIndex = current.completion?.matchWinnerIndex ?? null;
+  update.completion = completion;
+
+  const { $set: historySet, $push: historyPush, ...historyOperators } = historyUpdate;
+  const push = {
+    ...historyPush,
+    ...(actionId
+      ? { appliedActionIds: { $each: [actionId], $slice: -APPLIED_ACTION_LIMIT } }
+      : {}),
+    ...(events.length > 0 ? { pendingRallyEvents: { $each: events } } : {}),
+  };
+  const updated = await Scoreboard.findOneAndUpdate(
+    { ...filter, ...revisionFilter, _id: current._id },
+    {
+      $set: {
+        ...update,
+        ...historySet,
+        rallyLog: {
+          sequence: rallyLog.sequence + events.length,
+          setIndex: liveState.setIndex,
+          scores: liveState.scores,
+        },
+      },
+      $inc: { revision: 1 },
+      ...(Object.keys(push).length > 0 ? { $push: push } : {}),
+      ...historyOperators,
+    },
+    {
+      new: true,
+      runValidators: true,
+      omitUndefined: true,
+    }
+  )
+    .select('+history +pendingRallyEvents')
+    .lean();
+
+  if (!updated) {
+    return null;
+  }
+
+  const { history, pendingRallyEvents, ...scoreboard } = updated;
+
+  try {
+    await flushPendingRallyEvents(updated._id, pendingRallyEvents);
+  } catch (error) {
+    // The events stay queued on the scoreboard and are copied on the next write or log read
+    // eslint-disable-next-line no-console
+    console.error('Failed to copy rally events to the log', error);
+  }
+
+  return {
+    scoreboard,
+    history: summarizeScoreboardHistory(history),
+    matchCompleted: previousMatchWinnerIndex === null && completion.matchWinnerIndex !== null,
+  };
+}
+
+async function commitScoreboardUpdate({ current, update, actor, actionId = null }) {
+  const previousSnapshot = buildHistorySnapshot(current);
+  const hasUndoableChange =
+    toHistoryComparable(previousSnapshot) !==
+    toHistoryComparable({
+      teams: update.teams,
+      sets: update.sets ?? current.sets,
+      servingTeamIndex: update.servingTeamIndex,
+      lineup: update.lineup === undefined ? current.lineup : update.lineup,
+      substitutions: update.substitutions ?? current.substitutions,
+      sanctions: update.sanctions ?? current.sanctions,
+    });
+
+  return writeScoreboardState({
+    current,
+    update,
+    actor,
+    actionId,
+    historyUpdate: hasUndoableChange
+      ? {
+          $push: {
+            'history.undo': { $each: [previousSnapshot], $slice: -HISTORY_LIMIT },
+          },
+          $set: { 'history.redo': [] },
+        }
+      : {},
+  });
+}
+
+function normalizeScoreboardAction(action) {
+  const teamIndex = Number(action?.teamIndex);
+  const delta = Number(action?.delta);
+
+  if (action?.type !== 'point' || ![0, 1].includes(teamIndex) || ![1, -1].includes(delta)) {
+    return null;
+  }
+
+  return { type: 'point', teamIndex, delta };
+}
+
+// Re-applies a stale single-point change on top of the latest state instead of
+// overwriting points another scorer added in the meantime.
+function mergeScoreboardAction(current, update, action) {
+  return {
+    ...update,
+    teams: update.teams.map((team, index) => {
+      const currentScore = Math.max(0, Number(current.teams?.[index]?.score) || 0);
+      return {
+        ...team,
+        score: index === action.teamIndex ? Math.max(0, currentScore + action.delta) : currentScore,
+        timeouts: current.teams?.[index]?.timeouts ?? 0,
+      };
+    }),
+    servingTeamIndex:
+      action.delta > 0 ? update.servingTeamIndex : current.servingTeamIndex ?? null,
+    sets: Array.isArray(current.sets) ? current.sets : [],
+  };
+}
+
+function normalizeActionId(value) {
+  const actionId = typeof value === 'string' ? value.trim() : '';
+  return actionId && actionId.length <= MAX_ACTION_ID_LENGTH ? actionId : null;
+}
+
+function resolveRevisionedUpdate({ current, update, baseRevision, action }) {
+  if (!Number.isInteger(baseRevision) || baseRevision === (current.revision ?? 0)) {
+    return update;
+  }
+
+  const mergeableAction = normalizeScoreboardAction(action);
+
+  if (!mergeableAction) {
+    throw createScoreboardConflictError(current);
+  }
+
+  return mergeScoreboardAction(current, update, mergeableAction);
+}
+
+/**
+ * Loads the board and hands it to `write` until a write lands. `write` returns null when
+ * its revision check lost to another writer, so each retry rebuilds the change from the
+ * fresh board. Resolves null when the board does not exist. `select` adds hidden fields
+ * such as `+history` to the loaded board.
+ */
+async function retryScoreboardWrite(query, write, { select } = {}) {
+  for (let attempt = 0; attempt < WRITE_ATTEMPTS; attempt += 1) {
+    const current = query ? await Scoreboard.findOne(query).select(select).lean() : null;
+
+    if (!current) {
+      return null;
+    }
+
+    const result = await write(current);
+
+    if (result) {
+      return result;
+    }
+  }
+
+  throw createScoreboardRetryError();
+}
+
+// Runs a live change through side-out rotation, auto-completion, and set resets, then writes it
+async function commitLiveUpdate({ current, update: liveUpdate, actor, actionId = null }) {
+  const update = applySideOutRotation({ current, update: liveUpdate });
+  const sets = update.sets ?? current.sets ?? [];
+  const liveScoreChanged = update.teams.some(
+    (team, index) => team.score !== (current.teams?.[index]?.score ?? 0)
+  );
+  const { setWinnerIndex } = evaluateScoreboardCompletion({
+    teams: update.teams,
+    sets,
+    scoring: current.scoring,
+  });
+  const shouldArchive =
+    liveScoreChanged &&
+    setWinnerIndex !== null &&
+    sets.length < MAX_SET_COUNT &&
+    resolveAutoCompleteMode(current, update) === 'auto';
+
+  return commitScoreboardUpdate({
+    current,
+    update: settleLiveSet({
+      current,
+      update: shouldArchive ? archiveLiveSet(update, sets) : update,
+      liveScoreChanged,
+    }),
+    actor,
+    actionId,
+  });
+}
+
+/**
+ * Applies a control-client state to a scoreboard. Live scores are replayed from the
+ * rally log after the update's implied events are appended, so the stored score always
+ * matches the point-by-point history. Changes to teams, sets, or serve push the previous
+ * state onto the undo stack and clear redo. With `scoring.autoComplete: 'auto'`, a score
+ * change that decides the live set archives it in the same write. Starting a new set
+ * resets both teams' timeouts and lineup rotations, and any score change ends a running
+ * timeout. With lineups enabled, a side-out rotates the team that won the rally.
+ *
+ * When `baseRevision` is behind the stored revision, a single-point `action` is merged
+ * onto the latest state; any other stale update is rejected with a 409 conflict.
+ *
+ * `actionId` identifies a queued client update. Replaying an id that was already applied
+ * (the acknowledgement was lost) returns the current board with `duplicate: true`.
+ */
+async function applyScoreboardUpdate({ query, state, actor, baseRevision, action, actionId }) {
+  const sanitized = sanitizeScoreboardState(state);
+  const normalizedActionId = normalizeActionId(actionId);
+
+  return retryScoreboardWrite(query, async (current) => {
+    if (
+      normalizedActionId &&
+      (await Scoreboard.exists({ _id: current._id, appliedActionIds: normalizedActionId }))
+    ) {
+      return {
+        scoreboard: current,
+        history: await getScoreboardHistorySummary(current._id),
+        matchCompleted: false,
+        duplicate: true,
+      };
+    }
+
+    return commitLiveUpdate({
+      current,
+      update: resolveRevisionedUpdate({ current, update: sanitized, baseRevision, action }),
+      actor,
+      actionId: normalizedActionId,
+    });
+  });
+}
+
+/**
+ * Archives the live set once the scoring rules say it is decided. Used to confirm a
+ * pending completion (`scoring.autoComplete: 'confirm'`) or after undoing into one.
+ */
+async function completeScoreboardSet({ query, actor }) {
+  const current = query ? await Scoreboard.findOne(query).lean() : null;
+
+  if (!current) {
+    return null;
+  }
+
+  const sets = Array.isArray(current.sets) ? current.sets : [];
+  const { setWinnerIndex } = evaluateScoreboardCompletion({
+    teams: current.teams,
+    sets,
+    scoring: current.scoring,
+  });
+
+  if (setWinnerIndex === null || sets.length >= MAX_SET_COUNT) {
+    throw createScoreboardUpdateError('Current set is not complete');
+  }
+
+  const result = await commitScoreboardUpdate({
+    current,
+    update: settleLiveSet({
+      current,
+      update: archiveLiveSet(sanitizeScoreboardState(buildHistorySnapshot(current)), sets),
+      liveScoreChanged: false,
+    }),
+    actor,
+  });
+
+  if (!result) {
+    throw createScoreboardRetryError();
+  }
+
+  return result;
+}
+
+async function recordScoreboardEntry({ query, actor, buildEntry, applyEntry }) {
+  return retryScoreboardWrite(query, (current) => {
+    const { entry, error } = buildEntry(current);
+
+    if (error) {
+      throw createScoreboardUpdateError(error);
+    }
+
+    return commitLiveUpdate({
+      current,
+      update: applyEntry(sanitizeScoreboardState(buildHistorySnapshot(current)), entry),
+      actor,
+    });
+  });
+}
+
+/**
+ * Records a substitution in the live set. Each team may make `scoring.substitutionLimit`
+ * substitutions per set; with lineups enabled, the player coming on takes the position of
+ * the player going off. Entries are part of undo history like any other change.
+ */
+async function recordScoreboardSubstitution({ query, actor, teamIndex, playerIn, playerOut }) {
+  return recordScoreboardEntry({
+    query,
+    actor,
+    buildEntry: (current) => buildSubstitution(current, { teamIndex, playerIn, playerOut }),
+    applyEntry: (update, entry) => ({
+      ...update,
+      substitutions: [...update.substitutions, entry],
+      lineup: applySubstitutionToLineup(update.lineup, entry),
+    }),
+  });
+}
+
+/**
+ * Records a yellow or red card against a team in the live set. A red card awards the
+ * opponent a point and the serve, so it can rotate lineups and decide the set.
+ */
+async function recordScoreboardSanction({ query, actor, teamIndex, type, player }) {
+  return recordScoreboardEntry({
+    query,
+    actor,
+    buildEntry: (current) => buildSanction(current, { teamIndex, type, player }),
+    applyEntry: (update, entry) =>
+      applySanctionPenalty({ ...update, sanctions: [...update.sanctions, entry] }, entry),
+  });
+}
+
+// Rally scoring: the team that wins the point takes the serve
+function scoreCommandPoint(update, teamIndex) {
+  return {
+    ...update,
+    teams: update.teams.map((team, index) =>
+      index === teamIndex ? { ...team, score: team.score + 1 } : team
+    ),
+    servingTeamIndex: teamIndex,
+  };
+}
+
+const LIVE_COMMAND_UPDATES = {
+  'point-home': (update) => scoreCommandPoint(update, 0),
+  'point-away': (update) => scoreCommandPoint(update, 1),
+  'toggle-serve': (update) => ({
+    ...update,
+    servingTeamIndex: update.servingTeamIndex === 0 ? 1 : 0,
+  }),
+  reset: (update) => ({
+    ...update,
+    teams: update.teams.map((team) => ({ ...team, score: 0 })),
+  }),
+};
+
+const SCOREBOARD_COMMANDS = [...Object.keys(LIVE_COMMAND_UPDATES), 'undo', 'end-set'];
+
+/**
+ * Runs one controller command against the latest stored state. Points, serve changes,
+ * and resets take the same path as control-panel updates (validation, rally log, rotation,
+ * auto-completion, undo history); `undo` takes back the last point and `end-set`
+ * confirms a decided set like `scoreboard:completeSet`.
+ */
+async function runScoreboardCommand({ query, actor, command }) {
+  if (command === 'undo') {
+    return stepScoreboardHistory({ query, direction: 'undo', actor, pointsOnly: true });
+  }
+
+  if (command === 'end-set') {
+    return completeScoreboardSet({ query, actor });
+  }
+
+  const applyCommand = LIVE_COMMAND_UPDATES[command];
+
+  if (!applyCommand) {
+    throw createScoreboardUpdateError(`Unknown command: ${command}`);
+  }
+
+  return retryScoreboardWrite(query, (current) =>
+    commitLiveUpdate({
+      current,
+      update: applyCommand(sanitizeScoreboardState(buildHistorySnapshot(current))),
+      actor,
+    })
+  );
+}
+
+/**
+ * Moves one step through the server-held undo (`direction: 'undo'`) or redo stack.
+ * The filter pins the stack length so two controllers pressing undo at once cannot
+ * pop two entries while only applying one; the loser retries on the shorter stack.
+ * With `pointsOnly`, a step that would not change any score is refused with a 409.
+ */
+async function stepScoreboardHistory({ query, direction, actor, pointsOnly = false }) {
+  const sourceKey = direction === 'redo' ? 'redo' : 'undo';
+  const targetKey = sourceKey === 'undo' ? 'redo' : 'undo';
+
+  return retryScoreboardWrite(
+    query,
+    (current) => {
+      const stack = Array.isArray(current.history?.[sourceKey]) ? current.history[sourceKey] : [];
+
+      if (stack.length === 0) {
+        throw createScoreboardUpdateError(`Nothing to ${sourceKey}`);
+      }
+
+      const snapshot = stack[stack.length - 1];
+
+      if (pointsOnly && toScoreComparable(snapshot) === toScoreComparable(current)) {
+        throw createUndoNotPointError();
+      }
+
+      return writeScoreboardState({
+        current,
+        update: { ...sanitizeScoreboardState(snapshot), activeTimeout: null },
+        actor,
+        filter: {
+          [`history.${sourceKey}.${stack.length - 1}`]: { $exists: true },
+          [`history.${sourceKey}.${stack.length}`]: { $exists: false },
+        },
+        historyUpdate: {
+          $pop: { [`history.${sourceKey}`]: 1 },
+          $push: {
+            [`history.${targetKey}`]: {
+              $each: [buildHistorySnapshot(current)],
+              $slice: -HISTORY_LIMIT,
+            },
+          },
+        },
+      });
+    },
+    { select: '+history' }
+  );
+}
+
+async function getScoreboardHistorySummary(scoreboardId) {
+  const scoreboard = await Scoreboard.findById(scoreboardId).select('+history').lean();
+  return summarizeScoreboardHistory(scoreboard?.history);
+}
+
 module.exports = {
+  HISTORY_LIMIT,
+  MAX_SET_COUNT,
   MAX_TITLE_LENGTH,
+  SCOREBOARD_COMMANDS,
   TEMPORARY_LIFETIME_MS,
+  applyScoreboardUpdate,
+  completeScoreboardSet,
   createMatchScoreboard,
   createScoreboard,
+  getScoreboardHistorySummary,
+  recordScoreboardSanction,
+  recordScoreboardSubstitution,
+  resolveScoreboardQuery,
+  runScoreboardCommand,
+  sanitizeLogoUrl,
+  sanitizeScoreboardState,
   sanitizeTeams,
+  stepScoreboardHistory,
 };
@@ -0,0 +1,152 @@
+const { normalizeScoringConfig } = require('./phase1');
+
+const AUTO_COMPLETE_MODES = ['off', 'confirm', 'auto'];
+const DEFAULT_AUTO_COMPLETE_MODE = 'confirm';
+
+function safeScore(value) {
+  const parsed = Number(value);
+  return Number.isFinite(parsed) ? Math.max(0, Math.floor(parsed)) : 0;
+}
+
+function readScores(scores) {
+  return [safeScore(scores?.[0]), safeScore(scores?.[1])];
+}
+
+function normalizeAutoCompleteMode(value) {
+  return AUTO_COMPLETE_MODES.includes(value) ? value : DEFAULT_AUTO_COMPLETE_MODE;
+}
+
+// Sets beyond the configured list reuse the last entry (e.g. a 5th set plays like the 3rd)
+function getSetRule(scoring, setIndex) {
+  const normalized = normalizeScoringConfig(scoring);
+  const pick = (values) => values[Math.min(setIndex, values.length - 1)];
+  const cap = Number(pick(normalized.caps));
+
+  return {
+    target: pick(normalized.setTargets),
+    winBy: normalized.winBy,
+    cap: Number.isFinite(cap) && cap > 0 ? cap : null,
+  };
+}
+
+function getSetsToWin(scoring) {
+  return Math.floor(normalizeScoringConfig(scoring).setTargets.length / 2) + 1;
+}
+
+/**
+ * Returns the index of the team that has won a set under `rule`, or null while it is
+ * still in play. Per tournamentspec.md, the first team to reach the cap wins the set even
+ * when it is not ahead by `winBy` (27-26 wins with a cap of 27).
+ */
+function getSetWinnerIndex(scores, rule) {
+  const [scoreA, scoreB] = readScores(scores);
+
+  if (scoreA === scoreB) {
+    return null;
+  }
+
+  const leaderIndex = scoreA > scoreB ? 0 : 1;
+  const leaderScore = Math.max(scoreA, scoreB);
+
+  if (rule.cap !== null && leaderScore >= rule.cap) {
+    return leaderIndex;
+  }
+
+  return leaderScore >= rule.target && Math.abs(scoreA - scoreB) >= rule.winBy
+    ? leaderIndex
+    : null;
+}
+
+// Archived sets count for whichever team scored more, matching how results are finalized
+function countSetWins(sets) {
+  return (Array.isArray(sets) ? sets : []).reduce(
+    (wins, set) => {
+      const [scoreA, scoreB] = readScores(set?.scores);
+
+      if (scoreA > scoreB) {
+        return [wins[0] + 1, wins[1]];
+      }
+
+      if (scoreB > scoreA) {
+        return [wins[0], wins[1] + 1];
+      }
+
+      return wins;
+    },
+    [0, 0]
+  );
+}
+
+/**
+ * Summarizes where a scoreboard stands against its scoring rules:
+ * `setWinnerIndex` is the winner of the live set when it is decided but not yet archived,
+ * and `matchWinnerIndex` is set once a team has won enough archived sets.
+ */
+function evaluateScoreboardCompletion({ teams, sets, scoring }) {
+  const setWins = countSetWins(sets);
+  const setsToWin = getSetsToWin(scoring);
+  const decidedIndex = setWins.findIndex((wins) => wins >= setsToWin);
+  const matchWinnerIndex = decidedIndex === -1 ? null : decidedIndex;
+  const setIndex = Array.isArray(sets) ? sets.length : 0;
+  const setWinnerIndex =
+    matchWinnerIndex === null
+      ? getSetWinnerIndex(
+          [teams?.[0]?.score, teams?.[1]?.score],
+          getSetRule(scoring, setIndex)
+        )
+      : null;
+
+  return {
+    setIndex,
+    setWinnerIndex,
+    matchWinnerIndex,
+    setWins,
+  };
+}
+
+/**
+ * Flags each team that would win the live set (`setPoint`) or the match (`matchPoint`)
+ * with the next rally. Near the cap both teams can be at set point at once (26-26 with a
+ * cap of 27). All flags are false once the live set or the match is decided.
+ */
+function evaluateSetPoints({ teams, sets, scoring }) {
+  const { setIndex, setWinnerIndex, matchWinnerIndex, setWins } = evaluateScoreboardCompletion({
+    teams,
+    sets,
+    scoring,
+  });
+
+  if (setWinnerIndex !== null || matchWinnerIndex !== null) {
+    return { setPoint: [false, false], matchPoint: [false, false] };
+  }
+
+  const scores = readScores([teams?.[0]?.score, teams?.[1]?.score]);
+  const rule = getSetRule(scoring, setIndex);
+  const setsToWin = getSetsToWin(scoring);
+  const setPoint = [0, 1].map(
+    (teamIndex) =>
+      getSetWinnerIndex(
+        scores.map((score, index) => (index === teamIndex ? score + 1 : score)),
+        rule
+      ) === teamIndex
+  );
+
+  return {
+    setPoint,
+    matchPoint: setPoint.map(
+      (atSetPoint, teamIndex) => atSetPoint && setWins[teamIndex] + 1 >= setsToWin
+    ),
+  };
+}
+
+module.exports = {
+  AUTO_COMPLETE_MODES,
+  DEFAULT_AUTO_COMPLETE_MODE,
+  countSetWins,
+  evaluateScoreboardCompletion,
+  evaluateSetPoints,
+  getSetRule,
+  getSetWinnerIndex,
+  getSetsToWin,
+  normalizeAutoCompleteMode,
+};
@@ -2,6 +2,7 @@ const Match = require('../../models/Match');
 const Pool = require('../../models/Pool');
 const Tournament = require('../../models/Tournament');
 const TournamentTeam = require('../../models/TournamentTeam');
+const { resolveFormat } = require('../customFormats');
 
 const SUPPORTED_PHASES = new Set(['phase1', 'phase2', 'cumulative']);
 const PHASES_WITH_POOLS = new Set(['phase1', 'phase2']);
@@ -216,6 +217,15 @@ const comparePrimaryCriteria = (teamA, teamB) => {
     return teamA.matchesLost - teamB.matchesLost;
   }
 
+  // Only present when the opponentWinPct option is on (Swiss stages)
+  if (
+    Number.isFinite(teamA.opponentWinPct) &&
+    Number.isFinite(teamB.opponentWinPct) &&
+    teamA.opponentWinPct !== teamB.opponentWinPct
+  ) {
+    return teamB.opponentWinPct - teamA.opponentWinPct;
+  }
+
   const setPctCompare = compareRatiosDesc(
     teamA.setsWon,
     Math.max(teamA.setsPlayed, 1),
@@ -336,13 +346,59 @@ function applyTieBreakers(entries, matches, overrideOrder) {
   return resolved;
 }
 
-function buildStandingsEntries({ teamIds, teamLookup, matches, overrideOrder }) {
+// Average match-win percentage of each team's opponents, one entry per match played
+function computeOpponentWinPcts(statsByTeamId, matches) {
+  const opponentsByTeamId = new Map(Array.from(statsByTeamId.keys()).map((teamId) => [teamId, []]));
+
+  matches.forEach((match) => {
+    const teamAId = toIdString(match?.teamAId);
+    const teamBId = toIdString(match?.teamBId);
+
+    if (!match?.result || !opponentsByTeamId.has(teamAId) || !opponentsByTeamId.has(teamBId)) {
+      return;
+    }
+
+    opponentsByTeamId.get(teamAId).push(teamBId);
+    opponentsByTeamId.get(teamBId).push(teamAId);
+  });
+
+  const winPct = (teamId) => {
+    const stats = statsByTeamId.get(teamId);
+    return stats?.matchesPlayed > 0 ? stats.matchesWon / stats.matchesPlayed : 0;
+  };
+
+  return new Map(
+    Array.from(opponentsByTeamId.entries()).map(([teamId, opponentIds]) => [
+      teamId,
+      opponentIds.length > 0
+        ? Number(
+            (
+              opponentIds.reduce((total, opponentId) => total + winPct(opponentId), 0) /
+              opponentIds.length
+            ).toFixed(4)
+          )
+        : 0,
+    ])
+  );
+}
+
+function buildStandingsEntries({
+  teamIds,
+  teamLookup,
+  matches,
+  overrideOrder,
+  opponentWinPct = false,
+}) {
   const statsByTeamId = new Map(teamIds.map((teamId) => [teamId, createEmptyStats()]));
 
   matches.forEach((match) => {
     mergeMatchIntoStats(statsByTeamId, match);
   });
 
+  const opponentWinPctByTeamId = opponentWinPct
+    ? computeOpponentWinPcts(statsByTeamId, matches)
+    : null;
+
   const baseEntries = teamIds.map((teamId) => {
     const team = teamLookup.get(teamId) || {};
     const stats = statsByTeamId.get(teamId) || createEmptyStats();
@@ -364,6 +420,9 @@ function buildStandingsEntries({ teamIds, teamLookup, matches, overrideOrder })
       pointsFor: stats.pointsFor,
       pointsAgainst: stats.pointsAgainst,
       pointDiff,
+      ...(opponentWinPctByTeamId
+        ? { opponentWinPct: opponentWinPctByTeamId.get(teamId) ?? 0 }
+        : {}),
     };
   });
 
@@ -429,7 +488,7 @@ function normalizePhaseOverrides(tournament, phase) {
   };
 }
 
-function computePoolStandingsFromData({ pools, teams, matches, phaseOverrides }) {
+function computePoolStandingsFromData({ pools, teams, matches, phaseOverrides, opponentWinPct }) {
   const teamLookup = new Map(
     (Array.isArray(teams) ? teams : []).map((team) => [toIdString(team._id), team])
   );
@@ -452,6 +511,7 @@ function computePoolStandingsFromData({ pools, teams, matches, phaseOverrides })
         teamLookup,
         matches: poolMatches,
         overrideOrder,
+        opponentWinPct,
       });
 
       return {
@@ -463,7 +523,7 @@ function computePoolStandingsFromData({ pools, teams, matches, phaseOverrides })
     .sort((poolA, poolB) => String(poolA.poolName).localeCompare(String(poolB.poolName)));
 }
 
-function computeOverallStandingsFromData({ teams, matches, phaseOverrides }) {
+function computeOverallStandingsFromData({ teams, matches, phaseOverrides, opponentWinPct }) {
   const teamList = Array.isArray(teams) ? teams : [];
   const teamLookup = new Map(teamList.map((team) => [toIdString(team._id), team]));
   const teamIds = teamList.map((team) => toIdString(team._id)).filter(Boolean);
@@ -477,23 +537,40 @@ function computeOverallStandingsFromData({ teams, matches, phaseOverrides }) {
     teamLookup,
     matches: finalizedMatches,
     overrideOrder: overallOrderOverrides,
+    opponentWinPct,
   });
 }
 
-async function loadStandingsContext(tournamentId, phase) {
+// Opponents' win percentage only breaks ties in a Swiss stage's own standings, when that stage turns it on
+async function usesOpponentWinPct(tournament, stageKey) {
+  if (!stageKey) {
+    return false;
+  }
+
+  const formatDef = await resolveFormat(tournament?.settings?.format?.formatId);
+  const stageDef = (Array.isArray(formatDef?.stages) ? formatDef.stages : []).find(
+    (stage) => stage?.key === stageKey
+  );
+
+  return stageDef?.type === 'swiss' && stageDef.opponentWinPct === true;
+}
+
+async function loadStandingsContext(tournamentId, phase, stageKey = null) {
   const matchPhaseQuery =
     phase === 'cumulative' ? { $in: CUMULATIVE_PHASE_MATCHES } : phase;
+  const stageQuery = stageKey ? { stageKey } : {};
   const poolsPromise = PHASES_WITH_POOLS.has(phase)
-    ? Pool.find({ tournamentId, phase }).select('_id name teamIds').lean()
+    ? Pool.find({ tournamentId, phase, ...stageQuery }).select('_id name teamIds').lean()
     : Promise.resolve([]);
 
   const [tournament, teams, pools, matches] = await Promise.all([
-    Tournament.findById(tournamentId).select('standingsOverrides').lean(),
+    Tournament.findById(tournamentId).select('standingsOverrides settings.format.formatId').lean(),
     TournamentTeam.find({ tournamentId }).select('_id name shortName seed').lean(),
     poolsPromise,
     Match.find({
       tournamentId,
       phase: matchPhaseQuery,
+      ...stageQuery,
       status: 'final',
       result: { $ne: null },
     })
@@ -506,6 +583,7 @@ async function loadStandingsContext(tournamentId, phase) {
     teams,
     pools,
     matches,
+    opponentWinPct: await usesOpponentWinPct(tournament, stageKey),
     phaseOverrides:
       phase === 'cumulative'
         ? { poolOrderOverrides: {}, overallOrderOverrides: [] }
@@ -535,12 +613,13 @@ async function computeOverallStandings(tournamentId, phase = 'phase1') {
   return computeOverallStandingsFromData(context);
 }
 
-async function computeStandingsBundle(tournamentId, phase = 'phase1') {
+// With `stageKey`, only that stage's pools and matches count (e.g. one Swiss stage)
+async function computeStandingsBundle(tournamentId, phase = 'phase1', { stageKey = null } = {}) {
   if (!SUPPORTED_PHASES.has(phase)) {
     throw new Error(`Unsupported phase: ${phase}`);
   }
 
-  const context = await loadStandingsContext(tournamentId, phase);
+  const context = await loadStandingsContext(tournamentId, phase, stageKey);
 
   return {
     pools: PHASES_WITH_POOLS.has(phase) ? computePoolStandingsFromData(context) : [],
@@ -551,6 +630,7 @@ async function computeStandingsBundle(tournamentId, phase = 'phase1') {
 module.exports = {
   MAX_BEST_OF_THREE_SETS,
   REQUIRED_SET_WINS,
+  buildStandingsEntries,
   computeMatchSnapshot,
   computeOverallStandings,
   computeOverallStandingsFromData,
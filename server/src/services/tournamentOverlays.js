@@ -0,0 +1,82 @@
+const Match = require('../models/Match');
+const { computeStandingsBundle } = require('./tournamentEngine/standings');
+
+const TICKER_RESULT_LIMIT = 10;
+
+function formatTeamName(team) {
+  return team?.shortName || team?.name || 'TBD';
+}
+
+function toTickerTeam(team) {
+  return {
+    rank: team.rank ?? null,
+    name: formatTeamName(team),
+    matchesWon: team.matchesWon ?? 0,
+    matchesLost: team.matchesLost ?? 0,
+    setsWon: team.setsWon ?? 0,
+    setsLost: team.setsLost ?? 0,
+  };
+}
+
+// One segment per pool; phases without pools (cumulative) get a single overall segment
+function buildTickerStandingsItems(standings) {
+  const pools = Array.isArray(standings?.pools) ? standings.pools : [];
+
+  if (pools.length > 0) {
+    return pools
+      .filter((pool) => Array.isArray(pool.teams) && pool.teams.length > 0)
+      .map((pool) => ({
+        kind: 'standings',
+        title: `Pool ${pool.poolName}`,
+        teams: pool.teams.map(toTickerTeam),
+      }));
+  }
+
+  const overall = Array.isArray(standings?.overall) ? standings.overall : [];
+
+  return overall.length > 0
+    ? [{ kind: 'standings', title: 'Standings', teams: overall.map(toTickerTeam) }]
+    : [];
+}
+
+function buildTickerResultItems(matches, phaseLabels = {}) {
+  return (Array.isArray(matches) ? matches : [])
+    .filter((match) => match?.result)
+    .map((match) => ({
+      kind: 'result',
+      title: phaseLabels[match.phase] || match.phase || 'Final',
+      teamA: formatTeamName(match.teamAId),
+      teamB: formatTeamName(match.teamBId),
+      setsA: match.result.setsWonA ?? 0,
+      setsB: match.result.setsWonB ?? 0,
+    }));
+}
+
+/**
+ * Builds the items for the tournament ticker overlay: the latest finalized results
+ * first, then the standings for `phase` from computeStandingsBundle.
+ */
+async function loadTournamentTicker(tournamentId, phase, { phaseLabels } = {}) {
+  const [standings, recentMatches] = await Promise.all([
+    computeStandingsBundle(tournamentId, phase),
+    Match.find({ tournamentId, status: 'final', result: { $ne: null } })
+      .select('phase teamAId teamBId result finalizedAt')
+      .populate('teamAId', 'name shortName')
+      .populate('teamBId', 'name shortName')
+      .sort({ finalizedAt: -1, updatedAt: -1 })
+      .limit(TICKER_RESULT_LIMIT)
+      .lean(),
+  ]);
+
+  return [
+    ...buildTickerResultItems(recentMatches, phaseLabels),
+    ...buildTickerStandingsItems(standings),
+  ];
+}
+
+module.exports = {
+  TICKER_RESULT_LIMIT,
+  buildTickerResultItems,
+  buildTickerStandingsItems,
+  loadTournamentTicker,
+};
@@ -1,5 +1,6 @@
 const Match = require('../models/Match');
 const Tournament = require('../models/Tournament');
+const { getTournamentChannel, publishLiveEvent } = require('./liveEventStream');
 
 const TOURNAMENT_ROOM_PREFIX = 'tournament:';
 const TOURNAMENT_EVENT_NAME = 'tournament:event';
@@ -60,12 +61,15 @@ function emitTournamentEvent(io, tournamentCode, type, data = {}) {
     return false;
   }
 
-  io.to(room).emit(TOURNAMENT_EVENT_NAME, {
+  const envelope = {
     tournamentCode: normalizedCode,
     type: type.trim(),
     data: payloadData,
     ts: Date.now(),
-  });
+  };
+
+  io.to(room).emit(TOURNAMENT_EVENT_NAME, envelope);
+  publishLiveEvent(getTournamentChannel(normalizedCode), TOURNAMENT_EVENT_NAME, envelope);
 
   return true;
 }
@@ -1,6 +1,7 @@
 const Pool = require('../../models/Pool');
 const { DEFAULT_15_TEAM_FORMAT_ID } = require('../../tournamentFormats/formatRegistry');
 const { getFacilityFromCourt, normalizeCourtCode } = require('../../services/phase1');
+const { buildPairKey } = require('../pairKeys');
 
 const isNonEmptyString = (value) => typeof value === 'string' && value.trim().length > 0;
 
@@ -246,11 +247,184 @@ const RR_TEMPLATES = Object.freeze({
   ],
 });
 
+const MIN_ROUND_ROBIN_POOL_SIZE = 3;
+const MAX_ROUND_ROBIN_POOL_SIZE = 12;
+const ROUND_ROBIN_POOL_SIZES = Object.freeze(
+  Array.from(
+    { length: MAX_ROUND_ROBIN_POOL_SIZE - MIN_ROUND_ROBIN_POOL_SIZE + 1 },
+    (_, index) => MIN_ROUND_ROBIN_POOL_SIZE + index
+  )
+);
+const generatedTemplateCache = new Map();
+
+// Circle method: slot 0 stays fixed while the others rotate one place per round. Odd
+// sizes add an empty slot, and whoever faces it sits out (byes) that round.
+function buildCircleRounds(poolSize) {
+  let slots = Array.from({ length: poolSize }, (_, index) => index);
+  if (poolSize % 2 === 1) {
+    slots.push(null);
+  }
+
+  const slotCount = slots.length;
+  const rounds = [];
+
+  for (let round = 0; round < slotCount - 1; round += 1) {
+    const pairs = [];
+    let bye = null;
+
+    for (let index = 0; index < slotCount / 2; index += 1) {
+      const left = slots[index];
+      const right = slots[slotCount - 1 - index];
+
+      if (left === null || right === null) {
+        bye = left === null ? right : left;
+      } else {
+        pairs.push({ left: Math.min(left, right), right: Math.max(left, right) });
+      }
+    }
+
+    rounds.push({ pairs, bye });
+    slots = [slots[0], slots[slotCount - 1], ...slots.slice(1, slotCount - 1)];
+  }
+
+  return rounds;
+}
+
+// Every team plays once per circle round, so keeping rounds together caps streaks at two
+// matches. Within a round, matches whose teams just played go last to avoid even that.
+function orderRoundRobinPairs(rounds) {
+  const ordered = [];
+
+  rounds.forEach(({ pairs, bye }) => {
+    const remaining = [...pairs];
+
+    while (remaining.length > 0) {
+      const previous = ordered[ordered.length - 1];
+      const justPlayed = new Set(previous ? [previous.left, previous.right] : []);
+      let bestIndex = 0;
+      let bestOverlap = Number.MAX_SAFE_INTEGER;
+
+      remaining.forEach((pair, index) => {
+        const overlap = Number(justPlayed.has(pair.left)) + Number(justPlayed.has(pair.right));
+        if (overlap < bestOverlap) {
+          bestOverlap = overlap;
+          bestIndex = index;
+        }
+      });
+
+      ordered.push({ ...remaining[bestIndex], bye });
+      remaining.splice(bestIndex, 1);
+    }
+  });
+
+  return ordered;
+}
+
+const REF_SEARCH_STEP_LIMIT = 50000;
+
+// offTeamSamePool refs: no team refs more than its even share (ceil(matches / teams)).
+// Candidates are tried fewest-assignments first, preferring a team that is not playing the
+// match before or after and did not just ref; a short backtracking search keeps the cap.
+function assignRoundRobinRefs(orderedPairs, poolSize) {
+  const refCap = Math.ceil(orderedPairs.length / poolSize);
+  const refCounts = new Array(poolSize).fill(0);
+  const refs = [];
+  let steps = 0;
+
+  const rankCandidates = (index) => {
+    const pair = orderedPairs[index];
+    const neighbours = [orderedPairs[index - 1], orderedPairs[index + 1]].filter(Boolean);
+    const isPlayingNearby = (team) =>
+      neighbours.some((neighbour) => neighbour.left === team || neighbour.right === team);
+    const previousRef = refs[index - 1];
+
+    return Array.from({ length: poolSize }, (_, team) => team)
+      .filter((team) => team !== pair.left && team !== pair.right)
+      .sort(
+        (leftTeam, rightTeam) =>
+          refCounts[leftTeam] - refCounts[rightTeam] ||
+          Number(isPlayingNearby(leftTeam)) - Number(isPlayingNearby(rightTeam)) ||
+          Number(leftTeam === previousRef) - Number(rightTeam === previousRef) ||
+          leftTeam - rightTeam
+      );
+  };
+
+  const assignFrom = (index, cap) => {
+    if (index === orderedPairs.length) {
+      return true;
+    }
+
+    steps += 1;
+    if (steps > REF_SEARCH_STEP_LIMIT) {
+      return false;
+    }
+
+    const candidates = rankCandidates(index).filter((team) => refCounts[team] < cap);
+
+    for (const team of candidates) {
+      refs[index] = team;
+      refCounts[team] += 1;
+
+      if (assignFrom(index + 1, cap)) {
+        return true;
+      }
+
+      refCounts[team] -= 1;
+    }
+
+    refs.length = index;
+    return false;
+  };
+
+  if (!assignFrom(0, refCap)) {
+    refCounts.fill(0);
+    refs.length = 0;
+    assignFrom(0, Number.MAX_SAFE_INTEGER);
+  }
+
+  return orderedPairs.map((pair, index) => ({
+    left: pair.left,
+    right: pair.right,
+    ref: refs[index],
+    bye: pair.bye,
+  }));
+}
+
+/**
+ * Round-robin template for a pool, in the same `{ left, right, ref, bye }` shape as
+ * RR_TEMPLATES. Sizes 3 and 4 keep their hand-written order; larger pools are generated
+ * with the circle method. `bye` is the team sitting out the circle round (odd sizes only).
+ */
+function getRoundRobinTemplate(poolSize) {
+  const normalizedPoolSize = toPositiveInteger(poolSize);
+
+  if (RR_TEMPLATES[normalizedPoolSize]) {
+    return RR_TEMPLATES[normalizedPoolSize];
+  }
+
+  if (!ROUND_ROBIN_POOL_SIZES.includes(normalizedPoolSize)) {
+    return null;
+  }
+
+  if (!generatedTemplateCache.has(normalizedPoolSize)) {
+    const orderedPairs = orderRoundRobinPairs(buildCircleRounds(normalizedPoolSize));
+    generatedTemplateCache.set(
+      normalizedPoolSize,
+      Object.freeze(assignRoundRobinRefs(orderedPairs, normalizedPoolSize))
+    );
+  }
+
+  return generatedTemplateCache.get(normalizedPoolSize);
+}
+
 function generateRoundRobinMatches(poolTeams, poolSize) {
   const normalizedPoolSize = toPositiveInteger(poolSize);
+  const templates = getRoundRobinTemplate(normalizedPoolSize);
 
-  if (![3, 4].includes(normalizedPoolSize)) {
-    throw new Error('Round robin generation currently supports pool sizes 3 and 4.');
+  if (!templates) {
+    throw new Error(
+      `Round robin generation supports pool sizes ${MIN_ROUND_ROBIN_POOL_SIZE} through ${MAX_ROUND_ROBIN_POOL_SIZE}.`
+    );
   }
 
   const { orderedTeamIds } = buildPoolTeamOrder(poolTeams);
@@ -261,8 +435,6 @@ function generateRoundRobinMatches(poolTeams, poolSize) {
     );
   }
 
-  const templates = RR_TEMPLATES[normalizedPoolSize];
-
   return templates.map((template, index) => {
     const teamAId = orderedTeamIds[template.left];
     const teamBId = orderedTeamIds[template.right];
@@ -386,162 +558,257 @@ function scheduleStageMatches(matchesByPool, activeCourts, startRoundBlock = 1)
   });
 }
 
+const MIN_SINGLE_ELIM_BRACKET_SIZE = 3;
+const MAX_SINGLE_ELIM_BRACKET_SIZE = 32;
+const DOUBLE_ELIM_BRACKET_SIZES = Object.freeze([4, 8, 16]);
+const THIRD_PLACE_ROUND = '3P';
+
+const isPowerOfTwo = (value) => Number.isInteger(value) && value > 0 && (value & (value - 1)) === 0;
+
+// Round-one pairs for a full bracket of `size` (a power of two). Each pair is grown from
+// the previous size by pairing seed s with size + 1 - s, flipping every other pair first
+// so the top seeds land in different halves and quarters: 8 -> 1v8, 4v5, 3v6, 2v7.
 function buildSingleElimRoundOnePairs(size) {
-  const pairingsBySize = {
-    4: [
-      [1, 4],
-      [2, 3],
-    ],
-    8: [
-      [1, 8],
-      [4, 5],
-      [3, 6],
-      [2, 7],
-    ],
-    16: [
-      [1, 16],
-      [8, 9],
-      [5, 12],
-      [4, 13],
-      [3, 14],
-      [6, 11],
-      [7, 10],
-      [2, 15],
-    ],
-  };
+  if (!isPowerOfTwo(size) || size < 4 || size > MAX_SINGLE_ELIM_BRACKET_SIZE) {
+    return null;
+  }
 
-  return pairingsBySize[size] || null;
+  let lineOrder = [1, 2];
+  while (lineOrder.length < size) {
+    const nextSize = lineOrder.length * 2;
+    const flipped = [];
+    for (let index = 0; index < lineOrder.length; index += 2) {
+      const pair = [lineOrder[index], lineOrder[index + 1]];
+      flipped.push(...(index % 4 === 2 ? pair.reverse() : pair));
+    }
+    lineOrder = flipped.flatMap((seed) => [seed, nextSize + 1 - seed]);
+  }
+
+  const pairs = [];
+  for (let index = 0; index < lineOrder.length; index += 2) {
+    pairs.push([lineOrder[index], lineOrder[index + 1]]);
+  }
+
+  return pairs;
+}
+
+// Seeded teams go on side A, lower seed first; otherwise keep the bracket-line order
+function orderBracketSides(left, right) {
+  if (left.seed && right.seed) {
+    return left.seed < right.seed ? [left, right] : [right, left];
+  }
+
+  return right.seed && !left.seed ? [right, left] : [left, right];
 }
 
-function buildPowerOfTwoBracketPlan(bracketKey, seedToTeamId, size) {
-  const roundOnePairs = buildSingleElimRoundOnePairs(size);
+// Single elimination for 3-32 teams. Sizes that are not a power of two are laid out on the
+// next full bracket, and the missing seeds become byes, so the top seeds skip round one.
+// A bye never produces a match: the seeded team is placed straight into its round-two slot.
+function buildSingleElimBracketPlan(bracketKey, seedToTeamId, size, options = {}) {
+  const lineSize = 2 ** Math.ceil(Math.log2(Math.max(size, 1)));
+  const roundOnePairs =
+    size >= MIN_SINGLE_ELIM_BRACKET_SIZE ? buildSingleElimRoundOnePairs(lineSize) : null;
 
   if (!roundOnePairs) {
     throw new Error(`Unsupported single elimination bracket size: ${size}`);
   }
 
   const matches = [];
-  let currentRoundMatches = roundOnePairs.map(([seedA, seedB], matchIndex) => ({
-    bracket: bracketKey,
-    bracketRound: 'R1',
-    round: 1,
-    bracketMatchKey: `${bracketKey}:R1:M${matchIndex + 1}`,
-    seedA,
-    seedB,
-    teamAId: seedToTeamId.get(seedA) || null,
-    teamBId: seedToTeamId.get(seedB) || null,
-    teamAFromMatchKey: null,
-    teamAFromSlot: null,
-    teamBFromMatchKey: null,
-    teamBFromSlot: null,
-  }));
-  matches.push(...currentRoundMatches);
+  let entrants = roundOnePairs.flat().map((seed) => (seed <= size ? { seed } : null));
+  let round = 1;
 
-  let round = 2;
-  while (currentRoundMatches.length > 1) {
-    const nextRoundMatches = [];
+  while (entrants.length > 1) {
+    const nextEntrants = [];
+    let matchNo = 0;
 
-    for (let index = 0; index < currentRoundMatches.length; index += 2) {
-      const previousA = currentRoundMatches[index];
-      const previousB = currentRoundMatches[index + 1];
+    for (let index = 0; index < entrants.length; index += 2) {
+      const left = entrants[index];
+      const right = entrants[index + 1];
 
-      nextRoundMatches.push({
+      if (!left || !right) {
+        nextEntrants.push(left || right);
+        continue;
+      }
+
+      const [sideA, sideB] = orderBracketSides(left, right);
+      matchNo += 1;
+      const match = {
         bracket: bracketKey,
         bracketRound: `R${round}`,
         round,
-        bracketMatchKey: `${bracketKey}:R${round}:M${Math.floor(index / 2) + 1}`,
-        seedA: null,
-        seedB: null,
-        teamAId: null,
-        teamBId: null,
-        teamAFromMatchKey: previousA?.bracketMatchKey || null,
-        teamAFromSlot: previousA ? 'winner' : null,
-        teamBFromMatchKey: previousB?.bracketMatchKey || null,
-        teamBFromSlot: previousB ? 'winner' : null,
-      });
+        bracketMatchKey: `${bracketKey}:R${round}:M${matchNo}`,
+        seedA: sideA.seed || null,
+        seedB: sideB.seed || null,
+        teamAId: sideA.seed ? seedToTeamId.get(sideA.seed) || null : null,
+        teamBId: sideB.seed ? seedToTeamId.get(sideB.seed) || null : null,
+        teamAFromMatchKey: sideA.match?.bracketMatchKey || null,
+        teamAFromSlot: sideA.match ? 'winner' : null,
+        teamBFromMatchKey: sideB.match?.bracketMatchKey || null,
+        teamBFromSlot: sideB.match ? 'winner' : null,
+      };
+      matches.push(match);
+      nextEntrants.push({ match });
     }
 
-    matches.push(...nextRoundMatches);
-    currentRoundMatches = nextRoundMatches;
+    entrants = nextEntrants;
     round += 1;
   }
 
+  const final = matches[matches.length - 1];
+  if (options.thirdPlaceMatch && final?.teamAFromMatchKey && final?.teamBFromMatchKey) {
+    // Semifinal losers, in the same wave as the final
+    matches.push({
+      bracket: bracketKey,
+      bracketRound: THIRD_PLACE_ROUND,
+      round: final.round,
+      bracketMatchKey: `${bracketKey}:${THIRD_PLACE_ROUND}:M1`,
+      seedA: null,
+      seedB: null,
+      teamAId: null,
+      teamBId: null,
+      teamAFromMatchKey: final.teamAFromMatchKey,
+      teamAFromSlot: 'loser',
+      teamBFromMatchKey: final.teamBFromMatchKey,
+      teamBFromSlot: 'loser',
+    });
+  }
+
   return matches;
 }
 
-function buildSixTeamBracketPlan(bracketKey, seedToTeamId) {
-  const roundOneMatchOne = {
-    bracket: bracketKey,
-    bracketRound: 'R1',
-    round: 1,
-    bracketMatchKey: `${bracketKey}:R1:M1`,
-    seedA: 4,
-    seedB: 5,
-    teamAId: seedToTeamId.get(4) || null,
-    teamBId: seedToTeamId.get(5) || null,
-    teamAFromMatchKey: null,
-    teamAFromSlot: null,
-    teamBFromMatchKey: null,
-    teamBFromSlot: null,
-  };
-  const roundOneMatchTwo = {
-    bracket: bracketKey,
-    bracketRound: 'R1',
-    round: 1,
-    bracketMatchKey: `${bracketKey}:R1:M2`,
-    seedA: 3,
-    seedB: 6,
-    teamAId: seedToTeamId.get(3) || null,
-    teamBId: seedToTeamId.get(6) || null,
-    teamAFromMatchKey: null,
-    teamAFromSlot: null,
-    teamBFromMatchKey: null,
-    teamBFromSlot: null,
-  };
-  const semiFinalOne = {
-    bracket: bracketKey,
-    bracketRound: 'R2',
-    round: 2,
-    bracketMatchKey: `${bracketKey}:R2:M1`,
-    seedA: 1,
-    seedB: null,
-    teamAId: seedToTeamId.get(1) || null,
-    teamBId: null,
-    teamAFromMatchKey: null,
-    teamAFromSlot: null,
-    teamBFromMatchKey: roundOneMatchOne.bracketMatchKey,
-    teamBFromSlot: 'winner',
-  };
-  const semiFinalTwo = {
+// Double elimination: winners rounds keep the single-elimination keys (R1..Rk), losers
+// rounds are L1..L(2k-2), then a grand final (GF) between the two bracket champions and
+// an optional reset (GF2) that is only played if the losers-bracket champion wins GF.
+// `round` is the scheduling wave: Rr plays in wave r, Lj in wave j + 1.
+function buildDoubleElimBracketPlan(bracketKey, seedToTeamId, size, options = {}) {
+  const winnersMatches = buildSingleElimBracketPlan(bracketKey, seedToTeamId, size);
+  const winnersRounds = [];
+  winnersMatches.forEach((match) => {
+    winnersRounds[match.round - 1] = [...(winnersRounds[match.round - 1] || []), match];
+  });
+
+  const buildLosersMatch = (losersRound, matchIndex, sourceA, sourceB) => ({
     bracket: bracketKey,
-    bracketRound: 'R2',
-    round: 2,
-    bracketMatchKey: `${bracketKey}:R2:M2`,
-    seedA: 2,
+    bracketRound: `L${losersRound}`,
+    round: losersRound + 1,
+    bracketMatchKey: `${bracketKey}:L${losersRound}:M${matchIndex + 1}`,
+    seedA: null,
     seedB: null,
-    teamAId: seedToTeamId.get(2) || null,
+    teamAId: null,
     teamBId: null,
-    teamAFromMatchKey: null,
-    teamAFromSlot: null,
-    teamBFromMatchKey: roundOneMatchTwo.bracketMatchKey,
-    teamBFromSlot: 'winner',
-  };
-  const final = {
+    teamAFromMatchKey: sourceA.match.bracketMatchKey,
+    teamAFromSlot: sourceA.slot,
+    teamBFromMatchKey: sourceB.match.bracketMatchKey,
+    teamBFromSlot: sourceB.slot,
+  });
+
+  const losersMatches = [];
+  let losersRound = 1;
+  let survivors = [];
+
+  for (let index = 0; index < winnersRounds[0].length; index += 2) {
+    survivors.push(
+      buildLosersMatch(
+        losersRound,
+        index / 2,
+        { match: winnersRounds[0][index], slot: 'loser' },
+        { match: winnersRounds[0][index + 1], slot: 'loser' }
+      )
+    );
+  }
+  losersMatches.push(...survivors);
+
+  for (let winnersRound = 2; winnersRound <= winnersRounds.length; winnersRound += 1) {
+    const dropping = winnersRounds[winnersRound - 1];
+    // Alternate the drop-in order so teams do not meet the opponent they just beat
+    const reverse = winnersRound % 2 === 0;
+
+    losersRound += 1;
+    survivors = survivors.map((survivor, index) =>
+      buildLosersMatch(
+        losersRound,
+        index,
+        { match: dropping[reverse ? dropping.length - 1 - index : index], slot: 'loser' },
+        { match: survivor, slot: 'winner' }
+      )
+    );
+    losersMatches.push(...survivors);
+
+    if (survivors.length > 1) {
+      losersRound += 1;
+      const paired = [];
+      for (let index = 0; index < survivors.length; index += 2) {
+        paired.push(
+          buildLosersMatch(
+            losersRound,
+            index / 2,
+            { match: survivors[index], slot: 'winner' },
+            { match: survivors[index + 1], slot: 'winner' }
+          )
+        );
+      }
+      survivors = paired;
+      losersMatches.push(...survivors);
+    }
+  }
+
+  const winnersFinal = winnersRounds[winnersRounds.length - 1][0];
+  const losersFinal = survivors[0];
+  const grandFinal = {
     bracket: bracketKey,
-    bracketRound: 'R3',
-    round: 3,
-    bracketMatchKey: `${bracketKey}:R3:M1`,
+    bracketRound: 'GF',
+    round: losersFinal.round + 1,
+    bracketMatchKey: `${bracketKey}:GF:M1`,
     seedA: null,
     seedB: null,
     teamAId: null,
     teamBId: null,
-    teamAFromMatchKey: semiFinalOne.bracketMatchKey,
+    teamAFromMatchKey: winnersFinal.bracketMatchKey,
     teamAFromSlot: 'winner',
-    teamBFromMatchKey: semiFinalTwo.bracketMatchKey,
+    teamBFromMatchKey: losersFinal.bracketMatchKey,
     teamBFromSlot: 'winner',
   };
+  const matches = [...winnersMatches, ...losersMatches, grandFinal];
+
+  if (options.ifNecessaryFinal) {
+    // Same two teams, winners-bracket champion stays on side A
+    matches.push({
+      bracket: bracketKey,
+      bracketRound: 'GF2',
+      round: grandFinal.round + 1,
+      bracketMatchKey: `${bracketKey}:GF2:M1`,
+      seedA: null,
+      seedB: null,
+      teamAId: null,
+      teamBId: null,
+      teamAFromMatchKey: grandFinal.bracketMatchKey,
+      teamAFromSlot: 'loser',
+      teamBFromMatchKey: grandFinal.bracketMatchKey,
+      teamBFromSlot: 'winner',
+      ifNecessary: true,
+    });
+  }
 
-  return [roundOneMatchOne, roundOneMatchTwo, semiFinalOne, semiFinalTwo, final];
+  return matches;
+}
+
+const PLAYOFF_BRACKET_TYPES = Object.freeze(['singleElim', 'singleElimWithByes', 'doubleElim']);
+
+// Mirrors the type/size combinations generatePlayoffsFromFormat can build
+function isSupportedBracketShape(type, size) {
+  if (type === 'singleElim' || type === 'singleElimWithByes') {
+    return (
+      Number.isInteger(size) &&
+      size >= MIN_SINGLE_ELIM_BRACKET_SIZE &&
+      size <= MAX_SINGLE_ELIM_BRACKET_SIZE
+    );
+  }
+
+  if (type === 'doubleElim') {
+    return DOUBLE_ELIM_BRACKET_SIZES.includes(size);
+  }
+
+  return false;
 }
 
 function generatePlayoffsFromFormat(tournamentId, bracketDef, overallSeeds) {
@@ -568,10 +835,14 @@ function generatePlayoffsFromFormat(tournamentId, bracketDef, overallSeeds) {
   }
 
   let matches;
-  if (bracketType === 'singleElim') {
-    matches = buildPowerOfTwoBracketPlan(bracketKey, seedToTeamId, bracketSize);
-  } else if (bracketType === 'singleElimWithByes' && bracketSize === 6) {
-    matches = buildSixTeamBracketPlan(bracketKey, seedToTeamId);
+  if (bracketType === 'singleElim' || bracketType === 'singleElimWithByes') {
+    matches = buildSingleElimBracketPlan(bracketKey, seedToTeamId, bracketSize, {
+      thirdPlaceMatch: bracketDef?.thirdPlaceMatch === true,
+    });
+  } else if (bracketType === 'doubleElim') {
+    matches = buildDoubleElimBracketPlan(bracketKey, seedToTeamId, bracketSize, {
+      ifNecessaryFinal: bracketDef?.ifNecessaryFinal === true,
+    });
   } else {
     throw new Error(`Unsupported bracket type ${bracketType} for ${bracketName}.`);
   }
@@ -622,6 +893,14 @@ function schedulePlayoffMatches(matchPlans, activeCourts, startRoundBlock = 1, o
           return byBracket;
         }
 
+        // A third-place match goes ahead of its final, so the final is the last match played
+        const byThirdPlace =
+          Number(right?.bracketRound === THIRD_PLACE_ROUND) -
+          Number(left?.bracketRound === THIRD_PLACE_ROUND);
+        if (byThirdPlace !== 0) {
+          return byThirdPlace;
+        }
+
         return String(left?.bracketMatchKey || '').localeCompare(
           String(right?.bracketMatchKey || '')
         );
@@ -647,13 +926,215 @@ function schedulePlayoffMatches(matchPlans, activeCourts, startRoundBlock = 1, o
   return scheduledMatches;
 }
 
+const MIN_SWISS_TEAM_COUNT = 4;
+const MAX_SWISS_TEAM_COUNT = 64;
+const SWISS_PAIRING_STEP_LIMIT = 50000;
+
+// Round 1 folds the seed list so the top half meets the bottom half (1 v n/2+1, 2 v n/2+2, ...)
+function foldSwissRoundOneOrder(teamIds) {
+  const half = Math.ceil(teamIds.length / 2);
+  const folded = [];
+
+  for (let index = 0; index < half; index += 1) {
+    folded.push(teamIds[index]);
+    if (index + half < teamIds.length) {
+      folded.push(teamIds[index + half]);
+    }
+  }
+
+  return folded;
+}
+
+/**
+ * Pairs the next Swiss round. `rankedTeamIds` is the current standings order, best first.
+ * Each team is paired with the closest-ranked team it has not played. A backtracking search
+ * first looks for a round with no rematches, then with one, two, and so on, so it finds the
+ * pairing with the fewest rematches. The search is capped at SWISS_PAIRING_STEP_LIMIT steps;
+ * past that the round is paired greedily. With an odd team count the lowest-ranked team
+ * without a previous bye sits out. Side A is the higher-ranked team.
+ */
+function pairSwissRound(rankedTeamIds, options = {}) {
+  const playedPairs = options.playedPairs instanceof Set ? options.playedPairs : new Set();
+  const byeTeamIds = new Set((options.byeTeamIds || []).map(toIdString));
+  const teamIds = [];
+
+  (Array.isArray(rankedTeamIds) ? rankedTeamIds : []).forEach((teamId) => {
+    const normalized = toIdString(teamId);
+    if (normalized && !teamIds.includes(normalized)) {
+      teamIds.push(normalized);
+    }
+  });
+
+  let byeTeamId = null;
+  if (teamIds.length % 2 === 1) {
+    byeTeamId =
+      [...teamIds].reverse().find((teamId) => !byeTeamIds.has(teamId)) ||
+      teamIds[teamIds.length - 1];
+    teamIds.splice(teamIds.indexOf(byeTeamId), 1);
+  }
+
+  const orderedTeamIds = options.round === 1 ? foldSwissRoundOneOrder(teamIds) : teamIds;
+  const hasPlayed = (left, right) => playedPairs.has(buildPairKey(left, right));
+  let steps = 0;
+
+  // Pairs `remaining` into `pairs` with at most `allowance` rematches; false when that is
+  // impossible or the step budget has run out
+  const pairFrom = (remaining, allowance, pairs) => {
+    if (remaining.length === 0) {
+      return true;
+    }
+
+    steps += 1;
+    if (steps > SWISS_PAIRING_STEP_LIMIT) {
+      return false;
+    }
+
+    const [teamId, ...rest] = remaining;
+    const restIndexes = rest.map((_, index) => index);
+    // Closest-ranked new opponents first; rematches only while the allowance lasts
+    const candidateIndexes = [
+      ...restIndexes.filter((index) => !hasPlayed(teamId, rest[index])),
+      ...(allowance > 0 ? restIndexes.filter((index) => hasPlayed(teamId, rest[index])) : []),
+    ];
+
+    for (const index of candidateIndexes) {
+      const rematch = hasPlayed(teamId, rest[index]);
+
+      pairs.push([teamId, rest[index]]);
+      if (
+        pairFrom(
+          rest.filter((_, restIndex) => restIndex !== index),
+          rematch ? allowance - 1 : allowance,
+          pairs
+        )
+      ) {
+        return true;
+      }
+      pairs.pop();
+    }
+
+    return false;
+  };
+
+  let pairs = null;
+
+  for (
+    let allowance = 0;
+    allowance <= orderedTeamIds.length / 2 && steps <= SWISS_PAIRING_STEP_LIMIT;
+    allowance += 1
+  ) {
+    const candidatePairs = [];
+
+    if (pairFrom(orderedTeamIds, allowance, candidatePairs)) {
+      pairs = candidatePairs;
+      break;
+    }
+  }
+
+  if (!pairs) {
+    // Out of search budget: pair each team with its closest-ranked new opponent, or its
+    // closest-ranked one when it has played them all. This can allow more rematches than needed.
+    pairs = [];
+    const remaining = [...orderedTeamIds];
+
+    while (remaining.length > 1) {
+      const teamId = remaining.shift();
+      const opponentIndex = Math.max(
+        remaining.findIndex((candidateId) => !hasPlayed(teamId, candidateId)),
+        0
+      );
+      pairs.push([teamId, remaining.splice(opponentIndex, 1)[0]]);
+    }
+  }
+
+  return {
+    pairs: pairs.map(([teamAId, teamBId]) => ({
+      teamAId,
+      teamBId,
+      rematch: hasPlayed(teamAId, teamBId),
+    })),
+    byeTeamId,
+  };
+}
+
+/**
+ * Places Swiss pairs into open court slots (`{ roundBlock, court }`, in play order) and picks
+ * a ref for each match from the round's teams that are free in that round block: the bye team
+ * first, then whoever has reffed the fewest matches this round.
+ */
+function scheduleSwissRoundMatches(pairs, slots, byeTeamId = null) {
+  const matchPairs = Array.isArray(pairs) ? pairs : [];
+  const openSlots = Array.isArray(slots) ? slots : [];
+
+  if (openSlots.length < matchPairs.length) {
+    throw new Error('Not enough open court slots for the Swiss round');
+  }
+
+  const scheduled = matchPairs.map((pair, index) => ({
+    ...pair,
+    roundBlock: openSlots[index].roundBlock,
+    court: openSlots[index].court,
+  }));
+  const roundTeamIds = [
+    ...scheduled.flatMap((match) => [match.teamAId, match.teamBId]),
+    ...(byeTeamId ? [byeTeamId] : []),
+  ];
+  const refCounts = new Map(roundTeamIds.map((teamId) => [teamId, 0]));
+  const refsByRoundBlock = new Map();
+
+  return scheduled.map((match) => {
+    const busyTeamIds = new Set(refsByRoundBlock.get(match.roundBlock) || []);
+    scheduled
+      .filter((entry) => entry.roundBlock === match.roundBlock)
+      .forEach((entry) => {
+        busyTeamIds.add(entry.teamAId);
+        busyTeamIds.add(entry.teamBId);
+      });
+
+    const refTeamId =
+      roundTeamIds
+        .filter((teamId) => !busyTeamIds.has(teamId))
+        .sort(
+          (left, right) =>
+            Number(right === byeTeamId) - Number(left === byeTeamId) ||
+            refCounts.get(left) - refCounts.get(right)
+        )[0] || null;
+
+    if (refTeamId) {
+      refCounts.set(refTeamId, refCounts.get(refTeamId) + 1);
+      refsByRoundBlock.set(match.roundBlock, [
+        ...(refsByRoundBlock.get(match.roundBlock) || []),
+        refTeamId,
+      ]);
+    }
+
+    return {
+      ...match,
+      refTeamIds: refTeamId ? [refTeamId] : [],
+    };
+  });
+}
+
 module.exports = {
+  PLAYOFF_BRACKET_TYPES,
+  MAX_ROUND_ROBIN_POOL_SIZE,
+  MAX_SINGLE_ELIM_BRACKET_SIZE,
+  MAX_SWISS_TEAM_COUNT,
+  MIN_ROUND_ROBIN_POOL_SIZE,
+  MIN_SINGLE_ELIM_BRACKET_SIZE,
+  MIN_SWISS_TEAM_COUNT,
+  ROUND_ROBIN_POOL_SIZES,
+  THIRD_PLACE_ROUND,
   generatePlayoffsFromFormat,
   generateRoundRobinMatches,
+  getRoundRobinTemplate,
   instantiatePools,
+  isSupportedBracketShape,
+  pairSwissRound,
   resolvePoolPhase,
   resolveStage,
   schedulePlayoffMatches,
   scheduleStageMatches,
+  scheduleSwissRoundMatches,
   toIdString,
 };
@@ -0,0 +1,31 @@
+const toIdString = (value) => {
+  if (!value) {
+    return null;
+  }
+
+  if (typeof value === 'string') {
+    return value;
+  }
+
+  if (typeof value === 'object' && value._id) {
+    return value._id.toString();
+  }
+
+  return value.toString();
+};
+
+// Order-independent key for a match-up, used to track which teams have already played
+const buildPairKey = (teamIdA, teamIdB) => {
+  const left = toIdString(teamIdA);
+  const right = toIdString(teamIdB);
+
+  if (!left || !right || left === right) {
+    return null;
+  }
+
+  return left < right ? `${left}:${right}` : `${right}:${left}`;
+};
+
+module.exports = {
+  buildPairKey,
+};
@@ -207,21 +207,62 @@ const toPositiveInteger = (value) => {
 
 const clone = (value) => JSON.parse(JSON.stringify(value));
 
-function listFormats() {
-  return FORMAT_DEFINITIONS.map((formatDef) => clone(formatDef));
+// Admin-defined formats, mirrored from Mongo by services/customFormats. The mirror is per process
+// and can be stale, so server code resolves custom formats through customFormats.resolveFormat.
+const customFormats = new Map();
+
+const toOwnerId = (userId) => (userId ? userId.toString() : null);
+
+function isFormatVisibleTo(formatDef, userId) {
+  if (!formatDef?.custom || formatDef.shared) {
+    return Boolean(formatDef);
+  }
+
+  return Boolean(toOwnerId(userId)) && formatDef.ownerId === toOwnerId(userId);
+}
+
+function getAllFormats() {
+  return [...FORMAT_DEFINITIONS, ...customFormats.values()];
+}
+
+function setCustomFormats(formatDefs) {
+  customFormats.clear();
+  (Array.isArray(formatDefs) ? formatDefs : []).forEach(registerCustomFormat);
 }
 
+function registerCustomFormat(formatDef) {
+  if (!formatDef?.id || FORMAT_DEFINITIONS.some((entry) => entry.id === formatDef.id)) {
+    return;
+  }
+
+  customFormats.set(formatDef.id, Object.freeze(clone({ ...formatDef, custom: true })));
+}
+
+function unregisterCustomFormat(formatId) {
+  customFormats.delete(formatId);
+}
+
+// Built-in formats plus shared custom formats and the caller's own
+function listFormats({ userId } = {}) {
+  return getAllFormats()
+    .filter((formatDef) => isFormatVisibleTo(formatDef, userId))
+    .map((formatDef) => clone(formatDef));
+}
+
+// Resolves any format by id, including private custom formats, so applied tournaments keep working
 function getFormat(formatId) {
   if (typeof formatId !== 'string' || !formatId.trim()) {
     return null;
   }
 
   const normalizedId = formatId.trim();
-  const formatDef = FORMAT_DEFINITIONS.find((entry) => entry.id === normalizedId);
+  const formatDef =
+    FORMAT_DEFINITIONS.find((entry) => entry.id === normalizedId) ||
+    customFormats.get(normalizedId);
   return formatDef ? clone(formatDef) : null;
 }
 
-function suggestFormats(teamCount, courtCount) {
+function suggestFormats(teamCount, courtCount, { userId } = {}) {
   const normalizedTeamCount = toPositiveInteger(teamCount);
   const normalizedCourtCount = toPositiveInteger(courtCount);
 
@@ -229,7 +270,11 @@ function suggestFormats(teamCount, courtCount) {
     return [];
   }
 
-  return FORMAT_DEFINITIONS.filter((formatDef) => {
+  return getAllFormats().filter((formatDef) => {
+    if (!isFormatVisibleTo(formatDef, userId)) {
+      return false;
+    }
+
     if (!Array.isArray(formatDef.supportedTeamCounts)) {
       return false;
     }
@@ -259,6 +304,10 @@ function suggestFormats(teamCount, courtCount) {
 module.exports = {
   DEFAULT_15_TEAM_FORMAT_ID,
   getFormat,
+  isFormatVisibleTo,
   listFormats,
+  registerCustomFormat,
+  setCustomFormats,
   suggestFormats,
+  unregisterCustomFormat,
 };
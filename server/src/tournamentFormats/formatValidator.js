@@ -0,0 +1,341 @@
+const {
+  MAX_ROUND_ROBIN_POOL_SIZE,
+  MAX_SWISS_TEAM_COUNT,
+  MIN_ROUND_ROBIN_POOL_SIZE,
+  MIN_SWISS_TEAM_COUNT,
+  PLAYOFF_BRACKET_TYPES,
+  ROUND_ROBIN_POOL_SIZES,
+  isSupportedBracketShape,
+} = require('../tournamentEngine/formatEngine');
+
+const MAX_FORMAT_NAME_LENGTH = 80;
+const MAX_FORMAT_DESCRIPTION_LENGTH = 300;
+const MAX_DISPLAY_NAME_LENGTH = 40;
+const MAX_POOLS = 16;
+const MAX_BRACKETS = 8;
+const MAX_COURTS = 64;
+
+const STAGE_TYPES = ['poolPlay', 'swiss', 'crossover', 'playoffs'];
+const STAGE_TYPE_ORDER = { poolPlay: 0, swiss: 0, crossover: 1, playoffs: 2 };
+const DEFAULT_STAGE_KEYS = {
+  poolPlay: 'poolPlay1',
+  swiss: 'swiss',
+  crossover: 'crossover',
+  playoffs: 'playoffs',
+};
+const DEFAULT_STAGE_NAMES = {
+  poolPlay: 'Pool Play',
+  swiss: 'Swiss',
+  crossover: 'Crossover',
+  playoffs: 'Playoffs',
+};
+const POOL_REF_POLICIES = ['offTeamSamePool'];
+const CROSSOVER_REF_POLICIES = ['tbd'];
+const CROSSOVER_PAIRINGS = ['rankToRank'];
+
+const STAGE_KEY_PATTERN = /^[A-Za-z][A-Za-z0-9]{0,31}$/;
+const POOL_NAME_PATTERN = /^[A-Z]{1,2}$/;
+
+const isPlainObject = (value) =>
+  Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+const readText = (value) => (typeof value === 'string' ? value.trim() : '');
+
+const isBlank = (value) => value === undefined || value === null || value === '';
+
+const toInteger = (value) => {
+  const parsed = Number(value);
+  return Number.isInteger(parsed) ? parsed : null;
+};
+
+function validatePoolPlayStage(stage, label, errors) {
+  const pools = Array.isArray(stage.pools) ? stage.pools : [];
+
+  if (pools.length === 0 || pools.length > MAX_POOLS) {
+    errors.push(`${label} needs between 1 and ${MAX_POOLS} pools`);
+  }
+
+  const seenNames = new Set();
+  const normalizedPools = pools.slice(0, MAX_POOLS).map((pool, index) => {
+    const name = readText(pool?.name).toUpperCase();
+    const size = toInteger(pool?.size);
+
+    if (!POOL_NAME_PATTERN.test(name)) {
+      errors.push(`${label} pool ${index + 1} needs a name of one or two letters`);
+    } else if (seenNames.has(name)) {
+      errors.push(`${label} has more than one pool named ${name}`);
+    }
+    seenNames.add(name);
+
+    if (!ROUND_ROBIN_POOL_SIZES.includes(size)) {
+      errors.push(
+        `${label} pool ${name || index + 1} must have between ${MIN_ROUND_ROBIN_POOL_SIZE} and ${MAX_ROUND_ROBIN_POOL_SIZE} teams`
+      );
+    }
+
+    return {
+      name,
+      size,
+      preferredCourtGroup: readText(pool?.preferredCourtGroup) || 'ANY',
+    };
+  });
+  const refPolicy = POOL_REF_POLICIES.includes(stage.refs?.policy)
+    ? stage.refs.policy
+    : POOL_REF_POLICIES[0];
+
+  return {
+    pools: normalizedPools,
+    roundRobin: true,
+    refs: { policy: refPolicy },
+  };
+}
+
+function validateSwissStage(stage, label, errors) {
+  const teamCount = toInteger(stage.teamCount);
+  const rounds = toInteger(stage.rounds);
+
+  if (!teamCount || teamCount < MIN_SWISS_TEAM_COUNT || teamCount > MAX_SWISS_TEAM_COUNT) {
+    errors.push(
+      `${label} must have between ${MIN_SWISS_TEAM_COUNT} and ${MAX_SWISS_TEAM_COUNT} teams`
+    );
+  } else if (!rounds || rounds < 1 || rounds >= teamCount) {
+    errors.push(`${label} must have between 1 and ${teamCount - 1} rounds`);
+  }
+
+  return {
+    teamCount,
+    rounds,
+    opponentWinPct: stage.opponentWinPct !== false,
+  };
+}
+
+function validateCrossoverStage(stage, label, poolNames, errors) {
+  const fromPools = (Array.isArray(stage.fromPools) ? stage.fromPools : []).map((name) =>
+    readText(name).toUpperCase()
+  );
+
+  if (fromPools.length !== 2 || fromPools[0] === fromPools[1]) {
+    errors.push(`${label} must name two different pools`);
+  }
+
+  fromPools.forEach((name) => {
+    if (!poolNames.includes(name)) {
+      errors.push(`${label} refers to unknown pool ${name || '(blank)'}`);
+    }
+  });
+
+  return {
+    fromPools,
+    pairings: CROSSOVER_PAIRINGS.includes(stage.pairings) ? stage.pairings : CROSSOVER_PAIRINGS[0],
+    refs: {
+      policy: CROSSOVER_REF_POLICIES.includes(stage.refs?.policy)
+        ? stage.refs.policy
+        : CROSSOVER_REF_POLICIES[0],
+    },
+  };
+}
+
+function validatePlayoffsStage(stage, label, teamCount, errors) {
+  const brackets = Array.isArray(stage.brackets) ? stage.brackets : [];
+
+  if (brackets.length === 0 || brackets.length > MAX_BRACKETS) {
+    errors.push(`${label} needs between 1 and ${MAX_BRACKETS} brackets`);
+  }
+
+  const seenNames = new Set();
+  const seededTeams = new Set();
+  const normalizedBrackets = brackets.slice(0, MAX_BRACKETS).map((bracket, index) => {
+    const name = readText(bracket?.name).slice(0, MAX_DISPLAY_NAME_LENGTH);
+    const type = readText(bracket?.type);
+    const size = toInteger(bracket?.size);
+    const bracketLabel = `${label} bracket ${name || index + 1}`;
+    const seedsFromOverall = (Array.isArray(bracket?.seedsFromOverall)
+      ? bracket.seedsFromOverall
+      : []
+    ).map(toInteger);
+
+    if (!name) {
+      errors.push(`${label} bracket ${index + 1} needs a name`);
+    } else if (seenNames.has(name.toLowerCase())) {
+      errors.push(`${label} has more than one bracket named ${name}`);
+    }
+    seenNames.add(name.toLowerCase());
+
+    if (!PLAYOFF_BRACKET_TYPES.includes(type)) {
+      errors.push(`${bracketLabel} has unknown type ${type || '(blank)'}`);
+    } else if (!isSupportedBracketShape(type, size)) {
+      errors.push(`${bracketLabel} cannot be a ${type} bracket of ${size ?? '?'} teams`);
+    }
+
+    if (seedsFromOverall.length !== size) {
+      errors.push(`${bracketLabel} must list exactly ${size ?? '?'} overall seeds`);
+    }
+
+    const isSingleElim = type === 'singleElim' || type === 'singleElimWithByes';
+    const thirdPlaceMatch = isSingleElim && bracket?.thirdPlaceMatch === true;
+    if (thirdPlaceMatch && size < 4) {
+      errors.push(`${bracketLabel} needs at least 4 teams for a third-place match`);
+    }
+
+    seedsFromOverall.forEach((seed) => {
+      if (!seed || seed < 1 || seed > teamCount) {
+        errors.push(`${bracketLabel} seeds must be between 1 and ${teamCount}`);
+      } else if (seededTeams.has(seed)) {
+        errors.push(`Overall seed ${seed} is used by more than one bracket`);
+      }
+      seededTeams.add(seed);
+    });
+
+    return {
+      name,
+      size,
+      seedsFromOverall,
+      type,
+      ...(type === 'doubleElim' ? { ifNecessaryFinal: bracket?.ifNecessaryFinal === true } : {}),
+      ...(isSingleElim ? { thirdPlaceMatch } : {}),
+    };
+  });
+  const maxConcurrentCourts = toInteger(stage.maxConcurrentCourts);
+
+  return {
+    ...(maxConcurrentCourts && maxConcurrentCourts > 0 ? { maxConcurrentCourts } : {}),
+    brackets: normalizedBrackets,
+  };
+}
+
+function validateStageOrder(stages, errors) {
+  const types = stages.map((stage) => stage?.type);
+
+  if (types[0] !== 'poolPlay' && types[0] !== 'swiss') {
+    errors.push('The first stage must be pool play or Swiss');
+  }
+
+  if (types.includes('swiss') && (types.includes('poolPlay') || types.includes('crossover'))) {
+    errors.push('A Swiss stage cannot be combined with pool play or crossover');
+  }
+
+  ['poolPlay', 'swiss', 'crossover', 'playoffs'].forEach((type) => {
+    if (types.filter((entry) => entry === type).length > 1) {
+      errors.push(`Only one ${DEFAULT_STAGE_NAMES[type].toLowerCase()} stage is supported`);
+    }
+  });
+
+  types.forEach((type, index) => {
+    if (!STAGE_TYPES.includes(type)) {
+      errors.push(`Stage ${index + 1} has unknown type ${type || '(blank)'}`);
+    } else if (index > 0 && STAGE_TYPE_ORDER[type] < STAGE_TYPE_ORDER[types[index - 1]]) {
+      errors.push('Stages must run pool play, then crossover, then playoffs');
+    }
+  });
+}
+
+/**
+ * Checks a user-submitted format against the stage schema the engine understands
+ * (`poolPlay`, `swiss`, `crossover`, `playoffs`) and returns it normalized. The supported
+ * team count is derived from the pool sizes (or the Swiss stage's `teamCount`), so a
+ * definition always describes one team count.
+ * `errors` is empty when the definition can be saved.
+ */
+function validateFormatDefinition(input) {
+  const source = isPlainObject(input) ? input : {};
+  const errors = [];
+  const name = readText(source.name);
+  const description = readText(source.description);
+  const stages = Array.isArray(source.stages) ? source.stages.filter(isPlainObject) : [];
+
+  if (!name) {
+    errors.push('Format name is required');
+  } else if (name.length > MAX_FORMAT_NAME_LENGTH) {
+    errors.push(`Format name must be ${MAX_FORMAT_NAME_LENGTH} characters or fewer`);
+  }
+
+  if (description.length > MAX_FORMAT_DESCRIPTION_LENGTH) {
+    errors.push(`Description must be ${MAX_FORMAT_DESCRIPTION_LENGTH} characters or fewer`);
+  }
+
+  if (stages.length === 0) {
+    errors.push('At least one stage is required');
+  }
+
+  validateStageOrder(stages, errors);
+
+  const poolStage = stages.find((stage) => stage.type === 'poolPlay');
+  const poolNames = (Array.isArray(poolStage?.pools) ? poolStage.pools : []).map((pool) =>
+    readText(pool?.name).toUpperCase()
+  );
+  const swissStage = stages.find((stage) => stage.type === 'swiss');
+  const teamCount = swissStage
+    ? toInteger(swissStage.teamCount) || 0
+    : (Array.isArray(poolStage?.pools) ? poolStage.pools : []).reduce(
+        (total, pool) => total + (toInteger(pool?.size) || 0),
+        0
+      );
+  const seenKeys = new Set();
+
+  const normalizedStages = stages.map((stage, index) => {
+    const type = stage.type;
+    const key = readText(stage.key) || DEFAULT_STAGE_KEYS[type] || `stage${index + 1}`;
+    const displayName =
+      readText(stage.displayName).slice(0, MAX_DISPLAY_NAME_LENGTH) ||
+      DEFAULT_STAGE_NAMES[type] ||
+      `Stage ${index + 1}`;
+
+    if (!STAGE_KEY_PATTERN.test(key)) {
+      errors.push(`${displayName} key must start with a letter and use only letters and digits`);
+    } else if (seenKeys.has(key)) {
+      errors.push(`More than one stage uses the key ${key}`);
+    }
+    seenKeys.add(key);
+
+    const base = { type, key, displayName };
+
+    if (type === 'poolPlay') {
+      return { ...base, ...validatePoolPlayStage(stage, displayName, errors) };
+    }
+
+    if (type === 'swiss') {
+      return { ...base, ...validateSwissStage(stage, displayName, errors) };
+    }
+
+    if (type === 'crossover') {
+      return { ...base, ...validateCrossoverStage(stage, displayName, poolNames, errors) };
+    }
+
+    if (type === 'playoffs') {
+      return { ...base, ...validatePlayoffsStage(stage, displayName, teamCount, errors) };
+    }
+
+    return base;
+  });
+
+  const minCourts = isBlank(source.minCourts) ? 1 : toInteger(source.minCourts);
+  const maxCourts = isBlank(source.maxCourts) ? null : toInteger(source.maxCourts);
+
+  if (!minCourts || minCourts < 1 || minCourts > MAX_COURTS) {
+    errors.push(`Minimum courts must be between 1 and ${MAX_COURTS}`);
+  }
+
+  if (maxCourts !== null && !(maxCourts >= (minCourts || 1) && maxCourts <= MAX_COURTS)) {
+    errors.push('Maximum courts must be at least the minimum courts');
+  }
+
+  const formatDef = {
+    name,
+    description,
+    supportedTeamCounts: teamCount > 0 ? [teamCount] : [],
+    minCourts,
+    ...(maxCourts !== null ? { maxCourts } : {}),
+    stages: normalizedStages,
+  };
+
+  return {
+    formatDef,
+    errors: Array.from(new Set(errors)),
+  };
+}
+
+module.exports = {
+  MAX_FORMAT_DESCRIPTION_LENGTH,
+  MAX_FORMAT_NAME_LENGTH,
+  validateFormatDefinition,
+};